@@ -1,24 +1,531 @@
 // analysis-engine.js - Clinical Posture Analysis with Enhanced Knee Analysis
 
 const AnalysisEngine = {
-    // User calibration values (will be set by user input)
+    // Calibration converts normalized landmark distances to centimetres. Methods:
+    //   'body'      - clinician-entered head/shoulder/hip widths and neck length
+    //   'defaults'  - population averages for all four body measurements
+    //   'height'    - patient height, converted through the nose-to-heel landmark span
+    //   'reference' - an object of known size marked in each image (e.g. an A4 sheet)
+    // The body measurements are always kept; height and reference views fall back to them
+    // when they cannot be applied (no heels in frame, reference not marked in that view).
     userCalibration: {
+        method: 'defaults',
         headWidth: 15,      // Default: 15cm
         shoulderWidth: 40,  // Default: 40cm
         hipWidth: 35,       // Default: 35cm
-        neckLength: 20      // Default: 20cm
+        neckLength: 20,     // Default: 20cm
+        defaulted: ['headWidth', 'shoulderWidth', 'hipWidth', 'neckLength'],
+        patientHeight: null,
+        referenceObject: null
     },
-    
+
+    bodyDefaults: { headWidth: 15, shoulderWidth: 40, hipWidth: 35, neckLength: 20 },
+
+    // Nose tip height as a fraction of stature (Drillis & Contini 1966 segment proportions:
+    // eye 0.936H, chin 0.870H). MediaPipe has no vertex landmark, so height is scaled through the nose.
+    NOSE_HEIGHT_RATIO: 0.91,
+
+    referenceObjects: {
+        a4Long: { name: 'A4 sheet, long edge', sizeCm: 29.7 },
+        a4Short: { name: 'A4 sheet, short edge', sizeCm: 21 }
+    },
+
+    // Complete calibration from partial input. Body measurements that were not entered take the
+    // population default and are listed in `defaulted`; a height or reference method without its
+    // value falls back to the body measurements.
+    normalizeCalibration(calibration = {}) {
+        const normalized = { method: 'defaults', defaulted: [], patientHeight: null, referenceObject: null };
+        Object.entries(this.bodyDefaults).forEach(([key, fallback]) => {
+            const value = parseFloat(calibration[key]);
+            const wasDefaulted = Array.isArray(calibration.defaulted) && calibration.defaulted.includes(key);
+            normalized[key] = value > 0 ? value : fallback;
+            if (!(value > 0) || wasDefaulted) normalized.defaulted.push(key);
+        });
+
+        const patientHeight = parseFloat(calibration.patientHeight);
+        if (patientHeight > 0) normalized.patientHeight = patientHeight;
+        const referenceSize = parseFloat(calibration.referenceObject?.sizeCm);
+        if (referenceSize > 0) {
+            normalized.referenceObject = { name: calibration.referenceObject.name || 'Reference object', sizeCm: referenceSize };
+        }
+
+        if (calibration.method === 'height' && normalized.patientHeight) {
+            normalized.method = 'height';
+        } else if (calibration.method === 'reference' && normalized.referenceObject) {
+            normalized.method = 'reference';
+        } else {
+            normalized.method = normalized.defaulted.length === Object.keys(this.bodyDefaults).length ? 'defaults' : 'body';
+        }
+        return normalized;
+    },
+
+    configureCalibration(calibration) {
+        this.userCalibration = this.normalizeCalibration(calibration);
+        console.log('Calibration updated:', this.userCalibration);
+    },
+
     // Method to update calibration values
     setCalibration(headWidth, shoulderWidth, hipWidth, neckLength) {
-        this.userCalibration.headWidth = headWidth || 15;
-        this.userCalibration.shoulderWidth = shoulderWidth || 40;
-        this.userCalibration.hipWidth = hipWidth || 35;
-        this.userCalibration.neckLength = neckLength || 20;
-        
-        console.log('Calibration updated:', this.userCalibration);
+        this.configureCalibration({ method: 'body', headWidth, shoulderWidth, hipWidth, neckLength });
     },
-    
+
+    // Independent engine with its own calibration, so server requests never share state.
+    // Thresholds are inherited from this engine unless a { preset, overrides } config is given.
+    createInstance(calibration = {}, thresholds = null) {
+        const engine = Object.create(this);
+        engine.userCalibration = this.normalizeCalibration(calibration);
+        if (thresholds) engine.configureThresholds(thresholds);
+        return engine;
+    },
+
+    // Centimetres per image unit (pixel when the image size is known) for a whole-image calibration (patient height or a
+    // marked reference object), or null when the view uses the body-segment ratios instead.
+    // referenceMark: { from: {x, y}, to: {x, y} } - the ends of the reference object in this image
+    calibrationScale(landmarks, referenceMark = null) {
+        const calibration = this.userCalibration;
+        if (calibration.method === 'reference' && referenceMark?.from && referenceMark?.to) {
+            const length = Math.hypot(referenceMark.to.x - referenceMark.from.x, referenceMark.to.y - referenceMark.from.y);
+            if (length > 0) return { method: 'reference', cmPerUnit: calibration.referenceObject.sizeCm / length };
+        }
+        if (calibration.method === 'height' && landmarks[0]) {
+            const heel = Math.max(landmarks[29]?.y ?? 0, landmarks[30]?.y ?? 0);
+            const span = heel - landmarks[0].y;
+            if (span > 0) return { method: 'height', cmPerUnit: calibration.patientHeight * this.NOSE_HEIGHT_RATIO / span };
+        }
+        return null;
+    },
+
+    // How a view's centimetre values were scaled, stored on the view result for the report
+    calibrationRecord(scale) {
+        const calibration = this.userCalibration;
+        if (scale?.method === 'height') {
+            return { method: 'height', patientHeight: calibration.patientHeight };
+        }
+        if (scale?.method === 'reference') {
+            return { method: 'reference', referenceObject: { ...calibration.referenceObject } };
+        }
+
+        const record = { method: calibration.defaulted.length === Object.keys(this.bodyDefaults).length ? 'defaults' : 'body' };
+        Object.keys(this.bodyDefaults).forEach(key => { record[key] = calibration[key]; });
+        record.defaulted = [...calibration.defaulted];
+        // Height or reference calibration was chosen but could not be applied to this view
+        if (calibration.method === 'height' || calibration.method === 'reference') record.requested = calibration.method;
+        return record;
+    },
+
+    describeCalibration(record) {
+        if (!record) return '';
+        if (record.method === 'height') {
+            return `Patient height ${record.patientHeight} cm, converted through the nose-to-heel landmark span`;
+        }
+        if (record.method === 'reference') {
+            return `Reference object marked in the image (${record.referenceObject.name}, ${record.referenceObject.sizeCm} cm)`;
+        }
+
+        const names = { headWidth: 'head', shoulderWidth: 'shoulder', hipWidth: 'hip', neckLength: 'neck' };
+        const values = Object.keys(names).map(key => `${names[key]} ${record[key]} cm`).join(', ');
+        let text = record.method === 'defaults'
+            ? `Population default body measurements (${values}) - centimetre values are approximate`
+            : `Clinician-entered body measurements (${values})`;
+        if (record.method === 'body' && record.defaulted?.length > 0) {
+            text += `; defaults used for ${record.defaulted.map(key => names[key]).join(', ')}`;
+        }
+        if (record.requested === 'height') text += ' - patient height could not be applied (heels or nose not detected)';
+        if (record.requested === 'reference') text += ' - reference object not marked in this view';
+        return text;
+    },
+
+    // One line for the report: a single description when every view was calibrated the same
+    // way, otherwise one per group of views. Empty for analyses saved before calibration was recorded.
+    summarizeCalibration(analysis) {
+        const viewNames = { front: 'Front', sideLeft: 'Side Left', sideRight: 'Side Right', back: 'Back' };
+        const groups = new Map();
+        Object.keys(viewNames).forEach(view => {
+            const text = this.describeCalibration(analysis?.[view]?.calibration);
+            if (!text) return;
+            if (!groups.has(text)) groups.set(text, []);
+            groups.get(text).push(viewNames[view]);
+        });
+
+        if (groups.size <= 1) return [...groups.keys()][0] || '';
+        return [...groups.entries()].map(([text, views]) => `${views.join(', ')}: ${text}`).join('; ');
+    },
+
+    // Measurements reported by the view analyzers below, keyed by measurement name. Normal
+    // limits come from the active ClinicalThresholds configuration (see metricInfo); metrics
+    // without a limit (forwardNeckCm, chinForwardCm) are treated as lower-is-better.
+    // `estimate` marks proxies that are not direct measurements of the structure they are named after;
+    // `world` marks measurements only reported from 3D world landmarks (see analyzeWorldLandmarks);
+    // `contour` marks those measured on the segmentation mask silhouette (see addContourFindings);
+    // the bend* and ribHump* keys come from the forward bend view (see analyzeForwardBendView).
+    metricCatalogue: {
+        earPinnaeLevel: { label: 'Ear Pinnae Level', unit: '°' },
+        earPinnaeLevelCm: { label: 'Ear Pinnae Level', unit: 'cm' },
+        neckLevel: { label: 'Neck Level (Lateral Dev)', unit: '°' },
+        neckLevelCm: { label: 'Neck Level (Lateral Dev)', unit: 'cm' },
+        shoulderLevel: { label: 'Shoulder Level', unit: '°' },
+        shoulderLevelCm: { label: 'Shoulder Level', unit: 'cm' },
+        elbowLevel: { label: 'Elbow Level', unit: '°' },
+        elbowLevelCm: { label: 'Elbow Level', unit: 'cm' },
+        pelvicObliquity: { label: 'Pelvic Obliquity', unit: '°' },
+        pelvicObliquityCm: { label: 'Pelvic Obliquity', unit: 'cm' },
+        leftKneeAlignment: { label: 'Left Knee Alignment', unit: '°' },
+        rightKneeAlignment: { label: 'Right Knee Alignment', unit: '°' },
+        kneeLevel: { label: 'Knee Level', unit: '°' },
+        kneeLevelCm: { label: 'Knee Level', unit: 'cm' },
+        forwardNeck: { label: 'Forward Neck Posture', unit: '°' },
+        forwardNeckCm: { label: 'Forward Neck Posture', unit: 'cm' },
+        chinForward: { label: 'Chin Forward', unit: '°' },
+        chinForwardCm: { label: 'Chin Forward', unit: 'cm' },
+        shoulderPosition: { label: 'Shoulder Position', unit: '°' },
+        craniovertebralAngle: { label: 'Craniovertebral Angle (CVA)', unit: '°' },
+        headOverShoulderCm: { label: 'Head over Shoulder', unit: 'cm' },
+        shoulderOverHipCm: { label: 'Shoulder over Hip', unit: 'cm' },
+        hipOverAnkleCm: { label: 'Hip over Ankle', unit: 'cm' },
+        kneeHyperextension: { label: 'Knee Hyperextension', unit: '°' },
+        trunkInclination: { label: 'Trunk Inclination', unit: '°' },
+        thoracicCurvature: { label: 'Thoracic Curvature (estimate)', unit: '°', estimate: true },
+        lumbarCurvature: { label: 'Lumbar Curvature (estimate)', unit: '°', estimate: true },
+        leftKneePosition: { label: 'Left Knee Position', unit: '°' },
+        rightKneePosition: { label: 'Right Knee Position', unit: '°' },
+        scapularLevel: { label: 'Scapular Level', unit: '°' },
+        scapularLevelCm: { label: 'Scapular Level', unit: 'cm' },
+        psisLevel: { label: 'PSIS Level', unit: '°' },
+        psisLevelCm: { label: 'PSIS Level', unit: 'cm' },
+        glutealFoldAsymmetry: { label: 'Gluteal Fold Asymmetry', unit: '%' },
+        poplitealLine: { label: 'Popliteal Line', unit: '°' },
+        poplitealLineCm: { label: 'Popliteal Line', unit: 'cm' },
+        leftAnkleAlignment: { label: 'Left Ankle Alignment', unit: '°' },
+        rightAnkleAlignment: { label: 'Right Ankle Alignment', unit: '°' },
+        trunkRotation: { label: 'Trunk Rotation (3D)', unit: '°', world: true },
+        pelvicRotation: { label: 'Pelvic Rotation (3D)', unit: '°', world: true },
+        leftShoulderProtraction: { label: 'Left Shoulder Protraction (3D)', unit: 'cm', world: true },
+        rightShoulderProtraction: { label: 'Right Shoulder Protraction (3D)', unit: 'cm', world: true },
+        waistTriangleLeftCm2: { label: 'Left Waist Triangle', unit: 'cm²', contour: true },
+        waistTriangleRightCm2: { label: 'Right Waist Triangle', unit: 'cm²', contour: true },
+        waistTriangleAsymmetry: { label: 'Waist Triangle Asymmetry', unit: '%', contour: true },
+        trunkShiftCm: { label: 'Lateral Trunk Shift', unit: 'cm', contour: true },
+        bendShoulderTilt: { label: 'Forward Bend Shoulder Tilt (estimate)', unit: '°', estimate: true },
+        bendShoulderTiltCm: { label: 'Forward Bend Shoulder Tilt (estimate)', unit: 'cm', estimate: true },
+        ribHumpAngle: { label: 'Rib Hump Angle (silhouette estimate)', unit: '°', estimate: true, contour: true },
+        ribHumpCm: { label: 'Rib Hump Height (silhouette estimate)', unit: 'cm', estimate: true, contour: true }
+    },
+
+    // Landmarks each measurement is computed from, per view. A group is satisfied by its most
+    // visible member; side view [left, right] pairs are narrowed to the side that was measured.
+    measurementLandmarks: {
+        front: {
+            earPinnaeLevel: [[7], [8]],
+            earPinnaeLevelCm: [[7], [8]],
+            neckLevel: [[0], [11], [12]],
+            neckLevelCm: [[0], [11], [12]],
+            shoulderLevel: [[11], [12]],
+            shoulderLevelCm: [[11], [12]],
+            elbowLevel: [[13], [14]],
+            elbowLevelCm: [[13], [14], [11], [12]],
+            pelvicObliquity: [[23], [24]],
+            pelvicObliquityCm: [[23], [24]],
+            leftKneeAlignment: [[23], [25], [27]],
+            leftKneeDirection: [[23], [25], [27]],
+            rightKneeAlignment: [[24], [26], [28]],
+            rightKneeDirection: [[24], [26], [28]],
+            kneeLevel: [[25], [26]],
+            kneeLevelCm: [[25], [26], [23], [24]]
+        },
+        side: {
+            forwardNeck: [[7, 8], [11, 12]],
+            forwardNeckCm: [[7, 8], [11, 12]],
+            chinForward: [[0], [11, 12]],
+            chinForwardCm: [[0], [11, 12]],
+            craniovertebralAngle: [[0], [7, 8], [11, 12]],
+            headOverShoulderCm: [[0], [7, 8], [11, 12]],
+            shoulderOverHipCm: [[0], [7, 8], [11, 12], [23, 24]],
+            hipOverAnkleCm: [[0], [7, 8], [23, 24], [27, 28]],
+            trunkInclination: [[0], [7, 8], [11, 12], [23, 24]],
+            kneeHyperextension: [[0], [7, 8], [23, 24], [25, 26], [27, 28]],
+            shoulderPosition: [[7, 8], [11, 12], [23, 24]],
+            shoulderPostureType: [[7, 8], [11, 12], [23, 24]],
+            thoracicCurvature: [[7, 8], [11, 12], [23, 24]],
+            thoracicCurvatureType: [[7, 8], [11, 12], [23, 24]],
+            lumbarCurvature: [[11, 12], [23, 24], [25, 26]],
+            lumbarCurvatureType: [[11, 12], [23, 24], [25, 26]],
+            leftKneePosition: [[23], [25], [27]],
+            leftKneePositionType: [[23], [25], [27]],
+            rightKneePosition: [[24], [26], [28]],
+            rightKneePositionType: [[24], [26], [28]]
+        },
+        back: {
+            elbowLevel: [[13], [14]],
+            elbowLevelCm: [[13], [14], [11], [12]],
+            scapularLevel: [[11], [12]],
+            scapularLevelCm: [[11], [12]],
+            psisLevel: [[23], [24]],
+            psisLevelCm: [[23], [24]],
+            glutealFoldAsymmetry: [[23], [24], [25], [26]],
+            poplitealLine: [[25], [26]],
+            poplitealLineCm: [[25], [26], [23], [24]],
+            leftAnkleAlignment: [[25], [27], [29]],
+            leftAnkleDirection: [[25], [27], [29]],
+            rightAnkleAlignment: [[26], [28], [30]],
+            rightAnkleDirection: [[26], [28], [30]]
+        },
+        forwardBend: {
+            bendShoulderTilt: [[11], [12]],
+            bendShoulderTiltCm: [[11], [12]]
+        }
+    },
+
+    // Measurements each deformity type is derived from
+    deformityMeasurements: {
+        'Ear Pinnae Asymmetry': ['earPinnaeLevel'],
+        'Cervical Lateral Deviation': ['neckLevel'],
+        'Shoulder Level Asymmetry': ['shoulderLevel'],
+        'Elbow Level Asymmetry': ['elbowLevel'],
+        'Pelvic Obliquity': ['pelvicObliquity'],
+        'Left Knee Malalignment': ['leftKneeAlignment'],
+        'Right Knee Malalignment': ['rightKneeAlignment'],
+        'Knee Height Asymmetry': ['kneeLevel'],
+        'Forward Head Posture': ['forwardNeck', 'chinForward', 'craniovertebralAngle'],
+        'Shoulder Position Deviation': ['shoulderPosition'],
+        'Thoracic Curvature': ['thoracicCurvature'],
+        'Lumbar Curvature': ['lumbarCurvature'],
+        'Left Knee Position': ['leftKneePosition'],
+        'Right Knee Position': ['rightKneePosition'],
+        'Scapular Height Asymmetry': ['scapularLevel'],
+        'PSIS Asymmetry': ['psisLevel'],
+        'Gluteal Fold Asymmetry': ['glutealFoldAsymmetry'],
+        'Popliteal Line Asymmetry': ['poplitealLine'],
+        'Left Ankle Malalignment': ['leftAnkleAlignment'],
+        'Right Ankle Malalignment': ['rightAnkleAlignment'],
+        'Waist Triangle Asymmetry': ['waistTriangleAsymmetry'],
+        'Lateral Trunk Shift': ['trunkShiftCm'],
+        'Forward Bend Trunk Asymmetry': ['bendShoulderTilt'],
+        'Rib Hump': ['ribHumpAngle']
+    },
+
+    // Landmarks the analyzers use that the clinician may correct in the landmark editor
+    editableLandmarks: {
+        7: 'Left Ear', 8: 'Right Ear',
+        11: 'Left Shoulder', 12: 'Right Shoulder',
+        13: 'Left Elbow', 14: 'Right Elbow',
+        23: 'Left Hip', 24: 'Right Hip',
+        25: 'Left Knee', 26: 'Right Knee',
+        27: 'Left Ankle', 28: 'Right Ankle',
+        29: 'Left Heel', 30: 'Right Heel'
+    },
+
+    // MediaPipe visibility below this marks a measurement as low confidence
+    visibilityThreshold: 0.5,
+
+    // { key: { reliable, visibility } } for every measurement of the view. Landmarks without
+    // a visibility score (e.g. supplied through /api/analyze) count as fully visible.
+    // With nearSide ('left'/'right') a [left, right] group counts only the side that was measured.
+    assessReliability(landmarks, view, nearSide = null) {
+        const reliability = {};
+        Object.entries(this.measurementLandmarks[view] || {}).forEach(([key, groups]) => {
+            const visibility = Math.min(...groups.map(group => {
+                const used = nearSide && group.length === 2 ? [group[nearSide === 'left' ? 0 : 1]] : group;
+                return Math.max(...used.map(index => landmarks[index]?.visibility ?? 1));
+            }));
+            reliability[key] = {
+                reliable: visibility >= this.visibilityThreshold,
+                visibility: Math.round(visibility * 100) / 100
+            };
+        });
+        return reliability;
+    },
+
+    // Attaches reliability to a view result, flags deformities built on low-confidence
+    // measurements and adds an issue naming them
+    applyReliability(result, landmarks, view, nearSide = null) {
+        const reliability = this.assessReliability(landmarks, view, nearSide);
+        result.reliability = reliability;
+
+        result.deformities.forEach(deformity => {
+            const keys = this.deformityMeasurements[deformity.type] || [];
+            if (keys.some(key => reliability[key] && !reliability[key].reliable)) {
+                deformity.lowConfidence = true;
+            }
+        });
+
+        const lowConfidence = Object.keys(result.measurements).filter(key =>
+            reliability[key] && !reliability[key].reliable && this.metricCatalogue[key]
+        );
+        const labels = [...new Set(lowConfidence.map(key => this.metricCatalogue[key].label))];
+        if (labels.length > 0) {
+            result.issues.push(`⚠ Low confidence (landmarks not clearly visible): ${labels.join(', ')} - repeat this view or confirm clinically`);
+        }
+
+        return result;
+    },
+
+    // Active threshold configuration - adult unless configureThresholds was given a preset or overrides
+    thresholdConfig: null,
+
+    thresholdLibrary() {
+        return typeof ClinicalThresholds !== 'undefined' ? ClinicalThresholds : require('./clinical-thresholds');
+    },
+
+    thresholds() {
+        if (!this.thresholdConfig) this.thresholdConfig = this.thresholdLibrary().resolve();
+        return this.thresholdConfig;
+    },
+
+    // config: { preset, overrides } as stored by the server (see js/clinical-thresholds.js)
+    configureThresholds(config) {
+        this.thresholdConfig = this.thresholdLibrary().resolve(config);
+    },
+
+    // e.g. "Adult (18-64) preset" or "Older adult (65+) preset, adjusted: Shoulder Level"
+    describeThresholds() {
+        const config = this.thresholds();
+        const adjusted = [...new Set(config.customised.map(key => this.metricCatalogue[key]?.label).filter(Boolean))];
+        return `${config.label} preset${adjusted.length > 0 ? `, adjusted: ${adjusted.join(', ')}` : ''}`;
+    },
+
+    // Ranges an analysis was graded against, recorded by analyzeLandmarkSet; older analyses use the active ones
+    summarizeThresholds(analysis) {
+        return analysis?.normalRanges || this.describeThresholds();
+    },
+
+    // Normal range of a measurement: { min?, max?, source? }
+    limit(key) {
+        return this.thresholds().limits[key] || {};
+    },
+
+    // Catalogue entry with the active normal range merged in, or null for unknown keys
+    metricInfo(key) {
+        const info = this.metricCatalogue[key];
+        return info ? { ...info, ...this.limit(key) } : null;
+    },
+
+    // Normal range as text, e.g. "<2°", "20-40°", "-3 to 3cm" or "50° or more"
+    formatNormalRange(key) {
+        const info = this.metricInfo(key);
+        if (!info) return '';
+        const { min, max, unit } = info;
+        if (min !== undefined && max !== undefined) return min < 0 ? `${min} to ${max}${unit}` : `${min}-${max}${unit}`;
+        if (max !== undefined) return `<${max}${unit}`;
+        if (min !== undefined) return `${min}${unit} or more`;
+        return '';
+    },
+
+    // Ranges of an angle and its centimetre counterpart for issue text, e.g. "<2° or <1.5cm"
+    normalRangeText(...keys) {
+        return keys.map(key => this.formatNormalRange(key)).filter(Boolean).join(' or ');
+    },
+
+    isOutsideNormal(key, value) {
+        const info = this.metricInfo(key);
+        const number = parseFloat(value);
+        if (!info || !Number.isFinite(number)) return false;
+        return (info.max !== undefined && number > info.max) || (info.min !== undefined && number < info.min);
+    },
+
+    // Ear, shoulder, hip, knee and ankle of each side, scored to find the side facing the camera
+    sideLandmarks: {
+        left: [7, 11, 23, 25, 27],
+        right: [8, 12, 24, 26, 28]
+    },
+
+    // { side, fallback } for a profile view. The requested side is used while its landmarks are
+    // visible; otherwise, or when no side is given, the better visible side. fallback is true
+    // when that overrode the request.
+    selectNearSide(landmarks, side = 'unknown') {
+        const score = indices => indices.reduce((sum, index) => sum + (landmarks[index]?.visibility ?? 1), 0) / indices.length;
+        const scores = { left: score(this.sideLandmarks.left), right: score(this.sideLandmarks.right) };
+        const requested = side === 'left' || side === 'right' ? side : null;
+
+        if (requested && scores[requested] >= this.visibilityThreshold) {
+            return { side: requested, fallback: false };
+        }
+        const visible = scores.left >= scores.right ? 'left' : 'right';
+        return { side: visible, fallback: requested !== null && visible !== requested };
+    },
+
+    isReliable(viewResult, key) {
+        return viewResult?.reliability?.[key]?.reliable !== false;
+    },
+
+    // MediaPipe left/right landmark index pairs: eyes, ears, mouth, arms, hands, legs and feet
+    SIDE_PAIRS: [
+        [1, 4], [2, 5], [3, 6], [7, 8], [9, 10], [11, 12], [13, 14], [15, 16], [17, 18], [19, 20],
+        [21, 22], [23, 24], [25, 26], [27, 28], [29, 30], [31, 32]
+    ],
+
+    // Left/right convention. Landmarks are always in unmirrored image coordinates: camera captures
+    // are detected on the raw video frame (only the stored photo and the live view are mirrored,
+    // flagged by <view>Mirrored) and uploads are used as photographed. So in both modes:
+    //   front - patient faces the camera, anatomical left is on the image right (larger x)
+    //   back  - patient faces away, anatomical left is on the image left (smaller x); so does the
+    //           forwardBend (Adams forward bend) view, taken from behind
+    //   side  - not re-sided; the near side is picked by visibility (selectNearSide)
+    // Returns +1 when anatomical left has the larger x, -1 when the smaller, 0 for side views.
+    anatomicalLeftDirection(view) {
+        if (view === 'front') return 1;
+        if (view === 'back' || view === 'forwardBend') return -1;
+        return 0;
+    },
+
+    // True when MediaPipe's left/right labels are on the wrong sides for the view. MediaPipe labels
+    // sides as if the person faced the camera, so back views usually arrive swapped.
+    // The torso (shoulders and hips) decides, so all pairs swap together.
+    sidesSwapped(landmarks, view) {
+        const expected = this.anatomicalLeftDirection(view);
+        if (!expected || !landmarks?.[11] || !landmarks[12] || !landmarks[23] || !landmarks[24]) return false;
+        const leftMinusRight = (landmarks[11].x + landmarks[23].x) - (landmarks[12].x + landmarks[24].x);
+        return leftMinusRight * expected < 0;
+    },
+
+    swapSides(landmarks) {
+        const swapped = landmarks.map(point => point && { ...point });
+        this.SIDE_PAIRS.forEach(([left, right]) => {
+            [swapped[left], swapped[right]] = [swapped[right], swapped[left]];
+        });
+        return swapped;
+    },
+
+    // The landmarks with every left/right pair on the patient's anatomical side for the view
+    orientLandmarks(landmarks, view) {
+        return this.sidesSwapped(landmarks, view) ? this.swapSides(landmarks) : landmarks;
+    },
+
+    // Image and world landmarks of one detection, re-sided together. The world landmarks carry no
+    // image position, so the image landmarks decide.
+    orientPose(landmarks, worldLandmarks, view) {
+        const swap = this.sidesSwapped(landmarks, view);
+        return {
+            landmarks: swap ? this.swapSides(landmarks) : landmarks,
+            worldLandmarks: swap && worldLandmarks ? this.swapSides(worldLandmarks) : worldLandmarks
+        };
+    },
+
+    // MediaPipe landmarks are normalized separately on each axis, so on a 640x480 frame or a
+    // portrait photo a normalized unit of x and of y are different lengths. Every analyzer converts
+    // to pixels first; without an image size the coordinates are used as they are.
+    toPixelSpace(landmarks, imageSize) {
+        if (!this.imageDimensions(imageSize)) return landmarks;
+        return landmarks.map(point => point && {
+            ...point,
+            x: point.x * imageSize.width,
+            y: point.y * imageSize.height,
+            // z is on roughly the same scale as x
+            ...(typeof point.z === 'number' ? { z: point.z * imageSize.width } : {})
+        });
+    },
+
+    referenceMarkToPixelSpace(referenceMark, imageSize) {
+        if (!referenceMark?.from || !referenceMark?.to) return referenceMark;
+        const [from, to] = this.toPixelSpace([referenceMark.from, referenceMark.to], imageSize);
+        return { from, to };
+    },
+
+    // { width, height } of the image the landmarks were detected in, or null when it is not known
+    imageDimensions(imageSize) {
+        const { width, height } = imageSize || {};
+        return Number.isFinite(width) && Number.isFinite(height) && width > 0 && height > 0 ? { width, height } : null;
+    },
+
     calculateAngle(a, b, c) {
         const radians = Math.atan2(c.y - b.y, c.x - b.x) - Math.atan2(a.y - b.y, a.x - b.x);
         let angle = Math.abs(radians * 180.0 / Math.PI);
@@ -43,11 +550,47 @@ const AnalysisEngine = {
         return Math.atan2(deltaX, deltaY) * 180 / Math.PI;
     },
 
+    // Signed bend (degrees) of the chain proximal-middle-distal at the middle joint, from the cross
+    // and dot products of its two segments: positive when the middle joint lies ANTERIOR to the
+    // line joining its neighbours, negative when posterior, 0 when straight. proximal is the upper
+    // point; anteriorSign is +1 when the patient faces the image right.
+    calculateSignedBend(proximal, middle, distal, anteriorSign) {
+        const ux = middle.x - proximal.x;
+        const uy = middle.y - proximal.y;
+        const vx = distal.x - middle.x;
+        const vy = distal.y - middle.y;
+        return Math.atan2(ux * vy - uy * vx, ux * vx + uy * vy) * 180 / Math.PI * anteriorSign;
+    },
+
+    // Horizontal offset of the middle joint from the line joining its neighbours.
+    // calculateAngle is unsigned (0-180°), so inward/outward direction comes from this sign.
+    calculateLineOffsetX(proximal, middle, distal) {
+        const spanY = distal.y - proximal.y;
+        const t = spanY !== 0 ? (middle.y - proximal.y) / spanY : 0.5;
+        const lineX = proximal.x + t * (distal.x - proximal.x);
+        return middle.x - lineX;
+    },
+
+    // Grades a value against its normal limit using the configured severity bands (adult: up to
+    // 1.5x MILD, up to 2.5x MODERATE, beyond that SEVERE). For lower limits pass (limit, value) so
+    // that smaller values grade worse. The ratio is rounded to two decimals so a reported 5.0°
+    // against a 2° limit grades the same as it reads.
+    gradeSeverity(value, limit) {
+        const bands = this.thresholds().severityBands;
+        const ratio = limit > 0 ? Math.round((value / limit) * 100) / 100 : Infinity;
+        if (ratio <= bands.mild) return 'MILD';
+        if (ratio <= bands.moderate) return 'MODERATE';
+        return 'SEVERE';
+    },
+
     // Enhanced Front View Analysis with Detailed Knee Valgus/Varus Detection
-    analyzeFrontView(landmarks) {
+    analyzeFrontView(landmarks, referenceMark = null, imageSize = null, contour = null) {
         if (!landmarks || landmarks.length === 0) {
             return { issues: [], recommendations: [], measurements: {}, deformities: [] };
         }
+        imageSize = this.imageDimensions(imageSize);
+        landmarks = this.toPixelSpace(this.orientLandmarks(landmarks, 'front'), imageSize);
+        referenceMark = this.referenceMarkToPixelSpace(referenceMark, imageSize);
 
         const issues = [];
         const recommendations = [];
@@ -76,12 +619,13 @@ const AnalysisEngine = {
         // Calculate pixel distances
         const earDistancePx = Math.sqrt(Math.pow(rightEar.x - leftEar.x, 2) + Math.pow(rightEar.y - leftEar.y, 2));
         const shoulderDistancePx = Math.sqrt(Math.pow(rightShoulder.x - leftShoulder.x, 2) + Math.pow(rightShoulder.y - leftShoulder.y, 2));
-        const hipDistancePx = Math.sqrt(Math.pow(rightHip.x - leftHip.x, 2) + Math.pow(rightHip.y - rightHip.y, 2));
+        const hipDistancePx = Math.sqrt(Math.pow(rightHip.x - leftHip.x, 2) + Math.pow(rightHip.y - leftHip.y, 2));
 
-        // Calculate conversion ratios
-        const headRatio = HEAD_WIDTH_CM / earDistancePx;
-        const shoulderRatio = SHOULDER_WIDTH_CM / shoulderDistancePx;
-        const hipRatio = HIP_WIDTH_CM / hipDistancePx;
+        // Calculate conversion ratios - a height or reference calibration gives one scale for the whole image
+        const scale = this.calibrationScale(landmarks, referenceMark);
+        const headRatio = scale ? scale.cmPerUnit : HEAD_WIDTH_CM / earDistancePx;
+        const shoulderRatio = scale ? scale.cmPerUnit : SHOULDER_WIDTH_CM / shoulderDistancePx;
+        const hipRatio = scale ? scale.cmPerUnit : HIP_WIDTH_CM / hipDistancePx;
 
         // 1. EAR PINNAE LEVEL
         const earAngle = this.calculateSlopeAngle(leftEar, rightEar);
@@ -89,19 +633,21 @@ const AnalysisEngine = {
         const earHeightDiffPx = Math.abs(leftEar.y - rightEar.y);
         measurements.earPinnaeLevelCm = (earHeightDiffPx * headRatio).toFixed(1);
 
-        if (earAngle > 3) {
+        const earPinnaeLevelLimit = this.limit('earPinnaeLevel').max;
+        if (earAngle > earPinnaeLevelLimit) {
             const higherEar = leftEar.y < rightEar.y ? 'LEFT' : 'RIGHT';
             const lowerEar = leftEar.y < rightEar.y ? 'RIGHT' : 'LEFT';
             
             deformities.push({
                 type: 'Ear Pinnae Asymmetry',
+                severity: this.gradeSeverity(earAngle, earPinnaeLevelLimit),
                 elevated: higherEar,
                 depressed: lowerEar,
                 angle: earAngle.toFixed(1),
                 distance: measurements.earPinnaeLevelCm
             });
             
-            issues.push(`⚠ Ear pinnae asymmetry: ${higherEar} ear ELEVATED by ${measurements.earPinnaeLevelCm}cm (${earAngle.toFixed(1)}°), ${lowerEar} ear DEPRESSED (Normal: <3° or <1cm)`);
+            issues.push(`⚠ Ear pinnae asymmetry: ${higherEar} ear ELEVATED by ${measurements.earPinnaeLevelCm}cm (${earAngle.toFixed(1)}°), ${lowerEar} ear DEPRESSED (Normal: ${this.normalRangeText('earPinnaeLevel', 'earPinnaeLevelCm')})`);
             recommendations.push('• Assess for cervical rotation restrictions');
             recommendations.push('• Cranial tilt correction exercises');
         }
@@ -117,17 +663,20 @@ const AnalysisEngine = {
         const neckHorizontalDistPx = Math.abs(nose.x - shoulderMidpoint.x);
         measurements.neckLevelCm = (neckHorizontalDistPx * shoulderRatio).toFixed(1);
 
-        if (neckDeviation > 5) {
-            const side = nose.x < shoulderMidpoint.x ? 'LEFT' : 'RIGHT';
+        const neckLevelLimit = this.limit('neckLevel').max;
+        if (neckDeviation > neckLevelLimit) {
+            // Toward the shoulder on the same side of the midline as the nose
+            const side = (nose.x - shoulderMidpoint.x) * (leftShoulder.x - rightShoulder.x) > 0 ? 'LEFT' : 'RIGHT';
             
             deformities.push({
                 type: 'Cervical Lateral Deviation',
+                severity: this.gradeSeverity(neckDeviation, neckLevelLimit),
                 direction: side,
                 angle: neckDeviation.toFixed(1),
                 distance: measurements.neckLevelCm
             });
             
-            issues.push(`⚠ Cervical lateral deviation: Head shifted ${measurements.neckLevelCm}cm (${neckDeviation.toFixed(1)}°) to the ${side} (Normal: <5° or <1.5cm)`);
+            issues.push(`⚠ Cervical lateral deviation: Head shifted ${measurements.neckLevelCm}cm (${neckDeviation.toFixed(1)}°) to the ${side} (Normal: ${this.normalRangeText('neckLevel', 'neckLevelCm')})`);
             recommendations.push('• Cervical lateral flexion stretching');
             recommendations.push('• Sternocleidomastoid and scalene muscle balancing');
         }
@@ -138,19 +687,21 @@ const AnalysisEngine = {
         const shoulderHeightDiffPx = Math.abs(leftShoulder.y - rightShoulder.y);
         measurements.shoulderLevelCm = (shoulderHeightDiffPx * shoulderRatio).toFixed(1);
 
-        if (shoulderAngle > 2) {
+        const shoulderLevelLimit = this.limit('shoulderLevel').max;
+        if (shoulderAngle > shoulderLevelLimit) {
             const higherSide = leftShoulder.y < rightShoulder.y ? 'LEFT' : 'RIGHT';
             const lowerSide = leftShoulder.y < rightShoulder.y ? 'RIGHT' : 'LEFT';
             
             deformities.push({
                 type: 'Shoulder Level Asymmetry',
+                severity: this.gradeSeverity(shoulderAngle, shoulderLevelLimit),
                 elevated: higherSide,
                 depressed: lowerSide,
                 angle: shoulderAngle.toFixed(1),
                 distance: measurements.shoulderLevelCm
             });
             
-            issues.push(`⚠ Shoulder asymmetry: ${higherSide} shoulder ELEVATED by ${measurements.shoulderLevelCm}cm (${shoulderAngle.toFixed(1)}°), ${lowerSide} shoulder DEPRESSED (Normal: <2° or <1.5cm)`);
+            issues.push(`⚠ Shoulder asymmetry: ${higherSide} shoulder ELEVATED by ${measurements.shoulderLevelCm}cm (${shoulderAngle.toFixed(1)}°), ${lowerSide} shoulder DEPRESSED (Normal: ${this.normalRangeText('shoulderLevel', 'shoulderLevelCm')})`);
             recommendations.push(`• Upper trapezius stretching on ${higherSide} side`);
             recommendations.push(`• Lower trapezius strengthening on ${lowerSide} side`);
         }
@@ -161,19 +712,21 @@ const AnalysisEngine = {
         const elbowHeightDiffPx = Math.abs(leftElbow.y - rightElbow.y);
         measurements.elbowLevelCm = (elbowHeightDiffPx * shoulderRatio).toFixed(1);
 
-        if (elbowAngle > 3) {
+        const elbowLevelLimit = this.limit('elbowLevel').max;
+        if (elbowAngle > elbowLevelLimit) {
             const higherElbow = leftElbow.y < rightElbow.y ? 'LEFT' : 'RIGHT';
             const lowerElbow = leftElbow.y < rightElbow.y ? 'RIGHT' : 'LEFT';
             
             deformities.push({
                 type: 'Elbow Level Asymmetry',
+                severity: this.gradeSeverity(elbowAngle, elbowLevelLimit),
                 elevated: higherElbow,
                 depressed: lowerElbow,
                 angle: elbowAngle.toFixed(1),
                 distance: measurements.elbowLevelCm
             });
             
-            issues.push(`⚠ Elbow asymmetry: ${higherElbow} elbow ELEVATED by ${measurements.elbowLevelCm}cm (${elbowAngle.toFixed(1)}°), ${lowerElbow} elbow DEPRESSED (Normal: <3° or <2cm)`);
+            issues.push(`⚠ Elbow asymmetry: ${higherElbow} elbow ELEVATED by ${measurements.elbowLevelCm}cm (${elbowAngle.toFixed(1)}°), ${lowerElbow} elbow DEPRESSED (Normal: ${this.normalRangeText('elbowLevel', 'elbowLevelCm')})`);
             recommendations.push('• Assess shoulder girdle complex');
         }
 
@@ -183,35 +736,43 @@ const AnalysisEngine = {
         const hipHeightDiffPx = Math.abs(leftHip.y - rightHip.y);
         measurements.pelvicObliquityCm = (hipHeightDiffPx * hipRatio).toFixed(1);
 
-        if (hipAngle > 2) {
+        const pelvicObliquityLimit = this.limit('pelvicObliquity').max;
+        if (hipAngle > pelvicObliquityLimit) {
             const higherHip = leftHip.y < rightHip.y ? 'LEFT' : 'RIGHT';
             const lowerHip = leftHip.y < rightHip.y ? 'RIGHT' : 'LEFT';
             
             deformities.push({
                 type: 'Pelvic Obliquity',
+                severity: this.gradeSeverity(hipAngle, pelvicObliquityLimit),
                 elevated: higherHip,
                 depressed: lowerHip,
                 angle: hipAngle.toFixed(1),
                 distance: measurements.pelvicObliquityCm
             });
             
-            issues.push(`⚠ Pelvic obliquity: ${higherHip} iliac crest ELEVATED by ${measurements.pelvicObliquityCm}cm (${hipAngle.toFixed(1)}°), ${lowerHip} iliac crest DEPRESSED (Normal: <2° or <1.5cm)`);
+            issues.push(`⚠ Pelvic obliquity: ${higherHip} iliac crest ELEVATED by ${measurements.pelvicObliquityCm}cm (${hipAngle.toFixed(1)}°), ${lowerHip} iliac crest DEPRESSED (Normal: ${this.normalRangeText('pelvicObliquity', 'pelvicObliquityCm')})`);
             recommendations.push('• Leg length discrepancy assessment required');
             recommendations.push(`• Hip abductor strengthening on ${lowerHip} side`);
         }
 
         // 6. ENHANCED KNEE ALIGNMENT - VALGUS (INWARD) / VARUS (OUTWARD) DETECTION
+        // Medial is toward the body midline, so the sign of each knee's offset is flipped per side
+        const hipMidlineX = (leftHip.x + rightHip.x) / 2;
+        const leftMedialSign = leftHip.x < hipMidlineX ? 1 : -1;
+        const rightMedialSign = -leftMedialSign;
+
         // Left Knee Analysis
         const leftKneeAngle = this.calculateAngle(leftHip, leftKnee, leftAnkle);
         const leftKneeDeviation = Math.abs(180 - leftKneeAngle);
         
         // Determine if knee is valgus (knocked knees - inward) or varus (bow-legged - outward)
-        // In front view: if knee angle < 180, knees point inward (valgus)
-        //                if knee angle > 180, knees point outward (varus)
+        // In front view: knee medial to the hip-ankle line points inward (valgus),
+        //                knee lateral to the hip-ankle line points outward (varus)
+        const leftKneeMedialOffset = this.calculateLineOffsetX(leftHip, leftKnee, leftAnkle) * leftMedialSign;
         let leftKneeDirection = '';
-        if (leftKneeAngle < 180) {
+        if (leftKneeMedialOffset > 0) {
             leftKneeDirection = 'VALGUS (INWARD/KNOCKED)';
-        } else if (leftKneeAngle > 180) {
+        } else if (leftKneeMedialOffset < 0) {
             leftKneeDirection = 'VARUS (OUTWARD/BOW-LEGGED)';
         }
         
@@ -222,41 +783,46 @@ const AnalysisEngine = {
         const rightKneeAngle = this.calculateAngle(rightHip, rightKnee, rightAnkle);
         const rightKneeDeviation = Math.abs(180 - rightKneeAngle);
         
+        const rightKneeMedialOffset = this.calculateLineOffsetX(rightHip, rightKnee, rightAnkle) * rightMedialSign;
         let rightKneeDirection = '';
-        if (rightKneeAngle < 180) {
+        if (rightKneeMedialOffset > 0) {
             rightKneeDirection = 'VALGUS (INWARD/KNOCKED)';
-        } else if (rightKneeAngle > 180) {
+        } else if (rightKneeMedialOffset < 0) {
             rightKneeDirection = 'VARUS (OUTWARD/BOW-LEGGED)';
         }
         
         measurements.rightKneeAlignment = rightKneeDeviation.toFixed(1);
         measurements.rightKneeDirection = rightKneeDirection;
 
-        if (leftKneeDeviation > 8 || rightKneeDeviation > 8) {
+        const leftKneeLimit = this.limit('leftKneeAlignment').max;
+        const rightKneeLimit = this.limit('rightKneeAlignment').max;
+        if (leftKneeDeviation > leftKneeLimit || rightKneeDeviation > rightKneeLimit) {
             let kneeIssue = '⚠ Knee alignment: ';
             
-            if (leftKneeDeviation > 8) {
+            if (leftKneeDeviation > leftKneeLimit) {
                 kneeIssue += `LEFT knee ${leftKneeDirection} ${leftKneeDeviation.toFixed(1)}° `;
                 deformities.push({
                     type: 'Left Knee Malalignment',
+                    severity: this.gradeSeverity(leftKneeDeviation, leftKneeLimit),
                     direction: leftKneeDirection,
                     angle: leftKneeDeviation.toFixed(1),
                     side: 'LEFT'
                 });
             }
             
-            if (rightKneeDeviation > 8) {
-                if (leftKneeDeviation > 8) kneeIssue += '| ';
+            if (rightKneeDeviation > rightKneeLimit) {
+                if (leftKneeDeviation > leftKneeLimit) kneeIssue += '| ';
                 kneeIssue += `RIGHT knee ${rightKneeDirection} ${rightKneeDeviation.toFixed(1)}° `;
                 deformities.push({
                     type: 'Right Knee Malalignment',
+                    severity: this.gradeSeverity(rightKneeDeviation, rightKneeLimit),
                     direction: rightKneeDirection,
                     angle: rightKneeDeviation.toFixed(1),
                     side: 'RIGHT'
                 });
             }
             
-            kneeIssue += '(Normal: <8° deviation from straight)';
+            kneeIssue += `(Normal: ${this.normalRangeText('leftKneeAlignment')} deviation from straight)`;
             issues.push(kneeIssue);
             
             if (leftKneeDirection.includes('VALGUS') || rightKneeDirection.includes('VALGUS')) {
@@ -275,34 +841,43 @@ const AnalysisEngine = {
         const kneeHeightDiffPx = Math.abs(leftKnee.y - rightKnee.y);
         measurements.kneeLevelCm = (kneeHeightDiffPx * hipRatio).toFixed(1);
 
-        if (kneeAngle > 2) {
+        const kneeLevelLimit = this.limit('kneeLevel').max;
+        if (kneeAngle > kneeLevelLimit) {
             const higherKnee = leftKnee.y < rightKnee.y ? 'LEFT' : 'RIGHT';
             const lowerKnee = leftKnee.y < rightKnee.y ? 'RIGHT' : 'LEFT';
             
             deformities.push({
                 type: 'Knee Height Asymmetry',
+                severity: this.gradeSeverity(kneeAngle, kneeLevelLimit),
                 elevated: higherKnee,
                 depressed: lowerKnee,
                 angle: kneeAngle.toFixed(1),
                 distance: measurements.kneeLevelCm
             });
             
-            issues.push(`⚠ Knee height asymmetry: ${higherKnee} knee ELEVATED by ${measurements.kneeLevelCm}cm (${kneeAngle.toFixed(1)}°), ${lowerKnee} knee DEPRESSED (Normal: <2° or <1.5cm)`);
+            issues.push(`⚠ Knee height asymmetry: ${higherKnee} knee ELEVATED by ${measurements.kneeLevelCm}cm (${kneeAngle.toFixed(1)}°), ${lowerKnee} knee DEPRESSED (Normal: ${this.normalRangeText('kneeLevel', 'kneeLevelCm')})`);
             recommendations.push('• Functional leg length assessment');
         }
 
+        // 8. BODY CONTOUR - waist triangles and trunk shift from the segmentation mask
+        this.addContourFindings(contour, imageSize, landmarks, hipRatio, { issues, recommendations, measurements, deformities });
+
         if (issues.length === 0) {
             issues.push('✓ Normal frontal plane alignment');
         }
 
-        return { issues, recommendations, measurements, deformities };
+        const calibration = this.calibrationRecord(scale);
+        return this.applyReliability({ issues, recommendations, measurements, deformities, calibration, imageSize }, landmarks, 'front');
     },
 
     // Enhanced Side View Analysis with Individual Left/Right Knee Flexion/Extension
-    analyzeSideView(landmarks, side = 'unknown') {
+    analyzeSideView(landmarks, side = 'unknown', referenceMark = null, imageSize = null) {
         if (!landmarks || landmarks.length === 0) {
             return { issues: [], recommendations: [], measurements: {}, deformities: [] };
         }
+        imageSize = this.imageDimensions(imageSize);
+        landmarks = this.toPixelSpace(landmarks, imageSize);
+        referenceMark = this.referenceMarkToPixelSpace(referenceMark, imageSize);
 
         const issues = [];
         const recommendations = [];
@@ -321,207 +896,240 @@ const AnalysisEngine = {
         const leftAnkle = landmarks[27];
         const rightAnkle = landmarks[28];
 
-        const earAvg = leftEar && rightEar ? 
-            { x: (leftEar.x + rightEar.x) / 2, y: (leftEar.y + rightEar.y) / 2 } : 
-            leftEar || rightEar || nose;
-
-        const shoulderAvg = {
-            x: (leftShoulder.x + rightShoulder.x) / 2,
-            y: (leftShoulder.y + rightShoulder.y) / 2
-        };
+        // In profile the far-side landmarks are occluded and poorly estimated, so every
+        // single-point measurement below uses the side facing the camera
+        const nearSide = this.selectNearSide(landmarks, side);
+        const near = (leftPoint, rightPoint) => nearSide.side === 'left' ? leftPoint : rightPoint;
+        const nearEar = near(leftEar, rightEar) || nose;
+        const nearShoulder = near(leftShoulder, rightShoulder);
+        const nearHip = near(leftHip, rightHip);
+        const nearKnee = near(leftKnee, rightKnee);
+        const nearAnkle = near(leftAnkle, rightAnkle);
+        measurements.landmarkSide = nearSide.side.toUpperCase();
+
+        if (nearSide.fallback) {
+            issues.push(`⚠ ${side.toUpperCase()} side landmarks not clearly visible - measured from the ${measurements.landmarkSide} side instead (check which side faced the camera)`);
+        }
 
-        const hipAvg = {
-            x: (leftHip.x + rightHip.x) / 2,
-            y: (leftHip.y + rightHip.y) / 2
-        };
+        // Anterior is the direction the patient faces (nose ahead of the ears)
+        const anteriorSign = nose.x >= nearEar.x ? 1 : -1;
 
-        // Use USER CALIBRATION for neck length
+        // Use USER CALIBRATION for neck length, unless a height or reference calibration scales the whole image
         const NECK_LENGTH_CM = this.userCalibration.neckLength;
+        const scale = this.calibrationScale(landmarks, referenceMark);
 
         // 1. FORWARD NECK POSTURE
-        const neckForwardAngle = this.calculateHorizontalDeviation(shoulderAvg, earAvg);
+        const neckForwardAngle = this.calculateHorizontalDeviation(nearShoulder, nearEar);
         measurements.forwardNeck = neckForwardAngle.toFixed(1);
-        const neckVerticalDistPx = Math.abs(earAvg.y - shoulderAvg.y);
-        const neckHorizontalDistPx = Math.abs(earAvg.x - shoulderAvg.x);
-        const neckRatio = neckVerticalDistPx > 0 ? NECK_LENGTH_CM / neckVerticalDistPx : 0.3;
+        const neckVerticalDistPx = Math.abs(nearEar.y - nearShoulder.y);
+        const neckHorizontalDistPx = Math.abs(nearEar.x - nearShoulder.x);
+        const neckRatio = scale ? scale.cmPerUnit : neckVerticalDistPx > 0 ? NECK_LENGTH_CM / neckVerticalDistPx : 0.3;
         measurements.forwardNeckCm = (neckHorizontalDistPx * neckRatio).toFixed(1);
 
         // 2. CHIN FORWARD
-        const chinForwardAngle = this.calculateHorizontalDeviation(shoulderAvg, nose);
+        const chinForwardAngle = this.calculateHorizontalDeviation(nearShoulder, nose);
         measurements.chinForward = chinForwardAngle.toFixed(1);
-        const chinVerticalDistPx = Math.abs(nose.y - shoulderAvg.y);
-        const chinHorizontalDistPx = Math.abs(nose.x - shoulderAvg.x);
-        const chinRatio = chinVerticalDistPx > 0 ? NECK_LENGTH_CM / chinVerticalDistPx : 0.3;
+        const chinVerticalDistPx = Math.abs(nose.y - nearShoulder.y);
+        const chinHorizontalDistPx = Math.abs(nose.x - nearShoulder.x);
+        const chinRatio = scale ? scale.cmPerUnit : chinVerticalDistPx > 0 ? NECK_LENGTH_CM / chinVerticalDistPx : 0.3;
         measurements.chinForwardCm = (chinHorizontalDistPx * chinRatio).toFixed(1);
 
-        if (neckForwardAngle > 15 || chinForwardAngle > 12) {
+        // 3. CRANIOVERTEBRAL ANGLE
+        // Ear (tragus) to shoulder line against the horizontal. MediaPipe has no C7 landmark,
+        // so the shoulder stands in for it; a head carried forward lowers the angle.
+        const craniovertebralAngle = Math.atan2(nearShoulder.y - nearEar.y, (nearEar.x - nearShoulder.x) * anteriorSign) * 180 / Math.PI;
+        measurements.craniovertebralAngle = craniovertebralAngle.toFixed(1);
+
+        // 4. PLUMB LINE OFFSETS - positive when the upper segment sits anterior to the lower one.
+        // neckRatio is the centimetre scale for the whole side view.
+        const anteriorOffsetCm = (upper, lower) => ((upper.x - lower.x) * anteriorSign * neckRatio).toFixed(1);
+        measurements.headOverShoulderCm = anteriorOffsetCm(nearEar, nearShoulder);
+        measurements.shoulderOverHipCm = anteriorOffsetCm(nearShoulder, nearHip);
+        measurements.hipOverAnkleCm = anteriorOffsetCm(nearHip, nearAnkle);
+
+        const neckLimit = this.limit('forwardNeck').max;
+        const chinLimit = this.limit('chinForward').max;
+        const cvaLimit = this.limit('craniovertebralAngle').min;
+        if (neckForwardAngle > neckLimit || chinForwardAngle > chinLimit || craniovertebralAngle < cvaLimit) {
             deformities.push({
                 type: 'Forward Head Posture',
+                severity: this.gradeSeverity(Math.max(neckForwardAngle / neckLimit, chinForwardAngle / chinLimit, cvaLimit / Math.max(craniovertebralAngle, 1)), 1),
                 direction: 'ANTERIOR',
+                craniovertebralAngle: measurements.craniovertebralAngle,
+                headOverShoulder: measurements.headOverShoulderCm,
                 neckAngle: neckForwardAngle.toFixed(1),
                 neckDistance: measurements.forwardNeckCm,
                 chinAngle: chinForwardAngle.toFixed(1),
                 chinDistance: measurements.chinForwardCm
             });
             
-            issues.push(`⚠ Forward head posture: Head positioned ANTERIORLY - Neck ${measurements.forwardNeckCm}cm (${neckForwardAngle.toFixed(1)}°), Chin ${measurements.chinForwardCm}cm (${chinForwardAngle.toFixed(1)}°) forward of shoulders (Normal: <15°/<12°)`);
+            issues.push(`⚠ Forward head posture: Head positioned ANTERIORLY - CVA ${measurements.craniovertebralAngle}° (Normal: ${this.formatNormalRange('craniovertebralAngle')}), ear ${measurements.headOverShoulderCm}cm anterior to the shoulder; Neck ${measurements.forwardNeckCm}cm (${neckForwardAngle.toFixed(1)}°), Chin ${measurements.chinForwardCm}cm (${chinForwardAngle.toFixed(1)}°) forward of shoulders (Normal: ${this.formatNormalRange('forwardNeck')}/${this.formatNormalRange('chinForward')})`);
             recommendations.push('• Deep neck flexor strengthening');
             recommendations.push('• Postural awareness training');
         }
 
-        // 3. SHOULDER POSITION
-        const shoulderToHipAngle = this.calculateAngle(earAvg, shoulderAvg, hipAvg);
-        const shoulderDeviation = Math.abs(180 - shoulderToHipAngle);
-        const shoulderPosture = shoulderToHipAngle < 180 ? 'ROUNDED (ANTERIOR)' : 'RETRACTED (POSTERIOR)';
+        const describeOffset = value => `${Math.abs(parseFloat(value)).toFixed(1)}cm ${parseFloat(value) >= 0 ? 'ANTERIOR' : 'POSTERIOR'}`;
+        if (this.isOutsideNormal('shoulderOverHipCm', measurements.shoulderOverHipCm)) {
+            issues.push(`⚠ Shoulder over hip: shoulders ${describeOffset(measurements.shoulderOverHipCm)} to the hips (Normal: ${this.formatNormalRange('shoulderOverHipCm')})`);
+        }
+        if (this.isOutsideNormal('hipOverAnkleCm', measurements.hipOverAnkleCm)) {
+            const pattern = parseFloat(measurements.hipOverAnkleCm) > 0 ? ' - sway-back pattern' : '';
+            issues.push(`⚠ Hip over ankle: hips ${describeOffset(measurements.hipOverAnkleCm)} to the ankle${pattern} (Normal: ${this.formatNormalRange('hipOverAnkleCm')})`);
+            recommendations.push('• Assess for sway-back posture: hip flexor and hamstring length, gluteal strength');
+        }
+
+        // 5. TRUNK INCLINATION - hip-to-shoulder line from vertical, forward lean positive
+        const trunkInclination = Math.atan2((nearShoulder.x - nearHip.x) * anteriorSign, nearHip.y - nearShoulder.y) * 180 / Math.PI;
+        measurements.trunkInclination = trunkInclination.toFixed(1);
+
+        if (this.isOutsideNormal('trunkInclination', measurements.trunkInclination)) {
+            const lean = trunkInclination > 0 ? 'FORWARD' : 'BACKWARD';
+            issues.push(`⚠ Trunk inclination: trunk leans ${lean} ${Math.abs(trunkInclination).toFixed(1)}° from vertical (Normal: ${this.formatNormalRange('trunkInclination')})`);
+            recommendations.push(lean === 'FORWARD' ? '• Trunk extensor endurance training' : '• Anterior core strengthening');
+        }
+
+        // 6. KNEE HYPEREXTENSION - knee posterior to the hip-ankle line; 0 when flexed or straight
+        const kneeExtensionOffset = this.calculateLineOffsetX(nearHip, nearKnee, nearAnkle) * anteriorSign;
+        const kneeHyperextension = kneeExtensionOffset < 0 ? Math.abs(180 - this.calculateAngle(nearHip, nearKnee, nearAnkle)) : 0;
+        measurements.kneeHyperextension = kneeHyperextension.toFixed(1);
+
+        // 7. SHOULDER POSITION
+        // Ear-shoulder-hip bend: the shoulder sits behind the ear-hip line when the head and upper
+        // trunk are carried forward (rounded), in front of it when they are pulled back (retracted)
+        const upperTrunkBend = this.calculateSignedBend(nearEar, nearShoulder, nearHip, anteriorSign);
+        const shoulderDeviation = Math.abs(upperTrunkBend);
+        const shoulderPosture = upperTrunkBend < 0 ? 'ROUNDED (ANTERIOR)' : upperTrunkBend > 0 ? 'RETRACTED (POSTERIOR)' : 'NEUTRAL';
         measurements.shoulderPosition = shoulderDeviation.toFixed(1);
         measurements.shoulderPostureType = shoulderPosture;
 
-        if (shoulderDeviation > 10) {
+        const shoulderPositionLimit = this.limit('shoulderPosition').max;
+        if (shoulderDeviation > shoulderPositionLimit) {
             deformities.push({
                 type: 'Shoulder Position Deviation',
+                severity: this.gradeSeverity(shoulderDeviation, shoulderPositionLimit),
                 direction: shoulderPosture,
                 angle: shoulderDeviation.toFixed(1)
             });
             
-            issues.push(`⚠ Shoulder position: Shoulders ${shoulderPosture} by ${shoulderDeviation.toFixed(1)}° (Normal: <10° from vertical)`);
+            issues.push(`⚠ Shoulder position: Shoulders ${shoulderPosture} by ${shoulderDeviation.toFixed(1)}° (Normal: ${this.formatNormalRange('shoulderPosition')} from vertical)`);
             if (shoulderPosture.includes('ANTERIOR')) {
                 recommendations.push('• Scapular retraction exercises');
                 recommendations.push('• Pectoralis stretching');
             }
         }
 
-        // 4. THORACIC CURVATURE
-        const thoracicAngle = this.calculateAngle(earAvg, shoulderAvg, hipAvg);
-        const kyphosisAngle = thoracicAngle < 180 ? (180 - thoracicAngle) : 0;
+        // 8. THORACIC CURVATURE (ESTIMATE)
+        // Ear-shoulder-hip alignment, not a radiographic kyphosis angle - reported as an estimate.
+        // Only a posterior convexity (shoulder behind the ear-hip line) counts; 0 when straight or reversed.
+        const kyphosisAngle = Math.max(0, -upperTrunkBend);
         measurements.thoracicCurvature = kyphosisAngle.toFixed(1);
         
-        if (kyphosisAngle > 40) {
+        const thoracicLimit = this.limit('thoracicCurvature');
+        if (kyphosisAngle > thoracicLimit.max) {
             measurements.thoracicCurvatureType = 'EXCESSIVE KYPHOSIS';
             deformities.push({
                 type: 'Thoracic Curvature',
+                severity: this.gradeSeverity(kyphosisAngle, thoracicLimit.max),
                 direction: 'EXCESSIVE KYPHOSIS (POSTERIOR CONVEXITY)',
-                angle: kyphosisAngle.toFixed(1)
+                angle: kyphosisAngle.toFixed(1),
+                estimate: true
             });
             
-            issues.push(`⚠ Excessive thoracic kyphosis: POSTERIOR CONVEXITY ${kyphosisAngle.toFixed(1)}° (Normal: 20-40°)`);
+            issues.push(`⚠ Excessive thoracic kyphosis (estimate): POSTERIOR CONVEXITY ${kyphosisAngle.toFixed(1)}° (Normal: ${this.formatNormalRange('thoracicCurvature')})`);
             recommendations.push('• Thoracic extension mobilization');
             recommendations.push('• Upper back strengthening');
-        } else if (kyphosisAngle < 20) {
+        } else if (kyphosisAngle < thoracicLimit.min) {
             measurements.thoracicCurvatureType = 'REDUCED KYPHOSIS (FLAT BACK)';
             deformities.push({
                 type: 'Thoracic Curvature',
+                severity: this.gradeSeverity(thoracicLimit.min, kyphosisAngle),
                 direction: 'REDUCED KYPHOSIS (FLAT BACK)',
-                angle: kyphosisAngle.toFixed(1)
+                angle: kyphosisAngle.toFixed(1),
+                estimate: true
             });
             
-            issues.push(`⚠ Reduced thoracic kyphosis: FLAT BACK ${kyphosisAngle.toFixed(1)}° (Normal: 20-40°)`);
+            issues.push(`⚠ Reduced thoracic kyphosis (estimate): FLAT BACK ${kyphosisAngle.toFixed(1)}° (Normal: ${this.formatNormalRange('thoracicCurvature')})`);
             recommendations.push('• Thoracic mobility exercises');
         } else {
             measurements.thoracicCurvatureType = 'Normal';
         }
 
-        // 5. LUMBAR CURVATURE
-        const lumbarAngle = this.calculateAngle(shoulderAvg, hipAvg, {
-            x: (leftKnee.x + rightKnee.x) / 2,
-            y: (leftKnee.y + rightKnee.y) / 2
-        });
-        const lordosisAngle = lumbarAngle > 180 ? (lumbarAngle - 180) : 0;
+        // 9. LUMBAR CURVATURE (ESTIMATE)
+        // Shoulder-hip-knee alignment, not a radiographic lordosis angle - reported as an estimate.
+        // Only an anterior convexity (hip in front of the shoulder-knee line) counts; 0 when straight or flexed.
+        const lordosisAngle = Math.max(0, this.calculateSignedBend(nearShoulder, nearHip, nearKnee, anteriorSign));
         measurements.lumbarCurvature = lordosisAngle.toFixed(1);
 
-        if (lordosisAngle > 60) {
+        const lumbarLimit = this.limit('lumbarCurvature');
+        if (lordosisAngle > lumbarLimit.max) {
             measurements.lumbarCurvatureType = 'EXCESSIVE LORDOSIS';
             deformities.push({
                 type: 'Lumbar Curvature',
+                severity: this.gradeSeverity(lordosisAngle, lumbarLimit.max),
                 direction: 'EXCESSIVE LORDOSIS (ANTERIOR CONVEXITY)',
-                angle: lordosisAngle.toFixed(1)
+                angle: lordosisAngle.toFixed(1),
+                estimate: true
             });
             
-            issues.push(`⚠ Excessive lumbar lordosis: ANTERIOR CONVEXITY ${lordosisAngle.toFixed(1)}° (Normal: 40-60°)`);
+            issues.push(`⚠ Excessive lumbar lordosis (estimate): ANTERIOR CONVEXITY ${lordosisAngle.toFixed(1)}° (Normal: ${this.formatNormalRange('lumbarCurvature')})`);
             recommendations.push('• Hip flexor stretching');
             recommendations.push('• Core strengthening');
-        } else if (lordosisAngle < 40) {
+        } else if (lordosisAngle < lumbarLimit.min) {
             measurements.lumbarCurvatureType = 'REDUCED LORDOSIS (FLAT LUMBAR)';
             deformities.push({
                 type: 'Lumbar Curvature',
+                severity: this.gradeSeverity(lumbarLimit.min, lordosisAngle),
                 direction: 'REDUCED LORDOSIS (FLAT LUMBAR)',
-                angle: lordosisAngle.toFixed(1)
+                angle: lordosisAngle.toFixed(1),
+                estimate: true
             });
             
-            issues.push(`⚠ Reduced lumbar lordosis: FLAT LUMBAR SPINE ${lordosisAngle.toFixed(1)}° (Normal: 40-60°)`);
+            issues.push(`⚠ Reduced lumbar lordosis (estimate): FLAT LUMBAR SPINE ${lordosisAngle.toFixed(1)}° (Normal: ${this.formatNormalRange('lumbarCurvature')})`);
             recommendations.push('• Lumbar extension mobility');
         } else {
             measurements.lumbarCurvatureType = 'Normal';
         }
 
-        // 6. ENHANCED KNEE POSITION - INDIVIDUAL LEFT AND RIGHT ANALYSIS
-        // Left Knee Flexion/Extension
-        const leftKneeAngle = this.calculateAngle(leftHip, leftKnee, leftAnkle);
-        const leftKneeDeviation = Math.abs(180 - leftKneeAngle);
-        
-        let leftKneePosition = '';
-        if (leftKneeAngle < 180) {
-            leftKneePosition = 'FLEXION';
-        } else if (leftKneeAngle > 180) {
-            leftKneePosition = 'HYPEREXTENSION (RECURVATUM)';
+        // 10. ENHANCED KNEE POSITION - NEAR-SIDE KNEE
+        // A flexed knee sits anterior to the hip-ankle line, a hyperextended knee posterior to it.
+        // The far leg is hidden behind the near one, so its knee is left to the opposite side view
+
+        const kneeKey = `${nearSide.side}KneePosition`;
+        const kneeLabel = measurements.landmarkSide;
+        const kneeAngle = this.calculateAngle(nearHip, nearKnee, nearAnkle);
+        const kneeDeviation = Math.abs(180 - kneeAngle);
+        const kneeAnteriorOffset = this.calculateLineOffsetX(nearHip, nearKnee, nearAnkle) * anteriorSign;
+
+        let kneePosition = '';
+        if (kneeAnteriorOffset > 0) {
+            kneePosition = 'FLEXION';
+        } else if (kneeAnteriorOffset < 0) {
+            kneePosition = 'HYPEREXTENSION (RECURVATUM)';
         } else {
-            leftKneePosition = 'NEUTRAL';
+            kneePosition = 'NEUTRAL';
         }
-        
-        measurements.leftKneePosition = leftKneeDeviation.toFixed(1);
-        measurements.leftKneePositionType = leftKneePosition;
 
-        // Right Knee Flexion/Extension
-        const rightKneeAngle = this.calculateAngle(rightHip, rightKnee, rightAnkle);
-        const rightKneeDeviation = Math.abs(180 - rightKneeAngle);
-        
-        let rightKneePosition = '';
-        if (rightKneeAngle < 180) {
-            rightKneePosition = 'FLEXION';
-        } else if (rightKneeAngle > 180) {
-            rightKneePosition = 'HYPEREXTENSION (RECURVATUM)';
-        } else {
-            rightKneePosition = 'NEUTRAL';
-        }
-        
-        measurements.rightKneePosition = rightKneeDeviation.toFixed(1);
-        measurements.rightKneePositionType = rightKneePosition;
+        measurements[kneeKey] = kneeDeviation.toFixed(1);
+        measurements[`${kneeKey}Type`] = kneePosition;
 
-        // Report issues for each knee separately
-        if (leftKneeDeviation > 5) {
+        const kneePositionLimit = this.limit(kneeKey).max;
+        if (kneeDeviation > kneePositionLimit) {
             deformities.push({
-                type: 'Left Knee Position',
-                direction: leftKneePosition,
-                angle: leftKneeDeviation.toFixed(1),
-                side: 'LEFT'
+                type: `${nearSide.side === 'left' ? 'Left' : 'Right'} Knee Position`,
+                severity: this.gradeSeverity(kneeDeviation, kneePositionLimit),
+                direction: kneePosition,
+                angle: kneeDeviation.toFixed(1),
+                side: kneeLabel
             });
-            
-            issues.push(`⚠ LEFT knee ${leftKneePosition}: ${leftKneeDeviation.toFixed(1)}° from neutral (Normal: <5°)`);
-            
-            if (leftKneePosition === 'FLEXION') {
-                recommendations.push('• LEFT quadriceps strengthening');
-                recommendations.push('• LEFT hamstring stretching');
-            } else if (leftKneePosition.includes('HYPEREXTENSION')) {
-                recommendations.push('• LEFT hamstring strengthening');
-                recommendations.push('• LEFT knee proprioception training');
-            }
-        }
 
-        if (rightKneeDeviation > 5) {
-            deformities.push({
-                type: 'Right Knee Position',
-                direction: rightKneePosition,
-                angle: rightKneeDeviation.toFixed(1),
-                side: 'RIGHT'
-            });
-            
-            issues.push(`⚠ RIGHT knee ${rightKneePosition}: ${rightKneeDeviation.toFixed(1)}° from neutral (Normal: <5°)`);
-            
-            if (rightKneePosition === 'FLEXION') {
-                recommendations.push('• RIGHT quadriceps strengthening');
-                recommendations.push('• RIGHT hamstring stretching');
-            } else if (rightKneePosition.includes('HYPEREXTENSION')) {
-                recommendations.push('• RIGHT hamstring strengthening');
-                recommendations.push('• RIGHT knee proprioception training');
+            issues.push(`⚠ ${kneeLabel} knee ${kneePosition}: ${kneeDeviation.toFixed(1)}° from neutral (Normal: ${this.formatNormalRange(kneeKey)})`);
+
+            if (kneePosition === 'FLEXION') {
+                recommendations.push(`• ${kneeLabel} quadriceps strengthening`);
+                recommendations.push(`• ${kneeLabel} hamstring stretching`);
+            } else if (kneePosition.includes('HYPEREXTENSION')) {
+                recommendations.push(`• ${kneeLabel} hamstring strengthening`);
+                recommendations.push(`• ${kneeLabel} knee proprioception training`);
             }
         }
 
@@ -529,15 +1137,19 @@ const AnalysisEngine = {
             issues.push('✓ Normal sagittal plane alignment');
         }
 
-        return { issues, recommendations, measurements, deformities };
+        const calibration = this.calibrationRecord(scale);
+        return this.applyReliability({ issues, recommendations, measurements, deformities, calibration, imageSize }, landmarks, 'side', nearSide.side);
     },
 
     // Enhanced Back View Analysis with Directional Information
     // Enhanced Back View Analysis with Ankle Pronation/Supination Detection
-analyzeBackView(landmarks) {
+analyzeBackView(landmarks, referenceMark = null, imageSize = null, contour = null) {
     if (!landmarks || landmarks.length === 0) {
         return { issues: [], recommendations: [], measurements: {}, deformities: [] };
     }
+    imageSize = this.imageDimensions(imageSize);
+    landmarks = this.toPixelSpace(this.orientLandmarks(landmarks, 'back'), imageSize);
+    referenceMark = this.referenceMarkToPixelSpace(referenceMark, imageSize);
 
     const issues = [];
     const recommendations = [];
@@ -566,8 +1178,10 @@ analyzeBackView(landmarks) {
     const shoulderDistancePx = Math.sqrt(Math.pow(rightShoulder.x - leftShoulder.x, 2) + Math.pow(rightShoulder.y - leftShoulder.y, 2));
     const hipDistancePx = Math.sqrt(Math.pow(rightHip.x - leftHip.x, 2) + Math.pow(rightHip.y - leftHip.y, 2));
 
-    const shoulderRatio = SHOULDER_WIDTH_CM / shoulderDistancePx;
-    const hipRatio = HIP_WIDTH_CM / hipDistancePx;
+    // A height or reference calibration gives one scale for the whole image
+    const scale = this.calibrationScale(landmarks, referenceMark);
+    const shoulderRatio = scale ? scale.cmPerUnit : SHOULDER_WIDTH_CM / shoulderDistancePx;
+    const hipRatio = scale ? scale.cmPerUnit : HIP_WIDTH_CM / hipDistancePx;
 
     // 1. ELBOW LEVEL
     const elbowAngle = this.calculateSlopeAngle(leftElbow, rightElbow);
@@ -575,19 +1189,21 @@ analyzeBackView(landmarks) {
     const elbowHeightDiffPx = Math.abs(leftElbow.y - rightElbow.y);
     measurements.elbowLevelCm = (elbowHeightDiffPx * shoulderRatio).toFixed(1);
 
-    if (elbowAngle > 3) {
+    const elbowLevelLimit = this.limit('elbowLevel').max;
+    if (elbowAngle > elbowLevelLimit) {
         const higherElbow = leftElbow.y < rightElbow.y ? 'LEFT' : 'RIGHT';
         const lowerElbow = leftElbow.y < rightElbow.y ? 'RIGHT' : 'LEFT';
         
         deformities.push({
             type: 'Elbow Level Asymmetry',
+            severity: this.gradeSeverity(elbowAngle, elbowLevelLimit),
             elevated: higherElbow,
             depressed: lowerElbow,
             angle: elbowAngle.toFixed(1),
             distance: measurements.elbowLevelCm
         });
         
-        issues.push(`⚠ Elbow asymmetry: ${higherElbow} elbow ELEVATED by ${measurements.elbowLevelCm}cm (${elbowAngle.toFixed(1)}°), ${lowerElbow} elbow DEPRESSED (Normal: <3° or <2cm)`);
+        issues.push(`⚠ Elbow asymmetry: ${higherElbow} elbow ELEVATED by ${measurements.elbowLevelCm}cm (${elbowAngle.toFixed(1)}°), ${lowerElbow} elbow DEPRESSED (Normal: ${this.normalRangeText('elbowLevel', 'elbowLevelCm')})`);
         recommendations.push('• Upper extremity muscle balance');
     }
 
@@ -597,19 +1213,21 @@ analyzeBackView(landmarks) {
     const scapularHeightDiffPx = Math.abs(leftShoulder.y - rightShoulder.y);
     measurements.scapularLevelCm = (scapularHeightDiffPx * shoulderRatio).toFixed(1);
 
-    if (scapularAngle > 2) {
+    const scapularLevelLimit = this.limit('scapularLevel').max;
+    if (scapularAngle > scapularLevelLimit) {
         const higherScapula = leftShoulder.y < rightShoulder.y ? 'LEFT' : 'RIGHT';
         const lowerScapula = leftShoulder.y < rightShoulder.y ? 'RIGHT' : 'LEFT';
         
         deformities.push({
             type: 'Scapular Height Asymmetry',
+            severity: this.gradeSeverity(scapularAngle, scapularLevelLimit),
             elevated: higherScapula,
             depressed: lowerScapula,
             angle: scapularAngle.toFixed(1),
             distance: measurements.scapularLevelCm
         });
         
-        issues.push(`⚠ Scapular asymmetry: ${higherScapula} scapula ELEVATED by ${measurements.scapularLevelCm}cm (${scapularAngle.toFixed(1)}°), ${lowerScapula} scapula DEPRESSED (Normal: <2° or <1.5cm)`);
+        issues.push(`⚠ Scapular asymmetry: ${higherScapula} scapula ELEVATED by ${measurements.scapularLevelCm}cm (${scapularAngle.toFixed(1)}°), ${lowerScapula} scapula DEPRESSED (Normal: ${this.normalRangeText('scapularLevel', 'scapularLevelCm')})`);
         recommendations.push('• Scapular stabilization exercises');
         recommendations.push(`• Focus on ${lowerScapula} side elevation exercises`);
     }
@@ -620,19 +1238,21 @@ analyzeBackView(landmarks) {
     const psisHeightDiffPx = Math.abs(leftHip.y - rightHip.y);
     measurements.psisLevelCm = (psisHeightDiffPx * hipRatio).toFixed(1);
 
-    if (psisAngle > 2) {
+    const psisLevelLimit = this.limit('psisLevel').max;
+    if (psisAngle > psisLevelLimit) {
         const higherPSIS = leftHip.y < rightHip.y ? 'LEFT' : 'RIGHT';
         const lowerPSIS = leftHip.y < rightHip.y ? 'RIGHT' : 'LEFT';
         
         deformities.push({
             type: 'PSIS Asymmetry',
+            severity: this.gradeSeverity(psisAngle, psisLevelLimit),
             elevated: higherPSIS,
             depressed: lowerPSIS,
             angle: psisAngle.toFixed(1),
             distance: measurements.psisLevelCm
         });
         
-        issues.push(`⚠ PSIS asymmetry: ${higherPSIS} PSIS ELEVATED by ${measurements.psisLevelCm}cm (${psisAngle.toFixed(1)}°), ${lowerPSIS} PSIS DEPRESSED (Normal: <2° or <1.5cm)`);
+        issues.push(`⚠ PSIS asymmetry: ${higherPSIS} PSIS ELEVATED by ${measurements.psisLevelCm}cm (${psisAngle.toFixed(1)}°), ${lowerPSIS} PSIS DEPRESSED (Normal: ${this.normalRangeText('psisLevel', 'psisLevelCm')})`);
         recommendations.push('• Pelvic rotation assessment');
         recommendations.push(`• Address pelvic rotation - ${higherPSIS} side posterior rotation`);
     }
@@ -643,18 +1263,20 @@ analyzeBackView(landmarks) {
     const glutealAsymmetry = Math.abs(leftGlutealLength - rightGlutealLength) / ((leftGlutealLength + rightGlutealLength) / 2) * 100;
     measurements.glutealFoldAsymmetry = glutealAsymmetry.toFixed(1);
 
-    if (glutealAsymmetry > 3) {
+    const glutealFoldAsymmetryLimit = this.limit('glutealFoldAsymmetry').max;
+    if (glutealAsymmetry > glutealFoldAsymmetryLimit) {
         const longerSide = leftGlutealLength > rightGlutealLength ? 'LEFT' : 'RIGHT';
         const shorterSide = leftGlutealLength > rightGlutealLength ? 'RIGHT' : 'LEFT';
         
         deformities.push({
             type: 'Gluteal Fold Asymmetry',
+            severity: this.gradeSeverity(glutealAsymmetry, glutealFoldAsymmetryLimit),
             longer: longerSide,
             shorter: shorterSide,
             percentage: glutealAsymmetry.toFixed(1)
         });
         
-        issues.push(`⚠ Gluteal fold asymmetry: ${longerSide} side LONGER by ${glutealAsymmetry.toFixed(1)}%, ${shorterSide} side SHORTER (Normal: <3%)`);
+        issues.push(`⚠ Gluteal fold asymmetry: ${longerSide} side LONGER by ${glutealAsymmetry.toFixed(1)}%, ${shorterSide} side SHORTER (Normal: ${this.normalRangeText('glutealFoldAsymmetry')})`);
         recommendations.push(`• Gluteal strengthening, focus on ${shorterSide} side`);
     }
 
@@ -664,35 +1286,42 @@ analyzeBackView(landmarks) {
     const poplitealHeightDiffPx = Math.abs(leftKnee.y - rightKnee.y);
     measurements.poplitealLineCm = (poplitealHeightDiffPx * hipRatio).toFixed(1);
 
-    if (poplitealAngle > 2) {
+    const poplitealLineLimit = this.limit('poplitealLine').max;
+    if (poplitealAngle > poplitealLineLimit) {
         const higherKnee = leftKnee.y < rightKnee.y ? 'LEFT' : 'RIGHT';
         const lowerKnee = leftKnee.y < rightKnee.y ? 'RIGHT' : 'LEFT';
         
         deformities.push({
             type: 'Popliteal Line Asymmetry',
+            severity: this.gradeSeverity(poplitealAngle, poplitealLineLimit),
             elevated: higherKnee,
             depressed: lowerKnee,
             angle: poplitealAngle.toFixed(1),
             distance: measurements.poplitealLineCm
         });
         
-        issues.push(`⚠ Popliteal asymmetry: ${higherKnee} knee ELEVATED by ${measurements.poplitealLineCm}cm (${poplitealAngle.toFixed(1)}°), ${lowerKnee} knee DEPRESSED (Normal: <2° or <1.5cm)`);
+        issues.push(`⚠ Popliteal asymmetry: ${higherKnee} knee ELEVATED by ${measurements.poplitealLineCm}cm (${poplitealAngle.toFixed(1)}°), ${lowerKnee} knee DEPRESSED (Normal: ${this.normalRangeText('poplitealLine', 'poplitealLineCm')})`);
         recommendations.push('• Hamstring flexibility assessment');
     }
 
     // 6. NEW - ANKLE PRONATION/SUPINATION (INWARD/OUTWARD)
+    const hipMidlineX = (leftHip.x + rightHip.x) / 2;
+    const leftMedialSign = leftHip.x < hipMidlineX ? 1 : -1;
+    const rightMedialSign = -leftMedialSign;
+
     // Left Ankle Analysis
     if (leftAnkle && leftHeel && leftFootIndex) {
         // Calculate the angle between knee-ankle-heel to determine ankle alignment
         const leftAnkleAngle = this.calculateAngle(leftKnee, leftAnkle, leftHeel);
         const leftAnkleDeviation = Math.abs(180 - leftAnkleAngle);
+        const leftAnkleMedialOffset = this.calculateLineOffsetX(leftKnee, leftAnkle, leftHeel) * leftMedialSign;
         
         let leftAnkleDirection = '';
-        // If angle < 180, ankle rolls inward (pronation)
-        // If angle > 180, ankle rolls outward (supination)
-        if (leftAnkleAngle < 180) {
+        // Ankle medial to the knee-heel line rolls inward (pronation)
+        // Ankle lateral to the knee-heel line rolls outward (supination)
+        if (leftAnkleMedialOffset > 0) {
             leftAnkleDirection = 'PRONATION (INWARD)';
-        } else if (leftAnkleAngle > 180) {
+        } else if (leftAnkleMedialOffset < 0) {
             leftAnkleDirection = 'SUPINATION (OUTWARD)';
         } else {
             leftAnkleDirection = 'NEUTRAL';
@@ -701,9 +1330,10 @@ analyzeBackView(landmarks) {
         measurements.leftAnkleAlignment = leftAnkleDeviation.toFixed(1);
         measurements.leftAnkleDirection = leftAnkleDirection;
 
-        if (leftAnkleDeviation > 5) {
+        if (leftAnkleDeviation > this.limit('leftAnkleAlignment').max) {
             deformities.push({
                 type: 'Left Ankle Malalignment',
+                severity: this.gradeSeverity(leftAnkleDeviation, this.limit('leftAnkleAlignment').max),
                 direction: leftAnkleDirection,
                 angle: leftAnkleDeviation.toFixed(1),
                 side: 'LEFT'
@@ -715,11 +1345,12 @@ analyzeBackView(landmarks) {
     if (rightAnkle && rightHeel && rightFootIndex) {
         const rightAnkleAngle = this.calculateAngle(rightKnee, rightAnkle, rightHeel);
         const rightAnkleDeviation = Math.abs(180 - rightAnkleAngle);
+        const rightAnkleMedialOffset = this.calculateLineOffsetX(rightKnee, rightAnkle, rightHeel) * rightMedialSign;
         
         let rightAnkleDirection = '';
-        if (rightAnkleAngle < 180) {
+        if (rightAnkleMedialOffset > 0) {
             rightAnkleDirection = 'PRONATION (INWARD)';
-        } else if (rightAnkleAngle > 180) {
+        } else if (rightAnkleMedialOffset < 0) {
             rightAnkleDirection = 'SUPINATION (OUTWARD)';
         } else {
             rightAnkleDirection = 'NEUTRAL';
@@ -728,9 +1359,10 @@ analyzeBackView(landmarks) {
         measurements.rightAnkleAlignment = rightAnkleDeviation.toFixed(1);
         measurements.rightAnkleDirection = rightAnkleDirection;
 
-        if (rightAnkleDeviation > 5) {
+        if (rightAnkleDeviation > this.limit('rightAnkleAlignment').max) {
             deformities.push({
                 type: 'Right Ankle Malalignment',
+                severity: this.gradeSeverity(rightAnkleDeviation, this.limit('rightAnkleAlignment').max),
                 direction: rightAnkleDirection,
                 angle: rightAnkleDeviation.toFixed(1),
                 side: 'RIGHT'
@@ -742,19 +1374,21 @@ analyzeBackView(landmarks) {
     const leftAnkleDev = measurements.leftAnkleAlignment ? parseFloat(measurements.leftAnkleAlignment) : 0;
     const rightAnkleDev = measurements.rightAnkleAlignment ? parseFloat(measurements.rightAnkleAlignment) : 0;
 
-    if (leftAnkleDev > 5 || rightAnkleDev > 5) {
+    const leftAnkleLimit = this.limit('leftAnkleAlignment').max;
+    const rightAnkleLimit = this.limit('rightAnkleAlignment').max;
+    if (leftAnkleDev > leftAnkleLimit || rightAnkleDev > rightAnkleLimit) {
         let ankleIssue = '⚠ Ankle alignment: ';
         
-        if (leftAnkleDev > 5) {
+        if (leftAnkleDev > leftAnkleLimit) {
             ankleIssue += `LEFT ankle ${measurements.leftAnkleDirection} ${leftAnkleDev.toFixed(1)}° `;
         }
         
-        if (rightAnkleDev > 5) {
-            if (leftAnkleDev > 5) ankleIssue += '| ';
+        if (rightAnkleDev > rightAnkleLimit) {
+            if (leftAnkleDev > leftAnkleLimit) ankleIssue += '| ';
             ankleIssue += `RIGHT ankle ${measurements.rightAnkleDirection} ${rightAnkleDev.toFixed(1)}° `;
         }
         
-        ankleIssue += '(Normal: <5° deviation)';
+        ankleIssue += `(Normal: ${this.normalRangeText('leftAnkleAlignment')} deviation)`;
         issues.push(ankleIssue);
         
         if (measurements.leftAnkleDirection?.includes('PRONATION') || measurements.rightAnkleDirection?.includes('PRONATION')) {
@@ -769,39 +1403,402 @@ analyzeBackView(landmarks) {
         }
     }
 
+    // 7. BODY CONTOUR - waist triangles and trunk shift from the segmentation mask
+    this.addContourFindings(contour, imageSize, landmarks, hipRatio, { issues, recommendations, measurements, deformities });
+
     if (issues.length === 0) {
         issues.push('✓ Normal posterior alignment');
     }
 
-    return { issues, recommendations, measurements, deformities };
+    const calibration = this.calibrationRecord(scale);
+    return this.applyReliability({ issues, recommendations, measurements, deformities, calibration, imageSize }, landmarks, 'back');
 },
 
-    analyzePosture() {
-        const analysis = {
-            front: this.analyzeFrontView(AppState.capturedData.frontLandmarks),
-            sideLeft: this.analyzeSideView(AppState.capturedData.sideLeftLandmarks, 'left'),
-            sideRight: this.analyzeSideView(AppState.capturedData.sideRightLandmarks, 'right'),
-            back: this.analyzeBackView(AppState.capturedData.backLandmarks)
+    contourLibrary() {
+        return typeof BodyContour !== 'undefined' ? BodyContour : require('./body-contour');
+    },
+
+    // Silhouette measurements for the front and back views, added to the view's result.
+    // contour is the traced segmentation mask in normalized coordinates (see BodyContour.fromMask);
+    // landmarks are already oriented and in pixels, and cmPerUnit is the view's hip scale.
+    addContourFindings(contour, imageSize, landmarks, cmPerUnit, { issues, recommendations, measurements, deformities }) {
+        const library = this.contourLibrary();
+        const found = contour ? library.analyze(library.toPixelSpace(contour, imageSize), landmarks) : null;
+        if (!found) return;
+
+        // Waist triangle: the gap between the arm and the trunk on each side
+        const area = units => (units * cmPerUnit * cmPerUnit).toFixed(1);
+        measurements.waistTriangleLeftCm2 = area(found.waistTriangle.left);
+        measurements.waistTriangleRightCm2 = area(found.waistTriangle.right);
+        const asymmetry = library.asymmetry(found.waistTriangle);
+        measurements.waistTriangleAsymmetry = asymmetry.toFixed(1);
+
+        const waistLimit = this.limit('waistTriangleAsymmetry').max;
+        if (asymmetry > waistLimit) {
+            const larger = found.waistTriangle.left > found.waistTriangle.right ? 'LEFT' : 'RIGHT';
+            deformities.push({
+                type: 'Waist Triangle Asymmetry',
+                severity: this.gradeSeverity(asymmetry, waistLimit),
+                larger,
+                smaller: larger === 'LEFT' ? 'RIGHT' : 'LEFT',
+                percentage: measurements.waistTriangleAsymmetry
+            });
+            issues.push(`⚠ Waist triangle asymmetry (silhouette): LEFT ${measurements.waistTriangleLeftCm2}cm², RIGHT ${measurements.waistTriangleRightCm2}cm² - ${larger} larger by ${measurements.waistTriangleAsymmetry}% (Normal: ${this.formatNormalRange('waistTriangleAsymmetry')})`);
+            recommendations.push('• Adams forward bend test to screen for scoliosis');
+        }
+
+        // Lateral trunk shift: silhouette trunk centre against the plumb line between the heels
+        const shiftCm = found.trunkShift * cmPerUnit;
+        measurements.trunkShiftCm = Math.abs(shiftCm).toFixed(1);
+        measurements.trunkShiftDirection = shiftCm > 0 ? 'LEFT' : shiftCm < 0 ? 'RIGHT' : '';
+
+        const shiftLimit = this.limit('trunkShiftCm').max;
+        if (Math.abs(shiftCm) > shiftLimit) {
+            deformities.push({
+                type: 'Lateral Trunk Shift',
+                severity: this.gradeSeverity(Math.abs(shiftCm), shiftLimit),
+                direction: measurements.trunkShiftDirection,
+                distance: measurements.trunkShiftCm
+            });
+            issues.push(`⚠ Lateral trunk shift (silhouette): trunk ${measurements.trunkShiftCm}cm to the ${measurements.trunkShiftDirection} of the plumb line between the heels (Normal: ${this.formatNormalRange('trunkShiftCm')})`);
+            recommendations.push('• Assess for scoliosis and leg length discrepancy');
+        }
+    },
+
+    // Adams forward bend view: the patient bends forward from the waist with their back to the
+    // camera. A rotational (structural) scoliosis raises one side of the bent back - a rib hump in
+    // the thoracic spine. The tilt of the shoulder line and of the silhouette's top edge stand in for
+    // the scoliometer's angle of trunk rotation; neither is a scoliometer or Cobb angle. The standing
+    // height of a bent patient cannot be measured, so a height calibration falls back to the shoulder width.
+    analyzeForwardBendView(landmarks, referenceMark = null, imageSize = null, contour = null) {
+        if (!landmarks || landmarks.length === 0) {
+            return { issues: [], recommendations: [], measurements: {}, deformities: [] };
+        }
+        imageSize = this.imageDimensions(imageSize);
+        landmarks = this.toPixelSpace(this.orientLandmarks(landmarks, 'forwardBend'), imageSize);
+        referenceMark = this.referenceMarkToPixelSpace(referenceMark, imageSize);
+
+        const issues = [];
+        const recommendations = [];
+        const measurements = {};
+        const deformities = [];
+
+        const leftShoulder = landmarks[11];
+        const rightShoulder = landmarks[12];
+        const shoulderDistancePx = Math.hypot(rightShoulder.x - leftShoulder.x, rightShoulder.y - leftShoulder.y);
+        const scale = this.userCalibration.method === 'reference' ? this.calibrationScale(landmarks, referenceMark) : null;
+        const shoulderRatio = scale ? scale.cmPerUnit : this.userCalibration.shoulderWidth / shoulderDistancePx;
+
+        // 1. SHOULDER LINE IN FORWARD BEND - the higher side is the side of the rotational prominence
+        const tilt = this.calculateSlopeAngle(leftShoulder, rightShoulder);
+        measurements.bendShoulderTilt = tilt.toFixed(1);
+        measurements.bendShoulderTiltCm = (Math.abs(leftShoulder.y - rightShoulder.y) * shoulderRatio).toFixed(1);
+        measurements.bendShoulderTiltSide = leftShoulder.y < rightShoulder.y ? 'LEFT' : rightShoulder.y < leftShoulder.y ? 'RIGHT' : '';
+
+        const tiltLimit = this.limit('bendShoulderTilt').max;
+        if (tilt > tiltLimit) {
+            const higher = measurements.bendShoulderTiltSide;
+            deformities.push({
+                type: 'Forward Bend Trunk Asymmetry',
+                severity: this.gradeSeverity(tilt, tiltLimit),
+                elevated: higher,
+                depressed: higher === 'LEFT' ? 'RIGHT' : 'LEFT',
+                angle: measurements.bendShoulderTilt,
+                distance: measurements.bendShoulderTiltCm,
+                estimate: true
+            });
+            issues.push(`⚠ Trunk asymmetry in forward bend (estimate): ${higher} side HIGHER by ${measurements.bendShoulderTiltCm}cm (${measurements.bendShoulderTilt}°) (Normal: ${this.formatNormalRange('bendShoulderTilt')})`);
+        }
+
+        // 2. RIB HUMP - tilt of the top edge of the bent back in the silhouette
+        const library = this.contourLibrary();
+        const profile = contour ? library.backProfile(library.toPixelSpace(contour, imageSize), landmarks) : null;
+        if (profile) {
+            measurements.ribHumpAngle = profile.angle.toFixed(1);
+            measurements.ribHumpCm = (profile.height * shoulderRatio).toFixed(1);
+            measurements.ribHumpSide = profile.higher.toUpperCase();
+
+            const humpLimit = this.limit('ribHumpAngle').max;
+            if (profile.angle > humpLimit) {
+                const higher = measurements.ribHumpSide;
+                deformities.push({
+                    type: 'Rib Hump',
+                    severity: this.gradeSeverity(profile.angle, humpLimit),
+                    elevated: higher,
+                    depressed: higher === 'LEFT' ? 'RIGHT' : 'LEFT',
+                    angle: measurements.ribHumpAngle,
+                    distance: measurements.ribHumpCm,
+                    estimate: true
+                });
+                issues.push(`⚠ Rib hump (silhouette estimate): ${higher} side of the back HIGHER by ${measurements.ribHumpCm}cm (${measurements.ribHumpAngle}°) (Normal: ${this.formatNormalRange('ribHumpAngle')})`);
+            }
+        }
+
+        if (deformities.length > 0) {
+            recommendations.push('• Scoliometer measurement of the angle of trunk rotation');
+        } else {
+            issues.push('✓ Symmetrical back in forward bend');
+        }
+
+        const calibration = this.calibrationRecord(scale);
+        return this.applyReliability({ issues, recommendations, measurements, deformities, calibration, imageSize }, landmarks, 'forwardBend');
+    },
+
+    // Standing signs of scoliosis combined with the forward bend view. Each sign counts once
+    // however many views show it; low-confidence measurements do not count.
+    scoliosisSigns: [
+        { label: 'Shoulder/scapular height asymmetry', measurements: [['front', 'shoulderLevel'], ['back', 'scapularLevel']] },
+        { label: 'PSIS height asymmetry', measurements: [['back', 'psisLevel']] },
+        { label: 'Waist triangle asymmetry', measurements: [['front', 'waistTriangleAsymmetry'], ['back', 'waistTriangleAsymmetry']] },
+        { label: 'Lateral trunk shift', measurements: [['front', 'trunkShiftCm'], ['back', 'trunkShiftCm']] }
+    ],
+
+    // Standing signs that on their own lead to referral
+    SCOLIOSIS_SIGNS_TO_REFER: 2,
+
+    // Screening outcome for an analysis with a forward bend view, null without one:
+    //   outcome       - 'REFER' when the bent back is asymmetric beyond its limit or when
+    //                   SCOLIOSIS_SIGNS_TO_REFER standing signs are positive, otherwise 'NO REFERRAL'
+    //   reasons       - why, one sentence each
+    //   forwardBend   - [{ key, label, value, unit, side, positive, lowConfidence }] bend measurements
+    //   standingSigns - [{ label, positive, findings }] with the out-of-range measurements behind each sign
+    // A screening result only; it does not diagnose scoliosis.
+    scoliosisScreening(analysis) {
+        const bend = analysis?.forwardBend;
+        if (!bend?.measurements || Object.keys(bend.measurements).length === 0) return null;
+        const viewNames = { front: 'Front', back: 'Back' };
+
+        const forwardBend = [['bendShoulderTilt', 'bendShoulderTiltSide'], ['ribHumpAngle', 'ribHumpSide']]
+            .filter(([key]) => bend.measurements[key] !== undefined)
+            .map(([key, sideKey]) => {
+                const value = bend.measurements[key];
+                return {
+                    key,
+                    label: this.metricCatalogue[key].label,
+                    value,
+                    unit: this.metricCatalogue[key].unit,
+                    side: bend.measurements[sideKey] || '',
+                    positive: this.isOutsideNormal(key, value),
+                    lowConfidence: !this.isReliable(bend, key)
+                };
+            });
+
+        const standingSigns = this.scoliosisSigns.map(sign => {
+            const findings = sign.measurements
+                .filter(([view, key]) => this.isReliable(analysis[view], key) &&
+                    this.isOutsideNormal(key, analysis[view]?.measurements?.[key]))
+                .map(([view, key]) => `${viewNames[view]}: ${this.metricCatalogue[key].label} ${analysis[view].measurements[key]}${this.metricCatalogue[key].unit}`);
+            return { label: sign.label, positive: findings.length > 0, findings };
+        });
+
+        const reasons = [];
+        forwardBend.filter(item => item.positive).forEach(item => {
+            const side = item.side ? `, ${item.side.toLowerCase()} side higher` : '';
+            const confidence = item.lowConfidence ? ' - low confidence, confirm with a scoliometer' : '';
+            reasons.push(`${item.label} ${item.value}${item.unit}${side} (normal ${this.formatNormalRange(item.key)})${confidence}`);
+        });
+        const positiveSigns = standingSigns.filter(sign => sign.positive);
+        if (positiveSigns.length >= this.SCOLIOSIS_SIGNS_TO_REFER) {
+            reasons.push(`${positiveSigns.length} standing signs of scoliosis: ${positiveSigns.map(sign => sign.label).join(', ')}`);
+        }
+
+        return {
+            outcome: reasons.length > 0 ? 'REFER' : 'NO REFERRAL',
+            reasons,
+            forwardBend,
+            standingSigns
         };
+    },
 
-        // Create comprehensive deformity summary
-        analysis.deformitySummary = this.generateDeformitySummary(analysis);
+    // One line for the summary and report, e.g. "REFER - Rib Hump Angle (silhouette estimate) 9.0°, left side higher (normal <7°)"
+    summarizeScoliosisScreening(analysis) {
+        const screening = analysis?.scoliosisScreening || this.scoliosisScreening(analysis);
+        if (!screening) return '';
+        if (screening.outcome === 'REFER') {
+            return `REFER for clinical scoliosis assessment - ${screening.reasons.join('; ')}`;
+        }
+        const measured = screening.forwardBend.map(item => `${item.label.toLowerCase()} ${item.value}${item.unit}`).join(', ');
+        const signs = screening.standingSigns.filter(sign => sign.positive).length;
+        return `NO REFERRAL - ${measured} within normal; ${signs} of ${screening.standingSigns.length} standing signs positive`;
+    },
 
-        AppState.postureAnalysis = analysis;
-        console.log('Posture analysis completed with enhanced knee analysis:', analysis);
+    // Depth-aware measurements from MediaPipe's poseWorldLandmarks: metres, origin midway between
+    // the hips, x toward the image right, y down and z away from the camera. They need no
+    // calibration. Axes follow the pelvis: `lateral` points to the patient's left hip and `forward`
+    // (lateral x up) is anterior. Rotations are only measured in the front and back views, where
+    // the patient squarely faces or faces away from the camera. Centimetre values reuse the keys
+    // of their 2D counterparts so the report can show them side by side.
+    analyzeWorldLandmarks(world, view, nearSide = null) {
+        const required = [0, 7, 8, 11, 12, 23, 24];
+        // The standing axes below do not apply to the bent trunk
+        if (view === 'forwardBend') return null;
+        if (!Array.isArray(world) || required.some(index => !world[index])) return null;
+
+        const sub = (a, b) => ({ x: a.x - b.x, y: a.y - b.y, z: a.z - b.z });
+        const mid = (a, b) => ({ x: (a.x + b.x) / 2, y: (a.y + b.y) / 2, z: (a.z + b.z) / 2 });
+        const dot = (a, b) => a.x * b.x + a.y * b.y + a.z * b.z;
+        const cm = metres => (metres * 100).toFixed(1);
+        const degrees = radians => radians * 180 / Math.PI;
+        // Unit vector of a left-minus-right line in the horizontal plane, and the anterior direction
+        // perpendicular to it (lateral x up, with up = -y)
+        const horizontalAxes = (left, right) => {
+            const line = sub(left, right);
+            const length = Math.hypot(line.x, line.z) || 1;
+            const lateral = { x: line.x / length, y: 0, z: line.z / length };
+            return { lateral, forward: { x: lateral.z, y: 0, z: -lateral.x } };
+        };
+
+        const hipMid = mid(world[23], world[24]);
+        const pelvis = horizontalAxes(world[23], world[24]);
+        const shoulders = horizontalAxes(world[11], world[12]);
+        const measurements = {};
+
+        // The nose is anterior to the ears whichever way MediaPipe labelled the sides
+        if (dot(sub(world[0], mid(world[7], world[8])), pelvis.forward) < 0) {
+            [pelvis, shoulders].forEach(axes => {
+                axes.forward = { x: -axes.forward.x, y: 0, z: -axes.forward.z };
+                axes.lateral = { x: -axes.lateral.x, y: 0, z: -axes.lateral.z };
+            });
+        }
+
+        // Shoulder protraction: each acromion anterior (+) or posterior (-) to the coronal plane through the hips
+        measurements.leftShoulderProtraction = cm(dot(sub(world[11], hipMid), pelvis.forward));
+        measurements.rightShoulderProtraction = cm(dot(sub(world[12], hipMid), pelvis.forward));
+
+        if (view === 'front' || view === 'back') {
+            // Anterior and the patient's left when squarely facing (front) or facing away from (back) the camera
+            const facing = view === 'front' ? -1 : 1;
+            const squareForward = { x: 0, y: 0, z: facing };
+            const squareLeft = { x: -facing, y: 0, z: 0 };
+            const pelvicAngle = degrees(Math.atan2(dot(pelvis.forward, squareLeft), dot(pelvis.forward, squareForward)));
+            const trunkAngle = degrees(Math.atan2(dot(shoulders.forward, pelvis.lateral), dot(shoulders.forward, pelvis.forward)));
+
+            // Positive angles turn toward the patient's left
+            measurements.pelvicRotation = Math.abs(pelvicAngle).toFixed(1);
+            measurements.pelvicRotationDirection = pelvicAngle > 0 ? 'LEFT' : pelvicAngle < 0 ? 'RIGHT' : '';
+            measurements.trunkRotation = Math.abs(trunkAngle).toFixed(1);
+            measurements.trunkRotationDirection = trunkAngle > 0 ? 'LEFT' : trunkAngle < 0 ? 'RIGHT' : '';
+
+            const levels = view === 'front'
+                ? { shoulderLevelCm: [11, 12], pelvicObliquityCm: [23, 24], kneeLevelCm: [25, 26] }
+                : { scapularLevelCm: [11, 12], psisLevelCm: [23, 24], poplitealLineCm: [25, 26] };
+            Object.entries(levels).forEach(([key, [left, right]]) => {
+                if (world[left] && world[right]) measurements[key] = cm(Math.abs(world[left].y - world[right].y));
+            });
+        } else {
+            // Plumb line offsets from the side facing the camera, as in analyzeSideView
+            const near = (nearSide || 'left').toLowerCase() === 'left' ? { ear: 7, shoulder: 11, hip: 23, ankle: 27 } : { ear: 8, shoulder: 12, hip: 24, ankle: 28 };
+            measurements.headOverShoulderCm = cm(dot(sub(world[near.ear], world[near.shoulder]), pelvis.forward));
+            measurements.shoulderOverHipCm = cm(dot(sub(world[near.shoulder], world[near.hip]), pelvis.forward));
+            if (world[near.ankle]) measurements.hipOverAnkleCm = cm(dot(sub(world[near.hip], world[near.ankle]), pelvis.forward));
+        }
+
+        return { measurements };
     },
 
-    analyzeUploadedPosture() {
-        const analysis = {
-            front: this.analyzeFrontView(AppState.uploadedData.frontLandmarks),
-            sideLeft: this.analyzeSideView(AppState.uploadedData.sideLeftLandmarks, 'left'),
-            sideRight: this.analyzeSideView(AppState.uploadedData.sideRightLandmarks, 'right'),
-            back: this.analyzeBackView(AppState.uploadedData.backLandmarks)
+    // One line per view with world landmarks, for the summary and report, e.g.
+    // "Front: trunk rotation 6.2° to the left, pelvic rotation 1.0° to the right, shoulder protraction L 3.1 cm / R 2.0 cm"
+    summarizeWorldMeasurements(analysis) {
+        const names = { front: 'Front', sideLeft: 'Left side', sideRight: 'Right side', back: 'Back' };
+        return Object.entries(names)
+            .filter(([view]) => analysis?.[view]?.world?.measurements)
+            .map(([view, name]) => {
+                const m = analysis[view].world.measurements;
+                const rotation = (key, text) => `${text} ${m[key]}°${m[key + 'Direction'] ? ` to the ${m[key + 'Direction'].toLowerCase()}` : ''}` +
+                    (this.isOutsideNormal(key, m[key]) ? ` (outside normal ${this.formatNormalRange(key)})` : '');
+                const parts = [];
+                if (m.trunkRotation !== undefined) parts.push(rotation('trunkRotation', 'trunk rotation'), rotation('pelvicRotation', 'pelvic rotation'));
+                parts.push(`shoulder protraction L ${m.leftShoulderProtraction} cm / R ${m.rightShoulderProtraction} cm`);
+                if (m.headOverShoulderCm !== undefined) parts.push(`head ${m.headOverShoulderCm} cm over shoulder`);
+                return `${name}: ${parts.join(', ')}`;
+            });
+    },
+
+    // Standard deviation of each numeric measurement when the view is analysed frame by frame
+    measurementUncertainty(analyzeView, frames) {
+        const series = {};
+        frames.forEach(frame => {
+            Object.entries(analyzeView(frame).measurements).forEach(([key, value]) => {
+                const number = parseFloat(value);
+                if (!Number.isFinite(number)) return;
+                (series[key] = series[key] || []).push(number);
+            });
+        });
+
+        const uncertainty = {};
+        Object.entries(series).forEach(([key, values]) => {
+            const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
+            const variance = values.reduce((sum, v) => sum + Math.pow(v - mean, 2), 0) / Math.max(values.length - 1, 1);
+            uncertainty[key] = Math.sqrt(variance).toFixed(1);
+        });
+        return uncertainty;
+    },
+
+    // Full four-view analysis from a { frontLandmarks, sideLeftLandmarks, ... } set.
+    // Optional <view>Frames (the averaged capture frames) add per-measurement uncertainty;
+    // <view>ReferenceMark holds the ends of a marked reference object for reference calibration.
+    // <view>ImageSize ({ width, height } of the source image) puts the geometry in pixels;
+    // <view>WorldLandmarks (MediaPipe poseWorldLandmarks) add 3D measurements as <view>.world;
+    // <view>Contour (the traced segmentation mask) adds silhouette measurements to the front and back views.
+    // forwardBendLandmarks, when the optional Adams forward bend view was taken, add analysis.forwardBend
+    // and the analysis.scoliosisScreening outcome.
+    // Pure - no AppState or DOM access - so it also runs under Node.
+    analyzeLandmarkSet(landmarkSet) {
+        const analyzers = {
+            front: (landmarks, referenceMark, imageSize, contour) => this.analyzeFrontView(landmarks, referenceMark, imageSize, contour),
+            sideLeft: (landmarks, referenceMark, imageSize) => this.analyzeSideView(landmarks, 'left', referenceMark, imageSize),
+            sideRight: (landmarks, referenceMark, imageSize) => this.analyzeSideView(landmarks, 'right', referenceMark, imageSize),
+            back: (landmarks, referenceMark, imageSize, contour) => this.analyzeBackView(landmarks, referenceMark, imageSize, contour),
+            forwardBend: (landmarks, referenceMark, imageSize, contour) => this.analyzeForwardBendView(landmarks, referenceMark, imageSize, contour)
         };
 
+        const analysis = {};
+        Object.entries(analyzers).forEach(([view, analyzer]) => {
+            if (view === 'forwardBend' && !landmarkSet.forwardBendLandmarks) return;
+            const referenceMark = landmarkSet[view + 'ReferenceMark'] || null;
+            const imageSize = landmarkSet[view + 'ImageSize'] || null;
+            const contour = landmarkSet[view + 'Contour'] || null;
+            const analyzeView = landmarks => analyzer(landmarks, referenceMark, imageSize, contour);
+            analysis[view] = analyzeView(landmarkSet[view + 'Landmarks']);
+
+            // 3D measurements alongside the calibrated 2D ones, re-sided like the image landmarks
+            const worldLandmarks = landmarkSet[view + 'WorldLandmarks'];
+            if (landmarkSet[view + 'Landmarks'] && worldLandmarks) {
+                const oriented = this.orientPose(landmarkSet[view + 'Landmarks'], worldLandmarks, view).worldLandmarks;
+                const world = this.analyzeWorldLandmarks(oriented, view, analysis[view].measurements.landmarkSide);
+                if (world) analysis[view].world = world;
+            }
+
+            const frames = landmarkSet[view + 'Frames'];
+            if (landmarkSet[view + 'Landmarks'] && Array.isArray(frames) && frames.length > 1) {
+                analysis[view].uncertainty = this.measurementUncertainty(analyzeView, frames);
+                analysis[view].frameCount = frames.length;
+            }
+
+            // Indices moved by hand in the landmark editor, reported by name
+            const adjusted = landmarkSet[view + 'Adjusted'];
+            if (landmarkSet[view + 'Landmarks'] && Array.isArray(adjusted) && adjusted.length > 0) {
+                analysis[view].adjustedLandmarks = adjusted.map(index => this.editableLandmarks[index] || `Landmark ${index}`);
+            }
+        });
+
         // Create comprehensive deformity summary
         analysis.deformitySummary = this.generateDeformitySummary(analysis);
+        analysis.normalRanges = this.describeThresholds();
+        const screening = this.scoliosisScreening(analysis);
+        if (screening) analysis.scoliosisScreening = screening;
 
+        return analysis;
+    },
+
+    analyzePosture() {
+        const analysis = this.analyzeLandmarkSet(AppState.capturedData);
+        AppState.postureAnalysis = analysis;
+        console.log('Posture analysis completed with enhanced knee analysis:', analysis);
+    },
+
+    analyzeUploadedPosture() {
+        const analysis = this.analyzeLandmarkSet(AppState.uploadedData);
         AppState.postureAnalysis = analysis;
         console.log('Uploaded posture analysis completed with enhanced knee analysis:', analysis);
     },
@@ -881,12 +1878,13 @@ analyzeBackView(landmarks) {
 
         // Compare left and right side measurements
         if (analysis.sideLeft && analysis.sideRight) {
+            const bilateral = this.thresholds().bilateral;
             const leftMeas = analysis.sideLeft.measurements;
             const rightMeas = analysis.sideRight.measurements;
 
             // Compare forward neck
             const neckDiff = Math.abs(parseFloat(leftMeas.forwardNeck) - parseFloat(rightMeas.forwardNeck));
-            if (neckDiff > 3) {
+            if (neckDiff > bilateral.forwardNeck) {
                 const moreSevere = parseFloat(leftMeas.forwardNeck) > parseFloat(rightMeas.forwardNeck) ? 'LEFT' : 'RIGHT';
                 summary.bilateralComparison.push({
                     type: 'Forward Neck Asymmetry',
@@ -899,7 +1897,7 @@ analyzeBackView(landmarks) {
 
             // Compare thoracic curvature
             const thoracicDiff = Math.abs(parseFloat(leftMeas.thoracicCurvature) - parseFloat(rightMeas.thoracicCurvature));
-            if (thoracicDiff > 5) {
+            if (thoracicDiff > bilateral.thoracicCurvature) {
                 const moreSevere = parseFloat(leftMeas.thoracicCurvature) > parseFloat(rightMeas.thoracicCurvature) ? 'LEFT' : 'RIGHT';
                 summary.bilateralComparison.push({
                     type: 'Thoracic Curvature Asymmetry',
@@ -912,7 +1910,7 @@ analyzeBackView(landmarks) {
 
             // Compare lumbar curvature
             const lumbarDiff = Math.abs(parseFloat(leftMeas.lumbarCurvature) - parseFloat(rightMeas.lumbarCurvature));
-            if (lumbarDiff > 5) {
+            if (lumbarDiff > bilateral.lumbarCurvature) {
                 const moreSevere = parseFloat(leftMeas.lumbarCurvature) > parseFloat(rightMeas.lumbarCurvature) ? 'LEFT' : 'RIGHT';
                 summary.bilateralComparison.push({
                     type: 'Lumbar Curvature Asymmetry',
@@ -923,27 +1921,15 @@ analyzeBackView(landmarks) {
                 });
             }
 
-            // Compare knee positions (flexion/extension)
-            const leftKneeDiff = Math.abs(parseFloat(leftMeas.leftKneePosition) - parseFloat(rightMeas.leftKneePosition));
-            const rightKneeDiff = Math.abs(parseFloat(leftMeas.rightKneePosition) - parseFloat(rightMeas.rightKneePosition));
-            
-            if (leftKneeDiff > 3) {
+            // Compare knee positions (flexion/extension) - each side view measures its near knee
+            const kneeDiff = Math.abs(parseFloat(leftMeas.leftKneePosition) - parseFloat(rightMeas.rightKneePosition));
+            if (kneeDiff > bilateral.kneePosition) {
                 summary.bilateralComparison.push({
-                    type: 'Left Knee Side-to-Side Variation',
-                    moreSevere: parseFloat(leftMeas.leftKneePosition) > parseFloat(rightMeas.leftKneePosition) ? 'LEFT VIEW' : 'RIGHT VIEW',
+                    type: 'Knee Position Asymmetry',
+                    moreSevere: parseFloat(leftMeas.leftKneePosition) > parseFloat(rightMeas.rightKneePosition) ? 'LEFT' : 'RIGHT',
                     leftValue: `${leftMeas.leftKneePosition}° ${leftMeas.leftKneePositionType}`,
-                    rightValue: `${rightMeas.leftKneePosition}° ${rightMeas.leftKneePositionType}`,
-                    difference: leftKneeDiff.toFixed(1) + '°'
-                });
-            }
-
-            if (rightKneeDiff > 3) {
-                summary.bilateralComparison.push({
-                    type: 'Right Knee Side-to-Side Variation',
-                    moreSevere: parseFloat(leftMeas.rightKneePosition) > parseFloat(rightMeas.rightKneePosition) ? 'LEFT VIEW' : 'RIGHT VIEW',
-                    leftValue: `${leftMeas.rightKneePosition}° ${leftMeas.rightKneePositionType}`,
                     rightValue: `${rightMeas.rightKneePosition}° ${rightMeas.rightKneePositionType}`,
-                    difference: rightKneeDiff.toFixed(1) + '°'
+                    difference: kneeDiff.toFixed(1) + '°'
                 });
             }
         }
@@ -951,77 +1937,140 @@ analyzeBackView(landmarks) {
         return summary;
     },
 
+    // Picks exercises from ExerciseLibrary for the deformities actually found. `items` is the
+    // structured prescription used for the PDF exercise table; `exercises`/`schedule` fill the report text.
     generateExerciseProtocol(analysis) {
+        const library = typeof ExerciseLibrary !== 'undefined' ? ExerciseLibrary : require('./exercise-library');
+        const summary = analysis.deformitySummary || this.generateDeformitySummary(analysis);
+        const deformities = [...summary.frontalPlane, ...summary.sagittalPlane];
+        // Low-confidence findings are not prescribed for until they are confirmed
+        const items = library.selectForDeformities(deformities.filter(d => !d.lowConfidence));
+        const unconfirmed = [...new Set(deformities.filter(d => d.lowConfidence).map(d => d.type))];
         const exercises = [];
         const schedule = [];
 
-        if (analysis.front?.issues.some(issue => !issue.includes('✓')) ||
-            analysis.sideLeft?.issues.some(issue => !issue.includes('✓')) ||
-            analysis.sideRight?.issues.some(issue => !issue.includes('✓')) ||
-            analysis.back?.issues.some(issue => !issue.includes('✓'))) {
-            
+        if (items.length > 0) {
             exercises.push('Corrective Exercise Protocol:');
+            items.forEach(item => {
+                const side = item.side ? ` (${item.side === 'BILATERAL' ? 'both sides' : item.side.toLowerCase() + ' side'})` : '';
+                exercises.push(`• ${item.name}${side}: ${library.formatDosage(item)}, ${item.frequency} - for ${item.targets.join(', ')}`);
+            });
             exercises.push('• Postural awareness training: Daily');
-            exercises.push('• Core stabilization: 3 sets x 45 seconds, 5x/week');
-            exercises.push('• Shoulder blade squeezes: 3 sets x 12 reps, 5x/week');
-            exercises.push('• Hip bridges: 3 sets x 10 reps, 4x/week');
-            schedule.push('Follow prescribed exercises consistently for 6-8 weeks');
+
+            schedule.push('Weeks 1-2: level 1 of each exercise, focusing on form');
+            schedule.push('Weeks 3-5: progress to level 2 when level 1 is pain-free for all sets');
+            schedule.push('Weeks 6-8: progress to level 3, then reassess posture');
+            schedule.push('Stop any exercise that reproduces symptoms and review its contraindications');
         } else {
             exercises.push('Maintenance Protocol:');
             exercises.push('• Continue general postural awareness');
             schedule.push('General maintenance: 2-3 times per week');
         }
 
+        if (unconfirmed.length > 0) {
+            exercises.push(`• Not prescribed until confirmed clinically (low confidence): ${unconfirmed.join(', ')}`);
+        }
+
         return {
             exercises: exercises.join('\n'),
-            schedule: schedule.join('\n')
+            schedule: schedule.join('\n'),
+            items
         };
     }
 };
 
-// Initialize calibration event listeners when DOM loads
-document.addEventListener('DOMContentLoaded', function() {
+// Initialize calibration event listeners when DOM loads (browser only)
+if (typeof document !== 'undefined') document.addEventListener('DOMContentLoaded', function() {
     const saveCalibrationBtn = document.getElementById('saveCalibrationBtn');
     const useDefaultsBtn = document.getElementById('useDefaultsBtn');
     const calibrationStatus = document.getElementById('calibrationStatus');
+    const calibrationMethod = document.getElementById('calibrationMethod');
+    const referenceObjectSelect = document.getElementById('referenceObjectSelect');
+
+    const showStatus = (className, text) => {
+        calibrationStatus.className = `calibration-status ${className}`;
+        calibrationStatus.textContent = text;
+        calibrationStatus.classList.remove('hidden');
+
+        setTimeout(() => {
+            calibrationStatus.classList.add('hidden');
+        }, 5000);
+    };
+
+    // Only the fields of the selected method are shown; body measurements stay visible as the fallback
+    const updateMethodFields = () => {
+        const method = calibrationMethod?.value || 'body';
+        document.getElementById('heightCalibrationFields')?.classList.toggle('hidden', method !== 'height');
+        document.getElementById('referenceCalibrationFields')?.classList.toggle('hidden', method !== 'reference');
+        document.getElementById('customReferenceItem')?.classList.toggle('hidden', referenceObjectSelect?.value !== 'custom');
+    };
+    calibrationMethod?.addEventListener('change', updateMethodFields);
+    referenceObjectSelect?.addEventListener('change', updateMethodFields);
+    updateMethodFields();
+
+    const selectedReferenceObject = () => {
+        const choice = referenceObjectSelect?.value;
+        if (choice === 'custom') {
+            return { name: 'Custom reference object', sizeCm: parseFloat(document.getElementById('referenceSize').value) };
+        }
+        return AnalysisEngine.referenceObjects[choice] || null;
+    };
     
     if (saveCalibrationBtn) {
         saveCalibrationBtn.addEventListener('click', function() {
-            const headWidth = parseFloat(document.getElementById('headWidth').value) || 15;
-            const shoulderWidth = parseFloat(document.getElementById('shoulderWidth').value) || 40;
-            const hipWidth = parseFloat(document.getElementById('hipWidth').value) || 35;
-            const neckLength = parseFloat(document.getElementById('neckLength').value) || 20;
-            
-            AnalysisEngine.setCalibration(headWidth, shoulderWidth, hipWidth, neckLength);
-            
-            calibrationStatus.className = 'calibration-status success';
-            calibrationStatus.textContent = `✓ Calibration saved: Head ${headWidth}cm, Shoulder ${shoulderWidth}cm, Hip ${hipWidth}cm, Neck ${neckLength}cm`;
-            calibrationStatus.classList.remove('hidden');
-            
-            setTimeout(() => {
-                calibrationStatus.classList.add('hidden');
-            }, 5000);
+            const method = calibrationMethod?.value || 'body';
+            const calibration = {
+                method,
+                headWidth: parseFloat(document.getElementById('headWidth').value),
+                shoulderWidth: parseFloat(document.getElementById('shoulderWidth').value),
+                hipWidth: parseFloat(document.getElementById('hipWidth').value),
+                neckLength: parseFloat(document.getElementById('neckLength').value),
+                patientHeight: parseFloat(document.getElementById('patientHeight')?.value),
+                referenceObject: method === 'reference' ? selectedReferenceObject() : null
+            };
+
+            if (method === 'height' && !(calibration.patientHeight > 0)) {
+                showStatus('error', '✗ Enter the patient\'s height to calibrate from height');
+                return;
+            }
+            if (method === 'reference' && !(calibration.referenceObject?.sizeCm > 0)) {
+                showStatus('error', '✗ Enter the size of the reference object');
+                return;
+            }
+
+            AnalysisEngine.configureCalibration(calibration);
+            const saved = AnalysisEngine.userCalibration;
+
+            if (saved.method === 'height') {
+                showStatus('success', `✓ Calibration saved: patient height ${saved.patientHeight}cm, converted through the nose-to-heel landmark span`);
+            } else if (saved.method === 'reference') {
+                showStatus('success', `✓ Calibration saved: ${saved.referenceObject.name} (${saved.referenceObject.sizeCm}cm) - use "Mark Reference Object" on each image`);
+            } else {
+                const defaultsNote = saved.defaulted.length > 0 ? ` (defaults used for ${saved.defaulted.length} of 4)` : '';
+                showStatus('success', `✓ Calibration saved: Head ${saved.headWidth}cm, Shoulder ${saved.shoulderWidth}cm, Hip ${saved.hipWidth}cm, Neck ${saved.neckLength}cm${defaultsNote}`);
+            }
         });
     }
     
     if (useDefaultsBtn) {
         useDefaultsBtn.addEventListener('click', function() {
-            AnalysisEngine.setCalibration(15, 40, 35, 20);
+            AnalysisEngine.configureCalibration({});
             
             document.getElementById('headWidth').value = '';
             document.getElementById('shoulderWidth').value = '';
             document.getElementById('hipWidth').value = '';
             document.getElementById('neckLength').value = '';
+            if (calibrationMethod) calibrationMethod.value = 'body';
+            updateMethodFields();
             
-            calibrationStatus.className = 'calibration-status info';
-            calibrationStatus.textContent = 'ℹ Default values loaded: Head 15cm, Shoulder 40cm, Hip 35cm, Neck 20cm';
-            calibrationStatus.classList.remove('hidden');
-            
-            setTimeout(() => {
-                calibrationStatus.classList.add('hidden');
-            }, 5000);
+            showStatus('info', 'ℹ Default values loaded: Head 15cm, Shoulder 40cm, Hip 35cm, Neck 20cm');
         });
     }
 });
 
-console.log('Clinical Analysis Engine loaded with Enhanced Knee Valgus/Varus and Flexion/Extension Detection');
\ No newline at end of file
+console.log('Clinical Analysis Engine loaded with Enhanced Knee Valgus/Varus and Flexion/Extension Detection');
+
+// CommonJS export for the server-side /api/analyze route and tests; a plain global in the browser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AnalysisEngine;
+}
\ No newline at end of file
@@ -5,20 +5,27 @@ const AppState = {
     currentMode: 'camera',
     currentPhase: 0,
     capturedData: {
-        front: null, sideLeft: null, sideRight: null, back: null,
-        frontLandmarks: null, sideLeftLandmarks: null, sideRightLandmarks: null, backLandmarks: null
+        front: null, sideLeft: null, sideRight: null, back: null, forwardBend: null,
+        frontLandmarks: null, sideLeftLandmarks: null, sideRightLandmarks: null, backLandmarks: null, forwardBendLandmarks: null
     },
     uploadedData: {
-        front: null, sideLeft: null, sideRight: null, back: null,
-        frontLandmarks: null, sideLeftLandmarks: null, sideRightLandmarks: null, backLandmarks: null
+        front: null, sideLeft: null, sideRight: null, back: null, forwardBend: null,
+        frontLandmarks: null, sideLeftLandmarks: null, sideRightLandmarks: null, backLandmarks: null, forwardBendLandmarks: null
     },
+    // Pose detection state per uploaded view: 'detecting' | 'detected' | 'no-pose' | 'error'
+    uploadStatus: { front: null, sideLeft: null, sideRight: null, back: null, forwardBend: null },
     postureAnalysis: null,
     phases: [
         { name: 'front', instruction: 'Stand facing the camera with arms relaxed at your sides' },
         { name: 'sideLeft', instruction: 'Turn to your LEFT side (90 degrees) with arms relaxed' },
         { name: 'sideRight', instruction: 'Turn to your RIGHT side (90 degrees) with arms relaxed' },
         { name: 'back', instruction: 'Turn your back to the camera with arms relaxed at your sides' }
-    ]
+    ],
+    // Adams forward bend test, captured after the standing views when scoliosis screening is selected
+    forwardBendPhase: {
+        name: 'forwardBend',
+        instruction: 'Scoliosis screening: keep your back to the camera, feet together, and bend forward from the waist with arms hanging and palms together'
+    }
 };
 
 // DOM element references
@@ -33,12 +40,19 @@ const Elements = {
     startBtn: document.getElementById('startBtn'),
     captureBtn: document.getElementById('captureBtn'),
     downloadBtn: document.getElementById('downloadBtn'),
+    autoCaptureToggle: document.getElementById('autoCaptureToggle'),
+    voicePromptsToggle: document.getElementById('voicePromptsToggle'),
+    plumbLineToggle: document.getElementById('plumbLineToggle'),
+    referenceLinesToggle: document.getElementById('referenceLinesToggle'),
+    postureGridToggle: document.getElementById('postureGridToggle'),
+    scoliosisScreeningToggle: document.getElementById('scoliosisScreeningToggle'),
     
     // Upload controls
     frontUpload: document.getElementById('frontUpload'),
     sideLeftUpload: document.getElementById('sideLeftUpload'),
     sideRightUpload: document.getElementById('sideRightUpload'),
     backUpload: document.getElementById('backUpload'),
+    forwardBendUpload: document.getElementById('forwardBendUpload'),
     analyzeUploadsBtn: document.getElementById('analyzeUploadsBtn'),
     downloadUploadBtn: document.getElementById('downloadUploadBtn'),
     
@@ -87,6 +101,7 @@ function initializeEventListeners() {
     Elements.sideLeftUpload?.addEventListener('change', (e) => handleImageUpload(e, 'sideLeft'));
     Elements.sideRightUpload?.addEventListener('change', (e) => handleImageUpload(e, 'sideRight'));
     Elements.backUpload?.addEventListener('change', (e) => handleImageUpload(e, 'back'));
+    Elements.forwardBendUpload?.addEventListener('change', (e) => handleImageUpload(e, 'forwardBend'));
 
     // Analyze uploads button
     Elements.analyzeUploadsBtn?.addEventListener('click', () => {
@@ -135,20 +150,26 @@ function switchToUpload() {
     Elements.cameraModeBtn.classList.remove('active');
     Elements.cameraSection.style.display = 'none';
     Elements.uploadSection.style.display = 'block';
-    Elements.statusText.innerHTML = 'Upload your front, left side, right side, and back view photos for analysis';
+    Elements.statusText.innerHTML = 'Upload your front, left side, right side, and back view photos for analysis, plus an optional forward bend photo for scoliosis screening';
     resetAnalysis();
 }
 
 function resetAnalysis() {
     AppState.capturedData = { 
-        front: null, sideLeft: null, sideRight: null, back: null, 
-        frontLandmarks: null, sideLeftLandmarks: null, sideRightLandmarks: null, backLandmarks: null 
+        front: null, sideLeft: null, sideRight: null, back: null, forwardBend: null,
+        frontLandmarks: null, sideLeftLandmarks: null, sideRightLandmarks: null, backLandmarks: null, forwardBendLandmarks: null
     };
     AppState.uploadedData = { 
-        front: null, sideLeft: null, sideRight: null, back: null, 
-        frontLandmarks: null, sideLeftLandmarks: null, sideRightLandmarks: null, backLandmarks: null 
+        front: null, sideLeft: null, sideRight: null, back: null, forwardBend: null,
+        frontLandmarks: null, sideLeftLandmarks: null, sideRightLandmarks: null, backLandmarks: null, forwardBendLandmarks: null
     };
+    AppState.uploadStatus = { front: null, sideLeft: null, sideRight: null, back: null, forwardBend: null };
+    // Drop detections still in flight so their results never reach the fresh upload data
+    Object.keys(uploadDetections).forEach(view => delete uploadDetections[view]);
     AppState.postureAnalysis = null;
+    if (typeof PatientRecords !== 'undefined') {
+        PatientRecords.onAnalysisComplete();
+    }
     Elements.capturedImagesDiv.innerHTML = '';
     Elements.downloadBtn.disabled = true;
     Elements.downloadUploadBtn.disabled = true;
@@ -156,6 +177,42 @@ function resetAnalysis() {
     updateProgressIndicator();
 }
 
+const UPLOAD_VIEWS = ['front', 'sideLeft', 'sideRight', 'back'];
+
+// Analysed when uploaded: the forward bend photo for scoliosis screening
+const OPTIONAL_UPLOAD_VIEWS = ['forwardBend'];
+
+// Views with an image uploaded, in report order
+function uploadedViews() {
+    return [...UPLOAD_VIEWS, ...OPTIONAL_UPLOAD_VIEWS].filter(view => UPLOAD_VIEWS.includes(view) || AppState.uploadedData[view]);
+}
+
+const UPLOAD_STATUS_TEXT = {
+    detecting: 'Detecting pose...',
+    detected: '✓ Pose detected',
+    'no-pose': '✗ No pose found - upload a clear full-body photo',
+    error: '✗ Pose detection failed - upload the photo again'
+};
+
+// Latest pose detection per view; a re-upload replaces it so late results are ignored
+const uploadDetections = {};
+
+function uploadViewLabel(view) {
+    if (view === 'sideLeft') return 'Side Left';
+    if (view === 'sideRight') return 'Side Right';
+    if (view === 'forwardBend') return 'Forward Bend';
+    return view.charAt(0).toUpperCase() + view.slice(1);
+}
+
+function setUploadStatus(view, status, uploadBox) {
+    AppState.uploadStatus[view] = status;
+    const statusDiv = uploadBox?.querySelector('.upload-status');
+    if (statusDiv) {
+        statusDiv.className = `upload-status ${status}`;
+        statusDiv.textContent = UPLOAD_STATUS_TEXT[status];
+    }
+}
+
 // Image upload handling
 function handleImageUpload(event, view) {
     console.log(`Uploading ${view} image...`);
@@ -182,38 +239,70 @@ function handleImageUpload(event, view) {
             let viewLabel = view.charAt(0).toUpperCase() + view.slice(1);
             if (view === 'sideLeft') viewLabel = 'Side View (Left)';
             if (view === 'sideRight') viewLabel = 'Side View (Right)';
+            if (view === 'forwardBend') viewLabel = 'Forward Bend (Scoliosis Screening)';
             
             uploadBox.innerHTML = `
                 <img src="${AppState.uploadedData[view]}" alt="${view} view" class="upload-preview">
                 <div class="upload-text"><strong>${viewLabel}</strong><br>Click to change</div>
+                <div class="upload-status"></div>
             `;
             uploadBox.onclick = () => event.target.click();
-            
+
+            // Process image with pose detection
+            AppState.uploadedData[view + 'Landmarks'] = null;
+            AppState.uploadedData[view + 'WorldLandmarks'] = null;
+            AppState.uploadedData[view + 'Contour'] = null;
+            AppState.uploadedData[view + 'Adjusted'] = null;
+            AppState.uploadedData[view + 'ReferenceMark'] = null;
+            AppState.uploadedData[view + 'ImageSize'] = { width: img.naturalWidth, height: img.naturalHeight };
+            setUploadStatus(view, 'detecting', uploadBox);
+            const detect = typeof CameraHandler !== 'undefined'
+                ? CameraHandler.processUploadedImage(img, view)
+                : Promise.resolve({ view, status: 'error', landmarks: null, worldLandmarks: null, contour: null });
+            const detection = detect.then(result => {
+                if (uploadDetections[view] !== detection) return result;
+                AppState.uploadedData[view + 'Landmarks'] = result.landmarks;
+                AppState.uploadedData[view + 'WorldLandmarks'] = result.worldLandmarks || null;
+                AppState.uploadedData[view + 'Contour'] = result.contour || null;
+                setUploadStatus(view, result.status, uploadBox);
+                checkUploadCompletion();
+                return result;
+            });
+            uploadDetections[view] = detection;
+
             updateProgressIndicator();
             checkUploadCompletion();
-            
-            // Process image with pose detection
-            if (typeof CameraHandler !== 'undefined') {
-                CameraHandler.processUploadedImage(img, view);
-            }
         };
         img.src = e.target.result;
     };
     reader.readAsDataURL(file);
 }
 
-function analyzeUploads() {
+async function analyzeUploads() {
     console.log('Analyzing uploaded images...');
     Elements.analyzeUploadsBtn.disabled = true;
+    Elements.downloadUploadBtn.disabled = true;
+    Elements.statusText.innerHTML = 'Waiting for pose detection on the uploaded images... <div class="loading"></div>';
+
+    const views = uploadedViews();
+    await Promise.all(views.map(view => uploadDetections[view]));
+
+    // Every uploaded view needs a detected pose - an empty analysis would read as normal posture
+    const failedViews = views.filter(view => AppState.uploadStatus[view] !== 'detected');
+    if (failedViews.length > 0) {
+        AppState.postureAnalysis = null;
+        Elements.statusText.innerHTML = `Cannot generate the report: no pose was detected in the ${failedViews.map(uploadViewLabel).join(', ')} ` +
+            `image${failedViews.length > 1 ? 's' : ''}. Upload a clear, full-body photo for ${failedViews.length > 1 ? 'each of these views' : 'this view'} and analyze again.`;
+        return;
+    }
+
     Elements.statusText.innerHTML = 'Analyzing uploaded images... <div class="loading"></div>';
-    
+
     // Display uploaded images
     Elements.capturedImagesDiv.innerHTML = '';
-    ['front', 'sideLeft', 'sideRight', 'back'].forEach(view => {
+    views.forEach(view => {
         if (AppState.uploadedData[view]) {
-            let viewLabel = view.charAt(0).toUpperCase() + view.slice(1);
-            if (view === 'sideLeft') viewLabel = 'Side Left';
-            if (view === 'sideRight') viewLabel = 'Side Right';
+            const viewLabel = uploadViewLabel(view);
             
             const imageDiv = document.createElement('div');
             imageDiv.className = 'captured-image';
@@ -222,17 +311,21 @@ function analyzeUploads() {
                 <img src="${AppState.uploadedData[view]}" alt="${view} view">
             `;
             Elements.capturedImagesDiv.appendChild(imageDiv);
+            if (typeof LandmarkEditor !== 'undefined') {
+                LandmarkEditor.attachToCard(imageDiv, view);
+            }
         }
     });
 
     // Perform analysis
-    setTimeout(() => {
-        if (typeof AnalysisEngine !== 'undefined') {
-            AnalysisEngine.analyzeUploadedPosture();
-        }
-        Elements.statusText.innerHTML = 'Analysis complete! Click "Download Clinical Report" to get your assessment.';
-        Elements.downloadUploadBtn.disabled = false;
-    }, 2000);
+    if (typeof AnalysisEngine !== 'undefined') {
+        AnalysisEngine.analyzeUploadedPosture();
+    }
+    if (typeof PatientRecords !== 'undefined') {
+        PatientRecords.onAnalysisComplete();
+    }
+    Elements.statusText.innerHTML = 'Analysis complete! Click "Download Clinical Report" to get your assessment.';
+    Elements.downloadUploadBtn.disabled = false;
 }
 
 function updateProgressIndicator() {
@@ -240,11 +333,13 @@ function updateProgressIndicator() {
     const sideLeftProgress = document.getElementById('sideLeftProgress');
     const sideRightProgress = document.getElementById('sideRightProgress');
     const backProgress = document.getElementById('backProgress');
+    const forwardBendProgress = document.getElementById('forwardBendProgress');
 
     if (frontProgress) frontProgress.className = AppState.uploadedData.front ? 'progress-step completed' : 'progress-step';
     if (sideLeftProgress) sideLeftProgress.className = AppState.uploadedData.sideLeft ? 'progress-step completed' : 'progress-step';
     if (sideRightProgress) sideRightProgress.className = AppState.uploadedData.sideRight ? 'progress-step completed' : 'progress-step';
     if (backProgress) backProgress.className = AppState.uploadedData.back ? 'progress-step completed' : 'progress-step';
+    if (forwardBendProgress) forwardBendProgress.className = AppState.uploadedData.forwardBend ? 'progress-step optional completed' : 'progress-step optional';
 }
 
 function checkUploadCompletion() {
@@ -252,11 +347,14 @@ function checkUploadCompletion() {
                         AppState.uploadedData.sideLeft && 
                         AppState.uploadedData.sideRight && 
                         AppState.uploadedData.back;
+    const failedViews = uploadedViews().filter(view => ['no-pose', 'error'].includes(AppState.uploadStatus[view]));
     if (Elements.analyzeUploadsBtn) {
-        Elements.analyzeUploadsBtn.disabled = !hasAllImages;
+        Elements.analyzeUploadsBtn.disabled = !hasAllImages || failedViews.length > 0;
     }
     
-    if (hasAllImages) {
+    if (failedViews.length > 0) {
+        Elements.statusText.innerHTML = `No pose detected in the ${failedViews.map(uploadViewLabel).join(', ')} image - replace it to continue.`;
+    } else if (hasAllImages) {
         Elements.statusText.innerHTML = 'All images uploaded! Click "Analyze Uploaded Images" to process.';
     }
 }
@@ -0,0 +1,197 @@
+// body-contour.js - Body Silhouette from the MediaPipe Pose Segmentation Mask
+//
+// The 33 keypoints say nothing about the outline of the body. With enableSegmentation the pose
+// results include a person mask; fromMask reduces it to the horizontal runs of body pixels on each
+// mask row, in normalized image coordinates like the landmarks, which is small enough to store
+// with the assessment. analyze measures the waist triangles (the gaps between each arm and the
+// trunk) and the lateral shift of the trunk over the feet in the front and back views;
+// backProfile measures the tilt of the bent back in the forward bend (Adams) view;
+// outlineSegments traces the silhouette for the report images.
+
+const BodyContour = {
+    // The mask is scaled down to at most this many rows before it is traced
+    MAX_ROWS: 160,
+
+    // Person confidence above which a mask pixel counts as body
+    THRESHOLD: 0.5,
+
+    // Waist band as fractions of the shoulder-to-hip height: below the armpit down to the hips
+    WAIST_BAND: [0.3, 1],
+
+    // Browser only: traces results.segmentationMask, which is only valid inside the pose results
+    // callback. The person confidence is in the mask's alpha channel.
+    extractFromMask(mask, width, height) {
+        if (!mask || !(width > 0) || !(height > 0)) return null;
+        const rows = Math.min(this.MAX_ROWS, Math.round(height));
+        const columns = Math.max(1, Math.round(width * rows / height));
+        const canvas = document.createElement('canvas');
+        canvas.width = columns;
+        canvas.height = rows;
+        const ctx = canvas.getContext('2d');
+        ctx.drawImage(mask, 0, 0, columns, rows);
+
+        const { data } = ctx.getImageData(0, 0, columns, rows);
+        const values = new Float32Array(columns * rows);
+        for (let i = 0; i < values.length; i++) values[i] = data[i * 4 + 3] / 255;
+        return this.fromMask(values, columns, rows);
+    },
+
+    // values: width x height person confidences (0-1), row by row. Returns { rowHeight, rows } where
+    // each row is { y, runs: [[x0, x1], ...] } left to right, all normalized; empty rows are left out.
+    fromMask(values, width, height, threshold = this.THRESHOLD) {
+        const round = value => +value.toFixed(4);
+        const rows = [];
+        for (let row = 0; row < height; row++) {
+            const runs = [];
+            let start = -1;
+            for (let column = 0; column <= width; column++) {
+                const inside = column < width && values[row * width + column] >= threshold;
+                if (inside && start < 0) start = column;
+                if (!inside && start >= 0) {
+                    runs.push([round(start / width), round(column / width)]);
+                    start = -1;
+                }
+            }
+            if (runs.length > 0) rows.push({ y: round((row + 0.5) / height), runs });
+        }
+        return { rowHeight: round(1 / height), rows };
+    },
+
+    // The contour in pixels of a width x height image, matching AnalysisEngine.toPixelSpace
+    toPixelSpace(contour, imageSize) {
+        if (!contour || !imageSize) return contour;
+        const { width, height } = imageSize;
+        return {
+            rowHeight: contour.rowHeight * height,
+            rows: contour.rows.map(row => ({
+                y: row.y * height,
+                runs: row.runs.map(([x0, x1]) => [x0 * width, x1 * width])
+            }))
+        };
+    },
+
+    // Waist triangles and trunk shift from a contour and the view's landmarks, both in the same
+    // (pixel) space with landmarks on the patient's anatomical sides. Returns null when the trunk
+    // cannot be found in the mask. Areas are in square units and the shift in units, positive
+    // toward the patient's left. A side with no arm run beside the trunk (arm touching the trunk
+    // or out of frame) has no gap on that row.
+    analyze(contour, landmarks) {
+        if (!contour?.rows?.length || !landmarks) return null;
+        const [leftShoulder, rightShoulder, leftHip, rightHip] = [11, 12, 23, 24].map(index => landmarks[index]);
+        if (!leftShoulder || !rightShoulder || !leftHip || !rightHip) return null;
+
+        const shoulderMid = { x: (leftShoulder.x + rightShoulder.x) / 2, y: (leftShoulder.y + rightShoulder.y) / 2 };
+        const hipMid = { x: (leftHip.x + rightHip.x) / 2, y: (leftHip.y + rightHip.y) / 2 };
+        const torso = hipMid.y - shoulderMid.y;
+        if (!(torso > 0)) return null;
+
+        // +1 when the patient's left is on the image right (front view), -1 when on the image left (back view)
+        const leftSign = leftHip.x >= rightHip.x ? 1 : -1;
+        const top = shoulderMid.y + this.WAIST_BAND[0] * torso;
+        const bottom = shoulderMid.y + this.WAIST_BAND[1] * torso;
+        const gaps = { imageLeft: 0, imageRight: 0 };
+        const centres = [];
+
+        contour.rows.filter(row => row.y >= top && row.y <= bottom).forEach(row => {
+            // The trunk is the run crossing the shoulder-to-hip midline at this height
+            const midline = shoulderMid.x + (hipMid.x - shoulderMid.x) * (row.y - shoulderMid.y) / torso;
+            const trunk = row.runs.findIndex(([x0, x1]) => x0 <= midline && midline <= x1);
+            if (trunk < 0) return;
+
+            const [x0, x1] = row.runs[trunk];
+            const before = row.runs[trunk - 1];
+            const after = row.runs[trunk + 1];
+            if (before) gaps.imageLeft += (x0 - before[1]) * contour.rowHeight;
+            if (after) gaps.imageRight += (after[0] - x1) * contour.rowHeight;
+            centres.push((x0 + x1) / 2);
+        });
+        if (centres.length === 0) return null;
+
+        // Plumb line between the heels, as drawn on the report images
+        const [leftFoot, rightFoot] = landmarks[29] && landmarks[30] ? [landmarks[29], landmarks[30]] : [landmarks[27], landmarks[28]];
+        const trunkCentre = centres.reduce((sum, x) => sum + x, 0) / centres.length;
+        const plumbX = leftFoot && rightFoot ? (leftFoot.x + rightFoot.x) / 2 : hipMid.x;
+
+        return {
+            waistTriangle: leftSign > 0
+                ? { left: gaps.imageRight, right: gaps.imageLeft }
+                : { left: gaps.imageLeft, right: gaps.imageRight },
+            trunkShift: (trunkCentre - plumbX) * leftSign,
+            rows: centres.length
+        };
+    },
+
+    // Percentage difference between the larger and the smaller waist triangle, 0 when both are closed
+    asymmetry({ left, right }) {
+        const larger = Math.max(left, right);
+        return larger > 0 ? Math.abs(left - right) / larger * 100 : 0;
+    },
+
+    // Forward bend view: tilt of the top edge of the silhouette across the back between the
+    // shoulders, the camera's view of a rib or lumbar hump. Same space and sides as analyze.
+    // A least-squares line through the highest body pixel of each column gives { angle } in
+    // degrees, the rise over the sampled width as { height } in units and the { higher } side
+    // ('left'/'right', '' when level), or null with too few columns to fit.
+    backProfile(contour, landmarks, samples = 21) {
+        if (!contour?.rows?.length || !landmarks) return null;
+        const [leftShoulder, rightShoulder, leftHip, rightHip] = [11, 12, 23, 24].map(index => landmarks[index]);
+        if (!leftShoulder || !rightShoulder || !leftHip || !rightHip) return null;
+
+        // Inner 80% of the shoulder width, clear of the arms hanging at the sides
+        const [start, end] = [leftShoulder.x, rightShoulder.x].sort((a, b) => a - b);
+        const inset = (end - start) * 0.1;
+        const points = [];
+        for (let i = 0; i < samples; i++) {
+            const x = start + inset + (end - start - 2 * inset) * i / (samples - 1);
+            const top = contour.rows.find(row => row.runs.some(([x0, x1]) => x0 <= x && x <= x1));
+            if (top) points.push({ x, y: top.y });
+        }
+        if (points.length < 5) return null;
+
+        const meanX = points.reduce((sum, p) => sum + p.x, 0) / points.length;
+        const meanY = points.reduce((sum, p) => sum + p.y, 0) / points.length;
+        const spread = points.reduce((sum, p) => sum + Math.pow(p.x - meanX, 2), 0);
+        if (!(spread > 0)) return null;
+        const slope = points.reduce((sum, p) => sum + (p.x - meanX) * (p.y - meanY), 0) / spread;
+
+        // y grows downward, so a positive slope means the image left is higher
+        const leftSign = leftHip.x >= rightHip.x ? 1 : -1;
+        const imageLeftHigher = slope > 0;
+        const level = Math.abs(slope) < 1e-6;
+        return {
+            angle: level ? 0 : Math.atan(Math.abs(slope)) * 180 / Math.PI,
+            height: level ? 0 : Math.abs(slope) * (points[points.length - 1].x - points[0].x),
+            higher: level ? '' : (imageLeftHigher === (leftSign < 0) ? 'left' : 'right'),
+            samples: points.length
+        };
+    },
+
+    // Silhouette edges as { from, to } segments in normalized coordinates: each run edge is joined
+    // to the nearest edge of the same kind on the next row, so the arm/trunk gaps and the gap
+    // between the legs are outlined as well as the outside of the body.
+    outlineSegments(contour, maxJump = 0.03) {
+        const segments = [];
+        const rows = contour?.rows || [];
+        const rowHeight = contour?.rowHeight || 0;
+        for (let i = 1; i < rows.length; i++) {
+            const [above, below] = [rows[i - 1], rows[i]];
+            if (below.y - above.y > rowHeight * 1.5) continue;
+            [0, 1].forEach(edge => {
+                const next = below.runs.map(run => run[edge]);
+                above.runs.forEach(run => {
+                    const x = run[edge];
+                    const nearest = next.reduce((best, candidate) =>
+                        Math.abs(candidate - x) < Math.abs(best - x) ? candidate : best, Infinity);
+                    if (Math.abs(nearest - x) <= maxJump) {
+                        segments.push({ from: { x, y: above.y }, to: { x: nearest, y: below.y } });
+                    }
+                });
+            });
+        }
+        return segments;
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BodyContour;
+}
@@ -10,6 +10,26 @@ const CameraHandler = {
     countdown: document.getElementById('countdown'),
     poseIndicator: document.getElementById('poseIndicator'),
     measurementOverlay: document.getElementById('measurementOverlay'),
+    guidancePanel: document.getElementById('captureGuidance'),
+    frameCollector: null,
+    // Recent poses for the stillness check; capturing suspends guidance during countdown and collection
+    guidanceHistory: [],
+    capturing: false,
+    // Auto capture: when the checks started passing continuously; last spoken guidance prompt
+    stableSince: null,
+    lastSpoken: { text: null, at: 0 },
+    // Uploaded images share the Pose instance: detections run one at a time and the
+    // results callback hands each result to the image that is being processed
+    detectionQueue: Promise.resolve(),
+    pendingDetection: null,
+
+    // Landmarks are averaged over a short window at capture; the server can override via /app-config.js
+    captureConfig: {
+        windowMs: 2000,
+        maxFrames: 60,
+        minFrames: 10,
+        autoStableMs: 1500
+    },
 
     init() {
         this.canvasCtx = this.canvasElement.getContext('2d');
@@ -20,11 +40,16 @@ const CameraHandler = {
         console.log('Starting camera analysis...');
         try {
             Elements.startBtn.disabled = true;
-            Elements.captureBtn.disabled = false;
+            // Enabled by updateCaptureGuidance once the patient is framed, still and oriented
+            Elements.captureBtn.disabled = true;
             AppState.currentPhase = 0;
+            this.guidanceHistory = [];
+            // The standing views, then the Adams forward bend when scoliosis screening is selected
+            AppState.phases = AppState.phases.filter(phase => phase.name !== 'forwardBend');
+            if (Elements.scoliosisScreeningToggle?.checked) AppState.phases.push(AppState.forwardBendPhase);
             AppState.capturedData = { 
-                front: null, sideLeft: null, sideRight: null, back: null, 
-                frontLandmarks: null, sideLeftLandmarks: null, sideRightLandmarks: null, backLandmarks: null 
+                front: null, sideLeft: null, sideRight: null, back: null, forwardBend: null,
+                frontLandmarks: null, sideLeftLandmarks: null, sideRightLandmarks: null, backLandmarks: null, forwardBendLandmarks: null
             };
             Elements.capturedImagesDiv.innerHTML = '';
 
@@ -40,6 +65,7 @@ const CameraHandler = {
 
             setTimeout(() => {
                 Elements.statusText.innerHTML = `<span class="instruction">${AppState.phases[AppState.currentPhase].instruction}</span>`;
+                this.speak(AppState.phases[AppState.currentPhase].instruction);
             }, 2000);
         } catch (error) {
             console.error('Error starting analysis:', error);
@@ -57,6 +83,10 @@ const CameraHandler = {
         let countdownValue = 3;
         this.countdown.classList.remove('hidden');
         Elements.captureBtn.disabled = true;
+        this.capturing = true;
+        this.stableSince = null;
+        this.guidancePanel?.classList.add('hidden');
+        this.speak('Hold still');
 
         const countdownInterval = setInterval(() => {
             this.countdown.textContent = countdownValue;
@@ -69,70 +99,181 @@ const CameraHandler = {
             if (countdownValue < 0) {
                 clearInterval(countdownInterval);
                 this.countdown.classList.add('hidden');
-                this.processCapturedImage();
+                this.collectCaptureFrames().then(({ frames, worldFrames, contour }) => this.processCapturedImage(frames, worldFrames, contour));
             }
         }, 1000);
     },
 
-    processCapturedImage() {
+    getCaptureConfig() {
+        return { ...this.captureConfig, ...(window.APP_CONFIG?.capture || {}) };
+    },
+
+    // Resolves with every pose seen during the capture window, or once maxFrames have arrived,
+    // as { frames, worldFrames, contour } - the image landmarks, MediaPipe's 3D world landmarks and,
+    // for the front and back views, the body outline traced from the last frame's segmentation mask
+    collectCaptureFrames() {
+        const { windowMs, maxFrames } = this.getCaptureConfig();
+        const view = AppState.phases[AppState.currentPhase].name;
+        Elements.statusText.innerHTML = 'Hold still - measuring... <div class="loading"></div>';
+
+        return new Promise(resolve => {
+            const frames = [];
+            const worldFrames = [];
+            let contour = null;
+            const finish = () => {
+                clearTimeout(timer);
+                this.frameCollector = null;
+                resolve({ frames, worldFrames, contour });
+            };
+            const timer = setTimeout(finish, windowMs);
+
+            this.frameCollector = (landmarks, worldLandmarks, mask) => {
+                const pose = this.orientPose(JSON.parse(JSON.stringify(landmarks)),
+                    worldLandmarks ? JSON.parse(JSON.stringify(worldLandmarks)) : null, view);
+                frames.push(pose.landmarks);
+                if (pose.worldLandmarks) worldFrames.push(pose.worldLandmarks);
+                if (mask) contour = this.traceContour(mask, view, this.canvasElement.width, this.canvasElement.height) || contour;
+                if (frames.length >= maxFrames) finish();
+            };
+        });
+    },
+
+    // Puts left/right landmark pairs on the patient's anatomical sides before they are averaged or
+    // stored, so the landmark editor and report label the same sides as the analysis. World landmarks
+    // are swapped together with the image landmarks they were detected with.
+    orientPose(landmarks, worldLandmarks, view) {
+        return landmarks && typeof AnalysisEngine !== 'undefined'
+            ? AnalysisEngine.orientPose(landmarks, worldLandmarks, view)
+            : { landmarks, worldLandmarks };
+    },
+
+    // Body outline for the silhouette measurements, traced while the mask is still valid.
+    // Only the front, back and forward bend views are measured from the silhouette.
+    traceContour(mask, view, width, height) {
+        if (view !== 'front' && view !== 'back' && view !== 'forwardBend') return null;
+        if (typeof BodyContour === 'undefined') return null;
+        try {
+            return BodyContour.extractFromMask(mask, width, height);
+        } catch (error) {
+            console.warn('Could not trace the segmentation mask:', error);
+            return null;
+        }
+    },
+
+    processCapturedImage(frames, worldFrames = [], contour = null) {
+        const { windowMs, minFrames } = this.getCaptureConfig();
+        const averaged = LandmarkAveraging.averageFrames(frames);
+        const instruction = AppState.phases[AppState.currentPhase].instruction;
+
+        this.capturing = false;
+        this.guidanceHistory = [];
+
+        if (averaged.frameCount < minFrames) {
+            Elements.statusText.innerHTML = `<span class="instruction">Pose detected in only ${averaged.frameCount} frame(s) - stay in view, hold still and capture again. ${instruction}</span>`;
+            this.speak('Capture failed. Stay in view and hold still.');
+            return;
+        }
+
         const tempCanvas = document.createElement('canvas');
         tempCanvas.width = this.canvasElement.width;
         tempCanvas.height = this.canvasElement.height;
         const tempCtx = tempCanvas.getContext('2d');
 
+        // The plain video frame, without the live skeleton, so the photo can be annotated later
         tempCtx.save();
         tempCtx.scale(-1, 1);
-        tempCtx.drawImage(this.canvasElement, -tempCanvas.width, 0);
+        tempCtx.drawImage(this.videoElement, -tempCanvas.width, 0, tempCanvas.width, tempCanvas.height);
         tempCtx.restore();
 
         const imageData = tempCanvas.toDataURL('image/png');
         const phaseName = AppState.phases[AppState.currentPhase].name;
 
+        // The card shows the selected overlays; the stored photo stays clean for the editor and report
+        const overlayDrawn = this.drawReferenceOverlay(tempCtx, phaseName, averaged.landmarks, { mirrored: true, labels: true });
+        const displayImage = overlayDrawn ? tempCanvas.toDataURL('image/png') : imageData;
+
         AppState.capturedData[phaseName] = imageData;
-        AppState.capturedData[phaseName + 'Landmarks'] = JSON.parse(JSON.stringify(this.currentLandmarks));
+        AppState.capturedData[phaseName + 'Landmarks'] = averaged.landmarks;
+        AppState.capturedData[phaseName + 'Frames'] = averaged.frames;
+        // 3D world landmarks in metres, averaged like the image landmarks (1 cm jitter is never rejected)
+        AppState.capturedData[phaseName + 'WorldLandmarks'] = worldFrames.length > 0
+            ? LandmarkAveraging.averageFrames(worldFrames, { minRejectDistance: 0.01 }).landmarks
+            : null;
+        // Segmentation mask outline in unmirrored image coordinates, like the landmarks
+        AppState.capturedData[phaseName + 'Contour'] = contour;
+        AppState.capturedData[phaseName + 'Adjusted'] = null;
+        AppState.capturedData[phaseName + 'ReferenceMark'] = null;
+        // Stored as the mirrored selfie view; landmarks stay in unmirrored image coordinates
+        AppState.capturedData[phaseName + 'Mirrored'] = true;
+        // Landmarks are normalized to the frame, so the engine needs its size to measure in pixels
+        AppState.capturedData[phaseName + 'ImageSize'] = { width: tempCanvas.width, height: tempCanvas.height };
+        AppState.capturedData[phaseName + 'Capture'] = {
+            frameCount: averaged.frameCount,
+            rejectedSamples: averaged.rejectedSamples,
+            windowMs,
+            landmarkStdDev: averaged.stdDev.map(sd => ({
+                x: +sd.x.toFixed(5),
+                y: +sd.y.toFixed(5),
+                z: +sd.z.toFixed(5)
+            }))
+        };
 
         let viewLabel = phaseName.charAt(0).toUpperCase() + phaseName.slice(1);
         if (phaseName === 'sideLeft') viewLabel = 'Side Left';
         if (phaseName === 'sideRight') viewLabel = 'Side Right';
+        if (phaseName === 'forwardBend') viewLabel = 'Forward Bend';
 
         const imageDiv = document.createElement('div');
         imageDiv.className = 'captured-image';
         imageDiv.innerHTML = `
             <h3>${viewLabel} View</h3>
-            <img src="${imageData}" alt="${phaseName} view">
+            <img src="${displayImage}" alt="${phaseName} view">
+            <div class="capture-stats">Averaged over ${averaged.frameCount} frames, ${averaged.rejectedSamples} outlier point(s) removed</div>
         `;
         Elements.capturedImagesDiv.appendChild(imageDiv);
+        if (typeof LandmarkEditor !== 'undefined') {
+            LandmarkEditor.attachToCard(imageDiv, phaseName);
+        }
 
         AppState.currentPhase++;
 
         if (AppState.currentPhase < AppState.phases.length) {
             Elements.statusText.innerHTML = `<span class="instruction">${AppState.phases[AppState.currentPhase].instruction}</span>`;
-            Elements.captureBtn.disabled = false;
             this.measurementOverlay.classList.add('hidden');
+            this.speak(AppState.phases[AppState.currentPhase].instruction);
         } else {
             Elements.statusText.innerHTML = 'Comprehensive clinical analysis complete! Click "Download Clinical Report" for your detailed assessment.';
             Elements.captureBtn.disabled = true;
             Elements.downloadBtn.disabled = false;
             this.measurementOverlay.classList.add('hidden');
+            this.guidancePanel?.classList.add('hidden');
+            this.speak('All views captured. The assessment is complete.');
             if (typeof AnalysisEngine !== 'undefined') {
                 AnalysisEngine.analyzePosture();
             }
+            if (typeof PatientRecords !== 'undefined') {
+                PatientRecords.onAnalysisComplete();
+            }
         }
     },
 
     initializePose() {
         console.log('Initializing MediaPipe Pose...');
         try {
+            // Model and wasm files come from the server's /vendor route unless configured for CDN
+            const poseBase = window.APP_CONFIG?.mediapipePoseBase || '/vendor/mediapipe/pose';
             this.pose = new Pose({
                 locateFile: (file) => {
-                    return `https://cdn.jsdelivr.net/npm/@mediapipe/pose/${file}`;
+                    return `${poseBase}/${file}`;
                 }
             });
 
             this.pose.setOptions({
                 modelComplexity: 1,
                 smoothLandmarks: true,
-                enableSegmentation: false,
+                // The segmentation mask gives the body outline for the silhouette measurements
+                enableSegmentation: true,
+                smoothSegmentation: true,
                 minDetectionConfidence: 0.7,
                 minTrackingConfidence: 0.7
             });
@@ -154,6 +295,11 @@ const CameraHandler = {
 
             this.canvasCtx.drawImage(results.image, 0, 0, this.canvasElement.width, this.canvasElement.height);
 
+            if (AppState.currentPhase < AppState.phases.length) {
+                // Unmirrored and unlabelled - the canvas is flipped by CSS, which would mirror text
+                this.drawReferenceOverlay(this.canvasCtx, AppState.phases[AppState.currentPhase].name, results.poseLandmarks);
+            }
+
             if (results.poseLandmarks) {
                 drawConnectors(this.canvasCtx, results.poseLandmarks, POSE_CONNECTIONS,
                     { color: '#00FF00', lineWidth: 3 });
@@ -162,6 +308,7 @@ const CameraHandler = {
 
                 this.currentLandmarks = results.poseLandmarks;
                 this.poseIndicator.classList.remove('hidden');
+                if (this.frameCollector) this.frameCollector(results.poseLandmarks, results.poseWorldLandmarks, results.segmentationMask);
 
                 if (AppState.currentPhase < AppState.phases.length) {
                     this.showRealTimeMeasurements(results.poseLandmarks);
@@ -171,57 +318,164 @@ const CameraHandler = {
                 this.measurementOverlay.classList.add('hidden');
                 this.currentLandmarks = null;
             }
+            this.updateCaptureGuidance(results.poseLandmarks);
 
             this.canvasCtx.restore();
-        } else {
-            if (results.poseLandmarks) {
-                this.currentLandmarks = results.poseLandmarks;
+        } else if (this.pendingDetection) {
+            this.pendingDetection(results);
+        }
+    },
+
+    getOverlayOptions() {
+        return {
+            plumb: !!Elements.plumbLineToggle?.checked,
+            levels: !!Elements.referenceLinesToggle?.checked,
+            grid: !!Elements.postureGridToggle?.checked
+        };
+    },
+
+    // Draws the plumb line, reference lines and posture grid selected under the controls.
+    // Returns false when none is selected.
+    drawReferenceOverlay(ctx, phaseName, landmarks, options = {}) {
+        const selected = this.getOverlayOptions();
+        if (typeof ImageAnnotator === 'undefined' || (!selected.plumb && !selected.levels && !selected.grid)) {
+            return false;
+        }
+        const { width, height } = ctx.canvas;
+        const overlay = ImageAnnotator.buildReferenceOverlay(phaseName, landmarks,
+            { ...selected, ...options, aspectRatio: width / height });
+        ImageAnnotator.render(ctx, overlay, width, height);
+        return true;
+    },
+
+    // Runs the CaptureGuidance checks for the current phase, shows a prompt for each failed
+    // check and enables Capture only when all of them pass
+    updateCaptureGuidance(landmarks) {
+        const analysisRunning = Elements.startBtn.disabled && AppState.currentPhase < AppState.phases.length;
+        if (!this.guidancePanel || !analysisRunning || this.capturing) return;
+
+        if (!landmarks) {
+            this.guidanceHistory = [];
+            this.stableSince = null;
+            Elements.captureBtn.disabled = true;
+            this.guidancePanel.innerHTML = '<div class="guidance-check failed">✗ No person detected - stand in front of the camera</div>';
+            this.guidancePanel.classList.remove('hidden');
+            return;
+        }
+
+        const { stillnessFrames } = CaptureGuidance.defaults;
+        this.guidanceHistory.push(landmarks.map(point => ({ x: point.x, y: point.y })));
+        if (this.guidanceHistory.length > stillnessFrames) this.guidanceHistory.shift();
+
+        const phaseName = AppState.phases[AppState.currentPhase].name;
+        const aspectRatio = this.canvasElement.width / this.canvasElement.height || 4 / 3;
+        const guidance = CaptureGuidance.evaluate(landmarks, phaseName, this.guidanceHistory, { aspectRatio });
+
+        const autoCapture = Elements.autoCaptureToggle?.checked;
+        let readyText = 'Ready - click Capture Image';
+
+        if (!guidance.ready) {
+            this.stableSince = null;
+            this.speakPrompt(guidance.prompts[0]);
+        } else if (autoCapture) {
+            const now = Date.now();
+            const { autoStableMs } = this.getCaptureConfig();
+            if (this.stableSince === null) this.stableSince = now;
+            if (now - this.stableSince >= autoStableMs) {
+                this.captureImage();
+                return;
             }
+            readyText = `Stable - capturing automatically in ${((autoStableMs - (now - this.stableSince)) / 1000).toFixed(1)} s`;
         }
+
+        this.guidancePanel.innerHTML = guidance.checks.map(check => check.passed
+            ? `<div class="guidance-check passed">✓ ${check.label}</div>`
+            : `<div class="guidance-check failed">✗ ${check.label}: ${check.prompt}</div>`
+        ).join('') + (guidance.ready ? `<div class="guidance-ready">${readyText}</div>` : '');
+        this.guidancePanel.classList.remove('hidden');
+        Elements.captureBtn.disabled = !guidance.ready;
+    },
+
+    // Reads text aloud when voice prompts are switched on; newer text interrupts older
+    speak(text) {
+        if (!Elements.voicePromptsToggle?.checked || typeof speechSynthesis === 'undefined') return;
+        speechSynthesis.cancel();
+        speechSynthesis.speak(new SpeechSynthesisUtterance(text));
+        this.lastSpoken = { text, at: Date.now() };
+    },
+
+    // Guidance prompts change every frame; speak a new one after a pause and repeat one only occasionally
+    speakPrompt(text) {
+        const elapsed = Date.now() - this.lastSpoken.at;
+        if (elapsed < 3000 || (text === this.lastSpoken.text && elapsed < 8000)) return;
+        this.speak(text);
+    },
+
+    // Marks an overlay line whose landmarks are not clearly visible
+    lowConfidenceTag(analysis, ...keys) {
+        const reliable = keys.every(key => AnalysisEngine.isReliable(analysis, key));
+        return reliable ? '' : ' <span class="low-confidence">LOW CONFIDENCE</span>';
+    },
+
+    // Marks an overlay line whose measurement falls outside the configured normal range
+    rangeTag(analysis, ...keys) {
+        const key = keys.find(key => AnalysisEngine.isOutsideNormal(key, analysis.measurements[key]));
+        return key ? ` <span class="out-of-range">(normal ${AnalysisEngine.formatNormalRange(key)})</span>` : '';
     },
 
     showRealTimeMeasurements(landmarks) {
         let measurements = '';
         const currentView = AppState.phases[AppState.currentPhase].name;
+        const imageSize = { width: this.canvasElement.width, height: this.canvasElement.height };
 
         if (currentView === 'front') {
             if (typeof AnalysisEngine !== 'undefined') {
-                const frontAnalysis = AnalysisEngine.analyzeFrontView(landmarks);
+                const frontAnalysis = AnalysisEngine.analyzeFrontView(landmarks, null, imageSize);
                 measurements = `
                     <div style="font-weight: bold; margin-bottom: 5px;">FRONT VIEW - REAL-TIME MEASUREMENTS:</div>
-                    <div>Ear Pinnae Level: ${frontAnalysis.measurements.earPinnaeLevel}° (${frontAnalysis.measurements.earPinnaeLevelCm} cm)</div>
-                    <div>Neck Level: ${frontAnalysis.measurements.neckLevel}° (${frontAnalysis.measurements.neckLevelCm} cm)</div>
-                    <div>Shoulder Level: ${frontAnalysis.measurements.shoulderLevel}° (${frontAnalysis.measurements.shoulderLevelCm} cm)</div>
-                    <div>Elbow Level: ${frontAnalysis.measurements.elbowLevel}° (${frontAnalysis.measurements.elbowLevelCm} cm)</div>
-                    <div>Pelvic Obliquity: ${frontAnalysis.measurements.pelvicObliquity}° (${frontAnalysis.measurements.pelvicObliquityCm} cm)</div>
-                    <div>Knee Level: ${frontAnalysis.measurements.kneeLevel}° (${frontAnalysis.measurements.kneeLevelCm} cm)</div>
-                    <div>Knee Alignment: L:${frontAnalysis.measurements.leftKneeAlignment}° R:${frontAnalysis.measurements.rightKneeAlignment}°</div>
+                    <div>Ear Pinnae Level: ${frontAnalysis.measurements.earPinnaeLevel}° (${frontAnalysis.measurements.earPinnaeLevelCm} cm)${this.rangeTag(frontAnalysis, 'earPinnaeLevel', 'earPinnaeLevelCm')}${this.lowConfidenceTag(frontAnalysis, 'earPinnaeLevel')}</div>
+                    <div>Neck Level: ${frontAnalysis.measurements.neckLevel}° (${frontAnalysis.measurements.neckLevelCm} cm)${this.rangeTag(frontAnalysis, 'neckLevel', 'neckLevelCm')}${this.lowConfidenceTag(frontAnalysis, 'neckLevel')}</div>
+                    <div>Shoulder Level: ${frontAnalysis.measurements.shoulderLevel}° (${frontAnalysis.measurements.shoulderLevelCm} cm)${this.rangeTag(frontAnalysis, 'shoulderLevel', 'shoulderLevelCm')}${this.lowConfidenceTag(frontAnalysis, 'shoulderLevel')}</div>
+                    <div>Elbow Level: ${frontAnalysis.measurements.elbowLevel}° (${frontAnalysis.measurements.elbowLevelCm} cm)${this.rangeTag(frontAnalysis, 'elbowLevel', 'elbowLevelCm')}${this.lowConfidenceTag(frontAnalysis, 'elbowLevel')}</div>
+                    <div>Pelvic Obliquity: ${frontAnalysis.measurements.pelvicObliquity}° (${frontAnalysis.measurements.pelvicObliquityCm} cm)${this.rangeTag(frontAnalysis, 'pelvicObliquity', 'pelvicObliquityCm')}${this.lowConfidenceTag(frontAnalysis, 'pelvicObliquity')}</div>
+                    <div>Knee Level: ${frontAnalysis.measurements.kneeLevel}° (${frontAnalysis.measurements.kneeLevelCm} cm)${this.rangeTag(frontAnalysis, 'kneeLevel', 'kneeLevelCm')}${this.lowConfidenceTag(frontAnalysis, 'kneeLevel')}</div>
+                    <div>Knee Alignment: L:${frontAnalysis.measurements.leftKneeAlignment}° R:${frontAnalysis.measurements.rightKneeAlignment}°${this.rangeTag(frontAnalysis, 'leftKneeAlignment', 'rightKneeAlignment')}${this.lowConfidenceTag(frontAnalysis, 'leftKneeAlignment', 'rightKneeAlignment')}</div>
                 `;
             }
         } else if (currentView === 'sideLeft' || currentView === 'sideRight') {
             if (typeof AnalysisEngine !== 'undefined') {
-                const sideAnalysis = AnalysisEngine.analyzeSideView(landmarks);
+                const sideAnalysis = AnalysisEngine.analyzeSideView(landmarks, currentView === 'sideLeft' ? 'left' : 'right', null, imageSize);
                 const viewLabel = currentView === 'sideLeft' ? 'SIDE LEFT' : 'SIDE RIGHT';
                 measurements = `
-                    <div style="font-weight: bold; margin-bottom: 5px;">${viewLabel} VIEW - REAL-TIME MEASUREMENTS:</div>
-                    <div>Forward Neck: ${sideAnalysis.measurements.forwardNeck}° (${sideAnalysis.measurements.forwardNeckCm} cm)</div>
-                    <div>Chin Forward: ${sideAnalysis.measurements.chinForward}° (${sideAnalysis.measurements.chinForwardCm} cm)</div>
-                    <div>Shoulder Position: ${sideAnalysis.measurements.shoulderPosition}° ${sideAnalysis.measurements.shoulderPostureType || ''}</div>
-                    <div>Thoracic Curvature: ${sideAnalysis.measurements.thoracicCurvature}° (${sideAnalysis.measurements.thoracicCurvatureType || 'Normal'})</div>
-                    <div>Lumbar Curvature: ${sideAnalysis.measurements.lumbarCurvature}° (${sideAnalysis.measurements.lumbarCurvatureType || 'Normal'})</div>
-                    <div>Knee Position: ${sideAnalysis.measurements.kneePosition}° ${sideAnalysis.measurements.kneePositionType || ''}</div>
+                    <div style="font-weight: bold; margin-bottom: 5px;">${viewLabel} VIEW - REAL-TIME MEASUREMENTS (${sideAnalysis.measurements.landmarkSide} landmarks):</div>
+                    <div>Craniovertebral Angle: ${sideAnalysis.measurements.craniovertebralAngle}° (head ${sideAnalysis.measurements.headOverShoulderCm} cm over shoulder)${this.rangeTag(sideAnalysis, 'craniovertebralAngle', 'headOverShoulderCm')}${this.lowConfidenceTag(sideAnalysis, 'craniovertebralAngle')}</div>
+                    <div>Chin Forward: ${sideAnalysis.measurements.chinForward}° (${sideAnalysis.measurements.chinForwardCm} cm)${this.rangeTag(sideAnalysis, 'chinForward')}${this.lowConfidenceTag(sideAnalysis, 'chinForward')}</div>
+                    <div>Trunk Inclination: ${sideAnalysis.measurements.trunkInclination}° (shoulder ${sideAnalysis.measurements.shoulderOverHipCm} cm over hip)${this.rangeTag(sideAnalysis, 'trunkInclination', 'shoulderOverHipCm')}${this.lowConfidenceTag(sideAnalysis, 'trunkInclination', 'shoulderOverHipCm')}</div>
+                    <div>Hip over Ankle: ${sideAnalysis.measurements.hipOverAnkleCm} cm${this.rangeTag(sideAnalysis, 'hipOverAnkleCm')}${this.lowConfidenceTag(sideAnalysis, 'hipOverAnkleCm')}</div>
+                    <div>Knee Hyperextension: ${sideAnalysis.measurements.kneeHyperextension}°${this.rangeTag(sideAnalysis, 'kneeHyperextension')}${this.lowConfidenceTag(sideAnalysis, 'kneeHyperextension')}</div>
+                    <div>Thoracic Curvature (estimate): ${sideAnalysis.measurements.thoracicCurvature}° (${sideAnalysis.measurements.thoracicCurvatureType || 'Normal'})${this.rangeTag(sideAnalysis, 'thoracicCurvature')}${this.lowConfidenceTag(sideAnalysis, 'thoracicCurvature')}</div>
+                    <div>Lumbar Curvature (estimate): ${sideAnalysis.measurements.lumbarCurvature}° (${sideAnalysis.measurements.lumbarCurvatureType || 'Normal'})${this.rangeTag(sideAnalysis, 'lumbarCurvature')}${this.lowConfidenceTag(sideAnalysis, 'lumbarCurvature')}</div>
                 `;
             }
         } else if (currentView === 'back') {
             if (typeof AnalysisEngine !== 'undefined') {
-                const backAnalysis = AnalysisEngine.analyzeBackView(landmarks);
+                const backAnalysis = AnalysisEngine.analyzeBackView(landmarks, null, imageSize);
                 measurements = `
                     <div style="font-weight: bold; margin-bottom: 5px;">BACK VIEW - REAL-TIME MEASUREMENTS:</div>
-                    <div>Elbow Level: ${backAnalysis.measurements.elbowLevel}° (${backAnalysis.measurements.elbowLevelCm} cm)</div>
-                    <div>Scapular Level: ${backAnalysis.measurements.scapularLevel}° (${backAnalysis.measurements.scapularLevelCm} cm)</div>
-                    <div>PSIS Level: ${backAnalysis.measurements.psisLevel}° (${backAnalysis.measurements.psisLevelCm} cm)</div>
-                    <div>Gluteal Fold Asymmetry: ${backAnalysis.measurements.glutealFoldAsymmetry}%</div>
-                    <div>Popliteal Line: ${backAnalysis.measurements.poplitealLine}° (${backAnalysis.measurements.poplitealLineCm} cm)</div>
+                    <div>Elbow Level: ${backAnalysis.measurements.elbowLevel}° (${backAnalysis.measurements.elbowLevelCm} cm)${this.rangeTag(backAnalysis, 'elbowLevel', 'elbowLevelCm')}${this.lowConfidenceTag(backAnalysis, 'elbowLevel')}</div>
+                    <div>Scapular Level: ${backAnalysis.measurements.scapularLevel}° (${backAnalysis.measurements.scapularLevelCm} cm)${this.rangeTag(backAnalysis, 'scapularLevel', 'scapularLevelCm')}${this.lowConfidenceTag(backAnalysis, 'scapularLevel')}</div>
+                    <div>PSIS Level: ${backAnalysis.measurements.psisLevel}° (${backAnalysis.measurements.psisLevelCm} cm)${this.rangeTag(backAnalysis, 'psisLevel', 'psisLevelCm')}${this.lowConfidenceTag(backAnalysis, 'psisLevel')}</div>
+                    <div>Gluteal Fold Asymmetry: ${backAnalysis.measurements.glutealFoldAsymmetry}%${this.rangeTag(backAnalysis, 'glutealFoldAsymmetry')}${this.lowConfidenceTag(backAnalysis, 'glutealFoldAsymmetry')}</div>
+                    <div>Popliteal Line: ${backAnalysis.measurements.poplitealLine}° (${backAnalysis.measurements.poplitealLineCm} cm)${this.rangeTag(backAnalysis, 'poplitealLine', 'poplitealLineCm')}${this.lowConfidenceTag(backAnalysis, 'poplitealLine')}</div>
+                `;
+            }
+        } else if (currentView === 'forwardBend') {
+            if (typeof AnalysisEngine !== 'undefined') {
+                const bendAnalysis = AnalysisEngine.analyzeForwardBendView(landmarks, null, imageSize);
+                measurements = `
+                    <div style="font-weight: bold; margin-bottom: 5px;">FORWARD BEND - REAL-TIME MEASUREMENTS:</div>
+                    <div>Shoulder Tilt (estimate): ${bendAnalysis.measurements.bendShoulderTilt}° (${bendAnalysis.measurements.bendShoulderTiltCm} cm ${bendAnalysis.measurements.bendShoulderTiltSide || 'level'})${this.rangeTag(bendAnalysis, 'bendShoulderTilt')}${this.lowConfidenceTag(bendAnalysis, 'bendShoulderTilt')}</div>
+                    <div>Rib hump is measured from the body silhouette after capture</div>
                 `;
             }
         }
@@ -245,7 +499,8 @@ const CameraHandler = {
 
             this.camera = new Camera(this.videoElement, {
                 onFrame: async () => {
-                    if (this.pose) {
+                    // Video frames would interleave with uploaded image detections
+                    if (this.pose && AppState.currentMode === 'camera') {
                         await this.pose.send({ image: this.videoElement });
                     }
                 },
@@ -261,12 +516,40 @@ const CameraHandler = {
         }
     },
 
-    async processUploadedImage(img, view) {
-        if (!this.pose) {
-            this.initializePose();
-            await new Promise(resolve => setTimeout(resolve, 1000));
-        }
+    // Resolves with { landmarks, worldLandmarks, contour } found in a still image, or null when no pose
+    // is found; contour is traced for the front and back views only. pose.send resolves after the
+    // results callback has run for that image.
+    detectPose(image, view = null) {
+        const run = async () => {
+            if (!this.pose) this.initializePose();
+            await this.pose.initialize();
+            // Start from a fresh detection rather than tracking on from the previous image
+            this.pose.reset();
+
+            let pose = null;
+            this.pendingDetection = (results) => {
+                if (!results.poseLandmarks) return;
+                pose = {
+                    landmarks: JSON.parse(JSON.stringify(results.poseLandmarks)),
+                    worldLandmarks: results.poseWorldLandmarks ? JSON.parse(JSON.stringify(results.poseWorldLandmarks)) : null,
+                    contour: results.segmentationMask ? this.traceContour(results.segmentationMask, view, image.width, image.height) : null
+                };
+            };
+            try {
+                await this.pose.send({ image });
+            } finally {
+                this.pendingDetection = null;
+            }
+            return pose;
+        };
+
+        const detection = this.detectionQueue.then(run);
+        this.detectionQueue = detection.catch(() => {});
+        return detection;
+    },
 
+    // Resolves with { view, status, landmarks, worldLandmarks, contour }; status is 'detected', 'no-pose' or 'error'
+    async processUploadedImage(img, view) {
         const tempCanvas = document.createElement('canvas');
         tempCanvas.width = img.width;
         tempCanvas.height = img.height;
@@ -274,19 +557,13 @@ const CameraHandler = {
         tempCtx.drawImage(img, 0, 0);
 
         try {
-            await this.pose.send({ image: tempCanvas });
-            setTimeout(() => {
-                if (this.currentLandmarks) {
-                    AppState.uploadedData[view + 'Landmarks'] = JSON.parse(JSON.stringify(this.currentLandmarks));
-                    let viewLabel = view.charAt(0).toUpperCase() + view.slice(1);
-                    if (view === 'sideLeft') viewLabel = 'Side Left';
-                    if (view === 'sideRight') viewLabel = 'Side Right';
-                    Elements.statusText.innerHTML = `${viewLabel} view processed - pose detected successfully`;
-                }
-            }, 500);
+            const detected = await this.detectPose(tempCanvas, view);
+            if (!detected) return { view, status: 'no-pose', landmarks: null, worldLandmarks: null, contour: null };
+            const { landmarks, worldLandmarks } = this.orientPose(detected.landmarks, detected.worldLandmarks, view);
+            return { view, status: 'detected', landmarks, worldLandmarks, contour: detected.contour };
         } catch (error) {
-            console.warn(`Could not detect pose in ${view} image:`, error);
-            Elements.statusText.innerHTML = `Warning: No pose detected in ${view} image. Analysis may be limited.`;
+            console.warn(`Pose detection failed for ${view} image:`, error);
+            return { view, status: 'error', landmarks: null, worldLandmarks: null, contour: null };
         }
     }
 };
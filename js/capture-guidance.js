@@ -0,0 +1,202 @@
+// capture-guidance.js - Live Framing, Distance, Stillness, Level and Orientation Checks
+//
+// Evaluated on every camera frame before Capture is enabled. All checks work on normalized
+// MediaPipe landmarks; aspectRatio (frame width / height) converts them to pixel proportions.
+// The forwardBend phase (Adams forward bend test) is checked for a bent trunk instead of standing height.
+
+const CaptureGuidance = {
+    defaults: {
+        minVisibility: 0.5,
+        frameMargin: 0.02,          // landmarks closer than this to an edge count as cut off
+        headMargin: 0.06,           // room needed above the nose for the top of the head
+        minBodyHeight: 0.55,        // nose-to-feet span as a fraction of the frame height
+        stillnessFrames: 15,
+        stillnessTolerance: 0.01,   // max landmark travel over stillnessFrames, normalized units
+        levelTolerance: 5,          // body axis tilt from vertical, degrees (front/back)
+        sideLevelTolerance: 10,     // side views include the patient's own sagittal lean
+        frontalMinRatio: 0.45,      // shoulder width / torso height when facing toward or away
+        sideMaxRatio: 0.3,          // shoulder width / torso height when turned 90°
+        faceMinVisibility: 0.6,
+        backMaxFaceVisibility: 0.5,
+        bendMinBodyHeight: 0.35,    // top of the bent back to the feet as a fraction of the frame height
+        bendMaxTorsoRise: 0.5       // shoulders above the hips / shoulder width still counted as bent forward
+    },
+
+    LANDMARKS: {
+        NOSE: 0, LEFT_EYE: 2, RIGHT_EYE: 5, LEFT_EAR: 7, RIGHT_EAR: 8, MOUTH_LEFT: 9, MOUTH_RIGHT: 10,
+        LEFT_SHOULDER: 11, RIGHT_SHOULDER: 12, LEFT_HIP: 23, RIGHT_HIP: 24,
+        LEFT_KNEE: 25, RIGHT_KNEE: 26, LEFT_ANKLE: 27, RIGHT_ANKLE: 28,
+        LEFT_HEEL: 29, RIGHT_HEEL: 30, LEFT_FOOT_INDEX: 31, RIGHT_FOOT_INDEX: 32
+    },
+
+    visibility(point) {
+        return point?.visibility ?? 1;
+    },
+
+    midpoint(a, b) {
+        return { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+    },
+
+    // The better visible landmark of a left/right pair, or null when neither is visible
+    visibleOfPair(landmarks, leftIndex, rightIndex, minVisibility) {
+        const candidates = [landmarks[leftIndex], landmarks[rightIndex]]
+            .filter(point => point && this.visibility(point) >= minVisibility);
+        if (candidates.length === 0) return null;
+        return candidates.reduce((best, point) => this.visibility(point) > this.visibility(best) ? point : best);
+    },
+
+    checkFraming(landmarks, options) {
+        const L = this.LANDMARKS;
+        const { minVisibility, frameMargin, headMargin } = options;
+        const pairs = [
+            [L.LEFT_SHOULDER, L.RIGHT_SHOULDER], [L.LEFT_HIP, L.RIGHT_HIP], [L.LEFT_KNEE, L.RIGHT_KNEE],
+            [L.LEFT_ANKLE, L.RIGHT_ANKLE], [L.LEFT_HEEL, L.RIGHT_HEEL], [L.LEFT_FOOT_INDEX, L.RIGHT_FOOT_INDEX]
+        ];
+        const feet = pairs.slice(3).map(([l, r]) => this.visibleOfPair(landmarks, l, r, minVisibility));
+        const body = pairs.slice(0, 3).map(([l, r]) => this.visibleOfPair(landmarks, l, r, minVisibility));
+        const nose = landmarks[L.NOSE];
+
+        if (feet.some(point => !point || point.y > 1 - frameMargin)) {
+            return { passed: false, prompt: 'Feet are out of frame - step back or tilt the camera down' };
+        }
+        if (!nose || nose.y < headMargin) {
+            return { passed: false, prompt: 'Head is out of frame - step back or raise the camera' };
+        }
+        if (body.some(point => !point)) {
+            return { passed: false, prompt: 'Body not clearly visible - remove obstructions and face the light' };
+        }
+        if ([nose, ...body, ...feet].some(point => point.x < frameMargin || point.x > 1 - frameMargin)) {
+            return { passed: false, prompt: 'Move to the centre of the frame' };
+        }
+        return { passed: true };
+    },
+
+    checkDistance(landmarks, phaseName, options) {
+        const L = this.LANDMARKS;
+        const lowest = Math.max(...[L.LEFT_HEEL, L.RIGHT_HEEL, L.LEFT_FOOT_INDEX, L.RIGHT_FOOT_INDEX]
+            .map(index => landmarks[index]?.y ?? 0));
+        // Bent forward, the head hangs below the back, so the body's top is the back
+        const bending = phaseName === 'forwardBend';
+        const top = bending
+            ? Math.min(...[L.NOSE, L.LEFT_SHOULDER, L.RIGHT_SHOULDER, L.LEFT_HIP, L.RIGHT_HIP].map(index => landmarks[index].y))
+            : landmarks[L.NOSE].y;
+        const bodyHeight = lowest - top;
+
+        if (bodyHeight < (bending ? options.bendMinBodyHeight : options.minBodyHeight)) {
+            return { passed: false, prompt: `Step closer to the camera (body fills ${Math.round(bodyHeight * 100)}% of the frame height)` };
+        }
+        return { passed: true };
+    },
+
+    // history: recent landmark frames, oldest first, including the current one
+    checkStillness(history, options) {
+        const L = this.LANDMARKS;
+        const { stillnessFrames, stillnessTolerance } = options;
+        if (history.length < stillnessFrames) {
+            return { passed: false, prompt: 'Hold still...' };
+        }
+
+        const recent = history.slice(-stillnessFrames);
+        const travel = Math.max(...[L.NOSE, L.LEFT_SHOULDER, L.RIGHT_SHOULDER, L.LEFT_HIP, L.RIGHT_HIP].map(index => {
+            const xs = recent.map(frame => frame[index].x);
+            const ys = recent.map(frame => frame[index].y);
+            return Math.max(Math.max(...xs) - Math.min(...xs), Math.max(...ys) - Math.min(...ys));
+        }));
+
+        if (travel > stillnessTolerance) {
+            return { passed: false, prompt: 'Hold still - movement detected' };
+        }
+        return { passed: true };
+    },
+
+    // A standing body's ankle-to-shoulder axis is close to vertical; a consistent tilt means the camera is not level
+    checkLevel(landmarks, phaseName, options) {
+        const L = this.LANDMARKS;
+        const shoulders = this.midpoint(landmarks[L.LEFT_SHOULDER], landmarks[L.RIGHT_SHOULDER]);
+        const ankles = this.midpoint(landmarks[L.LEFT_ANKLE], landmarks[L.RIGHT_ANKLE]);
+        const dx = (shoulders.x - ankles.x) * options.aspectRatio;
+        const dy = ankles.y - shoulders.y;
+        const tilt = Math.abs(Math.atan2(dx, dy) * 180 / Math.PI);
+        const tolerance = phaseName.startsWith('side') ? options.sideLevelTolerance : options.levelTolerance;
+
+        if (tilt > tolerance) {
+            return { passed: false, prompt: `Camera looks tilted (body axis ${tilt.toFixed(0)}° from vertical) - level the camera and stand upright` };
+        }
+        return { passed: true };
+    },
+
+    checkOrientation(landmarks, phaseName, options) {
+        const L = this.LANDMARKS;
+        const leftShoulder = landmarks[L.LEFT_SHOULDER];
+        const rightShoulder = landmarks[L.RIGHT_SHOULDER];
+        const shoulders = this.midpoint(leftShoulder, rightShoulder);
+        const hips = this.midpoint(landmarks[L.LEFT_HIP], landmarks[L.RIGHT_HIP]);
+        const torsoHeight = Math.abs(hips.y - shoulders.y) || 1e-6;
+        const ratio = Math.abs(leftShoulder.x - rightShoulder.x) * options.aspectRatio / torsoHeight;
+        const faceVisibility = [L.NOSE, L.LEFT_EYE, L.RIGHT_EYE, L.MOUTH_LEFT, L.MOUTH_RIGHT]
+            .reduce((sum, index) => sum + this.visibility(landmarks[index]), 0) / 5;
+
+        if (phaseName === 'forwardBend') {
+            if (faceVisibility > options.backMaxFaceVisibility) {
+                return { passed: false, prompt: 'Turn your back to the camera - your face is visible' };
+            }
+            const shoulderWidth = Math.abs(leftShoulder.x - rightShoulder.x) * options.aspectRatio || 1e-6;
+            if ((hips.y - shoulders.y) / shoulderWidth > options.bendMaxTorsoRise) {
+                return { passed: false, prompt: 'Bend forward from the waist until your back is horizontal, arms hanging and palms together' };
+            }
+            return { passed: true };
+        }
+
+        if (phaseName === 'front' || phaseName === 'back') {
+            const instruction = phaseName === 'front' ? 'Turn to face the camera' : 'Turn your back to the camera';
+            if (ratio < options.frontalMinRatio) {
+                return { passed: false, prompt: `${instruction} - you appear to be turned sideways` };
+            }
+            if (phaseName === 'front' && faceVisibility < options.faceMinVisibility) {
+                return { passed: false, prompt: 'Face the camera - your face is not visible' };
+            }
+            if (phaseName === 'back' && faceVisibility > options.backMaxFaceVisibility) {
+                return { passed: false, prompt: 'Turn your back to the camera - your face is visible' };
+            }
+            return { passed: true };
+        }
+
+        const wanted = phaseName === 'sideLeft' ? 'LEFT' : 'RIGHT';
+        if (ratio > options.sideMaxRatio) {
+            return { passed: false, prompt: `Turn 90° so your ${wanted} side faces the camera` };
+        }
+
+        // The side nearer the camera is the better visible one
+        const sideVisibility = indices => indices.reduce((sum, index) => sum + this.visibility(landmarks[index]), 0);
+        const leftVisibility = sideVisibility([L.LEFT_EAR, L.LEFT_SHOULDER, L.LEFT_HIP, L.LEFT_KNEE]);
+        const rightVisibility = sideVisibility([L.RIGHT_EAR, L.RIGHT_SHOULDER, L.RIGHT_HIP, L.RIGHT_KNEE]);
+        const shown = leftVisibility > rightVisibility ? 'LEFT' : rightVisibility > leftVisibility ? 'RIGHT' : wanted;
+        if (shown !== wanted) {
+            return { passed: false, prompt: `You are showing your ${shown} side - turn around so your ${wanted} side faces the camera` };
+        }
+        return { passed: true };
+    },
+
+    // Returns { ready, checks: [{ id, label, passed, prompt? }], prompts } for the current phase.
+    // Checks after a failed framing check are skipped - they need the whole body in view.
+    evaluate(landmarks, phaseName, history = [landmarks], options = {}) {
+        const settings = { ...this.defaults, aspectRatio: 4 / 3, ...options };
+        const checks = [];
+        const run = (id, label, check) => checks.push({ id, label, ...check() });
+
+        run('framing', 'Whole body in frame', () => this.checkFraming(landmarks, settings));
+        if (checks[0].passed) {
+            run('distance', 'Distance', () => this.checkDistance(landmarks, phaseName, settings));
+            run('orientation', 'Orientation', () => this.checkOrientation(landmarks, phaseName, settings));
+            run('level', 'Camera level', () => this.checkLevel(landmarks, phaseName, settings));
+            run('stillness', 'Standing still', () => this.checkStillness(history, settings));
+        }
+
+        const prompts = checks.filter(check => !check.passed).map(check => check.prompt);
+        return { ready: checks.length === 5 && prompts.length === 0, checks, prompts };
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CaptureGuidance;
+}
@@ -0,0 +1,170 @@
+// clinical-thresholds.js - Normal Limits, Severity Bands and Presets Shared by Engine, Overlay and Report
+//
+// A threshold configuration is { preset, overrides }. resolve() merges the preset onto the adult
+// baseline and the clinician's overrides onto that, giving:
+//   limits         - normal range per AnalysisEngine.metricCatalogue key ({ min?, max?, source? })
+//   severityBands  - multiples of the normal limit graded MILD and MODERATE (beyond that SEVERE)
+//   bilateral      - left/right side view differences reported as asymmetries, in degrees
+// The configuration is stored on the server (GET/PUT /api/thresholds) and loaded by the browser at start-up.
+
+const ClinicalThresholds = {
+    DEFAULT_PRESET: 'adult',
+
+    adult: {
+        limits: {
+            earPinnaeLevel: { max: 3 },
+            earPinnaeLevelCm: { max: 1 },
+            neckLevel: { max: 5 },
+            neckLevelCm: { max: 1.5 },
+            shoulderLevel: { max: 2 },
+            shoulderLevelCm: { max: 1.5 },
+            elbowLevel: { max: 3 },
+            elbowLevelCm: { max: 2 },
+            pelvicObliquity: { max: 2 },
+            pelvicObliquityCm: { max: 1.5 },
+            leftKneeAlignment: { max: 8 },
+            rightKneeAlignment: { max: 8 },
+            kneeLevel: { max: 2 },
+            kneeLevelCm: { max: 1.5 },
+            forwardNeck: { max: 15 },
+            chinForward: { max: 12 },
+            shoulderPosition: { max: 10 },
+            craniovertebralAngle: { min: 50, source: 'Yip et al. 2008; Diab & Moustafa 2012 - below 50° indicates forward head posture' },
+            headOverShoulderCm: { min: -2.5, max: 2.5, source: 'Kendall plumb line - ear lobe over the acromion' },
+            shoulderOverHipCm: { min: -3, max: 3, source: 'Kendall plumb line - acromion over the greater trochanter' },
+            hipOverAnkleCm: { min: -2, max: 4, source: 'Kendall plumb line - greater trochanter slightly anterior to the lateral malleolus' },
+            kneeHyperextension: { max: 5, source: 'Loudon et al. 1998 - genu recurvatum beyond 5°' },
+            trunkInclination: { min: -5, max: 5, source: 'Kendall ideal alignment - trunk vertical over the pelvis' },
+            thoracicCurvature: { min: 20, max: 40 },
+            lumbarCurvature: { min: 40, max: 60 },
+            leftKneePosition: { max: 5 },
+            rightKneePosition: { max: 5 },
+            scapularLevel: { max: 2 },
+            scapularLevelCm: { max: 1.5 },
+            psisLevel: { max: 2 },
+            psisLevelCm: { max: 1.5 },
+            glutealFoldAsymmetry: { max: 3 },
+            poplitealLine: { max: 2 },
+            poplitealLineCm: { max: 1.5 },
+            leftAnkleAlignment: { max: 5 },
+            rightAnkleAlignment: { max: 5 },
+            trunkRotation: { max: 5 },
+            pelvicRotation: { max: 5 },
+            waistTriangleAsymmetry: { max: 30 },
+            trunkShiftCm: { max: 2, source: 'Coronal balance - trunk within 2 cm of the midline between the feet' },
+            bendShoulderTilt: { max: 7, source: 'Bunnell 1984 - angle of trunk rotation over 7° (about 20° Cobb) on forward bending warrants referral' },
+            ribHumpAngle: { max: 7, source: 'Bunnell 1984 - angle of trunk rotation over 7° (about 20° Cobb) on forward bending warrants referral' }
+        },
+        severityBands: { mild: 1.5, moderate: 2.5 },
+        bilateral: { forwardNeck: 3, thoracicCurvature: 5, lumbarCurvature: 5, shoulderPosition: 5, kneePosition: 3 }
+    },
+
+    // Differences from the adult baseline. These are starting points - review them against
+    // your own service's normative data and adjust in the settings screen.
+    presets: {
+        adult: { label: 'Adult (18-64)', overrides: {} },
+        adolescent: {
+            label: 'Adolescent (10-17)',
+            overrides: {
+                limits: {
+                    thoracicCurvature: { min: 20, max: 45 },
+                    kneeHyperextension: { max: 10, source: 'Greater joint laxity in adolescence - recurvatum up to 10° is common' }
+                }
+            }
+        },
+        elderly: {
+            label: 'Older adult (65+)',
+            overrides: {
+                limits: {
+                    craniovertebralAngle: { min: 45, source: 'Nemmers et al. 2009 - CVA decreases with age in community-dwelling older adults' },
+                    thoracicCurvature: { min: 20, max: 50, source: 'Fon et al. 1980 - thoracic kyphosis increases with age' },
+                    trunkInclination: { min: -5, max: 8 }
+                }
+            }
+        }
+    },
+
+    // Editable groups for the settings screen, in display order
+    sections: {
+        severityBands: { mild: 'MILD up to (x normal limit)', moderate: 'MODERATE up to (x normal limit)' },
+        bilateral: {
+            forwardNeck: 'Forward neck (°)', thoracicCurvature: 'Thoracic curvature (°)', lumbarCurvature: 'Lumbar curvature (°)',
+            shoulderPosition: 'Shoulder position (°)', kneePosition: 'Knee position (°)'
+        }
+    },
+
+    isNumber(value) {
+        return typeof value === 'number' && Number.isFinite(value);
+    },
+
+    // Full configuration for { preset, overrides }; unknown presets fall back to adult
+    resolve(config = {}) {
+        const preset = this.presets[config.preset] ? config.preset : this.DEFAULT_PRESET;
+        const layers = [this.presets[preset].overrides, config.overrides || {}];
+        const resolved = {
+            preset,
+            label: this.presets[preset].label,
+            limits: {},
+            severityBands: { ...this.adult.severityBands },
+            bilateral: { ...this.adult.bilateral },
+            customised: Object.keys(config.overrides?.limits || {})
+        };
+        Object.entries(this.adult.limits).forEach(([key, limit]) => { resolved.limits[key] = { ...limit }; });
+
+        layers.forEach(layer => {
+            Object.entries(layer.limits || {}).forEach(([key, limit]) => {
+                if (!resolved.limits[key]) return;
+                // A limit replaces the range as a whole, so an override without `source` drops the citation
+                const { min, max, source } = { ...resolved.limits[key], source: undefined, ...limit };
+                resolved.limits[key] = {};
+                if (this.isNumber(min)) resolved.limits[key].min = min;
+                if (this.isNumber(max)) resolved.limits[key].max = max;
+                if (source) resolved.limits[key].source = source;
+            });
+            ['severityBands', 'bilateral'].forEach(section => {
+                Object.entries(layer[section] || {}).forEach(([key, value]) => {
+                    if (key in resolved[section] && this.isNumber(value)) resolved[section][key] = value;
+                });
+            });
+        });
+        return resolved;
+    },
+
+    // Problems with a { preset, overrides } configuration received from a client, empty when valid
+    validate(config) {
+        const errors = [];
+        if (!config || typeof config !== 'object') return ['configuration must be an object'];
+        if (config.preset !== undefined && !this.presets[config.preset]) {
+            errors.push(`unknown preset "${config.preset}" (expected ${Object.keys(this.presets).join(', ')})`);
+        }
+
+        const overrides = config.overrides || {};
+        Object.entries(overrides.limits || {}).forEach(([key, limit]) => {
+            if (!this.adult.limits[key]) {
+                errors.push(`limits.${key}: unknown measurement`);
+                return;
+            }
+            ['min', 'max'].forEach(bound => {
+                if (limit?.[bound] !== undefined && !this.isNumber(limit[bound])) errors.push(`limits.${key}.${bound} must be a number`);
+            });
+            if (this.isNumber(limit?.min) && this.isNumber(limit?.max) && limit.min > limit.max) {
+                errors.push(`limits.${key}: min is greater than max`);
+            }
+        });
+        ['severityBands', 'bilateral'].forEach(section => {
+            Object.entries(overrides[section] || {}).forEach(([key, value]) => {
+                if (!(key in this.adult[section])) errors.push(`${section}.${key}: unknown setting`);
+                else if (!this.isNumber(value) || value <= 0) errors.push(`${section}.${key} must be a positive number`);
+            });
+        });
+        const bands = this.resolve(config).severityBands;
+        if (errors.length === 0 && bands.mild >= bands.moderate) {
+            errors.push('severityBands.mild must be below severityBands.moderate');
+        }
+        return errors;
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ClinicalThresholds;
+}
@@ -0,0 +1,335 @@
+// exercise-library.js - Structured Corrective Exercise Catalogue Mapped to Deformity Types
+//
+// Each exercise lists the deformity types it addresses (the `type` of AnalysisEngine deformity
+// entries), optionally narrowed by `directions` matched against the deformity's direction.
+// `sideFrom` names the deformity field that says which side to train ('type' reads the
+// Left/Right prefix of the type). An exercise may add an `illustration` path relative to the app
+// root once its image is in the repository.
+
+const ExerciseLibrary = {
+    exercises: [
+        {
+            id: 'chin-tuck',
+            name: 'Chin Tucks',
+            targets: ['Forward Head Posture', 'Ear Pinnae Asymmetry', 'Cervical Lateral Deviation'],
+            sets: 3, reps: '10', hold: '5 s', frequency: 'Daily',
+            contraindications: ['Acute neck pain with arm symptoms', 'Recent cervical surgery'],
+            progression: ['Supine with head supported', 'Sitting against a wall', 'Standing with band resistance']
+        },
+        {
+            id: 'deep-neck-flexor-hold',
+            name: 'Deep Neck Flexor Holds',
+            targets: ['Forward Head Posture'],
+            sets: 3, reps: '5', hold: '10 s', frequency: 'Daily',
+            contraindications: ['Dizziness or visual symptoms during neck movement'],
+            progression: ['Supine head nod', 'Supine head lift 1 cm', 'Quadruped head nod']
+        },
+        {
+            id: 'cervical-lateral-stretch',
+            name: 'Cervical Lateral Flexion Stretch',
+            targets: ['Cervical Lateral Deviation'],
+            sideFrom: 'direction',
+            sets: 3, reps: '1', hold: '30 s', frequency: 'Daily',
+            contraindications: ['Radiating arm pain or numbness during the stretch'],
+            progression: ['Active stretch without assistance', 'Hand-assisted overpressure', 'Stretch with opposite shoulder depressed']
+        },
+        {
+            id: 'upper-trapezius-stretch',
+            name: 'Upper Trapezius Stretch',
+            targets: ['Shoulder Level Asymmetry', 'Scapular Height Asymmetry'],
+            sideFrom: 'elevated',
+            sets: 3, reps: '1', hold: '30 s', frequency: 'Daily',
+            contraindications: ['Acute neck pain with arm symptoms'],
+            progression: ['Seated active stretch', 'Hand-assisted overpressure', 'Stretch holding a light weight']
+        },
+        {
+            id: 'prone-y-raise',
+            name: 'Prone Y-Raises',
+            targets: ['Shoulder Level Asymmetry', 'Scapular Height Asymmetry', 'Thoracic Curvature'],
+            directions: ['EXCESSIVE', ''],
+            sideFrom: 'depressed',
+            sets: 3, reps: '12', frequency: '4x/week',
+            contraindications: ['Shoulder impingement pain above 90° elevation'],
+            progression: ['Arms only, no load', 'Holding 0.5-1 kg', 'Holding 1-2 kg with 3 s hold']
+        },
+        {
+            id: 'wall-slide',
+            name: 'Wall Slides with Scapular Depression',
+            targets: ['Scapular Height Asymmetry', 'Elbow Level Asymmetry', 'Shoulder Position Deviation'],
+            sets: 3, reps: '10', frequency: '5x/week',
+            contraindications: ['Painful arc during shoulder elevation'],
+            progression: ['Back against the wall', 'Forearms on the wall with foam roller', 'Resistance band around the wrists']
+        },
+        {
+            id: 'doorway-pec-stretch',
+            name: 'Doorway Pectoral Stretch',
+            targets: ['Shoulder Position Deviation', 'Forward Head Posture'],
+            directions: ['ANTERIOR'],
+            sets: 3, reps: '1', hold: '30 s', frequency: 'Daily',
+            contraindications: ['Anterior shoulder instability or recent dislocation'],
+            progression: ['Elbows at 90°, single arm', 'Both arms with step through', 'Arms at 120° elevation']
+        },
+        {
+            id: 'band-row',
+            name: 'Resistance Band Rows',
+            targets: ['Shoulder Position Deviation', 'Thoracic Curvature'],
+            directions: ['ANTERIOR', 'EXCESSIVE'],
+            sets: 3, reps: '12', frequency: '4x/week',
+            contraindications: ['Acute shoulder or elbow pain'],
+            progression: ['Light band, seated', 'Medium band, standing', 'Heavy band with 2 s hold at retraction']
+        },
+        {
+            id: 'serratus-punch',
+            name: 'Serratus Punches',
+            targets: ['Shoulder Position Deviation'],
+            directions: ['POSTERIOR'],
+            sets: 3, reps: '12', frequency: '3x/week',
+            contraindications: ['Acute shoulder pain'],
+            progression: ['Supine, no load', 'Supine with 1-2 kg', 'Standing band punch']
+        },
+        {
+            id: 'thoracic-extension-roller',
+            name: 'Thoracic Extension over Foam Roller',
+            targets: ['Thoracic Curvature'],
+            directions: ['EXCESSIVE'],
+            sets: 2, reps: '10', frequency: 'Daily',
+            contraindications: ['Osteoporosis or vertebral fracture', 'Acute thoracic pain'],
+            progression: ['Hands supporting the head', 'Arms crossed on the chest', 'Arms overhead']
+        },
+        {
+            id: 'cat-camel',
+            name: 'Cat-Camel Spinal Mobility',
+            targets: ['Thoracic Curvature', 'Lumbar Curvature'],
+            directions: ['REDUCED'],
+            sets: 2, reps: '10', frequency: 'Daily',
+            contraindications: ['Acute disc symptoms aggravated by flexion'],
+            progression: ['Small range, quadruped', 'Full range, quadruped', 'Segmental control, pausing at each level']
+        },
+        {
+            id: 'hip-flexor-stretch',
+            name: 'Half-Kneeling Hip Flexor Stretch',
+            targets: ['Lumbar Curvature'],
+            directions: ['EXCESSIVE'],
+            sets: 3, reps: '1', hold: '30 s', frequency: 'Daily',
+            contraindications: ['Knee pain when kneeling (use a cushion or standing version)'],
+            progression: ['Half-kneeling with posterior pelvic tilt', 'Add arm reach overhead', 'Rear foot elevated']
+        },
+        {
+            id: 'dead-bug',
+            name: 'Dead Bug',
+            targets: ['Lumbar Curvature', 'Pelvic Obliquity'],
+            directions: ['EXCESSIVE', ''],
+            sets: 3, reps: '8 per side', frequency: '5x/week',
+            contraindications: ['Diastasis recti with doming', 'Acute low back pain'],
+            progression: ['Heel taps, arms static', 'Opposite arm and leg', 'Arm and leg with band resistance']
+        },
+        {
+            id: 'prone-press-up',
+            name: 'Prone Press-Ups',
+            targets: ['Lumbar Curvature'],
+            directions: ['REDUCED'],
+            sets: 2, reps: '10', frequency: 'Daily',
+            contraindications: ['Spinal stenosis or spondylolisthesis', 'Pain spreading into the leg'],
+            progression: ['Prone on elbows', 'Half press-up', 'Full press-up with hips relaxed']
+        },
+        {
+            id: 'side-lying-hip-abduction',
+            name: 'Side-Lying Hip Abduction',
+            targets: ['Pelvic Obliquity', 'PSIS Asymmetry'],
+            sideFrom: 'depressed',
+            sets: 3, reps: '12', frequency: '4x/week',
+            contraindications: ['Greater trochanteric pain when lying on the side'],
+            progression: ['Body weight', 'Ankle weight 1 kg', 'Standing band abduction']
+        },
+        {
+            id: 'quadratus-lumborum-stretch',
+            name: 'Quadratus Lumborum Stretch',
+            targets: ['Pelvic Obliquity', 'PSIS Asymmetry'],
+            sideFrom: 'elevated',
+            sets: 3, reps: '1', hold: '30 s', frequency: 'Daily',
+            contraindications: ['Acute low back pain'],
+            progression: ['Standing side bend', 'Side bend with arm overhead', 'Kneeling side bend with hip shift']
+        },
+        {
+            id: 'single-leg-bridge',
+            name: 'Single-Leg Glute Bridge',
+            targets: ['Gluteal Fold Asymmetry', 'Knee Height Asymmetry', 'Popliteal Line Asymmetry'],
+            sideFrom: 'shorter',
+            sets: 3, reps: '10', frequency: '4x/week',
+            contraindications: ['Hamstring cramping or acute low back pain'],
+            progression: ['Double-leg bridge', 'Single-leg bridge', 'Single-leg bridge with feet on a step']
+        },
+        {
+            id: 'clamshell',
+            name: 'Clamshells with Band',
+            targets: ['Left Knee Malalignment', 'Right Knee Malalignment'],
+            directions: ['VALGUS'],
+            sideFrom: 'side',
+            sets: 3, reps: '15', frequency: '4x/week',
+            contraindications: ['Hip pain when lying on the side'],
+            progression: ['No band', 'Light band above the knees', 'Side plank clamshell']
+        },
+        {
+            id: 'lateral-band-walk',
+            name: 'Lateral Band Walks',
+            targets: ['Left Knee Malalignment', 'Right Knee Malalignment'],
+            directions: ['VALGUS'],
+            sets: 3, reps: '10 steps each way', frequency: '4x/week',
+            contraindications: ['Acute knee effusion'],
+            progression: ['Band above the knees', 'Band around the ankles', 'Band around the forefoot in a mini squat']
+        },
+        {
+            id: 'terminal-knee-extension',
+            name: 'Terminal Knee Extension (VMO)',
+            targets: ['Left Knee Malalignment', 'Right Knee Malalignment', 'Left Knee Position', 'Right Knee Position'],
+            directions: ['VALGUS', 'FLEXION'],
+            sideFrom: 'type',
+            sets: 3, reps: '15', frequency: '4x/week',
+            contraindications: ['Patellofemoral pain provoked by the exercise'],
+            progression: ['Quadriceps sets over a towel roll', 'Standing with light band', 'Standing with heavy band and 3 s hold']
+        },
+        {
+            id: 'adductor-squeeze',
+            name: 'Hip Adductor Ball Squeezes',
+            targets: ['Left Knee Malalignment', 'Right Knee Malalignment'],
+            directions: ['VARUS'],
+            sets: 3, reps: '10', hold: '5 s', frequency: '4x/week',
+            contraindications: ['Groin or pubic pain'],
+            progression: ['Supine, knees bent', 'Bridge with ball squeeze', 'Side-lying adduction lifts']
+        },
+        {
+            id: 'itb-foam-roll',
+            name: 'Iliotibial Band Foam Rolling',
+            targets: ['Left Knee Malalignment', 'Right Knee Malalignment'],
+            directions: ['VARUS'],
+            sideFrom: 'side',
+            sets: 1, reps: '60 s', frequency: 'Daily',
+            contraindications: ['Anticoagulant therapy or easy bruising'],
+            progression: ['Soft roller, supported by the top leg', 'Firm roller', 'Firm roller, top leg stacked']
+        },
+        {
+            id: 'hamstring-stretch',
+            name: 'Standing Hamstring Stretch',
+            targets: ['Left Knee Position', 'Right Knee Position'],
+            directions: ['FLEXION'],
+            sideFrom: 'type',
+            sets: 3, reps: '1', hold: '30 s', frequency: 'Daily',
+            contraindications: ['Sciatic symptoms reproduced by the stretch'],
+            progression: ['Heel on a low step', 'Heel on a chair', 'Add ankle dorsiflexion']
+        },
+        {
+            id: 'hamstring-curl',
+            name: 'Hamstring Curls',
+            targets: ['Left Knee Position', 'Right Knee Position'],
+            directions: ['HYPEREXTENSION'],
+            sideFrom: 'type',
+            sets: 3, reps: '12', frequency: '4x/week',
+            contraindications: ['Posterior knee pain'],
+            progression: ['Standing curl, body weight', 'Prone curl with ankle weight', 'Stability ball curl']
+        },
+        {
+            id: 'soft-knee-stance',
+            name: 'Soft-Knee Standing Practice',
+            targets: ['Left Knee Position', 'Right Knee Position'],
+            directions: ['HYPEREXTENSION'],
+            sets: 1, reps: '2 min', frequency: '3x/day',
+            contraindications: [],
+            progression: ['In front of a mirror', 'Eyes closed', 'Single-leg stance']
+        },
+        {
+            id: 'short-foot',
+            name: 'Short Foot (Arch Doming)',
+            targets: ['Left Ankle Malalignment', 'Right Ankle Malalignment'],
+            directions: ['PRONATION'],
+            sideFrom: 'side',
+            sets: 3, reps: '10', hold: '5 s', frequency: 'Daily',
+            contraindications: ['Plantar fascia pain provoked by the exercise'],
+            progression: ['Seated', 'Standing on both feet', 'Single-leg stance']
+        },
+        {
+            id: 'single-leg-heel-raise',
+            name: 'Single-Leg Heel Raises',
+            targets: ['Left Ankle Malalignment', 'Right Ankle Malalignment'],
+            directions: ['PRONATION'],
+            sideFrom: 'side',
+            sets: 3, reps: '12', frequency: '4x/week',
+            contraindications: ['Achilles tendon pain'],
+            progression: ['Double-leg raise', 'Single-leg raise', 'Single-leg raise off a step edge']
+        },
+        {
+            id: 'resisted-eversion',
+            name: 'Resisted Ankle Eversion',
+            targets: ['Left Ankle Malalignment', 'Right Ankle Malalignment'],
+            directions: ['SUPINATION'],
+            sideFrom: 'side',
+            sets: 3, reps: '15', frequency: '4x/week',
+            contraindications: ['Acute ankle sprain'],
+            progression: ['Light band, seated', 'Heavy band, seated', 'Standing balance on an unstable surface']
+        },
+        {
+            id: 'calf-stretch',
+            name: 'Calf Stretch against a Wall',
+            targets: ['Left Ankle Malalignment', 'Right Ankle Malalignment'],
+            directions: ['SUPINATION'],
+            sets: 3, reps: '1', hold: '30 s', frequency: 'Daily',
+            contraindications: ['Achilles tendon pain'],
+            progression: ['Straight knee', 'Bent knee (soleus)', 'Off a step edge']
+        }
+    ],
+
+    severityRank: { SEVERE: 0, MODERATE: 1, MILD: 2 },
+
+    // A direction filter of '' matches deformities that have no direction (e.g. level asymmetries)
+    matches(exercise, deformity) {
+        if (!exercise.targets.includes(deformity.type)) return false;
+        if (!exercise.directions) return true;
+        const direction = deformity.direction || '';
+        return exercise.directions.some(d => d === '' ? direction === '' : direction.includes(d));
+    },
+
+    getSide(exercise, deformity) {
+        if (!exercise.sideFrom) return null;
+        const side = exercise.sideFrom === 'type' ? deformity.type.split(' ')[0] : deformity[exercise.sideFrom];
+        const normalized = (side || '').toUpperCase();
+        return normalized === 'LEFT' || normalized === 'RIGHT' ? normalized : null;
+    },
+
+    // One prescription per matching exercise, most severe target first, catalogue order otherwise
+    selectForDeformities(deformities) {
+        const selected = new Map();
+
+        deformities.forEach(deformity => {
+            this.exercises.forEach((exercise, order) => {
+                if (!this.matches(exercise, deformity)) return;
+
+                if (!selected.has(exercise.id)) {
+                    selected.set(exercise.id, { exercise, order, targets: [], sides: [], rank: Infinity });
+                }
+                const entry = selected.get(exercise.id);
+                if (!entry.targets.includes(deformity.type)) entry.targets.push(deformity.type);
+                const side = this.getSide(exercise, deformity);
+                if (side && !entry.sides.includes(side)) entry.sides.push(side);
+                entry.rank = Math.min(entry.rank, this.severityRank[deformity.severity] ?? 2);
+            });
+        });
+
+        return [...selected.values()]
+            .sort((a, b) => a.rank - b.rank || a.order - b.order)
+            .map(({ exercise, targets, sides }) => ({
+                ...exercise,
+                targets,
+                side: sides.length === 2 ? 'BILATERAL' : (sides[0] || null)
+            }));
+    },
+
+    // "3 x 10, 5 s hold"; single-rep holds read "3 x 30 s hold"
+    formatDosage(item) {
+        if (item.hold && item.reps === '1') return `${item.sets} x ${item.hold} hold`;
+        const hold = item.hold ? `, ${item.hold} hold` : '';
+        return `${item.sets} x ${item.reps}${hold}`;
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ExerciseLibrary;
+}
@@ -0,0 +1,318 @@
+// image-annotator.js - Skeleton, Plumb Line and Measurement Overlays on Patient Photos
+//
+// buildOverlay turns a view's landmarks and measurements into lines and labels in normalized
+// image coordinates; render draws them on a canvas. annotateImage combines both for the PDF.
+// buildReferenceOverlay provides the selectable plumb line, reference lines and posture grid
+// drawn on the live camera view and the captured images. Front, back and forward bend views with a
+// traced segmentation mask (options.contour) also get the body outline.
+
+const ImageAnnotator = {
+    COLORS: {
+        skeleton: 'rgba(255, 255, 255, 0.75)',
+        plumb: '#1e90ff',
+        normal: '#28a745',
+        abnormal: '#dc3545',
+        reference: 'rgba(255, 255, 255, 0.6)',
+        level: '#ffc107',
+        grid: 'rgba(255, 255, 255, 0.35)',
+        outline: '#17c9d6'
+    },
+
+    // Horizontal reference lines, each through the mean height of a left/right landmark pair
+    REFERENCE_LEVELS: [
+        ['Ears', 7, 8], ['Shoulders', 11, 12], ['Hips', 23, 24], ['Knees', 25, 26]
+    ],
+
+    GRID_ROWS: 10,
+
+    // Trunk and limbs only; the face and hand landmarks add clutter without clinical value here
+    BODY_CONNECTIONS: [
+        [11, 12], [11, 13], [13, 15], [12, 14], [14, 16],
+        [11, 23], [12, 24], [23, 24],
+        [23, 25], [25, 27], [27, 29], [29, 31], [27, 31],
+        [24, 26], [26, 28], [28, 30], [30, 32], [28, 32]
+    ],
+
+    getEngine() {
+        return typeof AnalysisEngine !== 'undefined' ? AnalysisEngine : require('./analysis-engine');
+    },
+
+    getContourLibrary() {
+        return typeof BodyContour !== 'undefined' ? BodyContour : require('./body-contour');
+    },
+
+    isAbnormal(key, value) {
+        return this.getEngine().isOutsideNormal(key, value);
+    },
+
+    colorFor(key, value) {
+        return this.isAbnormal(key, value) ? this.COLORS.abnormal : this.COLORS.normal;
+    },
+
+    // Camera captures are stored mirrored, so landmark x is flipped to match the photo
+    point(landmarks, index, mirrored) {
+        const landmark = landmarks[index];
+        return { x: mirrored ? 1 - landmark.x : landmark.x, y: landmark.y };
+    },
+
+    // The better visible of a left/right landmark pair - the side nearer the camera in profile
+    nearSide(landmarks) {
+        const score = indices => indices.reduce((sum, index) => sum + (landmarks[index]?.visibility ?? 1), 0);
+        return score([7, 11, 23, 25, 27]) >= score([8, 12, 24, 26, 28]) ? 'left' : 'right';
+    },
+
+    // Plumb line position: the lateral malleolus (ankle) facing the camera in profile,
+    // the midpoint between the heels from the front or back (standing or bent forward)
+    plumbLineX(view, landmarks, mirrored, near = this.nearSide(landmarks)) {
+        if (view === 'front' || view === 'back' || view === 'forwardBend') {
+            return (this.point(landmarks, 29, mirrored).x + this.point(landmarks, 30, mirrored).x) / 2;
+        }
+        return this.point(landmarks, near === 'left' ? 27 : 28, mirrored).x;
+    },
+
+    // Returns { lines: [{ from, to, color, dashed }], labels: [{ at, text, color, align }], points: [{ at }] }.
+    // align 'right' ends the label at its anchor so labels left of the body extend outward.
+    buildOverlay(view, landmarks, measurements = {}, options = {}) {
+        // Same anatomical left/right as the analysis, so "L knee" sits on the patient's left knee
+        landmarks = this.getEngine().orientLandmarks(landmarks, view);
+        const mirrored = !!options.mirrored;
+        const p = index => this.point(landmarks, index, mirrored);
+        const overlay = { lines: [], labels: [], points: [] };
+        const line = (from, to, color, dashed = false) => overlay.lines.push({ from, to, color, dashed });
+        const label = (at, text, color, align = 'left') => overlay.labels.push({ at, text, color, align });
+        const value = key => measurements[key];
+        const has = key => value(key) !== undefined && value(key) !== null;
+
+        this.BODY_CONNECTIONS.forEach(([a, b]) => line(p(a), p(b), this.COLORS.skeleton));
+        [0, 7, 8, 11, 12, 13, 14, 23, 24, 25, 26, 27, 28, 29, 30].forEach(index => overlay.points.push({ at: p(index) }));
+
+        // Side views follow the side the analysis measured, when it is recorded
+        const near = (measurements.landmarkSide || this.nearSide(landmarks)).toLowerCase();
+        const plumbX = this.plumbLineX(view, landmarks, mirrored, near);
+        line({ x: plumbX, y: 0 }, { x: plumbX, y: 1 }, this.COLORS.plumb, true);
+
+        if (options.contour && (view === 'front' || view === 'back' || view === 'forwardBend')) {
+            const flip = point => ({ x: mirrored ? 1 - point.x : point.x, y: point.y });
+            this.getContourLibrary().outlineSegments(options.contour).forEach(({ from, to }) => {
+                overlay.lines.push({ from: flip(from), to: flip(to), color: this.COLORS.outline, dashed: false, width: 1.5 });
+            });
+        }
+
+        // Adams forward bend: the shoulder line and the rib hump, labelled outside the bent back
+        if (view === 'forwardBend') {
+            const outside = Math.min(p(11).x, p(12).x) - 0.03;
+            if (has('bendShoulderTilt')) {
+                const color = this.colorFor('bendShoulderTilt', value('bendShoulderTilt'));
+                line(p(11), p(12), color);
+                label({ x: outside, y: (p(11).y + p(12).y) / 2 }, `Shoulders ${value('bendShoulderTilt')}° / ${value('bendShoulderTiltCm')} cm ${value('bendShoulderTiltSide') || ''}`.trim(),
+                    color, 'right');
+            }
+            if (has('ribHumpAngle')) {
+                const top = Math.min(p(11).y, p(12).y, p(23).y, p(24).y) - 0.04;
+                label({ x: outside, y: top }, `Rib hump ${value('ribHumpAngle')}° / ${value('ribHumpCm')} cm ${value('ribHumpSide') || ''}`.trim(),
+                    this.colorFor('ribHumpAngle', value('ribHumpAngle')), 'right');
+            }
+            return overlay;
+        }
+
+        if (view === 'front' || view === 'back') {
+            if (has('waistTriangleAsymmetry')) {
+                const outside = Math.min(p(11).x, p(12).x, p(23).x, p(24).x) - 0.03;
+                const waistY = (p(11).y + p(12).y + p(23).y + p(24).y) / 4;
+                label({ x: outside, y: waistY }, `Waist L ${value('waistTriangleLeftCm2')} / R ${value('waistTriangleRightCm2')} cm²`,
+                    this.colorFor('waistTriangleAsymmetry', value('waistTriangleAsymmetry')), 'right');
+                label({ x: outside, y: waistY + 0.04 }, `Trunk shift ${value('trunkShiftCm')} cm ${value('trunkShiftDirection') || ''}`.trim(),
+                    this.colorFor('trunkShiftCm', value('trunkShiftCm')), 'right');
+            }
+
+            const levelLine = (a, b, key, text) => {
+                if (!has(key)) return;
+                const color = this.colorFor(key, value(key));
+                line(p(a), p(b), color);
+                const right = p(a).x > p(b).x ? p(a) : p(b);
+                label({ x: right.x + 0.02, y: right.y }, text, color);
+            };
+
+            if (view === 'front') {
+                levelLine(7, 8, 'earPinnaeLevel', `Ears ${value('earPinnaeLevel')}° / ${value('earPinnaeLevelCm')} cm`);
+                levelLine(11, 12, 'shoulderLevel', `Shoulders ${value('shoulderLevel')}° / ${value('shoulderLevelCm')} cm`);
+                levelLine(23, 24, 'pelvicObliquity', `Pelvis ${value('pelvicObliquity')}° / ${value('pelvicObliquityCm')} cm`);
+
+                [['left', 23, 25, 27], ['right', 24, 26, 28]].forEach(([side, hip, knee, ankle]) => {
+                    const key = `${side}KneeAlignment`;
+                    if (!has(key)) return;
+                    const color = this.colorFor(key, value(key));
+                    line(p(hip), p(knee), color);
+                    line(p(knee), p(ankle), color);
+                    const direction = (value(`${side}KneeDirection`) || '').split(' ')[0];
+                    const outward = p(knee).x >= plumbX ? 0.02 : -0.02;
+                    label({ x: p(knee).x + outward, y: p(knee).y }, `${side === 'left' ? 'L' : 'R'} knee ${value(key)}° ${direction}`.trim(),
+                        color, outward < 0 ? 'right' : 'left');
+                });
+            } else {
+                levelLine(11, 12, 'scapularLevel', `Scapulae ${value('scapularLevel')}° / ${value('scapularLevelCm')} cm`);
+                levelLine(23, 24, 'psisLevel', `PSIS ${value('psisLevel')}° / ${value('psisLevelCm')} cm`);
+                levelLine(25, 26, 'poplitealLine', `Popliteal ${value('poplitealLine')}° / ${value('poplitealLineCm')} cm`);
+
+                [['left', 25, 27, 29], ['right', 26, 28, 30]].forEach(([side, knee, ankle, heel]) => {
+                    const key = `${side}AnkleAlignment`;
+                    if (!has(key)) return;
+                    const color = this.colorFor(key, value(key));
+                    line(p(knee), p(ankle), color);
+                    line(p(ankle), p(heel), color);
+                    const outward = p(ankle).x >= plumbX ? 0.02 : -0.02;
+                    label({ x: p(ankle).x + outward, y: p(ankle).y }, `${side === 'left' ? 'L' : 'R'} ankle ${value(key)}°`,
+                        color, outward < 0 ? 'right' : 'left');
+                });
+            }
+            return overlay;
+        }
+
+        // Side views: measure along the side facing the camera
+        const [ear, shoulder, hip, knee, ankle] = near === 'left' ? [7, 11, 23, 25, 27] : [8, 12, 24, 26, 28];
+
+        if (has('craniovertebralAngle')) {
+            // Craniovertebral angle: ear-shoulder line against the horizontal through the shoulder
+            const color = this.colorFor('craniovertebralAngle', value('craniovertebralAngle'));
+            const towardEar = p(ear).x >= p(shoulder).x ? 1 : -1;
+            line(p(shoulder), { x: p(shoulder).x + towardEar * 0.12, y: p(shoulder).y }, this.COLORS.reference, true);
+            line(p(shoulder), p(ear), color);
+            label({ x: p(ear).x + towardEar * 0.03, y: p(ear).y },
+                `CVA ${value('craniovertebralAngle')}° (head ${value('headOverShoulderCm')} cm over shoulder)`,
+                color, towardEar < 0 ? 'right' : 'left');
+        }
+        if (has('trunkInclination')) {
+            const color = this.colorFor('trunkInclination', value('trunkInclination'));
+            label({ x: p(hip).x + 0.03, y: p(hip).y }, `Trunk ${value('trunkInclination')}° / hip ${value('hipOverAnkleCm')} cm over ankle`, color);
+        }
+        if (has('shoulderPosition')) {
+            const color = this.colorFor('shoulderPosition', value('shoulderPosition'));
+            line(p(shoulder), p(hip), color);
+            label({ x: p(shoulder).x + 0.03, y: (p(shoulder).y + p(hip).y) / 2 }, `Shoulder ${value('shoulderPosition')}°`, color);
+        }
+        const kneeKey = `${near}KneePosition`;
+        if (has(kneeKey)) {
+            const color = this.colorFor(kneeKey, value(kneeKey));
+            line(p(hip), p(knee), color);
+            line(p(knee), p(ankle), color);
+            label({ x: p(knee).x + 0.03, y: p(knee).y }, `Knee ${value(kneeKey)}°`, color);
+        }
+
+        return overlay;
+    },
+
+    // Selectable overlays in the same { lines, labels, points } form as buildOverlay.
+    // options: { plumb, levels, grid, labels, mirrored, aspectRatio (width / height) }.
+    // Without landmarks only the grid is drawn, centred in the frame.
+    buildReferenceOverlay(view, landmarks, options = {}) {
+        const mirrored = !!options.mirrored;
+        const overlay = { lines: [], labels: [], points: [] };
+        const centreX = landmarks ? this.plumbLineX(view, landmarks, mirrored) : 0.5;
+
+        if (options.grid) {
+            // Square cells: GRID_ROWS rows over the height, columns spaced to match in pixels
+            const rowStep = 1 / this.GRID_ROWS;
+            const columnStep = rowStep / (options.aspectRatio || 4 / 3);
+            const grid = { color: this.COLORS.grid, dashed: false, width: 1 };
+            for (let row = 1; row < this.GRID_ROWS; row++) {
+                const y = row * rowStep;
+                overlay.lines.push({ from: { x: 0, y }, to: { x: 1, y }, ...grid });
+            }
+            // Columns are counted from the plumb line so one always runs through it
+            const first = -Math.floor(centreX / columnStep);
+            for (let column = first; centreX + column * columnStep <= 1; column++) {
+                const x = centreX + column * columnStep;
+                overlay.lines.push({ from: { x, y: 0 }, to: { x, y: 1 }, ...grid });
+            }
+        }
+
+        if (!landmarks) return overlay;
+
+        if (options.levels) {
+            this.REFERENCE_LEVELS.forEach(([name, left, right]) => {
+                const y = (landmarks[left].y + landmarks[right].y) / 2;
+                overlay.lines.push({ from: { x: 0, y }, to: { x: 1, y }, color: this.COLORS.level, dashed: true });
+                if (options.labels) {
+                    overlay.labels.push({ at: { x: 0.01, y: y - 0.02 }, text: name, color: this.COLORS.level, align: 'left' });
+                }
+            });
+        }
+
+        if (options.plumb) {
+            overlay.lines.push({ from: { x: centreX, y: 0 }, to: { x: centreX, y: 1 }, color: this.COLORS.plumb, dashed: true });
+        }
+
+        return overlay;
+    },
+
+    render(ctx, overlay, width, height) {
+        const scale = Math.max(width, height) / 640;
+        const toPx = point => ({ x: point.x * width, y: point.y * height });
+
+        overlay.lines.forEach(({ from, to, color, dashed, width: lineWidth }) => {
+            const a = toPx(from);
+            const b = toPx(to);
+            ctx.save();
+            ctx.strokeStyle = color;
+            ctx.lineWidth = (lineWidth ?? 2.5) * scale;
+            if (dashed) ctx.setLineDash([8 * scale, 6 * scale]);
+            ctx.beginPath();
+            ctx.moveTo(a.x, a.y);
+            ctx.lineTo(b.x, b.y);
+            ctx.stroke();
+            ctx.restore();
+        });
+
+        overlay.points.forEach(({ at }) => {
+            const point = toPx(at);
+            ctx.beginPath();
+            ctx.arc(point.x, point.y, 3.5 * scale, 0, Math.PI * 2);
+            ctx.fillStyle = '#ffffff';
+            ctx.fill();
+        });
+
+        ctx.font = `bold ${Math.round(13 * scale)}px sans-serif`;
+        ctx.textBaseline = 'middle';
+        overlay.labels.forEach(({ at, text, color, align }) => {
+            const point = toPx(at);
+            const padding = 4 * scale;
+            const boxWidth = ctx.measureText(text).width + padding * 2;
+            const boxHeight = 18 * scale;
+            // Kept inside the image so labels near an edge are not cut off
+            const anchored = align === 'right' ? point.x - boxWidth : point.x;
+            const x = Math.min(Math.max(anchored, 0), Math.max(width - boxWidth, 0));
+
+            ctx.fillStyle = 'rgba(0, 0, 0, 0.65)';
+            ctx.fillRect(x, point.y - boxHeight / 2, boxWidth, boxHeight);
+            ctx.fillStyle = color;
+            ctx.fillText(text, x + padding, point.y);
+        });
+    },
+
+    loadImage(src) {
+        return new Promise((resolve, reject) => {
+            const image = new Image();
+            image.onload = () => resolve(image);
+            image.onerror = () => reject(new Error('Unable to load image'));
+            image.src = src;
+        });
+    },
+
+    // Resolves with { dataUrl, width, height } of the annotated photo (JPEG keeps the PDF small)
+    async annotateImage(src, view, landmarks, measurements, options = {}) {
+        const image = await this.loadImage(src);
+        const canvas = document.createElement('canvas');
+        canvas.width = image.naturalWidth;
+        canvas.height = image.naturalHeight;
+        const ctx = canvas.getContext('2d');
+
+        ctx.drawImage(image, 0, 0);
+        this.render(ctx, this.buildOverlay(view, landmarks, measurements, options), canvas.width, canvas.height);
+
+        return { dataUrl: canvas.toDataURL('image/jpeg', 0.85), width: canvas.width, height: canvas.height };
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ImageAnnotator;
+}
@@ -0,0 +1,96 @@
+// landmark-averaging.js - Multi-Frame Landmark Averaging with Outlier Rejection
+//
+// Capture collects pose landmarks over a short window instead of freezing one frame.
+// For each landmark, samples further than outlierFactor robust deviations (MAD) from
+// the median position are rejected; the rest are averaged and their spread reported.
+
+const LandmarkAveraging = {
+    defaults: {
+        outlierFactor: 3,
+        // Normalized image units; stops a perfectly still subject from rejecting sub-pixel jitter
+        minRejectDistance: 0.005
+    },
+
+    median(values) {
+        if (values.length === 0) return 0;
+        const sorted = [...values].sort((a, b) => a - b);
+        const mid = Math.floor(sorted.length / 2);
+        return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+    },
+
+    mean(values) {
+        return values.reduce((sum, v) => sum + v, 0) / values.length;
+    },
+
+    // Sample standard deviation; 0 for fewer than two values
+    standardDeviation(values) {
+        if (values.length < 2) return 0;
+        const mean = this.mean(values);
+        const variance = values.reduce((sum, v) => sum + Math.pow(v - mean, 2), 0) / (values.length - 1);
+        return Math.sqrt(variance);
+    },
+
+    // frames: array of 33-landmark arrays. Returns the averaged landmarks, per-landmark
+    // standard deviation, and the frames with rejected samples replaced by the average.
+    averageFrames(frames, options = {}) {
+        const { outlierFactor, minRejectDistance } = { ...this.defaults, ...options };
+        const validFrames = (frames || []).filter(frame => Array.isArray(frame) && frame.length > 0);
+
+        if (validFrames.length === 0) {
+            return { landmarks: null, stdDev: [], frameCount: 0, rejectedSamples: 0, frames: [] };
+        }
+
+        const landmarkCount = validFrames[0].length;
+        const landmarks = [];
+        const stdDev = [];
+        const keptMask = validFrames.map(() => new Array(landmarkCount).fill(true));
+        let rejectedSamples = 0;
+
+        for (let i = 0; i < landmarkCount; i++) {
+            const samples = validFrames.map(frame => frame[i]);
+            const medianX = this.median(samples.map(p => p.x));
+            const medianY = this.median(samples.map(p => p.y));
+            const distances = samples.map(p => Math.hypot(p.x - medianX, p.y - medianY));
+            // 1.4826 scales the MAD to a standard deviation for normally distributed jitter
+            const threshold = Math.max(outlierFactor * 1.4826 * this.median(distances), minRejectDistance);
+
+            const kept = samples.filter((p, f) => {
+                const keep = distances[f] <= threshold;
+                keptMask[f][i] = keep;
+                if (!keep) rejectedSamples++;
+                return keep;
+            });
+
+            const xs = kept.map(p => p.x);
+            const ys = kept.map(p => p.y);
+            const zs = kept.map(p => p.z || 0);
+            landmarks.push({
+                x: this.mean(xs),
+                y: this.mean(ys),
+                z: this.mean(zs),
+                visibility: this.mean(kept.map(p => p.visibility ?? 1))
+            });
+            stdDev.push({
+                x: this.standardDeviation(xs),
+                y: this.standardDeviation(ys),
+                z: this.standardDeviation(zs)
+            });
+        }
+
+        const cleanedFrames = validFrames.map((frame, f) =>
+            frame.map((point, i) => keptMask[f][i] ? { ...point } : { ...landmarks[i] })
+        );
+
+        return {
+            landmarks,
+            stdDev,
+            frameCount: validFrames.length,
+            rejectedSamples,
+            frames: cleanedFrames
+        };
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LandmarkAveraging;
+}
@@ -0,0 +1,417 @@
+// landmark-editor.js - Manual Landmark Correction on Captured and Uploaded Images
+//
+// Opens a view's image with its 33 landmarks drawn on top. The landmarks listed in
+// AnalysisEngine.editableLandmarks can be dragged; applying saves them back into
+// capturedData/uploadedData, records which were moved in <view>Adjusted and re-runs the analysis.
+// In reference mode the clinician instead drags a line along the calibration object in the
+// image; its ends are saved as <view>ReferenceMark for reference-object calibration.
+
+const LandmarkEditor = {
+    modal: null,
+    canvas: null,
+    ctx: null,
+    image: null,
+    view: null,
+    mirrored: false,
+    mode: 'landmarks',      // 'landmarks' or 'reference'
+    referenceMark: null,    // working { from, to } in reference mode
+    dragEnd: null,          // 'from' or 'to' while dragging the reference line
+    landmarks: null,        // working copy being edited
+    openedLandmarks: null,  // state when the editor was opened, for Reset and frame shifting
+    adjusted: new Set(),
+    dragIndex: null,
+    hoverIndex: null,
+    HIT_RADIUS: 14,         // screen pixels
+
+    init() {
+        this.modal = document.getElementById('landmarkEditorModal');
+        this.canvas = document.getElementById('landmarkEditorCanvas');
+        if (!this.modal || !this.canvas) return;
+        this.ctx = this.canvas.getContext('2d');
+
+        this.canvas.addEventListener('pointerdown', (e) => this.onPointerDown(e));
+        this.canvas.addEventListener('pointermove', (e) => this.onPointerMove(e));
+        this.canvas.addEventListener('pointerup', () => this.onPointerUp());
+        this.canvas.addEventListener('pointerleave', () => this.onPointerUp());
+
+        document.getElementById('closeLandmarkEditorBtn')?.addEventListener('click', () => this.close());
+        document.getElementById('cancelLandmarksBtn')?.addEventListener('click', () => this.close());
+        document.getElementById('resetLandmarksBtn')?.addEventListener('click', () => this.reset());
+        document.getElementById('applyLandmarksBtn')?.addEventListener('click', () => this.apply());
+
+        console.log('Landmark editor initialized');
+    },
+
+    getDataSource() {
+        return AppState.currentMode === 'upload' ? AppState.uploadedData : AppState.capturedData;
+    },
+
+    // Adds the "Adjust Landmarks" and "Mark Reference Object" buttons and the note to a card in capturedImagesDiv
+    attachToCard(imageDiv, view) {
+        const button = document.createElement('button');
+        button.className = 'adjust-landmarks-btn';
+        button.textContent = 'Adjust Landmarks';
+        button.addEventListener('click', () => this.open(view));
+
+        const referenceButton = document.createElement('button');
+        referenceButton.className = 'adjust-landmarks-btn';
+        referenceButton.textContent = 'Mark Reference Object';
+        referenceButton.addEventListener('click', () => this.open(view, 'reference'));
+
+        const note = document.createElement('div');
+        note.className = 'adjusted-note';
+        note.dataset.view = view;
+
+        imageDiv.appendChild(button);
+        imageDiv.appendChild(referenceButton);
+        imageDiv.appendChild(note);
+        this.updateCardNote(view);
+    },
+
+    updateCardNote(view) {
+        const note = Elements.capturedImagesDiv.querySelector(`.adjusted-note[data-view="${view}"]`);
+        if (!note) return;
+        const dataSource = this.getDataSource();
+        const adjusted = dataSource[view + 'Adjusted'] || [];
+        const lines = [];
+        if (adjusted.length > 0) {
+            lines.push(`Adjusted: ${adjusted.map(index => AnalysisEngine.editableLandmarks[index]).join(', ')}`);
+        }
+        if (dataSource[view + 'ReferenceMark']) lines.push('Reference object marked');
+        note.textContent = lines.join(' · ');
+    },
+
+    referenceObjectLabel() {
+        const object = AnalysisEngine.userCalibration.referenceObject;
+        return object ? `${object.name}, ${object.sizeCm} cm` : 'reference object';
+    },
+
+    open(view, mode = 'landmarks') {
+        const dataSource = this.getDataSource();
+        const landmarks = dataSource[view + 'Landmarks'];
+        if (!landmarks || !dataSource[view]) {
+            alert('No landmarks were detected for this view, so there is nothing to adjust.');
+            return;
+        }
+
+        this.view = view;
+        this.mode = mode;
+        const mark = dataSource[view + 'ReferenceMark'];
+        this.referenceMark = mark ? { from: { ...mark.from }, to: { ...mark.to } } : null;
+        this.dragEnd = null;
+        // Camera captures are stored mirrored (selfie view); landmarks are in unmirrored image space
+        this.mirrored = !!dataSource[view + 'Mirrored'];
+        this.landmarks = landmarks.map(point => ({ ...point }));
+        this.openedLandmarks = landmarks.map(point => ({ ...point }));
+        this.adjusted = new Set(dataSource[view + 'Adjusted'] || []);
+        this.dragIndex = null;
+        this.hoverIndex = null;
+
+        this.image = new Image();
+        this.image.onload = () => {
+            this.canvas.width = this.image.naturalWidth;
+            this.canvas.height = this.image.naturalHeight;
+            this.draw();
+            this.modal.classList.remove('hidden');
+        };
+        this.image.src = dataSource[view];
+
+        const title = document.getElementById('landmarkEditorTitle');
+        if (title) {
+            title.textContent = `${mode === 'reference' ? 'Mark Reference Object' : 'Adjust Landmarks'} - ${this.viewLabel(view)} View`;
+        }
+        const help = document.getElementById('landmarkEditorHelp');
+        if (help) {
+            help.textContent = mode === 'reference'
+                ? `Drag a line from one end of the ${this.referenceObjectLabel()} to the other. Drag either end to fine-tune it.`
+                : 'Drag a green landmark to its correct position. Adjusted landmarks turn orange; grey points are not used by the analysis.';
+        }
+    },
+
+    viewLabel(view) {
+        if (view === 'sideLeft') return 'Side Left';
+        if (view === 'sideRight') return 'Side Right';
+        if (view === 'forwardBend') return 'Forward Bend';
+        return view.charAt(0).toUpperCase() + view.slice(1);
+    },
+
+    close() {
+        this.modal?.classList.add('hidden');
+        this.view = null;
+    },
+
+    reset() {
+        if (!this.openedLandmarks) return;
+        this.landmarks = this.openedLandmarks.map(point => ({ ...point }));
+        this.adjusted = new Set(this.getDataSource()[this.view + 'Adjusted'] || []);
+        const mark = this.getDataSource()[this.view + 'ReferenceMark'];
+        this.referenceMark = mark ? { from: { ...mark.from }, to: { ...mark.to } } : null;
+        this.draw();
+    },
+
+    toCanvas(point) {
+        const x = this.mirrored ? 1 - point.x : point.x;
+        return { x: x * this.canvas.width, y: point.y * this.canvas.height };
+    },
+
+    fromCanvas(x, y) {
+        const nx = Math.min(Math.max(x / this.canvas.width, 0), 1);
+        const ny = Math.min(Math.max(y / this.canvas.height, 0), 1);
+        return { x: this.mirrored ? 1 - nx : nx, y: ny };
+    },
+
+    // Pointer position in canvas pixels, and the canvas-pixels-per-screen-pixel scale
+    eventPosition(e) {
+        const rect = this.canvas.getBoundingClientRect();
+        const scale = this.canvas.width / rect.width;
+        return { x: (e.clientX - rect.left) * scale, y: (e.clientY - rect.top) * scale, scale };
+    },
+
+    findEditableLandmark(position) {
+        let nearest = null;
+        let nearestDistance = this.HIT_RADIUS * position.scale;
+        Object.keys(AnalysisEngine.editableLandmarks).forEach(key => {
+            const index = parseInt(key, 10);
+            const point = this.toCanvas(this.landmarks[index]);
+            const distance = Math.hypot(point.x - position.x, point.y - position.y);
+            if (distance <= nearestDistance) {
+                nearest = index;
+                nearestDistance = distance;
+            }
+        });
+        return nearest;
+    },
+
+    // The end of the reference line under the pointer, if any
+    findReferenceEnd(position) {
+        if (!this.referenceMark) return null;
+        let nearest = null;
+        let nearestDistance = this.HIT_RADIUS * position.scale;
+        ['from', 'to'].forEach(end => {
+            const point = this.toCanvas(this.referenceMark[end]);
+            const distance = Math.hypot(point.x - position.x, point.y - position.y);
+            if (distance <= nearestDistance) {
+                nearest = end;
+                nearestDistance = distance;
+            }
+        });
+        return nearest;
+    },
+
+    onPointerDown(e) {
+        const position = this.eventPosition(e);
+        if (this.mode === 'reference') {
+            this.dragEnd = this.findReferenceEnd(position);
+            if (this.dragEnd === null) {
+                // Start a new line at the pointer and drag its far end
+                const point = this.fromCanvas(position.x, position.y);
+                this.referenceMark = { from: point, to: { ...point } };
+                this.dragEnd = 'to';
+            }
+            this.canvas.setPointerCapture(e.pointerId);
+            e.preventDefault();
+            this.draw();
+            return;
+        }
+
+        this.dragIndex = this.findEditableLandmark(position);
+        if (this.dragIndex !== null) {
+            this.canvas.setPointerCapture(e.pointerId);
+            e.preventDefault();
+        }
+    },
+
+    onPointerMove(e) {
+        const position = this.eventPosition(e);
+        if (this.mode === 'reference') {
+            if (this.dragEnd === null) {
+                this.canvas.style.cursor = this.findReferenceEnd(position) !== null ? 'grab' : 'crosshair';
+                return;
+            }
+            this.referenceMark[this.dragEnd] = this.fromCanvas(position.x, position.y);
+            this.draw();
+            return;
+        }
+
+        if (this.dragIndex === null) {
+            const hover = this.findEditableLandmark(position);
+            if (hover !== this.hoverIndex) {
+                this.hoverIndex = hover;
+                this.canvas.style.cursor = hover !== null ? 'grab' : 'default';
+                this.draw();
+            }
+            return;
+        }
+
+        const { x, y } = this.fromCanvas(position.x, position.y);
+        // A clinician-placed point is treated as fully visible
+        this.landmarks[this.dragIndex] = { ...this.landmarks[this.dragIndex], x, y, visibility: 1 };
+        this.adjusted.add(this.dragIndex);
+        this.draw();
+    },
+
+    onPointerUp() {
+        this.dragIndex = null;
+        this.dragEnd = null;
+    },
+
+    referenceLengthPx() {
+        if (!this.referenceMark) return 0;
+        const from = this.toCanvas(this.referenceMark.from);
+        const to = this.toCanvas(this.referenceMark.to);
+        return Math.hypot(to.x - from.x, to.y - from.y);
+    },
+
+    draw() {
+        const ctx = this.ctx;
+        const lineWidth = Math.max(2, this.canvas.width / 320);
+        ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+        ctx.drawImage(this.image, 0, 0, this.canvas.width, this.canvas.height);
+
+        if (typeof POSE_CONNECTIONS !== 'undefined') {
+            ctx.strokeStyle = 'rgba(255, 255, 255, 0.7)';
+            ctx.lineWidth = lineWidth;
+            POSE_CONNECTIONS.forEach(([a, b]) => {
+                const start = this.toCanvas(this.landmarks[a]);
+                const end = this.toCanvas(this.landmarks[b]);
+                ctx.beginPath();
+                ctx.moveTo(start.x, start.y);
+                ctx.lineTo(end.x, end.y);
+                ctx.stroke();
+            });
+        }
+
+        this.landmarks.forEach((landmark, index) => {
+            const point = this.toCanvas(landmark);
+            const editable = AnalysisEngine.editableLandmarks[index] !== undefined;
+            const radius = (editable ? 3 : 1.5) * lineWidth;
+
+            ctx.beginPath();
+            ctx.arc(point.x, point.y, radius, 0, Math.PI * 2);
+            ctx.fillStyle = !editable ? 'rgba(160, 160, 160, 0.8)'
+                : this.adjusted.has(index) ? '#fd7e14' : '#28a745';
+            ctx.fill();
+            if (editable) {
+                ctx.strokeStyle = '#ffffff';
+                ctx.lineWidth = lineWidth / 2;
+                ctx.stroke();
+            }
+        });
+
+        if (this.mode === 'reference') {
+            this.drawReferenceMark(lineWidth);
+            return;
+        }
+
+        const labelled = this.dragIndex ?? this.hoverIndex;
+        if (labelled !== null) {
+            const point = this.toCanvas(this.landmarks[labelled]);
+            ctx.font = `${Math.round(lineWidth * 7)}px sans-serif`;
+            ctx.fillStyle = '#ffffff';
+            ctx.strokeStyle = '#000000';
+            ctx.lineWidth = lineWidth;
+            ctx.strokeText(AnalysisEngine.editableLandmarks[labelled], point.x + 4 * lineWidth, point.y);
+            ctx.fillText(AnalysisEngine.editableLandmarks[labelled], point.x + 4 * lineWidth, point.y);
+        }
+
+        const info = document.getElementById('landmarkEditorInfo');
+        if (info) {
+            info.textContent = this.adjusted.size > 0
+                ? `Adjusted: ${[...this.adjusted].map(index => AnalysisEngine.editableLandmarks[index]).join(', ')}`
+                : 'No landmarks adjusted';
+        }
+    },
+
+    drawReferenceMark(lineWidth) {
+        const ctx = this.ctx;
+        const info = document.getElementById('landmarkEditorInfo');
+        if (!this.referenceMark) {
+            if (info) info.textContent = 'No reference object marked';
+            return;
+        }
+
+        const from = this.toCanvas(this.referenceMark.from);
+        const to = this.toCanvas(this.referenceMark.to);
+        ctx.strokeStyle = '#17a2b8';
+        ctx.lineWidth = lineWidth * 1.5;
+        ctx.beginPath();
+        ctx.moveTo(from.x, from.y);
+        ctx.lineTo(to.x, to.y);
+        ctx.stroke();
+        [from, to].forEach(point => {
+            ctx.beginPath();
+            ctx.arc(point.x, point.y, 3 * lineWidth, 0, Math.PI * 2);
+            ctx.fillStyle = '#17a2b8';
+            ctx.fill();
+            ctx.strokeStyle = '#ffffff';
+            ctx.lineWidth = lineWidth / 2;
+            ctx.stroke();
+        });
+
+        if (info) {
+            info.textContent = `Reference: ${this.referenceObjectLabel()} over ${Math.round(this.referenceLengthPx())} px`;
+        }
+    },
+
+    apply() {
+        if (this.mode === 'reference') {
+            this.applyReferenceMark();
+            return;
+        }
+
+        const view = this.view;
+        const dataSource = this.getDataSource();
+
+        // Averaged capture frames move with their landmark so the ± spread stays centred on the correction
+        const frames = dataSource[view + 'Frames'];
+        if (Array.isArray(frames)) {
+            this.landmarks.forEach((point, index) => {
+                const dx = point.x - this.openedLandmarks[index].x;
+                const dy = point.y - this.openedLandmarks[index].y;
+                if (dx === 0 && dy === 0) return;
+                frames.forEach(frame => {
+                    frame[index] = { ...frame[index], x: frame[index].x + dx, y: frame[index].y + dy, visibility: 1 };
+                });
+            });
+        }
+
+        dataSource[view + 'Landmarks'] = this.landmarks;
+        dataSource[view + 'Adjusted'] = [...this.adjusted].sort((a, b) => a - b);
+        this.updateCardNote(view);
+        this.close();
+        this.reanalyze(`Landmarks updated for the ${this.viewLabel(view)} view - analysis re-run with the corrected positions.`);
+    },
+
+    applyReferenceMark() {
+        const view = this.view;
+        // A click without a drag leaves a zero-length line, which cannot give a scale
+        if (this.referenceMark && this.referenceLengthPx() < this.HIT_RADIUS) {
+            alert('Drag along the whole reference object to mark it.');
+            return;
+        }
+
+        this.getDataSource()[view + 'ReferenceMark'] = this.referenceMark;
+        this.updateCardNote(view);
+        this.close();
+        this.reanalyze(`Reference object marked for the ${this.viewLabel(view)} view - analysis re-run with the new scale.`);
+    },
+
+    // Before all views are captured the change is picked up by the final analysis
+    reanalyze(message) {
+        if (AppState.postureAnalysis && typeof AnalysisEngine !== 'undefined') {
+            if (AppState.currentMode === 'upload') {
+                AnalysisEngine.analyzeUploadedPosture();
+            } else {
+                AnalysisEngine.analyzePosture();
+            }
+            if (typeof PatientRecords !== 'undefined') {
+                PatientRecords.onAnalysisComplete();
+            }
+            Elements.statusText.innerHTML = message;
+        }
+    }
+};
+
+document.addEventListener('DOMContentLoaded', () => {
+    LandmarkEditor.init();
+});
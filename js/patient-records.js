@@ -0,0 +1,300 @@
+// patient-records.js - Patient Records and Assessment History
+
+const PatientRecords = {
+    patients: [],
+    selectedPatientId: null,
+    currentAssessmentId: null,
+
+    init() {
+        document.getElementById('patientSelect')?.addEventListener('change', (e) => {
+            this.selectPatient(e.target.value || null);
+        });
+        document.getElementById('createPatientBtn')?.addEventListener('click', () => this.createPatient());
+        document.getElementById('saveAssessmentBtn')?.addEventListener('click', () => this.saveCurrentAssessment());
+
+        this.loadPatients();
+        console.log('Patient records module initialized');
+    },
+
+    async request(url, options = {}) {
+        const response = await fetch(url, {
+            headers: { 'Content-Type': 'application/json' },
+            ...options
+        });
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error || `Request failed: ${response.status}`);
+        return data;
+    },
+
+    showStatus(message, type = 'info') {
+        const status = document.getElementById('recordsStatus');
+        if (!status) return;
+        status.className = `calibration-status ${type}`;
+        status.textContent = message;
+        status.classList.remove('hidden');
+        setTimeout(() => status.classList.add('hidden'), 5000);
+    },
+
+    async loadPatients() {
+        try {
+            const data = await this.request('/api/patients');
+            this.patients = data.patients;
+            this.renderPatientOptions();
+        } catch (error) {
+            console.error('Error loading patients:', error);
+            this.showStatus(`Unable to load patient records: ${error.message}`, 'error');
+        }
+    },
+
+    renderPatientOptions() {
+        const select = document.getElementById('patientSelect');
+        if (!select) return;
+
+        select.innerHTML = '<option value="">-- Select patient --</option>';
+        this.patients.forEach(patient => {
+            const option = document.createElement('option');
+            option.value = patient.id;
+            option.textContent = `${patient.name} (${patient.assessmentCount} assessments)`;
+            select.appendChild(option);
+        });
+        select.value = this.selectedPatientId || '';
+    },
+
+    getSelectedPatient() {
+        return this.patients.find(p => p.id === this.selectedPatientId) || null;
+    },
+
+    async createPatient() {
+        const nameInput = document.getElementById('newPatientName');
+        const dobInput = document.getElementById('newPatientDob');
+        const name = nameInput?.value.trim();
+
+        if (!name) {
+            this.showStatus('Enter a patient name before adding a patient.', 'error');
+            return;
+        }
+
+        try {
+            const data = await this.request('/api/patients', {
+                method: 'POST',
+                body: JSON.stringify({ name, dateOfBirth: dobInput?.value || null })
+            });
+            nameInput.value = '';
+            if (dobInput) dobInput.value = '';
+
+            this.selectedPatientId = data.patient.id;
+            await this.loadPatients();
+            await this.selectPatient(data.patient.id);
+            this.showStatus(`✓ Patient "${data.patient.name}" created`, 'success');
+        } catch (error) {
+            console.error('Error creating patient:', error);
+            this.showStatus(`Unable to create patient: ${error.message}`, 'error');
+        }
+    },
+
+    async selectPatient(patientId) {
+        this.selectedPatientId = patientId;
+        this.currentAssessmentId = null;
+        this.updateSaveButton();
+
+        if (!patientId) {
+            this.renderHistory([]);
+            this.updateProgressComparison();
+            return;
+        }
+
+        try {
+            await this.refreshHistory();
+        } catch (error) {
+            console.error('Error loading assessment history:', error);
+            this.showStatus(`Unable to load assessment history: ${error.message}`, 'error');
+        }
+    },
+
+    renderHistory(assessments) {
+        const historyDiv = document.getElementById('assessmentHistory');
+        if (!historyDiv) return;
+
+        historyDiv.innerHTML = '';
+        if (!this.selectedPatientId) return;
+
+        if (assessments.length === 0) {
+            historyDiv.innerHTML = '<p class="history-empty">No saved assessments for this patient yet.</p>';
+            return;
+        }
+
+        [...assessments].reverse().forEach(assessment => {
+            const row = document.createElement('div');
+            row.className = 'history-row';
+
+            const label = document.createElement('span');
+            label.textContent = `${new Date(assessment.createdAt).toLocaleString()} - ${assessment.mode} mode - ${assessment.deformityCount} deformities`;
+
+            const openBtn = document.createElement('button');
+            openBtn.className = 'history-open-btn';
+            openBtn.textContent = 'Open Report';
+            openBtn.addEventListener('click', () => this.openAssessment(assessment.id));
+
+            row.appendChild(label);
+            row.appendChild(openBtn);
+            historyDiv.appendChild(row);
+        });
+    },
+
+    // Called once a fresh analysis is in AppState.postureAnalysis
+    onAnalysisComplete() {
+        this.currentAssessmentId = null;
+        this.updateSaveButton();
+    },
+
+    updateSaveButton() {
+        const saveBtn = document.getElementById('saveAssessmentBtn');
+        if (saveBtn) {
+            saveBtn.disabled = !(this.selectedPatientId && AppState.postureAnalysis && !this.currentAssessmentId);
+        }
+    },
+
+    buildAssessmentPayload(report = null) {
+        const dataSource = AppState.currentMode === 'upload' ? AppState.uploadedData : AppState.capturedData;
+        return {
+            mode: AppState.currentMode,
+            calibration: typeof AnalysisEngine !== 'undefined' ? { ...AnalysisEngine.userCalibration } : null,
+            landmarks: {
+                front: dataSource.frontLandmarks,
+                sideLeft: dataSource.sideLeftLandmarks,
+                sideRight: dataSource.sideRightLandmarks,
+                back: dataSource.backLandmarks,
+                forwardBend: dataSource.forwardBendLandmarks || null
+            },
+            // MediaPipe 3D world landmarks in metres, for the depth-aware measurements
+            worldLandmarks: {
+                front: dataSource.frontWorldLandmarks || null,
+                sideLeft: dataSource.sideLeftWorldLandmarks || null,
+                sideRight: dataSource.sideRightWorldLandmarks || null,
+                back: dataSource.backWorldLandmarks || null
+            },
+            // Body outline traced from the segmentation mask (front, back and forward bend views)
+            contour: {
+                front: dataSource.frontContour || null,
+                back: dataSource.backContour || null,
+                forwardBend: dataSource.forwardBendContour || null
+            },
+            // Source image { width, height } the normalized landmarks refer to
+            imageSize: {
+                front: dataSource.frontImageSize || null,
+                sideLeft: dataSource.sideLeftImageSize || null,
+                sideRight: dataSource.sideRightImageSize || null,
+                back: dataSource.backImageSize || null,
+                forwardBend: dataSource.forwardBendImageSize || null
+            },
+            // Multi-frame capture statistics (frame count, per-landmark standard deviation)
+            capture: {
+                front: dataSource.frontCapture || null,
+                sideLeft: dataSource.sideLeftCapture || null,
+                sideRight: dataSource.sideRightCapture || null,
+                back: dataSource.backCapture || null,
+                forwardBend: dataSource.forwardBendCapture || null
+            },
+            analysis: AppState.postureAnalysis,
+            report
+        };
+    },
+
+    async saveCurrentAssessment(report = null) {
+        if (!this.selectedPatientId) {
+            this.showStatus('Select or create a patient before saving the assessment.', 'error');
+            return null;
+        }
+        if (!AppState.postureAnalysis) {
+            this.showStatus('Complete an analysis before saving.', 'error');
+            return null;
+        }
+
+        try {
+            const data = await this.request(`/api/patients/${this.selectedPatientId}/assessments`, {
+                method: 'POST',
+                body: JSON.stringify(this.buildAssessmentPayload(report))
+            });
+            this.currentAssessmentId = data.assessment.id;
+            this.updateSaveButton();
+            await this.loadPatients();
+            await this.refreshHistory();
+            this.showStatus('✓ Assessment saved to patient record', 'success');
+            return data.assessment;
+        } catch (error) {
+            console.error('Error saving assessment:', error);
+            this.showStatus(`Unable to save assessment: ${error.message}`, 'error');
+            return null;
+        }
+    },
+
+    // Persists the edited report text; creates the assessment first if it was never saved
+    async saveReport(report) {
+        if (!this.selectedPatientId) return null;
+
+        if (!this.currentAssessmentId) {
+            return this.saveCurrentAssessment(report);
+        }
+
+        try {
+            const data = await this.request(`/api/assessments/${this.currentAssessmentId}/report`, {
+                method: 'PUT',
+                body: JSON.stringify(report)
+            });
+            this.showStatus('✓ Report changes saved to patient record', 'success');
+            return data.assessment;
+        } catch (error) {
+            console.error('Error saving report:', error);
+            this.showStatus(`Unable to save report: ${error.message}`, 'error');
+            return null;
+        }
+    },
+
+    async refreshHistory() {
+        if (!this.selectedPatientId) return;
+        const data = await this.request(`/api/patients/${this.selectedPatientId}/assessments`);
+        this.renderHistory(data.assessments);
+        this.updateProgressComparison();
+    },
+
+    updateProgressComparison() {
+        if (typeof ProgressComparison !== 'undefined') {
+            ProgressComparison.setPatientHistory(this.selectedPatientId);
+        }
+    },
+
+    async openAssessment(assessmentId) {
+        try {
+            const { assessment } = await this.request(`/api/assessments/${assessmentId}`);
+
+            AppState.postureAnalysis = assessment.analysis;
+            this.currentAssessmentId = assessment.id;
+            this.updateSaveButton();
+
+            const dataSource = {
+                front: null, sideLeft: null, sideRight: null, back: null, forwardBend: null,
+                frontLandmarks: assessment.landmarks.front,
+                sideLeftLandmarks: assessment.landmarks.sideLeft,
+                sideRightLandmarks: assessment.landmarks.sideRight,
+                backLandmarks: assessment.landmarks.back,
+                forwardBendLandmarks: assessment.landmarks.forwardBend || null
+            };
+
+            // An assessment saved without a report has its report generated again
+            const patient = this.patients.find(p => p.id === assessment.patientId);
+            if (typeof PDFGenerator !== 'undefined') {
+                PDFGenerator.showPDFEditModal(dataSource, assessment.report, {
+                    patientName: patient?.name,
+                    assessmentDate: assessment.createdAt.split('T')[0]
+                });
+            }
+        } catch (error) {
+            console.error('Error opening assessment:', error);
+            this.showStatus(`Unable to open assessment: ${error.message}`, 'error');
+        }
+    }
+};
+
+document.addEventListener('DOMContentLoaded', () => {
+    PatientRecords.init();
+});
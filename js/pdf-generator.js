@@ -9,7 +9,7 @@ const PDFGenerator = {
     },
 
     async generateAISummary(analysisData) {
-        console.log('Generating AI summary with ChatGPT-4 Mini...');
+        console.log('Generating AI summary...');
         try {
             const response = await fetch('/api/generate-summary', {
                 method: 'POST',
@@ -50,20 +50,48 @@ const PDFGenerator = {
         }
     },
 
-    async showPDFEditModal(dataSource) {
+    // Modal fields that are stored with a saved assessment
+    reportFieldIds: [
+        'patientName', 'patientAge', 'assessmentDate', 'clinicianName',
+        'clinicalSummary', 'exerciseProtocol', 'exerciseSchedule',
+        'additionalNotes', 'treatmentGoals', 'followUpNotes'
+    ],
+
+    collectReportFields() {
+        const report = {};
+        this.reportFieldIds.forEach(id => {
+            report[id] = this.getInputValue(id);
+        });
+        return report;
+    },
+
+    // storedReport is passed when reopening a saved assessment; its text replaces AI generation.
+    // Without one the report is generated; defaults ({ patientName, assessmentDate }) fill its header.
+    async showPDFEditModal(dataSource, storedReport = null, defaults = {}) {
         const pdfPreviewModal = document.getElementById('pdfPreviewModal');
         if (!pdfPreviewModal) return;
         
         this.currentDataSource = dataSource;
         pdfPreviewModal.classList.remove('hidden');
+
+        if (storedReport) {
+            this.reportFieldIds.forEach(id => this.setTextareaValue(id, storedReport[id] || ''));
+            this.generateSimplePreview();
+            document.getElementById('downloadFinalBtn').disabled = false;
+            return;
+        }
         
-        document.getElementById('assessmentDate').value = new Date().toISOString().split('T')[0];
-        document.getElementById('patientName').value = 'Patient Name';
+        const selectedPatient = typeof PatientRecords !== 'undefined' ? PatientRecords.getSelectedPatient() : null;
+        document.getElementById('assessmentDate').value = defaults.assessmentDate || new Date().toISOString().split('T')[0];
+        document.getElementById('patientName').value = defaults.patientName || (selectedPatient ? selectedPatient.name : 'Patient Name');
         document.getElementById('clinicianName').value = 'Clinician Name';
 
         this.setTextareaValue('clinicalSummary', 'Generating comprehensive AI clinical summary...');
         this.setTextareaValue('exerciseProtocol', 'Generating personalized AI exercise recommendations...');
         
+        const protocol = AnalysisEngine.generateExerciseProtocol(AppState.postureAnalysis);
+        this.setTextareaValue('exerciseSchedule', protocol.schedule);
+
         const aiContent = await this.generateAISummary(AppState.postureAnalysis);
         this.setTextareaValue('clinicalSummary', aiContent.summary);
         this.setTextareaValue('exerciseProtocol', aiContent.exercises);
@@ -118,6 +146,10 @@ const PDFGenerator = {
     },
 
     handleSaveChanges() {
+        if (typeof PatientRecords !== 'undefined') {
+            PatientRecords.saveReport(this.collectReportFields());
+        }
+
         const saveBtn = document.getElementById('saveChangesBtn');
         if (saveBtn) {
             saveBtn.textContent = 'Saved!';
@@ -213,16 +245,16 @@ const PDFGenerator = {
         if (frontAnalysis && frontAnalysis.measurements) {
             const x = views.front;
             
-            if (frontAnalysis.measurements.earPinnaeLevelCm && parseFloat(frontAnalysis.measurements.earPinnaeLevelCm) > 1) {
+            if (AnalysisEngine.isOutsideNormal('earPinnaeLevelCm', frontAnalysis.measurements.earPinnaeLevelCm)) {
                 doc.line(x - 10, avatarTop + 8, x + 10, avatarTop + 12);
                 doc.text(`Ear: ${frontAnalysis.measurements.earPinnaeLevelCm}cm`, x - 18, avatarTop + 8);
             }
 
-            if (frontAnalysis.measurements.shoulderLevelCm && parseFloat(frontAnalysis.measurements.shoulderLevelCm) > 1.5) {
+            if (AnalysisEngine.isOutsideNormal('shoulderLevelCm', frontAnalysis.measurements.shoulderLevelCm)) {
                 doc.text(`Sh: ${frontAnalysis.measurements.shoulderLevelCm}cm`, x + 17, avatarTop + 30);
             }
 
-            if (frontAnalysis.measurements.pelvicObliquityCm && parseFloat(frontAnalysis.measurements.pelvicObliquityCm) > 1.5) {
+            if (AnalysisEngine.isOutsideNormal('pelvicObliquityCm', frontAnalysis.measurements.pelvicObliquityCm)) {
                 doc.text(`Pelv: ${frontAnalysis.measurements.pelvicObliquityCm}cm`, x + 14, avatarTop + 55);
             }
         }
@@ -232,20 +264,21 @@ const PDFGenerator = {
         if (sideLeftAnalysis && sideLeftAnalysis.measurements) {
             const x = views.sideLeft;
             
-            if (sideLeftAnalysis.measurements.forwardNeckCm && parseFloat(sideLeftAnalysis.measurements.forwardNeckCm) > 4) {
+            // forwardNeckCm has no normal range of its own; the angle decides as it does in the engine
+            if (AnalysisEngine.isOutsideNormal('forwardNeck', sideLeftAnalysis.measurements.forwardNeck)) {
                 doc.text(`Neck: ${sideLeftAnalysis.measurements.forwardNeckCm}cm`, x - 18, avatarTop + 18);
             }
 
             if (sideLeftAnalysis.measurements.thoracicCurvature) {
                 const angle = parseFloat(sideLeftAnalysis.measurements.thoracicCurvature);
-                if (angle > 40 || angle < 20) {
+                if (AnalysisEngine.isOutsideNormal('thoracicCurvature', angle)) {
                     doc.text(`T: ${angle.toFixed(0)}`, x - 15, avatarTop + 45);
                 }
             }
 
             if (sideLeftAnalysis.measurements.lumbarCurvature) {
                 const angle = parseFloat(sideLeftAnalysis.measurements.lumbarCurvature);
-                if (angle > 60 || angle < 40) {
+                if (AnalysisEngine.isOutsideNormal('lumbarCurvature', angle)) {
                     doc.text(`L: ${angle.toFixed(0)}`, x - 15, avatarTop + 60);
                 }
             }
@@ -256,20 +289,21 @@ const PDFGenerator = {
         if (sideRightAnalysis && sideRightAnalysis.measurements) {
             const x = views.sideRight;
             
-            if (sideRightAnalysis.measurements.forwardNeckCm && parseFloat(sideRightAnalysis.measurements.forwardNeckCm) > 4) {
+            // forwardNeckCm has no normal range of its own; the angle decides as it does in the engine
+            if (AnalysisEngine.isOutsideNormal('forwardNeck', sideRightAnalysis.measurements.forwardNeck)) {
                 doc.text(`Neck: ${sideRightAnalysis.measurements.forwardNeckCm}cm`, x - 18, avatarTop + 18);
             }
 
             if (sideRightAnalysis.measurements.thoracicCurvature) {
                 const angle = parseFloat(sideRightAnalysis.measurements.thoracicCurvature);
-                if (angle > 40 || angle < 20) {
+                if (AnalysisEngine.isOutsideNormal('thoracicCurvature', angle)) {
                     doc.text(`T: ${angle.toFixed(0)}`, x - 15, avatarTop + 45);
                 }
             }
 
             if (sideRightAnalysis.measurements.lumbarCurvature) {
                 const angle = parseFloat(sideRightAnalysis.measurements.lumbarCurvature);
-                if (angle > 60 || angle < 40) {
+                if (AnalysisEngine.isOutsideNormal('lumbarCurvature', angle)) {
                     doc.text(`L: ${angle.toFixed(0)}`, x - 15, avatarTop + 60);
                 }
             }
@@ -280,11 +314,11 @@ const PDFGenerator = {
         if (backAnalysis && backAnalysis.measurements) {
             const x = views.back;
             
-            if (backAnalysis.measurements.scapularLevelCm && parseFloat(backAnalysis.measurements.scapularLevelCm) > 1.5) {
+            if (AnalysisEngine.isOutsideNormal('scapularLevelCm', backAnalysis.measurements.scapularLevelCm)) {
                 doc.text(`Scap: ${backAnalysis.measurements.scapularLevelCm}cm`, x + 17, avatarTop + 30);
             }
 
-            if (backAnalysis.measurements.psisLevelCm && parseFloat(backAnalysis.measurements.psisLevelCm) > 1.5) {
+            if (AnalysisEngine.isOutsideNormal('psisLevelCm', backAnalysis.measurements.psisLevelCm)) {
                 doc.text(`PSIS: ${backAnalysis.measurements.psisLevelCm}cm`, x + 14, avatarTop + 55);
             }
         }
@@ -292,6 +326,73 @@ const PDFGenerator = {
         return yPos + 125;
     },
 
+    // The patient's own photos with skeleton, plumb line and measurement lines, two per row
+    async drawAnnotatedPhotos(doc, yPos) {
+        const dataSource = this.currentDataSource;
+        const analysis = AppState.postureAnalysis;
+        if (!dataSource || !analysis || typeof ImageAnnotator === 'undefined') return yPos;
+
+        const views = [['front', 'Front'], ['sideLeft', 'Side Left'], ['sideRight', 'Side Right'], ['back', 'Back'], ['forwardBend', 'Forward Bend']]
+            .filter(([view]) => dataSource[view] && dataSource[view + 'Landmarks']);
+
+        const photos = [];
+        for (const [view, label] of views) {
+            try {
+                const photo = await ImageAnnotator.annotateImage(
+                    dataSource[view], view, dataSource[view + 'Landmarks'],
+                    analysis[view]?.measurements, { mirrored: !!dataSource[view + 'Mirrored'], contour: dataSource[view + 'Contour'] }
+                );
+                photos.push({ ...photo, label });
+            } catch (error) {
+                console.warn(`Could not annotate ${view} photo:`, error);
+            }
+        }
+        if (photos.length === 0) return yPos;
+
+        doc.addPage();
+        yPos = 20;
+        doc.setFontSize(14);
+        doc.setTextColor(102, 126, 234);
+        doc.text('Annotated Clinical Photographs', 105, yPos, { align: 'center' });
+        yPos += 6;
+        doc.setFontSize(7);
+        doc.setTextColor(100, 100, 100);
+        doc.text('Blue dashed: plumb line. Green: within normal limits. Red: outside normal limits. CVA: craniovertebral angle.', 105, yPos, { align: 'center' });
+        yPos += 5;
+
+        const cellWidth = 87;
+        const gap = 6;
+        const maxHeight = 110;
+        for (let i = 0; i < photos.length; i += 2) {
+            const row = photos.slice(i, i + 2).map(photo => {
+                let width = cellWidth;
+                let height = width * photo.height / photo.width;
+                if (height > maxHeight) {
+                    height = maxHeight;
+                    width = height * photo.width / photo.height;
+                }
+                return { ...photo, w: width, h: height };
+            });
+            const rowHeight = Math.max(...row.map(photo => photo.h)) + 9;
+
+            if (yPos + rowHeight > 280) {
+                doc.addPage();
+                yPos = 20;
+            }
+
+            row.forEach((photo, column) => {
+                const cellX = 15 + column * (cellWidth + gap);
+                doc.addImage(photo.dataUrl, 'JPEG', cellX + (cellWidth - photo.w) / 2, yPos, photo.w, photo.h);
+                doc.setFontSize(9);
+                doc.setTextColor(0, 0, 0);
+                doc.text(`${photo.label} View`, cellX + cellWidth / 2, yPos + photo.h + 5, { align: 'center' });
+            });
+            yPos += rowHeight;
+        }
+
+        return yPos + 5;
+    },
+
     drawAnalysisDataTable(doc, yPos) {
         if (!AppState.postureAnalysis) return yPos;
 
@@ -300,8 +401,9 @@ const PDFGenerator = {
         doc.text('Comprehensive Clinical Measurement Data', 15, yPos);
         yPos += 8;
 
-        const tableHeaders = ["View", "Measurement", "Value (°)", "Value (cm)"];
-        const colWidths = [22, 70, 25, 25];
+        const tableHeaders = ["View", "Measurement", "Value (°)", "Value (cm)", "3D", "Confidence"];
+        const colWidths = [20, 64, 24, 24, 20, 18];
+        const tableRight = 15 + colWidths.reduce((a, b) => a + b, 0);
         const rowHeight = 6;
         let xPos = 15;
 
@@ -326,22 +428,34 @@ const PDFGenerator = {
             { view: 'Front', key: 'kneeLevel', cmKey: 'kneeLevelCm', name: 'Knee Level' },
             { view: 'Front', key: 'leftKneeAlignment', name: 'Left Knee Alignment' },
             { view: 'Front', key: 'rightKneeAlignment', name: 'Right Knee Alignment' },
+            { view: 'Front', key: 'waistTriangleAsymmetry', cmOnly: true, percent: true, name: 'Waist Triangle Asymmetry (silhouette)' },
+            { view: 'Front', key: 'trunkShiftCm', cmOnly: true, name: 'Lateral Trunk Shift (silhouette)' },
             
             // Side Left View
+            { view: 'SideL', key: 'craniovertebralAngle', cmKey: 'headOverShoulderCm', name: 'Craniovertebral Angle / Head over Shoulder (L)' },
             { view: 'SideL', key: 'forwardNeck', cmKey: 'forwardNeckCm', name: 'Forward Neck Posture (L)' },
             { view: 'SideL', key: 'chinForward', cmKey: 'chinForwardCm', name: 'Chin Forward (L)' },
+            { view: 'SideL', key: 'shoulderOverHipCm', cmOnly: true, name: 'Shoulder over Hip (L)' },
+            { view: 'SideL', key: 'hipOverAnkleCm', cmOnly: true, name: 'Hip over Ankle (L)' },
+            { view: 'SideL', key: 'trunkInclination', name: 'Trunk Inclination (L)' },
+            { view: 'SideL', key: 'kneeHyperextension', name: 'Knee Hyperextension (L)' },
             { view: 'SideL', key: 'shoulderPosition', name: 'Shoulder Position (L)' },
-            { view: 'SideL', key: 'thoracicCurvature', name: 'Thoracic Curvature (L)' },
-            { view: 'SideL', key: 'lumbarCurvature', name: 'Lumbar Curvature (L)' },
+            { view: 'SideL', key: 'thoracicCurvature', name: 'Thoracic Curvature, estimate (L)' },
+            { view: 'SideL', key: 'lumbarCurvature', name: 'Lumbar Curvature, estimate (L)' },
             { view: 'SideL', key: 'leftKneePosition', name: 'Left Knee Position (L)' },
             { view: 'SideL', key: 'rightKneePosition', name: 'Right Knee Position (L)' },
             
             // Side Right View
+            { view: 'SideR', key: 'craniovertebralAngle', cmKey: 'headOverShoulderCm', name: 'Craniovertebral Angle / Head over Shoulder (R)' },
             { view: 'SideR', key: 'forwardNeck', cmKey: 'forwardNeckCm', name: 'Forward Neck Posture (R)' },
             { view: 'SideR', key: 'chinForward', cmKey: 'chinForwardCm', name: 'Chin Forward (R)' },
+            { view: 'SideR', key: 'shoulderOverHipCm', cmOnly: true, name: 'Shoulder over Hip (R)' },
+            { view: 'SideR', key: 'hipOverAnkleCm', cmOnly: true, name: 'Hip over Ankle (R)' },
+            { view: 'SideR', key: 'trunkInclination', name: 'Trunk Inclination (R)' },
+            { view: 'SideR', key: 'kneeHyperextension', name: 'Knee Hyperextension (R)' },
             { view: 'SideR', key: 'shoulderPosition', name: 'Shoulder Position (R)' },
-            { view: 'SideR', key: 'thoracicCurvature', name: 'Thoracic Curvature (R)' },
-            { view: 'SideR', key: 'lumbarCurvature', name: 'Lumbar Curvature (R)' },
+            { view: 'SideR', key: 'thoracicCurvature', name: 'Thoracic Curvature, estimate (R)' },
+            { view: 'SideR', key: 'lumbarCurvature', name: 'Lumbar Curvature, estimate (R)' },
             { view: 'SideR', key: 'leftKneePosition', name: 'Left Knee Position (R)' },
             { view: 'SideR', key: 'rightKneePosition', name: 'Right Knee Position (R)' },
             
@@ -353,6 +467,20 @@ const PDFGenerator = {
             { view: 'Back', key: 'poplitealLine', cmKey: 'poplitealLineCm', name: 'Popliteal Line' },
             { view: 'Back', key: 'leftAnkleAlignment', name: 'Left Ankle Alignment' },
             { view: 'Back', key: 'rightAnkleAlignment', name: 'Right Ankle Alignment' },
+            { view: 'Back', key: 'waistTriangleAsymmetry', cmOnly: true, percent: true, name: 'Waist Triangle Asymmetry (silhouette)' },
+            { view: 'Back', key: 'trunkShiftCm', cmOnly: true, name: 'Lateral Trunk Shift (silhouette)' },
+
+            // Forward Bend View (scoliosis screening)
+            { view: 'Bend', key: 'bendShoulderTilt', cmKey: 'bendShoulderTiltCm', name: 'Shoulder Tilt in Forward Bend (estimate)' },
+            { view: 'Bend', key: 'ribHumpAngle', cmKey: 'ribHumpCm', name: 'Rib Hump (silhouette estimate)' },
+
+            // 3D only (world landmarks)
+            { view: 'Front', key: 'trunkRotation', world: true, name: 'Trunk Rotation (3D)' },
+            { view: 'Front', key: 'pelvicRotation', world: true, name: 'Pelvic Rotation (3D)' },
+            { view: 'Front', key: 'leftShoulderProtraction', world: true, cmOnly: true, name: 'Left Shoulder Protraction (3D)' },
+            { view: 'Front', key: 'rightShoulderProtraction', world: true, cmOnly: true, name: 'Right Shoulder Protraction (3D)' },
+            { view: 'Back', key: 'trunkRotation', world: true, name: 'Trunk Rotation (3D, Back)' },
+            { view: 'Back', key: 'pelvicRotation', world: true, name: 'Pelvic Rotation (3D, Back)' },
         ];
         
         const analysisData = AppState.postureAnalysis;
@@ -363,35 +491,57 @@ const PDFGenerator = {
                 viewData = analysisData.sideLeft;
             } else if (metric.view === 'SideR') {
                 viewData = analysisData.sideRight;
+            } else if (metric.view === 'Bend') {
+                viewData = analysisData.forwardBend;
             } else {
                 viewData = analysisData[metric.view.toLowerCase()];
             }
             
-            if (viewData && viewData.measurements && viewData.measurements[metric.key] !== undefined) {
-                let angleValue = parseFloat(viewData.measurements[metric.key]);
+            const worldMeasurements = viewData?.world?.measurements || {};
+            const measurements = metric.world ? worldMeasurements : viewData?.measurements;
+
+            if (measurements && measurements[metric.key] !== undefined) {
+                let angleValue = parseFloat(measurements[metric.key]);
+                // ± standard deviation across the averaged capture frames, when available
+                const spread = (key) => viewData.uncertainty?.[key] !== undefined ? ` ±${viewData.uncertainty[key]}` : '';
 
                 let cmValue = '-';
-                if (metric.cmKey && viewData.measurements[metric.cmKey]) {
-                    cmValue = parseFloat(viewData.measurements[metric.cmKey]).toFixed(1);
+                if (metric.world) {
+                    // Shown in the 3D column only
+                } else if (metric.cmOnly) {
+                    cmValue = angleValue.toFixed(1) + (metric.percent ? '%' : '') + spread(metric.key);
+                } else if (metric.cmKey && viewData.measurements[metric.cmKey]) {
+                    cmValue = parseFloat(viewData.measurements[metric.cmKey]).toFixed(1) + spread(metric.cmKey);
                 } else if (metric.name.includes('Gluteal')) {
-                    cmValue = angleValue.toFixed(1) + '%';
+                    cmValue = angleValue.toFixed(1) + '%' + spread(metric.key);
                 }
 
                 xPos = 15;
                 doc.setDrawColor(200, 200, 200);
-                doc.line(15, yPos, 157, yPos);
+                doc.line(15, yPos, tableRight, yPos);
 
                 doc.setTextColor(0, 0, 0);
 
+                // The world landmark counterpart of the centimetre value, or the 3D-only value itself
+                const worldKey = metric.cmOnly ? metric.key : metric.cmKey;
+                const direction = measurements[metric.key + 'Direction'];
+                const worldValue = metric.world
+                    ? angleValue.toFixed(1) + (metric.cmOnly ? ' cm' : '°') + (direction ? ` ${direction[0]}` : '')
+                    : worldMeasurements[worldKey] !== undefined ? `${worldMeasurements[worldKey]} cm` : '-';
+
+                const reliable = metric.world || AnalysisEngine.isReliable(viewData, metric.key);
                 const rowData = [
                     metric.view,
                     metric.name,
-                    angleValue === '-' ? '-' : angleValue.toFixed(1),
-                    cmValue
+                    metric.world || metric.cmOnly ? '-' : angleValue.toFixed(1) + spread(metric.key),
+                    cmValue,
+                    worldValue,
+                    reliable ? 'OK' : 'LOW'
                 ];
                 
                 doc.setFontSize(7);
                 rowData.forEach((cell, i) => {
+                    if (i === rowData.length - 1 && !reliable) doc.setTextColor(220, 53, 69);
                     doc.text(String(cell), xPos + 1.5, yPos + 4.5);
                     xPos += colWidths[i];
                 });
@@ -403,7 +553,106 @@ const PDFGenerator = {
                 }
             }
         });
-        doc.line(15, yPos, 157, yPos);
+        doc.line(15, yPos, tableRight, yPos);
+
+        const hasLowConfidence = ['front', 'sideLeft', 'sideRight', 'back', 'forwardBend'].some(view =>
+            Object.values(analysisData[view]?.reliability || {}).some(r => !r.reliable));
+        if (hasLowConfidence) {
+            yPos += 4;
+            doc.setFontSize(7);
+            doc.setTextColor(220, 53, 69);
+            doc.text('LOW = landmarks used by this measurement were not clearly visible; repeat the view or confirm clinically.', 15, yPos);
+        }
+
+        if (analysisData.sideLeft || analysisData.sideRight) {
+            yPos += 4;
+            doc.setFontSize(7);
+            doc.setTextColor(100, 100, 100);
+            const sagittalKeys = ['craniovertebralAngle', 'headOverShoulderCm', 'shoulderOverHipCm', 'hipOverAnkleCm', 'trunkInclination', 'kneeHyperextension'];
+            const rangesText = 'Sagittal normal ranges: ' + sagittalKeys
+                .map(key => {
+                    const info = AnalysisEngine.metricInfo(key);
+                    return `${info.label} ${AnalysisEngine.formatNormalRange(key)} (${info.source ? info.source.split(' - ')[0] : 'custom'})`;
+                })
+                .join('; ') + '. Offsets are positive when the upper segment is anterior. Thoracic and lumbar curvature are estimates from ' +
+                'ear-shoulder-hip-knee alignment, not spinal curve measurements. Landmarks used: ' +
+                [['sideLeft', 'Side Left'], ['sideRight', 'Side Right']]
+                    .filter(([view]) => analysisData[view]?.measurements?.landmarkSide)
+                    .map(([view, name]) => `${name} view - ${analysisData[view].measurements.landmarkSide.toLowerCase()} side`)
+                    .join(', ') + '.';
+            doc.splitTextToSize(rangesText, 180).forEach((line, i) => {
+                if (i > 0) yPos += 3.5;
+                doc.text(line, 15, yPos);
+            });
+        }
+
+        yPos += 4;
+        doc.setFontSize(7);
+        doc.setTextColor(100, 100, 100);
+        doc.splitTextToSize(`Normal ranges: ${AnalysisEngine.summarizeThresholds(analysisData)}.`, 180).forEach((line, i) => {
+            if (i > 0) yPos += 3.5;
+            doc.text(line, 15, yPos);
+        });
+
+        const calibrationText = AnalysisEngine.summarizeCalibration(analysisData);
+        if (calibrationText) {
+            yPos += 4;
+            doc.setFontSize(7);
+            doc.setTextColor(100, 100, 100);
+            doc.splitTextToSize(`Calibration (centimetre values): ${calibrationText}.`, 180).forEach((line, i) => {
+                if (i > 0) yPos += 3.5;
+                doc.text(line, 15, yPos);
+            });
+        }
+
+        if (['front', 'sideLeft', 'sideRight', 'back'].some(view => analysisData[view]?.world)) {
+            yPos += 4;
+            doc.setFontSize(7);
+            doc.setTextColor(100, 100, 100);
+            doc.splitTextToSize('3D = from MediaPipe world landmarks: metric without calibration, with depth estimated from a single camera. ' +
+                'Rotations are L/R toward the patient\'s side; shoulder protraction is anterior (+) to the hips.', 180).forEach((line, i) => {
+                if (i > 0) yPos += 3.5;
+                doc.text(line, 15, yPos);
+            });
+        }
+
+        if (['front', 'back'].some(view => analysisData[view]?.measurements?.waistTriangleAsymmetry !== undefined)) {
+            yPos += 4;
+            doc.setFontSize(7);
+            doc.setTextColor(100, 100, 100);
+            doc.splitTextToSize('Silhouette = from the body outline in the pose segmentation mask (outlined on the photos): waist triangle ' +
+                'asymmetry compares the gaps between each arm and the trunk; trunk shift is the trunk centre from the plumb line between the heels.', 180).forEach((line, i) => {
+                if (i > 0) yPos += 3.5;
+                doc.text(line, 15, yPos);
+            });
+        }
+
+        const viewNames = { front: 'Front', sideLeft: 'Side Left', sideRight: 'Side Right', back: 'Back', forwardBend: 'Forward Bend' };
+        const adjustedViews = Object.keys(viewNames).filter(view => analysisData[view]?.adjustedLandmarks?.length > 0);
+        if (adjustedViews.length > 0) {
+            yPos += 4;
+            doc.setFontSize(7);
+            doc.setTextColor(100, 100, 100);
+            const adjustedText = 'Landmarks manually adjusted by the clinician: ' +
+                adjustedViews.map(view => `${viewNames[view]} - ${analysisData[view].adjustedLandmarks.join(', ')}`).join('; ') + '.';
+            doc.splitTextToSize(adjustedText, 180).forEach((line, i) => {
+                if (i > 0) yPos += 3.5;
+                doc.text(line, 15, yPos);
+            });
+        }
+
+        const frameCounts = ['front', 'sideLeft', 'sideRight', 'back']
+            .map(view => analysisData[view]?.frameCount)
+            .filter(Boolean);
+        if (frameCounts.length > 0) {
+            yPos += 4;
+            doc.setFontSize(7);
+            doc.setTextColor(100, 100, 100);
+            const minFrames = Math.min(...frameCounts);
+            const maxFrames = Math.max(...frameCounts);
+            const frameRange = minFrames === maxFrames ? `${minFrames}` : `${minFrames}-${maxFrames}`;
+            doc.text(`± = measurement standard deviation across the ${frameRange} frames averaged per view at capture (outliers removed).`, 15, yPos);
+        }
 
         return yPos + 5;
     },
@@ -455,7 +704,10 @@ const PDFGenerator = {
                     if (def.angle) text += ` (${def.angle}°)`;
                 } else if (def.longer && def.shorter) {
                     text += `${def.longer} side LONGER by ${def.percentage}%, ${def.shorter} side SHORTER`;
+                } else if (def.larger && def.smaller) {
+                    text += `${def.larger} waist triangle LARGER by ${def.percentage}% (silhouette)`;
                 }
+                if (def.lowConfidence) text += ' [low confidence]';
 
                 const lines = doc.splitTextToSize(text, 180);
                 lines.forEach(line => {
@@ -498,7 +750,9 @@ const PDFGenerator = {
 
                     let text = `  • ${def.type}: ${def.direction}`;
                     if (def.angle) text += ` ${def.angle}°`;
-                    if (def.neckDistance) text += ` (Neck: ${def.neckDistance}cm, Chin: ${def.chinDistance}cm)`;
+                    if (def.craniovertebralAngle) text += ` (CVA: ${def.craniovertebralAngle}°, Neck: ${def.neckDistance}cm, Chin: ${def.chinDistance}cm)`;
+                    if (def.estimate) text += ' [estimate]';
+                    if (def.lowConfidence) text += ' [low confidence]';
 
                     const lines = doc.splitTextToSize(text, 175);
                     lines.forEach(line => {
@@ -522,7 +776,9 @@ const PDFGenerator = {
 
                     let text = `  • ${def.type}: ${def.direction}`;
                     if (def.angle) text += ` ${def.angle}°`;
-                    if (def.neckDistance) text += ` (Neck: ${def.neckDistance}cm, Chin: ${def.chinDistance}cm)`;
+                    if (def.craniovertebralAngle) text += ` (CVA: ${def.craniovertebralAngle}°, Neck: ${def.neckDistance}cm, Chin: ${def.chinDistance}cm)`;
+                    if (def.estimate) text += ' [estimate]';
+                    if (def.lowConfidence) text += ' [low confidence]';
 
                     const lines = doc.splitTextToSize(text, 175);
                     lines.forEach(line => {
@@ -567,6 +823,69 @@ const PDFGenerator = {
         return yPos + 5;
     },
 
+    // Adams forward bend screening outcome, only when the forward bend view was taken
+    drawScoliosisScreening(doc, yPos) {
+        const screening = AppState.postureAnalysis?.scoliosisScreening;
+        if (!screening) return yPos;
+
+        if (yPos > 220) {
+            doc.addPage();
+            yPos = 20;
+        }
+
+        const refer = screening.outcome === 'REFER';
+        doc.setFillColor(...(refer ? [220, 53, 69] : [40, 167, 69]));
+        doc.rect(15, yPos, 180, 8, 'F');
+        doc.setTextColor(255, 255, 255);
+        doc.setFontSize(12);
+        doc.text('SCOLIOSIS SCREENING (ADAMS FORWARD BEND TEST)', 20, yPos + 5.5);
+        yPos += 14;
+
+        doc.setFontSize(11);
+        doc.setTextColor(...(refer ? [220, 53, 69] : [40, 167, 69]));
+        doc.text(refer ? 'Outcome: REFER for clinical scoliosis assessment' : 'Outcome: NO REFERRAL', 20, yPos);
+        yPos += 7;
+
+        const lines = [];
+        screening.reasons.forEach(reason => lines.push(`Reason: ${reason}`));
+        lines.push('Forward bend:');
+        screening.forwardBend.forEach(item => {
+            const side = item.side ? `, ${item.side} side higher` : '';
+            const status = item.positive ? 'OUTSIDE NORMAL' : 'within normal';
+            const confidence = item.lowConfidence ? ' - low confidence' : '';
+            lines.push(`  • ${item.label}: ${item.value}${item.unit}${side} (normal ${AnalysisEngine.formatNormalRange(item.key)}, ${status}${confidence})`);
+        });
+        const positive = screening.standingSigns.filter(sign => sign.positive).length;
+        lines.push(`Standing signs (${positive} of ${screening.standingSigns.length} positive; ${AnalysisEngine.SCOLIOSIS_SIGNS_TO_REFER} or more refer):`);
+        screening.standingSigns.forEach(sign => {
+            lines.push(`  • ${sign.label}: ${sign.positive ? sign.findings.join(', ') : 'not present'}`);
+        });
+
+        doc.setFontSize(9);
+        doc.setTextColor(50, 50, 50);
+        lines.forEach(text => {
+            doc.splitTextToSize(text, 175).forEach(line => {
+                if (yPos > 280) {
+                    doc.addPage();
+                    yPos = 20;
+                }
+                doc.text(line, 20, yPos);
+                yPos += 5;
+            });
+        });
+
+        yPos += 2;
+        doc.setFontSize(7);
+        doc.setTextColor(100, 100, 100);
+        doc.splitTextToSize('A screening result, not a diagnosis. The forward bend angles are estimates from the shoulder landmarks and ' +
+            'the body silhouette, not scoliometer or Cobb angles. Confirm with a scoliometer; radiographs only as indicated clinically.', 180).forEach((line, i) => {
+            if (i > 0) yPos += 3.5;
+            doc.text(line, 15, yPos);
+        });
+
+        return yPos + 10;
+    },
+
     drawKneeAndAnkleAnalysisSummary(doc, yPos) {
         if (!AppState.postureAnalysis || !AppState.postureAnalysis.deformitySummary) return yPos;
 
@@ -793,7 +1112,303 @@ const PDFGenerator = {
         return yPos + 10;
     },
     
-    generateFinalPDF() {
+    // Structured prescription from ExerciseLibrary; rows grow to fit wrapped text
+    drawExerciseTable(doc, items, yPos) {
+        if (!items || items.length === 0) return yPos;
+
+        const tableHeaders = ["Exercise", "Side", "Dosage", "Frequency", "Addresses", "Progression (L1 / L2 / L3)"];
+        const colWidths = [34, 16, 24, 18, 40, 48];
+        const tableWidth = colWidths.reduce((a, b) => a + b, 0);
+        const lineHeight = 3.2;
+
+        if (yPos > 240) {
+            doc.addPage();
+            yPos = 20;
+        }
+
+        doc.setFontSize(14);
+        doc.setTextColor(40, 167, 69);
+        doc.text('Exercise Prescription', 15, yPos);
+        yPos += 6;
+
+        const drawHeader = () => {
+            let xPos = 15;
+            doc.setFillColor(230, 230, 230);
+            doc.rect(15, yPos, tableWidth, 6, 'F');
+            doc.setFontSize(7.5);
+            doc.setTextColor(0, 0, 0);
+            tableHeaders.forEach((header, i) => {
+                doc.text(header, xPos + 1.5, yPos + 4.5);
+                xPos += colWidths[i];
+            });
+            yPos += 6;
+        };
+
+        drawHeader();
+
+        items.forEach(item => {
+            const cells = [
+                item.name,
+                item.side ? (item.side === 'BILATERAL' ? 'Both' : item.side.charAt(0) + item.side.slice(1).toLowerCase()) : '-',
+                ExerciseLibrary.formatDosage(item),
+                item.frequency,
+                item.targets.join(', '),
+                item.progression.map((level, i) => `${i + 1}. ${level}`).join('\n')
+            ].map((cell, i) => doc.splitTextToSize(cell, colWidths[i] - 3));
+            const rowHeight = Math.max(...cells.map(lines => lines.length)) * lineHeight + 2.5;
+
+            if (yPos + rowHeight > 280) {
+                doc.addPage();
+                yPos = 20;
+                drawHeader();
+            }
+
+            doc.setDrawColor(200, 200, 200);
+            doc.line(15, yPos, 15 + tableWidth, yPos);
+            doc.setFontSize(7);
+            doc.setTextColor(0, 0, 0);
+
+            let xPos = 15;
+            cells.forEach((lines, i) => {
+                doc.text(lines, xPos + 1.5, yPos + 3.5);
+                xPos += colWidths[i];
+            });
+            yPos += rowHeight;
+        });
+        doc.line(15, yPos, 15 + tableWidth, yPos);
+        yPos += 5;
+
+        // Contraindications, one line per exercise that has any
+        const precautions = items.filter(item => item.contraindications.length > 0);
+        if (precautions.length > 0) {
+            doc.setFontSize(9);
+            doc.setTextColor(220, 53, 69);
+            doc.text('Precautions - stop and review if present:', 15, yPos);
+            yPos += 5;
+
+            doc.setFontSize(7.5);
+            doc.setTextColor(50, 50, 50);
+            precautions.forEach(item => {
+                doc.splitTextToSize(`• ${item.name}: ${item.contraindications.join('; ')}`, 175).forEach(line => {
+                    if (yPos > 280) {
+                        doc.addPage();
+                        yPos = 20;
+                    }
+                    doc.text(line, 20, yPos);
+                    yPos += 4;
+                });
+            });
+        }
+
+        return yPos + 8;
+    },
+
+    drawProgressComparisonTable(doc, rows, yPos) {
+        const statusColors = {
+            improved: [40, 167, 69],
+            worsened: [220, 53, 69],
+            unchanged: [108, 117, 125],
+            'n/a': [173, 181, 189]
+        };
+        const tableHeaders = ["View", "Measurement", "Baseline", "Follow-up", "Change", "Status"];
+        const colWidths = [18, 62, 24, 24, 24, 28];
+        const rowHeight = 6;
+        const tableWidth = colWidths.reduce((a, b) => a + b, 0);
+
+        const drawHeader = () => {
+            let xPos = 15;
+            doc.setFillColor(230, 230, 230);
+            doc.rect(15, yPos, tableWidth, rowHeight, 'F');
+            doc.setFontSize(7.5);
+            doc.setTextColor(0, 0, 0);
+            tableHeaders.forEach((header, i) => {
+                doc.text(header, xPos + 1.5, yPos + 4.5);
+                xPos += colWidths[i];
+            });
+            yPos += rowHeight;
+        };
+
+        drawHeader();
+
+        rows.forEach(row => {
+            if (yPos > 270) {
+                doc.addPage();
+                yPos = 20;
+                drawHeader();
+            }
+
+            const rowData = [
+                ProgressComparison.viewLabels[row.view],
+                row.label,
+                ProgressComparison.formatValue(row.baseline, row.unit),
+                ProgressComparison.formatValue(row.followUp, row.unit),
+                ProgressComparison.formatDelta(row),
+                row.status.toUpperCase()
+            ];
+
+            doc.setDrawColor(200, 200, 200);
+            doc.line(15, yPos, 15 + tableWidth, yPos);
+            doc.setFontSize(7);
+
+            let xPos = 15;
+            rowData.forEach((cell, i) => {
+                if (i === rowData.length - 1) {
+                    doc.setTextColor(...statusColors[row.status]);
+                } else {
+                    doc.setTextColor(0, 0, 0);
+                }
+                doc.text(String(cell), xPos + 1.5, yPos + 4.5);
+                xPos += colWidths[i];
+            });
+            yPos += rowHeight;
+        });
+        doc.line(15, yPos, 15 + tableWidth, yPos);
+
+        return yPos + 8;
+    },
+
+    drawTrendChart(doc, x, y, width, height, title, series, info) {
+        doc.setFontSize(8);
+        doc.setTextColor(0, 0, 0);
+        doc.text(title, x, y - 2);
+
+        const values = series.map(p => p.value);
+        if (info.min !== undefined) values.push(info.min);
+        if (info.max !== undefined) values.push(info.max);
+        const minValue = Math.min(0, ...values);
+        const maxValue = Math.max(...values) * 1.1 || 1;
+        const toX = (i) => x + (series.length === 1 ? width / 2 : (i / (series.length - 1)) * width);
+        const toY = (v) => y + height - ((v - minValue) / (maxValue - minValue)) * height;
+
+        // Normal range limits as dashed lines
+        doc.setDrawColor(40, 167, 69);
+        doc.setLineWidth(0.2);
+        doc.setLineDashPattern([1, 1], 0);
+        if (info.max !== undefined) doc.line(x, toY(info.max), x + width, toY(info.max));
+        if (info.min !== undefined) doc.line(x, toY(info.min), x + width, toY(info.min));
+        doc.setLineDashPattern([], 0);
+
+        // Axes
+        doc.setDrawColor(150, 150, 150);
+        doc.line(x, y, x, y + height);
+        doc.line(x, y + height, x + width, y + height);
+
+        doc.setFontSize(6);
+        doc.setTextColor(100, 100, 100);
+        doc.text(`${maxValue.toFixed(1)}${info.unit}`, x - 1, y + 2, { align: 'right' });
+        doc.text(`${minValue.toFixed(1)}${info.unit}`, x - 1, y + height, { align: 'right' });
+
+        // Trend line and points
+        doc.setDrawColor(102, 126, 234);
+        doc.setLineWidth(0.5);
+        series.forEach((point, i) => {
+            if (i > 0) {
+                doc.line(toX(i - 1), toY(series[i - 1].value), toX(i), toY(point.value));
+            }
+        });
+        doc.setFillColor(118, 75, 162);
+        series.forEach((point, i) => {
+            doc.circle(toX(i), toY(point.value), 0.8, 'F');
+            doc.text(point.date.toLocaleDateString(), toX(i), y + height + 4, { align: 'center' });
+        });
+    },
+
+    generateProgressPDF({ patient, baseline, followUp, rows, trendSeries }) {
+        try {
+            const { jsPDF } = window.jspdf;
+            const doc = new jsPDF('p', 'mm', 'a4');
+            const patientName = patient ? patient.name : 'Patient';
+            const baselineDate = new Date(baseline.createdAt).toLocaleDateString();
+            const followUpDate = new Date(followUp.createdAt).toLocaleDateString();
+
+            // Header
+            doc.setFillColor(102, 126, 234);
+            doc.rect(0, 0, 210, 35, 'F');
+            doc.setTextColor(255, 255, 255);
+            doc.setFontSize(20);
+            doc.text('Postural Progress Report', 105, 15, { align: 'center' });
+            doc.setFontSize(10);
+            doc.text(`Patient: ${patientName}`, 105, 23, { align: 'center' });
+            doc.text(`Baseline: ${baselineDate} | Follow-up: ${followUpDate}`, 105, 29, { align: 'center' });
+
+            let yPos = 45;
+
+            const counts = ProgressComparison.summarize(rows);
+            doc.setFontSize(14);
+            doc.setTextColor(102, 126, 234);
+            doc.text('Progress Summary', 15, yPos);
+            yPos += 7;
+            doc.setFontSize(10);
+            doc.setTextColor(40, 167, 69);
+            doc.text(`${counts.improved} improved`, 20, yPos);
+            doc.setTextColor(220, 53, 69);
+            doc.text(`${counts.worsened} worsened`, 60, yPos);
+            doc.setTextColor(108, 117, 125);
+            doc.text(`${counts.unchanged} unchanged`, 100, yPos);
+            if (counts['n/a'] > 0) {
+                doc.setTextColor(173, 181, 189);
+                doc.text(`${counts['n/a']} measured in one session only`, 140, yPos);
+            }
+            yPos += 5;
+            doc.setFont(undefined, 'italic');
+            doc.setFontSize(8);
+            doc.setTextColor(100, 100, 100);
+            doc.text('Improved/worsened is judged against the normal limits used by the analysis engine.', 20, yPos);
+            doc.setFont(undefined, 'normal');
+            yPos += 8;
+
+            doc.setFontSize(14);
+            doc.setTextColor(102, 126, 234);
+            doc.text('Side-by-Side Measurement Comparison', 15, yPos);
+            yPos += 6;
+            yPos = this.drawProgressComparisonTable(doc, rows, yPos);
+
+            // Trend charts for every metric that changed between the two sessions
+            const changedRows = rows.filter(row => row.status === 'improved' || row.status === 'worsened');
+            if (changedRows.length > 0) {
+                doc.addPage();
+                yPos = 20;
+                doc.setFontSize(14);
+                doc.setTextColor(102, 126, 234);
+                doc.text('Measurement Trends Across All Sessions', 15, yPos);
+                yPos += 12;
+
+                const chartWidth = 75;
+                const chartHeight = 30;
+                changedRows.forEach((row, i) => {
+                    const column = i % 2;
+                    if (column === 0 && i > 0) yPos += chartHeight + 18;
+                    if (yPos + chartHeight > 275) {
+                        doc.addPage();
+                        yPos = 25;
+                    }
+                    const info = ProgressComparison.getMetricInfo(row.key);
+                    const title = `${ProgressComparison.viewLabels[row.view]} - ${row.label} (${row.status})`;
+                    this.drawTrendChart(doc, 25 + column * 95, yPos, chartWidth, chartHeight, title,
+                        trendSeries(row.view, row.key), info);
+                });
+            }
+
+            const pageCount = doc.internal.getNumberOfPages();
+            for (let i = 1; i <= pageCount; i++) {
+                doc.setPage(i);
+                doc.setFontSize(8);
+                doc.setTextColor(150, 150, 150);
+                doc.text(`Postural Progress Report - Page ${i} of ${pageCount}`, 105, 290, { align: 'center' });
+                doc.text(`Generated: ${new Date().toLocaleString()}`, 105, 295, { align: 'center' });
+            }
+
+            const filename = `posture-progress-report-${patientName.replace(/\s/g, '_')}-${new Date().toISOString().split('T')[0]}.pdf`;
+            doc.save(filename);
+
+            console.log('Progress comparison PDF generated:', filename);
+        } catch (error) {
+            console.error('Error generating progress PDF:', error);
+            alert('Error generating progress report. Please check the console for details.');
+        }
+    },
+
+    async generateFinalPDF() {
         try {
             const { jsPDF } = window.jspdf;
             const doc = new jsPDF('p', 'mm', 'a4');
@@ -819,9 +1434,15 @@ const PDFGenerator = {
             // Visual Avatars
             yPos = this.drawPostureAvatarsWithAnnotations(doc, yPos);
 
+            // Annotated patient photos
+            yPos = await this.drawAnnotatedPhotos(doc, yPos);
+
             // Directional Deformity Summary
             yPos = this.drawDeformitySummary(doc, yPos);
 
+            // Scoliosis screening outcome (forward bend view taken)
+            yPos = this.drawScoliosisScreening(doc, yPos);
+
             // Detailed Knee & Ankle Analysis
             yPos = this.drawKneeAndAnkleAnalysisSummary(doc, yPos);
 
@@ -840,6 +1461,9 @@ const PDFGenerator = {
             const exerciseProtocol = this.getInputValue('exerciseProtocol');
             yPos = this.addStyledSectionToPDF(doc, 'PERSONALIZED EXERCISE PROTOCOL', exerciseProtocol, yPos, [40, 167, 69]);
 
+            const prescribed = AnalysisEngine.generateExerciseProtocol(AppState.postureAnalysis).items;
+            yPos = this.drawExerciseTable(doc, prescribed, yPos);
+
             // Add side view comparison section if both sides analyzed
             if (AppState.postureAnalysis.sideLeft && AppState.postureAnalysis.sideRight) {
                 if (yPos > 230) {
@@ -860,12 +1484,13 @@ const PDFGenerator = {
                 const leftMeasurements = AppState.postureAnalysis.sideLeft.measurements;
                 const rightMeasurements = AppState.postureAnalysis.sideRight.measurements;
                 
+                const bilateral = AnalysisEngine.thresholds().bilateral;
                 let comparisonText = 'Side-to-side comparison analysis:\n\n';
                 
                 const leftNeck = parseFloat(leftMeasurements.forwardNeck);
                 const rightNeck = parseFloat(rightMeasurements.forwardNeck);
                 const neckDiff = Math.abs(leftNeck - rightNeck);
-                if (neckDiff > 3) {
+                if (neckDiff > bilateral.forwardNeck) {
                     const moreSevere = leftNeck > rightNeck ? 'LEFT' : 'RIGHT';
                     comparisonText += `• Forward neck asymmetry detected: ${moreSevere} side more severe with ${neckDiff.toFixed(1)}° difference (Left: ${leftNeck.toFixed(1)}°, Right: ${rightNeck.toFixed(1)}°).\n`;
                 }
@@ -873,7 +1498,7 @@ const PDFGenerator = {
                 const leftThoracic = parseFloat(leftMeasurements.thoracicCurvature);
                 const rightThoracic = parseFloat(rightMeasurements.thoracicCurvature);
                 const thoracicDiff = Math.abs(leftThoracic - rightThoracic);
-                if (thoracicDiff > 5) {
+                if (thoracicDiff > bilateral.thoracicCurvature) {
                     const moreSevere = leftThoracic > rightThoracic ? 'LEFT' : 'RIGHT';
                     comparisonText += `• Thoracic curvature asymmetry: ${moreSevere} side shows ${thoracicDiff.toFixed(1)}° greater curvature (Left: ${leftThoracic.toFixed(1)}°, Right: ${rightThoracic.toFixed(1)}°).\n`;
                 }
@@ -881,7 +1506,7 @@ const PDFGenerator = {
                 const leftLumbar = parseFloat(leftMeasurements.lumbarCurvature);
                 const rightLumbar = parseFloat(rightMeasurements.lumbarCurvature);
                 const lumbarDiff = Math.abs(leftLumbar - rightLumbar);
-                if (lumbarDiff > 5) {
+                if (lumbarDiff > bilateral.lumbarCurvature) {
                     const moreSevere = leftLumbar > rightLumbar ? 'LEFT' : 'RIGHT';
                     comparisonText += `• Lumbar curvature asymmetry: ${moreSevere} side shows ${lumbarDiff.toFixed(1)}° greater lordosis (Left: ${leftLumbar.toFixed(1)}°, Right: ${rightLumbar.toFixed(1)}°).\n`;
                 }
@@ -889,12 +1514,13 @@ const PDFGenerator = {
                 const leftShoulder = parseFloat(leftMeasurements.shoulderPosition);
                 const rightShoulder = parseFloat(rightMeasurements.shoulderPosition);
                 const shoulderDiff = Math.abs(leftShoulder - rightShoulder);
-                if (shoulderDiff > 5) {
+                if (shoulderDiff > bilateral.shoulderPosition) {
                     const moreSevere = leftShoulder > rightShoulder ? 'LEFT' : 'RIGHT';
                     comparisonText += `• Shoulder position asymmetry: ${moreSevere} side shows ${shoulderDiff.toFixed(1)}° greater deviation (Left: ${leftShoulder.toFixed(1)}°, Right: ${rightShoulder.toFixed(1)}°).\n`;
                 }
                 
-                if (neckDiff <= 3 && thoracicDiff <= 5 && lumbarDiff <= 5 && shoulderDiff <= 5) {
+                if (neckDiff <= bilateral.forwardNeck && thoracicDiff <= bilateral.thoracicCurvature &&
+                    lumbarDiff <= bilateral.lumbarCurvature && shoulderDiff <= bilateral.shoulderPosition) {
                     comparisonText += '• Bilateral sagittal plane measurements are symmetrical within normal limits.\n';
                 } else {
                     comparisonText += '\nRecommendation: Bilateral asymmetries suggest rotational or postural compensation patterns that should be addressed through targeted corrective exercises.\n';
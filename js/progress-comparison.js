@@ -0,0 +1,349 @@
+// progress-comparison.js - Longitudinal Comparison Between Saved Assessments
+
+const ProgressComparison = {
+    viewLabels: { front: 'Front', sideLeft: 'Side L', sideRight: 'Side R', back: 'Back', forwardBend: 'Fwd Bend' },
+
+    // Smallest change per unit that counts as a real difference rather than measurement noise
+    changeTolerance: { '°': 1, 'cm': 0.5, '%': 1 },
+
+    statusColors: {
+        improved: '#28a745',
+        worsened: '#dc3545',
+        unchanged: '#6c757d',
+        'n/a': '#adb5bd'
+    },
+
+    history: [],
+    currentComparison: null,
+
+    init() {
+        document.getElementById('compareBtn')?.addEventListener('click', () => this.runComparison());
+        document.getElementById('downloadProgressBtn')?.addEventListener('click', () => this.downloadProgressReport());
+        document.getElementById('trendMetricSelect')?.addEventListener('change', () => this.renderTrendChart());
+    },
+
+    getEngine() {
+        return typeof AnalysisEngine !== 'undefined' ? AnalysisEngine : require('./analysis-engine');
+    },
+
+    getMetricInfo(key) {
+        const info = this.getEngine().metricInfo(key);
+        return info || {
+            label: key,
+            unit: key.endsWith('Cm') ? 'cm' : '°'
+        };
+    },
+
+    // Distance of a value outside its normal range (0 when within normal limits)
+    excessBeyondNormal(key, value) {
+        const info = this.getMetricInfo(key);
+        if (info.min === undefined && info.max === undefined) return Math.abs(value);
+        if (info.max !== undefined && value > info.max) return value - info.max;
+        if (info.min !== undefined && value < info.min) return info.min - value;
+        return 0;
+    },
+
+    classifyChange(key, before, after) {
+        const info = this.getMetricInfo(key);
+        const tolerance = this.changeTolerance[info.unit] || 1;
+
+        if (Math.abs(after - before) < tolerance) return 'unchanged';
+
+        const excessBefore = this.excessBeyondNormal(key, before);
+        const excessAfter = this.excessBeyondNormal(key, after);
+
+        if (excessAfter < excessBefore) return 'improved';
+        if (excessAfter > excessBefore) return 'worsened';
+        return 'unchanged';
+    },
+
+    // baseline/followUp are per-view measurement maps: { front: {...}, sideLeft: {...}, ... }.
+    // A metric measured in only one of the two sessions is kept with null on the missing side,
+    // a null delta and status 'n/a'.
+    compareMeasurements(baseline, followUp) {
+        const rows = [];
+
+        Object.keys(this.viewLabels).forEach(view => {
+            const before = baseline[view] || {};
+            const after = followUp[view] || {};
+            const keys = [...new Set([...Object.keys(after), ...Object.keys(before)])];
+
+            keys.forEach(key => {
+                const beforeValue = parseFloat(before[key]);
+                const afterValue = parseFloat(after[key]);
+                if (isNaN(beforeValue) && isNaN(afterValue)) return;
+
+                const info = this.getMetricInfo(key);
+                const comparable = !isNaN(beforeValue) && !isNaN(afterValue);
+                rows.push({
+                    view,
+                    key,
+                    label: info.label,
+                    unit: info.unit,
+                    baseline: isNaN(beforeValue) ? null : beforeValue,
+                    followUp: isNaN(afterValue) ? null : afterValue,
+                    delta: comparable ? afterValue - beforeValue : null,
+                    status: comparable ? this.classifyChange(key, beforeValue, afterValue) : 'n/a'
+                });
+            });
+        });
+
+        return rows;
+    },
+
+    summarize(rows) {
+        return rows.reduce((counts, row) => {
+            counts[row.status]++;
+            return counts;
+        }, { improved: 0, worsened: 0, unchanged: 0, 'n/a': 0 });
+    },
+
+    // Table cells for the comparison; 'n/a' for the side a metric was not measured on
+    formatValue(value, unit) {
+        return value === null ? 'n/a' : `${value.toFixed(1)}${unit}`;
+    },
+
+    formatDelta(row) {
+        if (row.delta === null) return 'n/a';
+        return `${row.delta > 0 ? '+' : ''}${row.delta.toFixed(1)}${row.unit}`;
+    },
+
+    async setPatientHistory(patientId) {
+        const panel = document.getElementById('progressComparison');
+        this.history = [];
+        this.currentComparison = null;
+        document.getElementById('comparisonTable').innerHTML = '';
+        document.getElementById('downloadProgressBtn').disabled = true;
+        this.showError(null);
+
+        if (!patientId) {
+            panel?.classList.add('hidden');
+            return;
+        }
+
+        try {
+            const response = await fetch(`/api/patients/${patientId}/measurements`);
+            if (!response.ok) throw new Error(`Request failed: ${response.status}`);
+            const data = await response.json();
+            this.history = data.history;
+        } catch (error) {
+            console.error('Error loading measurement history:', error);
+            this.showError(`Unable to load measurement history: ${error.message}`);
+            panel?.classList.remove('hidden');
+            return;
+        }
+
+        if (this.history.length < 2) {
+            panel?.classList.add('hidden');
+            return;
+        }
+
+        panel?.classList.remove('hidden');
+        this.populateAssessmentSelects();
+        this.populateTrendMetrics();
+        this.renderTrendChart();
+    },
+
+    // Replaces the comparison controls with an error message; null clears it
+    showError(message) {
+        const error = document.getElementById('progressError');
+        if (error) {
+            error.textContent = message || '';
+            error.classList.toggle('hidden', !message);
+        }
+        document.getElementById('progressContent')?.classList.toggle('hidden', !!message);
+    },
+
+    populateAssessmentSelects() {
+        const baselineSelect = document.getElementById('baselineSelect');
+        const followUpSelect = document.getElementById('followUpSelect');
+
+        [baselineSelect, followUpSelect].forEach(select => {
+            select.innerHTML = '';
+            this.history.forEach(entry => {
+                const option = document.createElement('option');
+                option.value = entry.id;
+                option.textContent = new Date(entry.createdAt).toLocaleDateString();
+                select.appendChild(option);
+            });
+        });
+
+        // Default to first vs most recent session
+        baselineSelect.value = this.history[0].id;
+        followUpSelect.value = this.history[this.history.length - 1].id;
+    },
+
+    runComparison() {
+        const baseline = this.history.find(e => e.id === document.getElementById('baselineSelect').value);
+        const followUp = this.history.find(e => e.id === document.getElementById('followUpSelect').value);
+
+        if (!baseline || !followUp || baseline.id === followUp.id) {
+            alert('Please choose two different assessments to compare.');
+            return;
+        }
+
+        const rows = this.compareMeasurements(baseline.measurements, followUp.measurements);
+        this.currentComparison = { baseline, followUp, rows };
+        this.renderComparisonTable(rows);
+        document.getElementById('downloadProgressBtn').disabled = false;
+    },
+
+    renderComparisonTable(rows) {
+        const container = document.getElementById('comparisonTable');
+        const counts = this.summarize(rows);
+
+        let html = `
+            <p class="comparison-summary">
+                <span style="color: ${this.statusColors.improved};">${counts.improved} improved</span> |
+                <span style="color: ${this.statusColors.worsened};">${counts.worsened} worsened</span> |
+                <span style="color: ${this.statusColors.unchanged};">${counts.unchanged} unchanged</span>${counts['n/a'] > 0 ? ` |
+                <span style="color: ${this.statusColors['n/a']};">${counts['n/a']} measured in one session only</span>` : ''}
+            </p>
+            <table class="comparison-table">
+                <thead><tr><th>View</th><th>Measurement</th><th>Baseline</th><th>Follow-up</th><th>Change</th><th>Status</th></tr></thead>
+                <tbody>
+        `;
+
+        rows.forEach(row => {
+            html += `
+                <tr>
+                    <td>${this.viewLabels[row.view]}</td>
+                    <td>${row.label}</td>
+                    <td>${this.formatValue(row.baseline, row.unit)}</td>
+                    <td>${this.formatValue(row.followUp, row.unit)}</td>
+                    <td>${this.formatDelta(row)}</td>
+                    <td style="color: ${this.statusColors[row.status]}; font-weight: bold;">${row.status.toUpperCase()}</td>
+                </tr>
+            `;
+        });
+
+        html += '</tbody></table>';
+        container.innerHTML = html;
+    },
+
+    populateTrendMetrics() {
+        const select = document.getElementById('trendMetricSelect');
+        const previous = select.value;
+        select.innerHTML = '';
+
+        const latest = this.history[this.history.length - 1].measurements;
+        Object.keys(this.viewLabels).forEach(view => {
+            Object.keys(latest[view] || {}).forEach(key => {
+                if (isNaN(parseFloat(latest[view][key]))) return;
+                const info = this.getMetricInfo(key);
+                const option = document.createElement('option');
+                option.value = `${view}.${key}`;
+                option.textContent = `${this.viewLabels[view]} - ${info.label} (${info.unit})`;
+                select.appendChild(option);
+            });
+        });
+
+        if (previous && [...select.options].some(o => o.value === previous)) {
+            select.value = previous;
+        }
+    },
+
+    getTrendSeries(view, key) {
+        return this.history
+            .map(entry => ({ date: new Date(entry.createdAt), value: parseFloat(entry.measurements[view]?.[key]) }))
+            .filter(point => !isNaN(point.value));
+    },
+
+    // Y axis range for the trend chart: the values and 0, padded by 10% of the span on both
+    // sides so negative metrics (trunk inclination, plumb line offsets) stay inside the plot
+    trendRange(values) {
+        let min = Math.min(0, ...values);
+        let max = Math.max(0, ...values);
+        const span = (max - min) || 1;
+        min -= span * 0.1;
+        max += span * 0.1;
+        return { min, max };
+    },
+
+    renderTrendChart() {
+        const canvas = document.getElementById('trendChart');
+        const selected = document.getElementById('trendMetricSelect')?.value;
+        if (!canvas || !selected) return;
+
+        const [view, key] = selected.split('.');
+        const series = this.getTrendSeries(view, key);
+        const info = this.getMetricInfo(key);
+        const ctx = canvas.getContext('2d');
+        const padding = { left: 50, right: 20, top: 20, bottom: 35 };
+        const plotWidth = canvas.width - padding.left - padding.right;
+        const plotHeight = canvas.height - padding.top - padding.bottom;
+
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+        if (series.length === 0) return;
+
+        const values = series.map(p => p.value);
+        if (info.min !== undefined) values.push(info.min);
+        if (info.max !== undefined) values.push(info.max);
+        const { min: minValue, max: maxValue } = this.trendRange(values);
+
+        const toX = (i) => padding.left + (series.length === 1 ? plotWidth / 2 : (i / (series.length - 1)) * plotWidth);
+        const toY = (v) => padding.top + plotHeight - ((v - minValue) / (maxValue - minValue)) * plotHeight;
+
+        // Normal range band
+        const bandTop = toY(info.max !== undefined ? info.max : maxValue);
+        const bandBottom = toY(info.min !== undefined ? info.min : minValue);
+        if (info.max !== undefined || info.min !== undefined) {
+            ctx.fillStyle = 'rgba(40, 167, 69, 0.12)';
+            ctx.fillRect(padding.left, bandTop, plotWidth, bandBottom - bandTop);
+        }
+
+        // Axes
+        ctx.strokeStyle = '#999';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(padding.left, padding.top);
+        ctx.lineTo(padding.left, padding.top + plotHeight);
+        ctx.lineTo(padding.left + plotWidth, padding.top + plotHeight);
+        ctx.stroke();
+
+        ctx.fillStyle = '#666';
+        ctx.font = '11px Segoe UI, sans-serif';
+        ctx.textAlign = 'right';
+        ctx.fillText(`${maxValue.toFixed(1)}${info.unit}`, padding.left - 5, padding.top + 8);
+        ctx.fillText(`${minValue.toFixed(1)}${info.unit}`, padding.left - 5, padding.top + plotHeight);
+
+        // Trend line
+        ctx.strokeStyle = '#667eea';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        series.forEach((point, i) => {
+            if (i === 0) ctx.moveTo(toX(i), toY(point.value));
+            else ctx.lineTo(toX(i), toY(point.value));
+        });
+        ctx.stroke();
+
+        ctx.textAlign = 'center';
+        series.forEach((point, i) => {
+            ctx.fillStyle = '#764ba2';
+            ctx.beginPath();
+            ctx.arc(toX(i), toY(point.value), 4, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.fillStyle = '#666';
+            ctx.fillText(point.date.toLocaleDateString(), toX(i), padding.top + plotHeight + 18);
+        });
+    },
+
+    downloadProgressReport() {
+        if (!this.currentComparison || typeof PDFGenerator === 'undefined') return;
+
+        const patient = typeof PatientRecords !== 'undefined' ? PatientRecords.getSelectedPatient() : null;
+        PDFGenerator.generateProgressPDF({
+            patient,
+            ...this.currentComparison,
+            trendSeries: (view, key) => this.getTrendSeries(view, key)
+        });
+    }
+};
+
+if (typeof document !== 'undefined') document.addEventListener('DOMContentLoaded', () => {
+    ProgressComparison.init();
+});
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ProgressComparison;
+}
@@ -0,0 +1,188 @@
+// threshold-settings.js - Clinical Threshold Settings Screen
+//
+// Loads the clinic's threshold configuration from /api/thresholds into AnalysisEngine at start-up
+// and lets the clinician pick a preset and edit individual limits. Only values that differ from
+// the chosen preset are saved as overrides.
+
+const ThresholdSettings = {
+    presets: {},
+    config: null,
+
+    init() {
+        document.getElementById('thresholdPresetSelect')?.addEventListener('change', () => this.renderTable({}));
+        document.getElementById('saveThresholdsBtn')?.addEventListener('click', () => this.save());
+        document.getElementById('resetThresholdsBtn')?.addEventListener('click', () => this.renderTable({}));
+
+        this.load();
+        console.log('Threshold settings module initialized');
+    },
+
+    async request(url, options = {}) {
+        const response = await fetch(url, {
+            headers: { 'Content-Type': 'application/json' },
+            ...options
+        });
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.details ? `${data.error}: ${data.details.join('; ')}` : data.error || `Request failed: ${response.status}`);
+        }
+        return data;
+    },
+
+    showStatus(message, type = 'info') {
+        const status = document.getElementById('thresholdStatus');
+        if (!status) return;
+        status.className = `calibration-status ${type}`;
+        status.textContent = message;
+        status.classList.remove('hidden');
+        setTimeout(() => status.classList.add('hidden'), 5000);
+    },
+
+    async load() {
+        try {
+            const data = await this.request('/api/thresholds');
+            this.presets = data.presets;
+            this.applyConfig(data.config);
+        } catch (error) {
+            console.error('Error loading thresholds:', error);
+            this.showStatus(`Unable to load the clinic's thresholds - using the adult preset: ${error.message}`, 'error');
+            this.presets = {};
+            Object.entries(ClinicalThresholds.presets).forEach(([key, preset]) => { this.presets[key] = preset.label; });
+            this.applyConfig({ preset: ClinicalThresholds.DEFAULT_PRESET, overrides: {} });
+        }
+    },
+
+    applyConfig(config) {
+        this.config = config;
+        AnalysisEngine.configureThresholds(config);
+        this.renderPresetOptions();
+        this.renderTable(config.overrides || {});
+        this.updateSummary();
+    },
+
+    renderPresetOptions() {
+        const select = document.getElementById('thresholdPresetSelect');
+        if (!select) return;
+        select.innerHTML = '';
+        Object.entries(this.presets).forEach(([key, label]) => {
+            const option = document.createElement('option');
+            option.value = key;
+            option.textContent = label;
+            select.appendChild(option);
+        });
+        select.value = this.config.preset;
+    },
+
+    updateSummary() {
+        const summary = document.getElementById('thresholdSummary');
+        if (summary) summary.textContent = `Active: ${AnalysisEngine.describeThresholds()}`;
+    },
+
+    selectedPreset() {
+        return document.getElementById('thresholdPresetSelect')?.value || ClinicalThresholds.DEFAULT_PRESET;
+    },
+
+    numberInput(path, value) {
+        const input = document.createElement('input');
+        input.type = 'number';
+        input.step = '0.1';
+        input.dataset.path = path;
+        input.value = value;
+        return input;
+    },
+
+    // One row per limit, pre-filled with the preset plus any overrides being shown
+    renderTable(overrides) {
+        const table = document.getElementById('thresholdTable');
+        if (!table) return;
+        const resolved = ClinicalThresholds.resolve({ preset: this.selectedPreset(), overrides });
+        table.innerHTML = '<tr><th>Measurement</th><th>Min</th><th>Max</th><th>Source</th></tr>';
+
+        Object.entries(resolved.limits).forEach(([key, limit]) => {
+            const info = AnalysisEngine.metricCatalogue[key];
+            const bounds = ClinicalThresholds.adult.limits[key];
+            const row = table.insertRow();
+            row.insertCell().textContent = `${info.label} (${info.unit})`;
+            ['min', 'max'].forEach(bound => {
+                const cell = row.insertCell();
+                if (bounds[bound] !== undefined) cell.appendChild(this.numberInput(`limits.${key}.${bound}`, limit[bound] ?? ''));
+            });
+            row.insertCell().textContent = limit.source || '';
+        });
+
+        Object.entries(ClinicalThresholds.sections).forEach(([section, labels]) => {
+            const heading = table.insertRow();
+            const cell = heading.insertCell();
+            cell.colSpan = 4;
+            cell.className = 'threshold-group';
+            cell.textContent = section === 'severityBands' ? 'Severity grading' : 'Left/right side view difference reported as asymmetry';
+
+            Object.entries(labels).forEach(([key, label]) => {
+                const row = table.insertRow();
+                row.insertCell().textContent = label;
+                row.insertCell();
+                row.insertCell().appendChild(this.numberInput(`${section}.${key}`, resolved[section][key]));
+                row.insertCell();
+            });
+        });
+    },
+
+    // Values that differ from the selected preset, as { limits, severityBands, bilateral }
+    collectOverrides() {
+        const base = ClinicalThresholds.resolve({ preset: this.selectedPreset() });
+        const overrides = {};
+        document.querySelectorAll('#thresholdTable input[data-path]').forEach(input => {
+            const path = input.dataset.path.split('.');
+            const value = input.value === '' ? undefined : parseFloat(input.value);
+
+            if (path[0] === 'limits') {
+                const [, key, bound] = path;
+                if (value === base.limits[key][bound]) return;
+                // A changed bound overrides the whole range, so carry the other bound with it
+                overrides.limits = overrides.limits || {};
+                overrides.limits[key] = { min: base.limits[key].min, max: base.limits[key].max, ...overrides.limits[key], [bound]: value };
+            } else {
+                const [section, key] = path;
+                if (value === base[section][key]) return;
+                overrides[section] = { ...overrides[section], [key]: value };
+            }
+        });
+        return overrides;
+    },
+
+    async save() {
+        const config = { preset: this.selectedPreset(), overrides: this.collectOverrides() };
+        const errors = ClinicalThresholds.validate(config);
+        if (errors.length > 0) {
+            this.showStatus(`✗ ${errors.join('; ')}`, 'error');
+            return;
+        }
+
+        try {
+            const data = await this.request('/api/thresholds', { method: 'PUT', body: JSON.stringify(config) });
+            this.applyConfig(data.config);
+            this.showStatus(`✓ Thresholds saved for the clinic: ${AnalysisEngine.describeThresholds()}`, 'success');
+            this.reanalyze();
+        } catch (error) {
+            console.error('Error saving thresholds:', error);
+            this.showStatus(`Unable to save thresholds: ${error.message}`, 'error');
+        }
+    },
+
+    // An analysis already on screen is re-graded against the new limits
+    reanalyze() {
+        if (!AppState.postureAnalysis) return;
+        if (AppState.currentMode === 'upload') {
+            AnalysisEngine.analyzeUploadedPosture();
+        } else {
+            AnalysisEngine.analyzePosture();
+        }
+        if (typeof PatientRecords !== 'undefined') {
+            PatientRecords.onAnalysisComplete();
+        }
+    }
+};
+
+document.addEventListener('DOMContentLoaded', () => {
+    ThresholdSettings.init();
+});
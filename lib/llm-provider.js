@@ -0,0 +1,122 @@
+// llm-provider.js - OpenAI-Compatible Chat Completion Provider Configured from .env
+//
+// LLM_PROVIDER    local (default) | openai | none - patient data is sent to the endpoint
+// LLM_BASE_URL    API root exposing /chat/completions (default per provider)
+// LLM_API_KEY     bearer token; falls back to OPENAI_API_KEY; optional for local
+// LLM_MODEL       model name (default per provider)
+// LLM_MAX_TOKENS, LLM_TEMPERATURE, LLM_TIMEOUT_MS
+
+const PROVIDER_DEFAULTS = {
+    // llama.cpp server and Ollama both expose an OpenAI-compatible /v1 API
+    local: { baseUrl: 'http://localhost:11434/v1', model: 'llama3.1', requiresKey: false },
+    openai: { baseUrl: 'https://api.openai.com/v1', model: 'gpt-4o-mini', requiresKey: true }
+};
+
+// Whole hostnames only: a prefix test would pass localhost.example.com or 10.example.net
+const LOCAL_HOST_NAMES = ['localhost', '[::1]'];
+const IPV4_PATTERN = /^(\d{1,3})\.(\d{1,3})\.(\d{1,3})\.(\d{1,3})$/;
+
+// Loopback and RFC 1918 private ranges
+function isPrivateIPv4(hostname) {
+    const match = IPV4_PATTERN.exec(hostname);
+    if (!match) return false;
+    const octets = match.slice(1).map(Number);
+    if (octets.some(octet => octet > 255)) return false;
+    const [a, b] = octets;
+    return a === 127 || a === 10 || (a === 192 && b === 168) || (a === 172 && b >= 16 && b <= 31);
+}
+
+function isPrivateHost(hostname) {
+    const host = hostname.toLowerCase();
+    return LOCAL_HOST_NAMES.includes(host) || host.endsWith('.local') || isPrivateIPv4(host);
+}
+
+function readNumber(value, fallback) {
+    const number = parseFloat(value);
+    return Number.isFinite(number) ? number : fallback;
+}
+
+const LLMProvider = {
+    getConfig(env = process.env) {
+        const name = (env.LLM_PROVIDER || 'local').toLowerCase();
+        const defaults = PROVIDER_DEFAULTS[name];
+
+        if (!defaults) {
+            return { provider: name === 'none' ? 'none' : `unknown (${name})`, enabled: false };
+        }
+
+        return {
+            provider: name,
+            enabled: true,
+            requiresKey: defaults.requiresKey,
+            baseUrl: (env.LLM_BASE_URL || defaults.baseUrl).replace(/\/+$/, ''),
+            apiKey: env.LLM_API_KEY || (name === 'openai' ? env.OPENAI_API_KEY : '') || '',
+            model: env.LLM_MODEL || defaults.model,
+            maxTokens: readNumber(env.LLM_MAX_TOKENS, 500),
+            temperature: readNumber(env.LLM_TEMPERATURE, 0.3),
+            timeoutMs: readNumber(env.LLM_TIMEOUT_MS, 60000)
+        };
+    },
+
+    isConfigured(config = this.getConfig()) {
+        return config.enabled && (!config.requiresKey || !!config.apiKey);
+    },
+
+    // Whether requests stay inside the local network (patient data must not leave it)
+    isLocalEndpoint(config = this.getConfig()) {
+        if (!config.baseUrl) return false;
+        try {
+            return isPrivateHost(new URL(config.baseUrl).hostname);
+        } catch {
+            return false;
+        }
+    },
+
+    // Logged at startup: the summary prompt carries patient measurements, so an endpoint outside
+    // the local network must be a deliberate choice. null when nothing is sent off the network.
+    privacyWarning(config = this.getConfig()) {
+        if (!this.isConfigured(config) || this.isLocalEndpoint(config)) return null;
+        return `⚠ LLM provider "${config.provider}" sends patient data to ${config.baseUrl}, outside the local network. Set LLM_PROVIDER=local to keep it on site.`;
+    },
+
+    // Safe to expose from /health - never includes the API key
+    describe(config = this.getConfig()) {
+        return {
+            provider: config.provider,
+            configured: this.isConfigured(config),
+            model: config.model || null,
+            base_url: config.baseUrl || null,
+            local_endpoint: this.isLocalEndpoint(config)
+        };
+    },
+
+    async createChatCompletion(messages, config = this.getConfig()) {
+        if (!this.isConfigured(config)) {
+            throw new Error(`LLM provider "${config.provider}" is not configured`);
+        }
+
+        const headers = { 'Content-Type': 'application/json' };
+        if (config.apiKey) headers.Authorization = `Bearer ${config.apiKey}`;
+
+        const response = await fetch(`${config.baseUrl}/chat/completions`, {
+            method: 'POST',
+            headers,
+            body: JSON.stringify({
+                model: config.model,
+                messages,
+                max_tokens: config.maxTokens,
+                temperature: config.temperature
+            }),
+            signal: AbortSignal.timeout(config.timeoutMs)
+        });
+
+        if (!response.ok) {
+            throw new Error(`LLM API error (${config.provider}): ${response.status} ${response.statusText}`);
+        }
+
+        const data = await response.json();
+        return data.choices?.[0]?.message?.content || '';
+    }
+};
+
+module.exports = LLMProvider;
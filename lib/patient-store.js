@@ -0,0 +1,144 @@
+// patient-store.js - File-backed Patient and Assessment Records
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// forwardBend is only present when the assessment included scoliosis screening
+const VIEWS = ['front', 'sideLeft', 'sideRight', 'back', 'forwardBend'];
+
+const PatientStore = {
+    filePath: null,
+    data: null,
+    writeQueue: Promise.resolve(),
+
+    init(dataDir) {
+        this.filePath = path.join(dataDir, 'patients.json');
+        fs.mkdirSync(dataDir, { recursive: true });
+
+        if (fs.existsSync(this.filePath)) {
+            this.data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        } else {
+            this.data = { patients: [], assessments: [] };
+        }
+
+        console.log(`Patient store loaded: ${this.data.patients.length} patients, ${this.data.assessments.length} assessments`);
+    },
+
+    // Writes go through a queue and a temp file so a crash mid-write never truncates the store.
+    // A failed write rejects for its caller only; the next write still runs with the full data.
+    persist() {
+        const snapshot = JSON.stringify(this.data, null, 2);
+        const write = this.writeQueue.catch(() => {}).then(async () => {
+            const tempPath = `${this.filePath}.tmp`;
+            await fs.promises.writeFile(tempPath, snapshot, 'utf8');
+            await fs.promises.rename(tempPath, this.filePath);
+        });
+        this.writeQueue = write;
+        return write;
+    },
+
+    listPatients() {
+        return this.data.patients.map(patient => {
+            const history = this.data.assessments.filter(a => a.patientId === patient.id);
+            return {
+                ...patient,
+                assessmentCount: history.length,
+                lastAssessmentAt: history.length > 0 ? history[history.length - 1].createdAt : null
+            };
+        });
+    },
+
+    getPatient(patientId) {
+        return this.data.patients.find(p => p.id === patientId) || null;
+    },
+
+    async createPatient({ name, dateOfBirth, sex, notes }) {
+        const patient = {
+            id: crypto.randomUUID(),
+            name: name.trim(),
+            dateOfBirth: dateOfBirth || null,
+            sex: sex || null,
+            notes: notes || '',
+            createdAt: new Date().toISOString()
+        };
+
+        this.data.patients.push(patient);
+        await this.persist();
+        return patient;
+    },
+
+    listAssessments(patientId) {
+        return this.data.assessments
+            .filter(a => a.patientId === patientId)
+            .map(a => {
+                const summary = a.analysis?.deformitySummary;
+                return {
+                    id: a.id,
+                    patientId: a.patientId,
+                    createdAt: a.createdAt,
+                    mode: a.mode,
+                    deformityCount: summary ?
+                        summary.frontalPlane.length + summary.sagittalPlane.length + summary.bilateralComparison.length : 0
+                };
+            });
+    },
+
+    // Per-view measurements of every assessment, oldest first, for trend charts
+    listMeasurementHistory(patientId) {
+        return this.data.assessments
+            .filter(a => a.patientId === patientId)
+            .map(a => {
+                const measurements = {};
+                VIEWS.forEach(view => {
+                    measurements[view] = a.analysis?.[view]?.measurements || {};
+                });
+                return { id: a.id, createdAt: a.createdAt, measurements };
+            });
+    },
+
+    getAssessment(assessmentId) {
+        return this.data.assessments.find(a => a.id === assessmentId) || null;
+    },
+
+    async createAssessment(patientId, { mode, calibration, landmarks, worldLandmarks, contour, imageSize, capture, analysis, report }) {
+        const assessment = {
+            id: crypto.randomUUID(),
+            patientId,
+            createdAt: new Date().toISOString(),
+            mode: mode || 'camera',
+            calibration: calibration || null,
+            landmarks: {},
+            worldLandmarks: {},
+            contour: {},
+            imageSize: {},
+            capture: {},
+            analysis,
+            report: report || null
+        };
+
+        VIEWS.forEach(view => {
+            assessment.landmarks[view] = landmarks?.[view] || null;
+            assessment.worldLandmarks[view] = worldLandmarks?.[view] || null;
+            assessment.contour[view] = contour?.[view] || null;
+            assessment.imageSize[view] = imageSize?.[view] || null;
+            assessment.capture[view] = capture?.[view] || null;
+        });
+
+        this.data.assessments.push(assessment);
+        await this.persist();
+        return assessment;
+    },
+
+    async updateAssessmentReport(assessmentId, report) {
+        const assessment = this.getAssessment(assessmentId);
+        if (!assessment) return null;
+
+        assessment.report = { ...assessment.report, ...report };
+        assessment.updatedAt = new Date().toISOString();
+        await this.persist();
+        return assessment;
+    }
+};
+
+module.exports = PatientStore;
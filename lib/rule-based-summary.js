@@ -0,0 +1,176 @@
+// rule-based-summary.js - Deterministic Clinical Summary Used When No LLM Is Available
+//
+// Builds the same SUMMARY/EXERCISES pair as /api/generate-summary from the deformity
+// summary, the bilateral comparison and the measurement values. Same input, same text.
+// Exercises come from AnalysisEngine.generateExerciseProtocol.
+
+const AnalysisEngine = require('../js/analysis-engine');
+
+const VIEWS = ['front', 'sideLeft', 'sideRight', 'back'];
+const VIEW_NAMES = { front: 'front', sideLeft: 'left side', sideRight: 'right side', back: 'back' };
+const SEVERITY_ORDER = ['SEVERE', 'MODERATE', 'MILD'];
+
+function sideName(side) {
+    return (side || '').toLowerCase();
+}
+
+// One sentence fragment per deformity, e.g. "Shoulder Level Asymmetry (moderate): left side elevated by 3.5cm (5.0°)"
+function describeDeformity(deformity, sideView) {
+    const severity = deformity.severity ? ` (${deformity.severity.toLowerCase()})` : '';
+    const view = sideView ? ` in the ${sideName(sideView)} side view` : '';
+    let detail;
+
+    if (deformity.type === 'Forward Head Posture') {
+        const cva = deformity.craniovertebralAngle ? `craniovertebral angle ${deformity.craniovertebralAngle}°, ` : '';
+        detail = `${cva}neck ${deformity.neckAngle}° (${deformity.neckDistance}cm) and chin ${deformity.chinAngle}° (${deformity.chinDistance}cm) anterior to the shoulders`;
+    } else if (deformity.elevated) {
+        detail = `${sideName(deformity.elevated)} side elevated by ${deformity.distance}cm (${deformity.angle}°)`;
+    } else if (deformity.longer) {
+        detail = `${sideName(deformity.longer)} fold longer by ${deformity.percentage}%`;
+    } else if (deformity.larger) {
+        detail = `${sideName(deformity.larger)} waist triangle larger by ${deformity.percentage}% [from the body silhouette]`;
+    } else if (deformity.type === 'Lateral Trunk Shift') {
+        detail = `trunk ${deformity.distance}cm to the ${sideName(deformity.direction)} of the midline between the feet [from the body silhouette]`;
+    } else if (deformity.direction) {
+        detail = `${deformity.direction.toLowerCase()}, ${deformity.angle}°`;
+    } else {
+        detail = `${deformity.angle}°`;
+    }
+
+    const estimate = deformity.estimate ? ' [estimate from body landmarks]' : '';
+    const confidence = deformity.lowConfidence ? ' [low confidence - landmarks not clearly visible]' : '';
+    return `${deformity.type}${severity}${view}: ${detail}${estimate}${confidence}`;
+}
+
+function describeComparison(comparison) {
+    return `${comparison.type} (left view ${comparison.leftValue}, right view ${comparison.rightValue}, difference ${comparison.difference}, greater in the ${comparison.moreSevere.replace(' VIEW', '').toLowerCase()} view)`;
+}
+
+function bySeverity(a, b) {
+    return SEVERITY_ORDER.indexOf(a.severity) - SEVERITY_ORDER.indexOf(b.severity);
+}
+
+// Measurements outside their normal range, formatted like "Shoulder Level 5.0° (normal <2°)".
+// Low-confidence measurements are left out here and listed by listLowConfidence.
+function listAbnormalMeasurements(analysisData) {
+    const findings = [];
+    VIEWS.forEach(view => {
+        Object.entries(analysisData[view]?.measurements || {}).forEach(([key, raw]) => {
+            const info = AnalysisEngine.metricCatalogue[key];
+            if (!AnalysisEngine.isReliable(analysisData[view], key)) return;
+            if (!info || !AnalysisEngine.isOutsideNormal(key, raw)) return;
+
+            const entry = `${info.label} ${raw}${info.unit} (normal ${AnalysisEngine.formatNormalRange(key)})`;
+            if (!findings.includes(entry)) findings.push(entry);
+        });
+    });
+    return findings;
+}
+
+function listLowConfidence(analysisData) {
+    const labels = [];
+    VIEWS.forEach(view => {
+        Object.keys(analysisData[view]?.measurements || {}).forEach(key => {
+            const info = AnalysisEngine.metricCatalogue[key];
+            if (info && !AnalysisEngine.isReliable(analysisData[view], key) && !labels.includes(info.label)) {
+                labels.push(info.label);
+            }
+        });
+    });
+    return labels;
+}
+
+// e.g. "front view: Left Hip, Left Ankle"
+function listAdjustedLandmarks(analysisData) {
+    return VIEWS
+        .filter(view => analysisData[view]?.adjustedLandmarks?.length > 0)
+        .map(view => `${VIEW_NAMES[view]} view: ${analysisData[view].adjustedLandmarks.join(', ')}`);
+}
+
+const RuleBasedSummary = {
+    generate(analysisData) {
+        const deformitySummary = analysisData.deformitySummary ||
+            AnalysisEngine.generateDeformitySummary(analysisData);
+
+        return {
+            summary: this.buildSummary(analysisData, deformitySummary),
+            exercises: this.buildExercises(analysisData, deformitySummary)
+        };
+    },
+
+    buildSummary(analysisData, deformitySummary) {
+        const frontal = [...deformitySummary.frontalPlane].sort(bySeverity);
+        const sagittal = [...deformitySummary.sagittalPlane].sort(bySeverity);
+        const comparisons = deformitySummary.bilateralComparison || [];
+        const views = VIEWS.filter(view => analysisData[view]?.measurements &&
+            Object.keys(analysisData[view].measurements).length > 0);
+        const abnormal = listAbnormalMeasurements(analysisData);
+        const lowConfidence = listLowConfidence(analysisData);
+        const adjusted = listAdjustedLandmarks(analysisData);
+        const paragraphs = [];
+
+        paragraphs.push(`Multi-view postural assessment (${views.length} of 4 views analysed) identified ` +
+            `${frontal.length + sagittal.length} postural deviation(s): ${frontal.length} in the frontal plane ` +
+            `and ${sagittal.length} in the sagittal plane.`);
+
+        if (frontal.length === 0 && sagittal.length === 0) {
+            paragraphs.push(abnormal.length === 0
+                ? 'No significant postural deviations were detected; all measured values are within normal limits.'
+                : 'No significant postural deviations were detected.');
+        }
+        if (frontal.length > 0) {
+            paragraphs.push(`Frontal plane findings: ${frontal.map(d => describeDeformity(d)).join('; ')}.`);
+        }
+        if (sagittal.length > 0) {
+            paragraphs.push(`Sagittal plane findings: ${sagittal.map(d => describeDeformity(d, d.side)).join('; ')}.`);
+        }
+
+        if (comparisons.length > 0) {
+            paragraphs.push(`Left/right side view asymmetries: ${comparisons.map(describeComparison).join('; ')}.`);
+        } else if (analysisData.sideLeft && analysisData.sideRight) {
+            paragraphs.push('Left and right side views were consistent with no significant asymmetry.');
+        }
+
+        if (abnormal.length > 0) {
+            paragraphs.push(`Measurements outside normal range: ${abnormal.join('; ')}.`);
+        }
+
+        if (lowConfidence.length > 0) {
+            paragraphs.push(`Low confidence (landmarks not clearly visible, interpret with caution): ${lowConfidence.join(', ')}.`);
+        }
+
+        if (adjusted.length > 0) {
+            paragraphs.push(`Landmarks manually adjusted by the clinician before analysis: ${adjusted.join('; ')}.`);
+        }
+
+        paragraphs.push(`Normal ranges: ${AnalysisEngine.summarizeThresholds(analysisData)}.`);
+
+        const calibration = AnalysisEngine.summarizeCalibration(analysisData);
+        if (calibration) {
+            paragraphs.push(`Centimetre values calibrated from: ${calibration}.`);
+        }
+
+        const world = AnalysisEngine.summarizeWorldMeasurements(analysisData);
+        if (world.length > 0) {
+            paragraphs.push(`3D measurements from MediaPipe world landmarks (no calibration needed, depth estimated from a single camera): ${world.join('; ')}.`);
+        }
+
+        const screening = AnalysisEngine.summarizeScoliosisScreening(analysisData);
+        if (screening) {
+            paragraphs.push(`Scoliosis screening (Adams forward bend test - a screening result, not a diagnosis): ${screening}.`);
+        }
+
+        paragraphs.push('This summary was generated from the measured landmarks using fixed clinical rules ' +
+            'and should be confirmed by physical examination.');
+
+        return paragraphs.join('\n\n');
+    },
+
+    // Same exercise catalogue the report's exercise table uses (js/exercise-library.js)
+    buildExercises(analysisData, deformitySummary) {
+        const protocol = AnalysisEngine.generateExerciseProtocol({ ...analysisData, deformitySummary });
+        return `${protocol.exercises}\n\n${protocol.schedule}`;
+    }
+};
+
+module.exports = RuleBasedSummary;
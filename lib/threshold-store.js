@@ -0,0 +1,59 @@
+// threshold-store.js - File-backed Clinical Threshold Configuration
+//
+// Holds the clinic's { preset, overrides } configuration (see js/clinical-thresholds.js)
+// in DATA_DIR/thresholds.json. Without a file the adult preset applies.
+
+const fs = require('fs');
+const path = require('path');
+const ClinicalThresholds = require('../js/clinical-thresholds');
+
+const ThresholdStore = {
+    filePath: null,
+    config: null,
+    writeQueue: Promise.resolve(),
+
+    init(dataDir) {
+        this.filePath = path.join(dataDir, 'thresholds.json');
+        fs.mkdirSync(dataDir, { recursive: true });
+
+        if (fs.existsSync(this.filePath)) {
+            this.config = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        } else {
+            this.config = { preset: ClinicalThresholds.DEFAULT_PRESET, overrides: {}, updatedAt: null };
+        }
+
+        console.log(`Clinical thresholds loaded: ${ClinicalThresholds.resolve(this.config).label} preset`);
+    },
+
+    get() {
+        return this.config;
+    },
+
+    // Callers validate with ClinicalThresholds.validate first. The new configuration only takes
+    // effect once it is on disk, so a failed write leaves the previous one in place.
+    save({ preset, overrides }) {
+        const config = {
+            preset: preset || ClinicalThresholds.DEFAULT_PRESET,
+            overrides: overrides || {},
+            updatedAt: new Date().toISOString()
+        };
+        return this.persist(config).then(() => {
+            this.config = config;
+            return config;
+        });
+    },
+
+    // Same temp-file-and-rename write queue as PatientStore: a failed write rejects for its caller only
+    persist(config) {
+        const snapshot = JSON.stringify(config, null, 2);
+        const write = this.writeQueue.catch(() => {}).then(async () => {
+            const tempPath = `${this.filePath}.tmp`;
+            await fs.promises.writeFile(tempPath, snapshot, 'utf8');
+            await fs.promises.rename(tempPath, this.filePath);
+        });
+        this.writeQueue = write;
+        return write;
+    }
+};
+
+module.exports = ThresholdStore;
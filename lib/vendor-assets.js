@@ -0,0 +1,107 @@
+// vendor-assets.js - Locally Served MediaPipe and jsPDF Assets
+
+const fs = require('fs');
+const path = require('path');
+
+const NODE_MODULES = path.join(__dirname, '..', 'node_modules');
+
+// Each bundle is served from its npm package under /vendor/<name>. cdnBase is the
+// equivalent CDN location used when ASSET_MODE=cdn. requiredFiles are checked by /health.
+const VENDOR_BUNDLES = [
+    {
+        name: 'mediapipe/camera_utils',
+        packageDir: '@mediapipe/camera_utils',
+        cdnBase: 'https://cdn.jsdelivr.net/npm/@mediapipe/camera_utils',
+        requiredFiles: ['camera_utils.js']
+    },
+    {
+        name: 'mediapipe/control_utils',
+        packageDir: '@mediapipe/control_utils',
+        cdnBase: 'https://cdn.jsdelivr.net/npm/@mediapipe/control_utils',
+        requiredFiles: ['control_utils.js']
+    },
+    {
+        name: 'mediapipe/drawing_utils',
+        packageDir: '@mediapipe/drawing_utils',
+        cdnBase: 'https://cdn.jsdelivr.net/npm/@mediapipe/drawing_utils',
+        requiredFiles: ['drawing_utils.js']
+    },
+    {
+        name: 'mediapipe/pose',
+        packageDir: '@mediapipe/pose',
+        cdnBase: 'https://cdn.jsdelivr.net/npm/@mediapipe/pose',
+        requiredFiles: [
+            'pose.js',
+            'pose_web.binarypb',
+            'pose_solution_packed_assets_loader.js',
+            'pose_solution_packed_assets.data',
+            'pose_solution_simd_wasm_bin.js',
+            'pose_solution_simd_wasm_bin.wasm',
+            'pose_solution_wasm_bin.js',
+            'pose_solution_wasm_bin.wasm',
+            'pose_landmark_full.tflite'
+        ]
+    },
+    {
+        name: 'jspdf',
+        packageDir: 'jspdf/dist',
+        cdnBase: 'https://cdnjs.cloudflare.com/ajax/libs/jspdf/2.5.1',
+        requiredFiles: ['jspdf.umd.min.js']
+    }
+];
+
+const VendorAssets = {
+    bundles: VENDOR_BUNDLES,
+
+    // 'local' unless explicitly switched to 'cdn'
+    getMode() {
+        return (process.env.ASSET_MODE || 'local').toLowerCase() === 'cdn' ? 'cdn' : 'local';
+    },
+
+    getLocalDir(bundle) {
+        return path.join(NODE_MODULES, bundle.packageDir);
+    },
+
+    getBaseUrl(bundle, mode = this.getMode()) {
+        return mode === 'cdn' ? bundle.cdnBase : `/vendor/${bundle.name}`;
+    },
+
+    // Mounts every bundle under /vendor so the app needs no outbound network access
+    mount(app, express) {
+        this.bundles.forEach(bundle => {
+            app.use(`/vendor/${bundle.name}`, express.static(this.getLocalDir(bundle), { maxAge: '7d' }));
+        });
+    },
+
+    checkLocalAssets() {
+        const missing = [];
+        this.bundles.forEach(bundle => {
+            bundle.requiredFiles.forEach(file => {
+                if (!fs.existsSync(path.join(this.getLocalDir(bundle), file))) {
+                    missing.push(`${bundle.name}/${file}`);
+                }
+            });
+        });
+        return { present: missing.length === 0, missing };
+    },
+
+    // index.html references the local /vendor paths; in CDN mode they are rewritten on the way out
+    rewriteHtml(html, mode = this.getMode()) {
+        if (mode !== 'cdn') return html;
+        return this.bundles.reduce(
+            (result, bundle) => result.split(`/vendor/${bundle.name}/`).join(`${bundle.cdnBase}/`),
+            html
+        );
+    },
+
+    // Browser-side configuration consumed by camera-handler.js (MediaPipe locateFile)
+    getClientConfig(mode = this.getMode()) {
+        const pose = this.bundles.find(b => b.name === 'mediapipe/pose');
+        return {
+            assetMode: mode,
+            mediapipePoseBase: this.getBaseUrl(pose, mode)
+        };
+    }
+};
+
+module.exports = VendorAssets;
@@ -1,43 +1,98 @@
 const express = require('express');
+const fs = require('fs');
 const path = require('path');
 require('dotenv').config();
+const PatientStore = require('./lib/patient-store');
+const AnalysisEngine = require('./js/analysis-engine');
+const VendorAssets = require('./lib/vendor-assets');
+const LLMProvider = require('./lib/llm-provider');
+const RuleBasedSummary = require('./lib/rule-based-summary');
+const ThresholdStore = require('./lib/threshold-store');
+const ClinicalThresholds = require('./js/clinical-thresholds');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
 
-// Middleware to parse JSON
-app.use(express.json());
+PatientStore.init(DATA_DIR);
+ThresholdStore.init(DATA_DIR);
+// The shared engine (rule-based summary, prompt ranges, /api/analyze instances) uses the stored thresholds
+AnalysisEngine.configureThresholds(ThresholdStore.get());
 
-// Middleware to serve static files
-app.use(express.static(__dirname));
+// Middleware to parse JSON. A saved assessment carries landmarks and world landmarks for every
+// view, up to three traced body contours and the full analysis, well past express's 100kb default.
+const JSON_BODY_LIMIT = '5mb';
+app.use(express.json({ limit: JSON_BODY_LIMIT }));
+
+// Patient records live under the project root - never serve them as static files
+app.use('/data', (req, res) => {
+    res.status(404).json({ error: 'Not found' });
+});
+
+// MediaPipe, model files and jsPDF served locally so the app works without internet access
+VendorAssets.mount(app, express);
 
-// Main route - serve the index.html file
-app.get('/', (req, res) => {
-    res.sendFile(path.join(__dirname, 'index.html'));
+// Browser configuration (asset mode, MediaPipe file location, capture averaging window, auto capture)
+app.get('/app-config.js', (req, res) => {
+    const config = { ...VendorAssets.getClientConfig(), capture: {} };
+    if (process.env.CAPTURE_WINDOW_MS) config.capture.windowMs = parseInt(process.env.CAPTURE_WINDOW_MS, 10);
+    if (process.env.CAPTURE_MAX_FRAMES) config.capture.maxFrames = parseInt(process.env.CAPTURE_MAX_FRAMES, 10);
+    if (process.env.CAPTURE_MIN_FRAMES) config.capture.minFrames = parseInt(process.env.CAPTURE_MIN_FRAMES, 10);
+    if (process.env.CAPTURE_AUTO_STABLE_MS) config.capture.autoStableMs = parseInt(process.env.CAPTURE_AUTO_STABLE_MS, 10);
+
+    res.type('application/javascript');
+    res.send(`window.APP_CONFIG = ${JSON.stringify(config)};`);
+});
+
+// Main route - serve the index.html file with asset URLs for the configured mode
+app.get(['/', '/index.html'], async (req, res, next) => {
+    try {
+        const html = await fs.promises.readFile(path.join(__dirname, 'index.html'), 'utf8');
+        res.type('html').send(VendorAssets.rewriteHtml(html));
+    } catch (error) {
+        next(error);
+    }
 });
 
+// Middleware to serve static files
+app.use(express.static(__dirname, { index: false }));
+
 // Health check endpoint
 app.get('/health', (req, res) => {
+    const localAssets = VendorAssets.checkLocalAssets();
     res.json({ 
         status: 'OK', 
         message: 'Clinical Posture Analysis Server is running',
         timestamp: new Date().toISOString(),
-        openai_configured: !!process.env.OPENAI_API_KEY
+        openai_configured: !!process.env.OPENAI_API_KEY,
+        llm: LLMProvider.describe(),
+        assets: {
+            mode: VendorAssets.getMode(),
+            local_assets_present: localAssets.present,
+            missing: localAssets.missing
+        }
     });
 });
 
-// API endpoint for ChatGPT-4 Mini integration
+// Rule-based summary in the same response shape, used whenever the LLM cannot answer
+function sendRuleBasedSummary(res, analysisData, reason) {
+    const { summary, exercises } = RuleBasedSummary.generate(analysisData);
+    res.json({
+        summary,
+        exercises,
+        provider: 'rule-based',
+        fallback: true,
+        fallbackReason: reason,
+        timestamp: new Date().toISOString()
+    });
+}
+
+// Clinical summary via the configured LLM provider (see lib/llm-provider.js)
 app.post('/api/generate-summary', async (req, res) => {
+    const { analysisData } = req.body || {};
+
     try {
-        const { analysisData } = req.body;
-        
-        if (!process.env.OPENAI_API_KEY) {
-            return res.status(500).json({
-                error: 'OpenAI API key not configured',
-                summary: 'Error: OpenAI API key missing. Please add OPENAI_API_KEY to your .env file.',
-                exercises: 'Unable to generate exercises without API key.'
-            });
-        }
+        const llmConfig = LLMProvider.getConfig();
 
         if (!analysisData) {
             return res.status(400).json({
@@ -47,19 +102,52 @@ app.post('/api/generate-summary', async (req, res) => {
             });
         }
 
-        // Format the analysis data for ChatGPT
+        if (!LLMProvider.isConfigured(llmConfig)) {
+            return sendRuleBasedSummary(res, analysisData, `LLM provider "${llmConfig.provider}" not configured`);
+        }
+
+        // Format the analysis data for the model
         let dataString = "Clinical Posture Analysis Data:\n\n";
         dataString += "Measurements:\n";
         
-        const allMeasurements = { 
-            ...analysisData.front?.measurements, 
-            ...analysisData.sideLeft?.measurements, 
-            ...analysisData.sideRight?.measurements,
-            ...analysisData.back?.measurements 
-        };
+        // Later views overwrite earlier ones, keeping the reliability flag of the view the value came from
+        const allMeasurements = {};
+        ['front', 'sideLeft', 'sideRight', 'back'].forEach(view => {
+            const viewData = analysisData[view];
+            Object.entries(viewData?.measurements || {}).forEach(([key, value]) => {
+                allMeasurements[key] = { value, reliable: viewData.reliability?.[key]?.reliable !== false };
+            });
+        });
         
-        for (const [key, value] of Object.entries(allMeasurements)) {
-            dataString += `- ${key}: ${value}°\n`;
+        for (const [key, { value, reliable }] of Object.entries(allMeasurements)) {
+            const info = AnalysisEngine.metricCatalogue[key];
+            const range = info && AnalysisEngine.formatNormalRange(key);
+            const unit = info ? info.unit : (Number.isFinite(parseFloat(value)) ? '°' : '');
+            dataString += `- ${info ? info.label : key}: ${value}${unit}${range ? ` (normal ${range})` : ''}` +
+                `${reliable ? '' : ' (LOW CONFIDENCE - landmarks not clearly visible)'}\n`;
+        }
+
+        dataString += `\nNormal ranges: ${AnalysisEngine.summarizeThresholds(analysisData)}\n`;
+
+        const calibrationText = AnalysisEngine.summarizeCalibration(analysisData);
+        if (calibrationText) {
+            dataString += `\nCalibration (centimetre scale): ${calibrationText}\n`;
+        }
+
+        const worldLines = AnalysisEngine.summarizeWorldMeasurements(analysisData);
+        if (worldLines.length > 0) {
+            dataString += "\n3D Measurements (MediaPipe world landmarks, no calibration needed):\n";
+            worldLines.forEach(line => {
+                dataString += `- ${line}\n`;
+            });
+        }
+
+        const screeningText = AnalysisEngine.summarizeScoliosisScreening(analysisData);
+        if (screeningText) {
+            dataString += `\nScoliosis Screening (Adams forward bend test, screening only): ${screeningText}\n`;
+            (analysisData.forwardBend?.issues || []).filter(issue => !issue.startsWith('✓')).forEach(issue => {
+                dataString += `- ${issue}\n`;
+            });
         }
 
         dataString += "\nIdentified Issues:\n";
@@ -79,7 +167,16 @@ app.post('/api/generate-summary', async (req, res) => {
             });
         }
 
-        // Create the prompt for ChatGPT-4 Mini
+        const adjustedViews = ['front', 'sideLeft', 'sideRight', 'back']
+            .filter(view => analysisData[view]?.adjustedLandmarks?.length > 0);
+        if (adjustedViews.length > 0) {
+            dataString += "\nLandmarks Manually Adjusted by the Clinician:\n";
+            adjustedViews.forEach(view => {
+                dataString += `- ${view}: ${analysisData[view].adjustedLandmarks.join(', ')}\n`;
+            });
+        }
+
+        // Create the prompt
         const prompt = `You are a clinical physiotherapy assistant. Based on the following posture analysis data from multiple views (front, left side, right side, and back), provide a professional clinical summary in exactly 200-250 words, followed by exercise recommendations in exactly 200-250 words.
 
 Data:
@@ -90,65 +187,291 @@ SUMMARY: [200-250 words about the clinical findings, bilateral comparisons, and
 
 EXERCISES: [200-250 words of specific exercise recommendations with repetitions/duration]
 
-Keep the language professional. Focus on actionable insights and evidence-based recommendations. If there are differences between left and right side views, highlight these asymmetries.`;
+Keep the language professional. Focus on actionable insights and evidence-based recommendations. If there are differences between left and right side views, highlight these asymmetries. Treat values marked LOW CONFIDENCE as unconfirmed and do not base exercise recommendations on them alone. Thoracic and lumbar curvature values are estimates from body landmarks, not spinal curve measurements; describe them as such. If a scoliosis screening outcome is given, state it and do not present it as a diagnosis. When the calibration uses population default body measurements, treat centimetre values as approximate and rely on the angles.`;
 
-        // Call OpenAI API
-        const response = await fetch('https://api.openai.com/v1/chat/completions', {
-            method: 'POST',
-            headers: {
-                'Authorization': `Bearer ${process.env.OPENAI_API_KEY}`,
-                'Content-Type': 'application/json',
+        const aiResponse = await LLMProvider.createChatCompletion([
+            {
+                role: 'system',
+                content: 'You are a professional physiotherapy assistant providing clinical assessments and exercise recommendations.'
             },
-            body: JSON.stringify({
-                model: 'gpt-4o-mini',
-                messages: [
-                    {
-                        role: 'system',
-                        content: 'You are a professional physiotherapy assistant providing clinical assessments and exercise recommendations.'
-                    },
-                    {
-                        role: 'user',
-                        content: prompt
-                    }
-                ],
-                max_tokens: 500,
-                temperature: 0.3
-            })
-        });
-
-        if (!response.ok) {
-            throw new Error(`OpenAI API error: ${response.status} ${response.statusText}`);
-        }
-
-        const data = await response.json();
-        const aiResponse = data.choices[0]?.message?.content || '';
+            {
+                role: 'user',
+                content: prompt
+            }
+        ], llmConfig);
 
         // Parse the response
         const summaryMatch = aiResponse.match(/SUMMARY:\s*(.*?)\s*EXERCISES:/s);
         const exercisesMatch = aiResponse.match(/EXERCISES:\s*(.*)/s);
 
-        const summary = summaryMatch ? summaryMatch[1].trim() : "Unable to generate summary. Please check the analysis data.";
-        const exercises = exercisesMatch ? exercisesMatch[1].trim() : "Unable to generate exercise recommendations.";
+        if (!summaryMatch || !exercisesMatch) {
+            throw new Error('LLM response did not contain SUMMARY/EXERCISES sections');
+        }
+
+        const summary = summaryMatch[1].trim();
+        const exercises = exercisesMatch[1].trim();
 
         res.json({
             summary,
             exercises,
+            provider: llmConfig.provider,
+            model: llmConfig.model,
             timestamp: new Date().toISOString()
         });
 
     } catch (error) {
-        console.error('Error generating AI summary:', error);
-        res.status(500).json({
-            error: 'Failed to generate AI summary',
-            summary: 'Error generating summary. Please try again or check your API configuration.',
-            exercises: 'Unable to generate exercise recommendations due to an error.',
-            details: error.message
+        console.error('Error generating AI summary, using rule-based summary:', error.message);
+        try {
+            sendRuleBasedSummary(res, analysisData, error.message);
+        } catch (fallbackError) {
+            console.error('Error generating rule-based summary:', fallbackError);
+            res.status(500).json({
+                error: 'Failed to generate summary',
+                summary: 'Error generating summary. Please check the analysis data.',
+                exercises: 'Unable to generate exercise recommendations due to an error.',
+                details: fallbackError.message
+            });
+        }
+    }
+});
+
+// Headless analysis API - same engine the browser runs
+const ANALYSIS_VIEWS = ['front', 'sideLeft', 'sideRight', 'back'];
+// Analysed when supplied: the Adams forward bend view for scoliosis screening
+const OPTIONAL_ANALYSIS_VIEWS = ['forwardBend'];
+const POSE_LANDMARK_COUNT = 33;
+
+// Image landmarks need x/y; world landmarks are checked with ['x', 'y', 'z'] since the 3D measurements use depth
+function validateLandmarkArray(landmarks, axes = ['x', 'y']) {
+    if (!Array.isArray(landmarks)) return 'must be an array';
+    if (landmarks.length !== POSE_LANDMARK_COUNT) return `must contain ${POSE_LANDMARK_COUNT} landmarks`;
+    const invalidIndex = landmarks.findIndex(point =>
+        !point || axes.some(axis => typeof point[axis] !== 'number')
+    );
+    if (invalidIndex !== -1) return `landmark ${invalidIndex} is missing numeric ${axes.join('/')}`;
+    return null;
+}
+
+function validateWorldLandmarks(worldLandmarks) {
+    return ANALYSIS_VIEWS
+        .map(view => {
+            if (!worldLandmarks?.[view]) return null;
+            const problem = validateLandmarkArray(worldLandmarks[view], ['x', 'y', 'z']);
+            return problem ? `worldLandmarks.${view}: ${problem}` : null;
+        })
+        .filter(Boolean);
+}
+
+// Body outline traced from the segmentation mask: { rowHeight, rows: [{ y, runs: [[x0, x1], ...] }] }
+function validateContour(contour) {
+    if (!contour || typeof contour !== 'object' || !Array.isArray(contour.rows)) return 'must be an object with a rows array';
+    if (typeof contour.rowHeight !== 'number' || !(contour.rowHeight > 0)) return 'rowHeight must be a positive number';
+    const invalidRow = contour.rows.findIndex(row =>
+        !row || typeof row.y !== 'number' || !Array.isArray(row.runs) ||
+        row.runs.some(run => !Array.isArray(run) || run.length !== 2 || run.some(x => typeof x !== 'number'))
+    );
+    if (invalidRow !== -1) return `row ${invalidRow} needs a numeric y and [x0, x1] runs`;
+    return null;
+}
+
+app.post('/api/analyze', (req, res) => {
+    // referenceMarks: optional { front: { from, to }, ... } ends of a reference object for reference calibration
+    // imageSizes: optional { front: { width, height }, ... } source image sizes, so angles are measured in pixels
+    // worldLandmarks: optional { front: [...], ... } MediaPipe poseWorldLandmarks for the 3D measurements
+    // contours: optional { front, back, forwardBend } body outlines from the segmentation mask for the silhouette measurements
+    // landmarks.forwardBend: optional forward bend view, adds the forwardBend result and scoliosisScreening
+    const { landmarks, calibration, referenceMarks, imageSizes, worldLandmarks, contours } = req.body || {};
+
+    if (!landmarks || typeof landmarks !== 'object') {
+        return res.status(400).json({ error: 'landmarks object with front, sideLeft, sideRight and back arrays is required' });
+    }
+
+    const errors = ANALYSIS_VIEWS
+        .map(view => {
+            const problem = validateLandmarkArray(landmarks[view]);
+            return problem ? `${view}: ${problem}` : null;
+        })
+        .filter(Boolean);
+    OPTIONAL_ANALYSIS_VIEWS.forEach(view => {
+        if (landmarks[view] === undefined || landmarks[view] === null) return;
+        const problem = validateLandmarkArray(landmarks[view]);
+        if (problem) errors.push(`${view}: ${problem}`);
+    });
+    errors.push(...validateWorldLandmarks(worldLandmarks));
+    ['front', 'back', 'forwardBend'].forEach(view => {
+        if (!contours?.[view]) return;
+        const problem = validateContour(contours[view]);
+        if (problem) errors.push(`contours.${view}: ${problem}`);
+    });
+
+    if (errors.length > 0) {
+        return res.status(400).json({ error: 'Invalid landmarks', details: errors });
+    }
+
+    const engine = AnalysisEngine.createInstance(calibration || {});
+    const analysis = engine.analyzeLandmarkSet({
+        frontLandmarks: landmarks.front,
+        sideLeftLandmarks: landmarks.sideLeft,
+        sideRightLandmarks: landmarks.sideRight,
+        backLandmarks: landmarks.back,
+        forwardBendLandmarks: landmarks.forwardBend || null,
+        frontReferenceMark: referenceMarks?.front,
+        sideLeftReferenceMark: referenceMarks?.sideLeft,
+        sideRightReferenceMark: referenceMarks?.sideRight,
+        backReferenceMark: referenceMarks?.back,
+        forwardBendReferenceMark: referenceMarks?.forwardBend,
+        frontImageSize: imageSizes?.front,
+        sideLeftImageSize: imageSizes?.sideLeft,
+        sideRightImageSize: imageSizes?.sideRight,
+        backImageSize: imageSizes?.back,
+        forwardBendImageSize: imageSizes?.forwardBend,
+        frontWorldLandmarks: worldLandmarks?.front,
+        sideLeftWorldLandmarks: worldLandmarks?.sideLeft,
+        sideRightWorldLandmarks: worldLandmarks?.sideRight,
+        backWorldLandmarks: worldLandmarks?.back,
+        frontContour: contours?.front,
+        backContour: contours?.back,
+        forwardBendContour: contours?.forwardBend
+    });
+
+    res.json({
+        ...analysis,
+        calibration: engine.userCalibration,
+        timestamp: new Date().toISOString()
+    });
+});
+
+// Clinical threshold configuration, shared by every browser and the server-side engine
+function thresholdResponse() {
+    const presets = {};
+    Object.entries(ClinicalThresholds.presets).forEach(([key, preset]) => { presets[key] = preset.label; });
+    return { config: ThresholdStore.get(), resolved: AnalysisEngine.thresholds(), presets };
+}
+
+app.get('/api/thresholds', (req, res) => {
+    res.json(thresholdResponse());
+});
+
+app.put('/api/thresholds', async (req, res, next) => {
+    try {
+        if (!req.body || typeof req.body !== 'object' || Array.isArray(req.body)) {
+            return res.status(400).json({ error: 'Invalid threshold configuration', details: ['request body must be a JSON object'] });
+        }
+
+        const errors = ClinicalThresholds.validate(req.body);
+        if (errors.length > 0) {
+            return res.status(400).json({ error: 'Invalid threshold configuration', details: errors });
+        }
+
+        await ThresholdStore.save(req.body);
+        AnalysisEngine.configureThresholds(ThresholdStore.get());
+        res.json(thresholdResponse());
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Patient records API
+app.get('/api/patients', (req, res) => {
+    res.json({ patients: PatientStore.listPatients() });
+});
+
+app.post('/api/patients', async (req, res, next) => {
+    try {
+        const { name, dateOfBirth, sex, notes } = req.body || {};
+
+        if (!name || typeof name !== 'string' || !name.trim()) {
+            return res.status(400).json({ error: 'Patient name is required' });
+        }
+
+        const patient = await PatientStore.createPatient({ name, dateOfBirth, sex, notes });
+        res.status(201).json({ patient });
+    } catch (error) {
+        next(error);
+    }
+});
+
+app.get('/api/patients/:patientId', (req, res) => {
+    const patient = PatientStore.getPatient(req.params.patientId);
+    if (!patient) {
+        return res.status(404).json({ error: 'Patient not found' });
+    }
+    res.json({ patient });
+});
+
+app.get('/api/patients/:patientId/assessments', (req, res) => {
+    if (!PatientStore.getPatient(req.params.patientId)) {
+        return res.status(404).json({ error: 'Patient not found' });
+    }
+    res.json({ assessments: PatientStore.listAssessments(req.params.patientId) });
+});
+
+app.get('/api/patients/:patientId/measurements', (req, res) => {
+    if (!PatientStore.getPatient(req.params.patientId)) {
+        return res.status(404).json({ error: 'Patient not found' });
+    }
+    res.json({ history: PatientStore.listMeasurementHistory(req.params.patientId) });
+});
+
+app.post('/api/patients/:patientId/assessments', async (req, res, next) => {
+    try {
+        if (!PatientStore.getPatient(req.params.patientId)) {
+            return res.status(404).json({ error: 'Patient not found' });
+        }
+
+        // imageSize: { front: { width, height }, ... } so a reopened assessment can rebuild pixel-space angles
+        // worldLandmarks: { front: [...], ... } poseWorldLandmarks for recomputing the 3D measurements
+        // contour: { front, back, forwardBend } body outlines traced from the segmentation mask
+        const { mode, calibration, landmarks, worldLandmarks, contour, imageSize, capture, analysis, report } = req.body || {};
+
+        if (!analysis || !analysis.deformitySummary) {
+            return res.status(400).json({ error: 'Analysis data with deformitySummary is required' });
+        }
+
+        const worldErrors = validateWorldLandmarks(worldLandmarks);
+        if (worldErrors.length > 0) {
+            return res.status(400).json({ error: 'Invalid landmarks', details: worldErrors });
+        }
+
+        const assessment = await PatientStore.createAssessment(req.params.patientId, {
+            mode, calibration, landmarks, worldLandmarks, contour, imageSize, capture, analysis, report
         });
+        res.status(201).json({ assessment });
+    } catch (error) {
+        next(error);
+    }
+});
+
+app.get('/api/assessments/:assessmentId', (req, res) => {
+    const assessment = PatientStore.getAssessment(req.params.assessmentId);
+    if (!assessment) {
+        return res.status(404).json({ error: 'Assessment not found' });
+    }
+    res.json({ assessment });
+});
+
+app.put('/api/assessments/:assessmentId/report', async (req, res, next) => {
+    try {
+        const assessment = await PatientStore.updateAssessmentReport(req.params.assessmentId, req.body || {});
+        if (!assessment) {
+            return res.status(404).json({ error: 'Assessment not found' });
+        }
+        res.json({ assessment });
+    } catch (error) {
+        next(error);
     }
 });
 
 // Error handling middleware
 app.use((err, req, res, next) => {
+    // express.json rejects malformed bodies and top-level values other than objects and arrays (e.g. null)
+    if (err.type === 'entity.parse.failed') {
+        return res.status(400).json({ error: 'Request body must be a JSON object', message: err.message });
+    }
+    if (err.type === 'entity.too.large') {
+        return res.status(413).json({ error: `Request body is larger than the ${JSON_BODY_LIMIT} limit` });
+    }
+
     console.error('Server Error:', err.stack);
     res.status(500).json({
         error: 'Something went wrong!',
@@ -156,24 +479,33 @@ app.use((err, req, res, next) => {
     });
 });
 
-// Start the server
-app.listen(PORT, () => {
-    console.log(`🏥 Clinical Posture Analysis Server running on port ${PORT}`);
-    console.log(`📊 Access the application at: http://localhost:${PORT}`);
-    console.log(`🔧 Health check available at: http://localhost:${PORT}/health`);
+// Start the server when run directly; tests require the app without listening
+if (require.main === module) {
+    app.listen(PORT, () => {
+        console.log(`🏥 Clinical Posture Analysis Server running on port ${PORT}`);
+        console.log(`📊 Access the application at: http://localhost:${PORT}`);
+        console.log(`🔧 Health check available at: http://localhost:${PORT}/health`);
+
+        const llm = LLMProvider.describe();
+        console.log(`🤖 LLM provider: ${llm.provider}${llm.configured ? ` (${llm.model} at ${llm.base_url})` : ' - not configured'}`);
+        const privacyWarning = LLMProvider.privacyWarning();
+        if (privacyWarning) console.warn(privacyWarning);
     
-    if (process.env.NODE_ENV === 'development') {
-        console.log(`🔄 Development mode - server will restart on file changes`);
-    }
-});
+        if (process.env.NODE_ENV === 'development') {
+            console.log(`🔄 Development mode - server will restart on file changes`);
+        }
+    });
 
-// Graceful shutdown
-process.on('SIGTERM', () => {
-    console.log('🛑 SIGTERM received, shutting down gracefully');
-    process.exit(0);
-});
+    // Graceful shutdown
+    process.on('SIGTERM', () => {
+        console.log('🛑 SIGTERM received, shutting down gracefully');
+        process.exit(0);
+    });
+
+    process.on('SIGINT', () => {
+        console.log('🛑 SIGINT received, shutting down gracefully');
+        process.exit(0);
+    });
+}
 
-process.on('SIGINT', () => {
-    console.log('🛑 SIGINT received, shutting down gracefully');
-    process.exit(0);
-});
\ No newline at end of file
+module.exports = app;
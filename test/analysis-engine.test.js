@@ -0,0 +1,888 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const AnalysisEngine = require('../js/analysis-engine');
+const ImageAnnotator = require('../js/image-annotator');
+const fixtures = require('./fixtures/landmarks');
+
+function findDeformity(result, type) {
+    return result.deformities.find(d => d.type === type);
+}
+
+describe('AnalysisEngine geometry helpers', () => {
+    it('measures a straight joint as 180°', () => {
+        const angle = AnalysisEngine.calculateAngle({ x: 0, y: 0 }, { x: 0, y: 1 }, { x: 0, y: 2 });
+        assert.equal(angle, 180);
+    });
+
+    it('reports the slope of a tilted line regardless of point order', () => {
+        const a = { x: 0, y: 0 };
+        const b = { x: 1, y: Math.tan(Math.PI / 36) };
+        assert.equal(AnalysisEngine.calculateSlopeAngle(a, b).toFixed(1), '5.0');
+        assert.equal(AnalysisEngine.calculateSlopeAngle(b, a).toFixed(1), '5.0');
+    });
+
+    it('signs the line offset by which side of the line the joint lies on', () => {
+        const top = { x: 0.5, y: 0 };
+        const bottom = { x: 0.5, y: 1 };
+        assert.ok(AnalysisEngine.calculateLineOffsetX(top, { x: 0.6, y: 0.5 }, bottom) > 0);
+        assert.ok(AnalysisEngine.calculateLineOffsetX(top, { x: 0.4, y: 0.5 }, bottom) < 0);
+    });
+
+    it('converts normalized landmarks to pixels when the image size is known', () => {
+        const [point] = AnalysisEngine.toPixelSpace([{ x: 0.5, y: 0.25, z: -0.1, visibility: 0.9 }], { width: 640, height: 480 });
+        assert.deepEqual(point, { x: 320, y: 120, z: -64, visibility: 0.9 });
+
+        const pose = fixtures.frontNeutral();
+        assert.equal(AnalysisEngine.toPixelSpace(pose, null), pose);
+        assert.equal(AnalysisEngine.toPixelSpace(pose, { width: '640', height: 480 }), pose);
+    });
+
+    it('measures slopes in pixels rather than normalized units', () => {
+        const pose = fixtures.createPose({ 11: [0.4, 0.4], 12: [0.6, 0.6] });
+        const size = { width: 640, height: 480 };
+        assert.equal(AnalysisEngine.calculateSlopeAngle(pose[11], pose[12]), 45);
+        const [left, right] = AnalysisEngine.toPixelSpace([pose[11], pose[12]], size);
+        assert.equal(AnalysisEngine.calculateSlopeAngle(left, right).toFixed(2), '36.87');
+    });
+
+    it('grades severity by multiples of the normal limit', () => {
+        assert.equal(AnalysisEngine.gradeSeverity(3, 2), 'MILD');
+        assert.equal(AnalysisEngine.gradeSeverity(5, 2), 'MODERATE');
+        assert.equal(AnalysisEngine.gradeSeverity(5.1, 2), 'SEVERE');
+        assert.equal(AnalysisEngine.gradeSeverity(20, 0), 'SEVERE');
+    });
+});
+
+describe('AnalysisEngine.analyzeFrontView', () => {
+    const engine = AnalysisEngine.createInstance();
+
+    it('returns empty results without landmarks', () => {
+        assert.deepEqual(engine.analyzeFrontView(null), { issues: [], recommendations: [], measurements: {}, deformities: [] });
+    });
+
+    it('finds no deformities in a neutral posture', () => {
+        const result = engine.analyzeFrontView(fixtures.frontNeutral());
+        assert.deepEqual(result.deformities, []);
+        assert.deepEqual(result.issues, ['✓ Normal frontal plane alignment']);
+        assert.equal(result.measurements.shoulderLevel, '0.0');
+        assert.equal(result.measurements.leftKneeAlignment, '0.0');
+        assert.equal(result.measurements.rightKneeAlignment, '0.0');
+    });
+
+    it('detects a 5° shoulder tilt with the elevated side', () => {
+        const result = engine.analyzeFrontView(fixtures.frontShoulderTilt(5));
+        assert.equal(result.measurements.shoulderLevel, '5.0');
+        assert.equal(result.measurements.shoulderLevelCm, '3.5');
+        assert.deepEqual(findDeformity(result, 'Shoulder Level Asymmetry'), {
+            type: 'Shoulder Level Asymmetry',
+            severity: 'MODERATE',
+            elevated: 'LEFT',
+            depressed: 'RIGHT',
+            angle: '5.0',
+            distance: '3.5'
+        });
+    });
+
+    it('ignores a shoulder tilt within the 2° normal limit', () => {
+        const result = engine.analyzeFrontView(fixtures.frontShoulderTilt(1.5));
+        assert.equal(result.measurements.shoulderLevel, '1.5');
+        assert.equal(findDeformity(result, 'Shoulder Level Asymmetry'), undefined);
+    });
+
+    it('scales centimetre measurements by the calibrated shoulder width', () => {
+        const wide = AnalysisEngine.createInstance({ shoulderWidth: 80 });
+        assert.equal(wide.analyzeFrontView(fixtures.frontShoulderTilt(5)).measurements.shoulderLevelCm, '7.0');
+    });
+
+    it('detects pelvic obliquity on the elevated side', () => {
+        const result = engine.analyzeFrontView(fixtures.frontPelvicObliquity());
+        const deformity = findDeformity(result, 'Pelvic Obliquity');
+        assert.equal(deformity.elevated, 'RIGHT');
+        assert.equal(deformity.depressed, 'LEFT');
+        assert.equal(deformity.angle, '4.8');
+        assert.equal(deformity.severity, 'MODERATE');
+    });
+
+    it('classifies genu valgum as VALGUS on both knees', () => {
+        const result = engine.analyzeFrontView(fixtures.frontGenuValgum());
+        assert.equal(result.measurements.leftKneeAlignment, '18.9');
+        assert.equal(result.measurements.leftKneeDirection, 'VALGUS (INWARD/KNOCKED)');
+        assert.equal(result.measurements.rightKneeDirection, 'VALGUS (INWARD/KNOCKED)');
+        assert.deepEqual(findDeformity(result, 'Left Knee Malalignment'), {
+            type: 'Left Knee Malalignment',
+            severity: 'MODERATE',
+            direction: 'VALGUS (INWARD/KNOCKED)',
+            angle: '18.9',
+            side: 'LEFT'
+        });
+        assert.ok(result.recommendations.includes('• Hip abductor strengthening for valgus correction'));
+    });
+
+    it('classifies genu varum as VARUS on both knees', () => {
+        const result = engine.analyzeFrontView(fixtures.frontGenuVarum());
+        assert.equal(result.measurements.leftKneeDirection, 'VARUS (OUTWARD/BOW-LEGGED)');
+        assert.equal(result.measurements.rightKneeDirection, 'VARUS (OUTWARD/BOW-LEGGED)');
+        assert.equal(findDeformity(result, 'Right Knee Malalignment').angle, '12.7');
+        assert.ok(result.recommendations.includes('• ITB (Iliotibial Band) stretching'));
+    });
+});
+
+describe('AnalysisEngine.analyzeSideView', () => {
+    const engine = AnalysisEngine.createInstance();
+    const { LANDMARK } = fixtures;
+
+    it('finds no head, shoulder or knee deviation on the plumb line', () => {
+        const result = engine.analyzeSideView(fixtures.sideNeutral(), 'left');
+        assert.equal(result.measurements.forwardNeck, '0.0');
+        assert.equal(result.measurements.leftKneePositionType, 'NEUTRAL');
+        assert.equal(findDeformity(result, 'Forward Head Posture'), undefined);
+        assert.equal(findDeformity(result, 'Shoulder Position Deviation'), undefined);
+        assert.equal(findDeformity(result, 'Left Knee Position'), undefined);
+    });
+
+    it('detects forward head posture with neck and chin distances', () => {
+        const result = engine.analyzeSideView(fixtures.sideForwardHead(), 'left');
+        assert.deepEqual(findDeformity(result, 'Forward Head Posture'), {
+            type: 'Forward Head Posture',
+            severity: 'MODERATE',
+            direction: 'ANTERIOR',
+            craniovertebralAngle: '69.4',
+            headOverShoulder: '7.5',
+            neckAngle: '20.6',
+            neckDistance: '7.5',
+            chinAngle: '26.6',
+            chinDistance: '10.0'
+        });
+    });
+
+    it('measures the craniovertebral angle and plumb line offsets on the plumb line', () => {
+        const { measurements } = engine.analyzeSideView(fixtures.sideNeutral(), 'left');
+        assert.equal(measurements.craniovertebralAngle, '90.0');
+        assert.equal(measurements.headOverShoulderCm, '0.0');
+        assert.equal(measurements.shoulderOverHipCm, '0.0');
+        assert.equal(measurements.hipOverAnkleCm, '0.0');
+        assert.equal(measurements.trunkInclination, '0.0');
+        assert.equal(measurements.kneeHyperextension, '0.0');
+    });
+
+    it('reports a forward trunk lean as inclination and a shoulder-over-hip offset', () => {
+        const pose = fixtures.shift(fixtures.sideNeutral(), {
+            [LANDMARK.NOSE]: [0.03, 0], [LANDMARK.LEFT_EAR]: [0.03, 0], [LANDMARK.RIGHT_EAR]: [0.03, 0],
+            [LANDMARK.LEFT_SHOULDER]: [0.03, 0], [LANDMARK.RIGHT_SHOULDER]: [0.03, 0]
+        });
+        const result = engine.analyzeSideView(pose, 'left');
+        assert.equal(result.measurements.trunkInclination, '6.3');
+        assert.equal(result.measurements.shoulderOverHipCm, '5.0');
+        assert.equal(result.measurements.craniovertebralAngle, '90.0');
+        assert.ok(result.issues.includes('⚠ Trunk inclination: trunk leans FORWARD 6.3° from vertical (Normal: -5 to 5°)'));
+        assert.ok(result.issues.includes('⚠ Shoulder over hip: shoulders 5.0cm ANTERIOR to the hips (Normal: -3 to 3cm)'));
+    });
+
+    it('flags hips anterior to the ankle as a sway-back pattern', () => {
+        const pose = fixtures.shift(fixtures.sideNeutral(), {
+            [LANDMARK.LEFT_HIP]: [0.03, 0], [LANDMARK.RIGHT_HIP]: [0.03, 0]
+        });
+        const result = engine.analyzeSideView(pose, 'left');
+        assert.equal(result.measurements.hipOverAnkleCm, '5.0');
+        assert.ok(result.issues.some(issue => issue.startsWith('⚠ Hip over ankle: hips 5.0cm ANTERIOR to the ankle - sway-back pattern')));
+    });
+
+    it('measures knee hyperextension only when the knee is behind the hip-ankle line', () => {
+        assert.equal(engine.analyzeSideView(fixtures.sideKneeHyperextension(), 'left').measurements.kneeHyperextension, '6.4');
+        assert.equal(engine.analyzeSideView(fixtures.sideKneeFlexion(), 'left').measurements.kneeHyperextension, '0.0');
+    });
+
+    it('marks thoracic and lumbar curvature as estimates', () => {
+        const result = engine.analyzeSideView(fixtures.sideNeutral(), 'left');
+        assert.equal(findDeformity(result, 'Thoracic Curvature').estimate, true);
+        assert.equal(findDeformity(result, 'Lumbar Curvature').estimate, true);
+        assert.ok(result.issues.some(issue => issue.startsWith('⚠ Reduced thoracic kyphosis (estimate)')));
+        assert.equal(AnalysisEngine.metricCatalogue.thoracicCurvature.label, 'Thoracic Curvature (estimate)');
+    });
+
+    it('measures from the requested side and records it', () => {
+        // Only the left ear is forward; the right side stays on the plumb line
+        const pose = fixtures.shift(fixtures.sideNeutral(), { [LANDMARK.LEFT_EAR]: [0.045, 0] });
+
+        const left = engine.analyzeSideView(pose, 'left');
+        assert.equal(left.measurements.landmarkSide, 'LEFT');
+        assert.equal(left.measurements.forwardNeck, '20.6');
+
+        const right = engine.analyzeSideView(pose, 'right');
+        assert.equal(right.measurements.landmarkSide, 'RIGHT');
+        assert.equal(right.measurements.forwardNeck, '0.0');
+    });
+
+    it('falls back to the visible side when the requested side is occluded', () => {
+        const pose = fixtures.withVisibility(fixtures.sideForwardHead(),
+            [LANDMARK.LEFT_EAR, LANDMARK.LEFT_SHOULDER, LANDMARK.LEFT_HIP, LANDMARK.LEFT_KNEE, LANDMARK.LEFT_ANKLE], 0.2);
+        const result = engine.analyzeSideView(pose, 'left');
+
+        assert.equal(result.measurements.landmarkSide, 'RIGHT');
+        assert.ok(result.issues[0].startsWith('⚠ LEFT side landmarks not clearly visible - measured from the RIGHT side instead'));
+        assert.equal(result.reliability.forwardNeck.reliable, true);
+    });
+
+    it('picks the better visible side when no side is given', () => {
+        const pose = fixtures.withVisibility(fixtures.sideNeutral(),
+            [LANDMARK.LEFT_EAR, LANDMARK.LEFT_SHOULDER, LANDMARK.LEFT_HIP], 0.4);
+        assert.deepEqual(AnalysisEngine.selectNearSide(pose), { side: 'right', fallback: false });
+        assert.equal(engine.analyzeSideView(pose).measurements.landmarkSide, 'RIGHT');
+    });
+
+    it('judges reliability from the landmarks of the measured side only', () => {
+        const pose = fixtures.withVisibility(fixtures.sideNeutral(), [LANDMARK.LEFT_EAR], 0.2);
+        const result = engine.analyzeSideView(pose, 'left');
+        assert.equal(result.measurements.landmarkSide, 'LEFT');
+        assert.equal(result.reliability.forwardNeck.reliable, false);
+        assert.equal(result.reliability.leftKneePosition.reliable, true);
+    });
+
+    it('classifies kyphosis from the ear-shoulder-hip estimate against 20-40°', () => {
+        const neutral = engine.analyzeSideView(fixtures.sideNeutral(), 'left');
+        assert.equal(neutral.measurements.thoracicCurvatureType, 'REDUCED KYPHOSIS (FLAT BACK)');
+
+        const forwardHead = engine.analyzeSideView(fixtures.sideForwardHead(), 'left');
+        assert.equal(forwardHead.measurements.thoracicCurvature, '20.6');
+        assert.equal(forwardHead.measurements.thoracicCurvatureType, 'Normal');
+    });
+
+    it('tells an upright from a slumped posture with signed sagittal angles', () => {
+        const upright = engine.analyzeSideView(fixtures.sideNeutral(), 'left').measurements;
+        const slumped = engine.analyzeSideView(fixtures.sideSlumped(), 'left');
+        assert.deepEqual(
+            [upright.shoulderPosition, upright.shoulderPostureType, upright.thoracicCurvature, upright.thoracicCurvatureType],
+            ['0.0', 'NEUTRAL', '0.0', 'REDUCED KYPHOSIS (FLAT BACK)']
+        );
+        assert.deepEqual(
+            [slumped.measurements.shoulderPosition, slumped.measurements.shoulderPostureType,
+                slumped.measurements.thoracicCurvature, slumped.measurements.thoracicCurvatureType],
+            ['21.8', 'ROUNDED (ANTERIOR)', '21.8', 'Normal']
+        );
+        assert.equal(findDeformity(slumped, 'Shoulder Position Deviation').direction, 'ROUNDED (ANTERIOR)');
+        assert.equal(findDeformity(engine.analyzeSideView(fixtures.sideNeutral(), 'left'), 'Shoulder Position Deviation'), undefined);
+
+        // Head pulled back behind the shoulders: retracted, and no kyphosis rather than a mirrored one
+        const retracted = engine.analyzeSideView(fixtures.shift(fixtures.sideNeutral(), {
+            [LANDMARK.LEFT_EAR]: [-0.045, 0], [LANDMARK.RIGHT_EAR]: [-0.045, 0]
+        }), 'left').measurements;
+        assert.equal(retracted.shoulderPostureType, 'RETRACTED (POSTERIOR)');
+        assert.equal(retracted.thoracicCurvature, '0.0');
+    });
+
+    it('measures lordosis only when the hips sit anterior to the shoulder-knee line', () => {
+        const lumbar = pose => engine.analyzeSideView(pose, 'left').measurements.lumbarCurvature;
+        assert.equal(lumbar(fixtures.sideNeutral()), '0.0');
+        assert.equal(lumbar(fixtures.sideSlumped()), '0.0');
+        assert.equal(lumbar(fixtures.sideSwayBack()), '21.0');
+
+        // Same posture facing the image left
+        const facingLeft = fixtures.sideSwayBack().map(point => ({ ...point, x: 1 - point.x }));
+        assert.equal(lumbar(facingLeft), '21.0');
+        assert.equal(engine.analyzeSideView(facingLeft, 'left').measurements.thoracicCurvature, '8.4');
+    });
+
+    it('classifies knees anterior to the hip-ankle line as FLEXION', () => {
+        const result = engine.analyzeSideView(fixtures.sideKneeFlexion(), 'left');
+        assert.equal(result.measurements.leftKneePositionType, 'FLEXION');
+        assert.deepEqual(findDeformity(result, 'Left Knee Position'), {
+            type: 'Left Knee Position',
+            severity: 'SEVERE',
+            direction: 'FLEXION',
+            angle: '18.9',
+            side: 'LEFT'
+        });
+    });
+
+    it('classifies knees posterior to the hip-ankle line as HYPEREXTENSION', () => {
+        const result = engine.analyzeSideView(fixtures.sideKneeHyperextension(), 'right');
+        const deformity = findDeformity(result, 'Right Knee Position');
+        assert.equal(deformity.direction, 'HYPEREXTENSION (RECURVATUM)');
+        assert.equal(deformity.angle, '6.4');
+        assert.equal(deformity.severity, 'MILD');
+    });
+
+    it('measures only the knee of the leg facing the camera', () => {
+        // Far leg hidden behind the near one: poorly placed and reported at low visibility
+        const pose = fixtures.withVisibility(
+            fixtures.shift(fixtures.sideKneeFlexion(), { [fixtures.LANDMARK.RIGHT_KNEE]: [0.05, 0.02] }),
+            [fixtures.LANDMARK.RIGHT_HIP, fixtures.LANDMARK.RIGHT_KNEE, fixtures.LANDMARK.RIGHT_ANKLE], 0.2
+        );
+        const result = engine.analyzeSideView(pose, 'left');
+
+        assert.equal(result.measurements.leftKneePosition, '18.9');
+        assert.equal(result.measurements.rightKneePosition, undefined);
+        assert.equal(result.measurements.rightKneePositionType, undefined);
+        assert.equal(findDeformity(result, 'Right Knee Position'), undefined);
+        assert.ok(!result.issues.some(issue => issue.includes('RIGHT knee')));
+        assert.equal(findDeformity(result, 'Left Knee Position').side, 'LEFT');
+    });
+});
+
+describe('AnalysisEngine.analyzeBackView', () => {
+    const engine = AnalysisEngine.createInstance();
+
+    it('finds no deformities in a neutral posture', () => {
+        const result = engine.analyzeBackView(fixtures.backNeutral());
+        assert.deepEqual(result.deformities, []);
+        assert.deepEqual(result.issues, ['✓ Normal posterior alignment']);
+    });
+
+    it('detects PSIS asymmetry and the resulting gluteal fold asymmetry', () => {
+        const result = engine.analyzeBackView(fixtures.backPsisAsymmetry());
+        assert.deepEqual(findDeformity(result, 'PSIS Asymmetry'), {
+            type: 'PSIS Asymmetry',
+            severity: 'MODERATE',
+            elevated: 'LEFT',
+            depressed: 'RIGHT',
+            angle: '4.8',
+            distance: '2.9'
+        });
+        assert.equal(findDeformity(result, 'Gluteal Fold Asymmetry').longer, 'LEFT');
+    });
+
+    it('classifies a medially collapsed ankle as PRONATION', () => {
+        const result = engine.analyzeBackView(fixtures.backLeftPronation());
+        assert.equal(result.measurements.rightAnkleDirection, 'NEUTRAL');
+        assert.deepEqual(findDeformity(result, 'Left Ankle Malalignment'), {
+            type: 'Left Ankle Malalignment',
+            severity: 'MILD',
+            direction: 'PRONATION (INWARD)',
+            angle: '6.3',
+            side: 'LEFT'
+        });
+        assert.ok(result.recommendations.includes('• Posterior tibialis strengthening'));
+    });
+
+    it('classifies a laterally rolled ankle as SUPINATION', () => {
+        const result = engine.analyzeBackView(fixtures.backLeftSupination());
+        assert.equal(findDeformity(result, 'Left Ankle Malalignment').direction, 'SUPINATION (OUTWARD)');
+        assert.ok(result.recommendations.includes('• Peroneal muscle strengthening'));
+    });
+});
+
+describe('AnalysisEngine.analyzeLandmarkSet', () => {
+    it('combines all four views into the deformity summary', () => {
+        const engine = AnalysisEngine.createInstance();
+        const analysis = engine.analyzeLandmarkSet({
+            frontLandmarks: fixtures.frontGenuValgum(),
+            sideLeftLandmarks: fixtures.sideForwardHead(),
+            sideRightLandmarks: fixtures.sideNeutral(),
+            backLandmarks: fixtures.backPsisAsymmetry()
+        });
+
+        assert.deepEqual(Object.keys(analysis), ['front', 'sideLeft', 'sideRight', 'back', 'deformitySummary', 'normalRanges']);
+        assert.equal(analysis.normalRanges, 'Adult (18-64) preset');
+
+        const summary = analysis.deformitySummary;
+        assert.deepEqual(summary.frontalPlane.map(d => d.type), [
+            'Left Knee Malalignment', 'Right Knee Malalignment', 'PSIS Asymmetry', 'Gluteal Fold Asymmetry'
+        ]);
+        assert.ok(summary.sagittalPlane.some(d => d.type === 'Forward Head Posture' && d.side === 'LEFT'));
+        assert.equal(summary.kneeAnalysis.front.left.direction, 'VALGUS (INWARD/KNOCKED)');
+
+        const neckAsymmetry = summary.bilateralComparison.find(c => c.type === 'Forward Neck Asymmetry');
+        assert.equal(neckAsymmetry.moreSevere, 'LEFT');
+        assert.equal(neckAsymmetry.difference, '20.6°');
+    });
+
+    it('compares the left knee from the left view with the right knee from the right view', () => {
+        const summary = AnalysisEngine.createInstance().analyzeLandmarkSet({
+            sideLeftLandmarks: fixtures.sideKneeFlexion(),
+            sideRightLandmarks: fixtures.sideNeutral()
+        }).deformitySummary;
+
+        assert.deepEqual(summary.bilateralComparison.find(c => c.type === 'Knee Position Asymmetry'), {
+            type: 'Knee Position Asymmetry',
+            moreSevere: 'LEFT',
+            leftValue: '18.9° FLEXION',
+            rightValue: '0.0° NEUTRAL',
+            difference: '18.9°'
+        });
+    });
+
+    it('reports measurement uncertainty when capture frames are supplied', () => {
+        const pose = fixtures.frontShoulderTilt(5);
+        const frames = fixtures.jitterFrames(pose, 30, 0.003);
+        const analysis = AnalysisEngine.createInstance().analyzeLandmarkSet({
+            frontLandmarks: pose,
+            frontFrames: frames,
+            backLandmarks: fixtures.backNeutral()
+        });
+
+        assert.equal(analysis.front.frameCount, 30);
+        assert.ok(parseFloat(analysis.front.uncertainty.shoulderLevel) > 0);
+        assert.ok(parseFloat(analysis.front.uncertainty.shoulderLevelCm) < 1);
+        assert.equal(analysis.front.uncertainty.leftKneeDirection, undefined);
+        assert.equal(analysis.back.uncertainty, undefined);
+    });
+
+    it('names the landmarks that were adjusted by hand', () => {
+        const analysis = AnalysisEngine.createInstance().analyzeLandmarkSet({
+            frontLandmarks: fixtures.frontNeutral(),
+            frontAdjusted: [23, 27],
+            backAdjusted: [24]
+        });
+
+        assert.deepEqual(analysis.front.adjustedLandmarks, ['Left Hip', 'Left Ankle']);
+        assert.equal(analysis.sideLeft.adjustedLandmarks, undefined);
+        // No landmarks for the back view, so nothing was analysed with the adjustment
+        assert.equal(analysis.back.adjustedLandmarks, undefined);
+    });
+
+    it('keeps calibration separate between instances', () => {
+        const first = AnalysisEngine.createInstance({ hipWidth: 30 });
+        const second = AnalysisEngine.createInstance();
+        assert.equal(first.userCalibration.hipWidth, 30);
+        assert.equal(second.userCalibration.hipWidth, 35);
+        assert.equal(AnalysisEngine.userCalibration.hipWidth, 35);
+    });
+});
+
+describe('AnalysisEngine image dimensions', () => {
+    const engine = AnalysisEngine.createInstance();
+    const views = {
+        front: fixtures.frontShoulderTilt(5),
+        sideLeft: fixtures.sideForwardHead(),
+        back: fixtures.backPsisAsymmetry()
+    };
+
+    it('gives the same measurements for a landscape camera frame and a portrait photo', () => {
+        const landscape = { width: 640, height: 480 };
+        const portrait = { width: 1080, height: 1920 };
+        const measure = size => engine.analyzeLandmarkSet({
+            frontLandmarks: fixtures.inImage(views.front, size.width, size.height),
+            frontImageSize: size,
+            sideLeftLandmarks: fixtures.inImage(views.sideLeft, size.width, size.height),
+            sideLeftImageSize: size,
+            backLandmarks: fixtures.inImage(views.back, size.width, size.height),
+            backImageSize: size
+        });
+
+        const camera = measure(landscape);
+        const upload = measure(portrait);
+        ['front', 'sideLeft', 'back'].forEach(view => {
+            assert.deepEqual(camera[view].measurements, upload[view].measurements);
+            assert.deepEqual(camera[view].measurements, engine.analyzeLandmarkSet({ [view + 'Landmarks']: views[view] })[view].measurements);
+        });
+        assert.equal(camera.front.measurements.shoulderLevel, '5.0');
+        assert.deepEqual(upload.front.imageSize, portrait);
+    });
+
+    it('skews angles when the image size is left out', () => {
+        const landmarks = fixtures.inImage(views.front, 640, 480);
+        assert.equal(engine.analyzeFrontView(landmarks, null, { width: 640, height: 480 }).measurements.shoulderLevel, '5.0');
+        assert.notEqual(engine.analyzeFrontView(landmarks).measurements.shoulderLevel, '5.0');
+        assert.equal(engine.analyzeFrontView(landmarks).imageSize, null);
+    });
+
+    it('scales a reference mark with the landmarks', () => {
+        const size = { width: 480, height: 640 };
+        const referenceEngine = AnalysisEngine.createInstance({ method: 'reference', referenceObject: { name: 'Ruler', sizeCm: 30 } });
+        const mark = fixtures.inImage([{ x: 0.2, y: 0.9 }, { x: 0.5, y: 0.9 }], size.width, size.height);
+        const result = referenceEngine.analyzeFrontView(fixtures.inImage(views.front, size.width, size.height), { from: mark[0], to: mark[1] }, size);
+        const square = referenceEngine.analyzeFrontView(views.front, { from: { x: 0.2, y: 0.9 }, to: { x: 0.5, y: 0.9 } });
+        assert.equal(result.measurements.shoulderLevelCm, square.measurements.shoulderLevelCm);
+    });
+});
+
+describe('AnalysisEngine anatomical left/right', () => {
+    const engine = AnalysisEngine.createInstance();
+    // Landmarks are unmirrored in both modes; camera captures only flag the stored photo as mirrored
+    const modes = { camera: true, upload: false };
+    const labelling = { 'as detected': pose => pose, 'swapped by MediaPipe': fixtures.swapSides };
+
+    const analyzeView = (view, pose, mirrored) => engine.analyzeLandmarkSet({
+        [view + 'Landmarks']: pose,
+        [view + 'Mirrored']: mirrored
+    })[view];
+
+    Object.entries(modes).forEach(([mode, mirrored]) => {
+        Object.entries(labelling).forEach(([labels, relabel]) => {
+            it(`reports the patient's left in the front view (${mode}, sides ${labels})`, () => {
+                const front = analyzeView('front', relabel(fixtures.frontShoulderTilt(5)), mirrored);
+                const shoulder = front.deformities.find(d => d.type === 'Shoulder Level Asymmetry');
+                assert.equal(shoulder.elevated, 'LEFT');
+
+                const valgum = analyzeView('front', relabel(fixtures.frontGenuValgum()), mirrored);
+                assert.equal(valgum.measurements.leftKneeDirection, 'VALGUS (INWARD/KNOCKED)');
+                assert.equal(valgum.measurements.rightKneeDirection, 'VALGUS (INWARD/KNOCKED)');
+
+                // Head shifted toward the patient's left, which is the image right when facing the camera
+                const tilted = analyzeView('front', relabel(fixtures.shift(fixtures.frontNeutral(), { 0: [0.02, 0] })), mirrored);
+                assert.equal(tilted.deformities.find(d => d.type === 'Cervical Lateral Deviation').direction, 'LEFT');
+            });
+
+            it(`reports the patient's left in the back view (${mode}, sides ${labels})`, () => {
+                const psis = analyzeView('back', relabel(fixtures.backPsisAsymmetry()), mirrored);
+                assert.equal(psis.deformities.find(d => d.type === 'PSIS Asymmetry').elevated, 'LEFT');
+
+                const pronation = analyzeView('back', relabel(fixtures.backLeftPronation()), mirrored);
+                assert.match(pronation.measurements.leftAnkleDirection, /PRONATION/);
+                assert.doesNotMatch(pronation.measurements.rightAnkleDirection || '', /PRONATION/);
+            });
+
+            it(`labels the patient's left knee on the correct side of the photo (${mode}, sides ${labels})`, () => {
+                const pose = relabel(fixtures.frontGenuValgum());
+                const measurements = analyzeView('front', pose, mirrored).measurements;
+                const overlay = ImageAnnotator.buildOverlay('front', pose, measurements, { mirrored });
+                const leftKnee = overlay.labels.find(label => label.text.startsWith('L knee'));
+                // Facing the camera the patient's left is on the image right, and on the left of a mirrored photo
+                assert.equal(leftKnee.at.x > 0.5, !mirrored);
+
+                const back = relabel(fixtures.backNeutral());
+                const backOverlay = ImageAnnotator.buildOverlay('back', back, analyzeView('back', back, mirrored).measurements, { mirrored });
+                const leftAnkle = backOverlay.labels.find(label => label.text.startsWith('L ankle'));
+                assert.equal(leftAnkle.at.x < 0.5, !mirrored);
+            });
+        });
+
+        it(`leaves side views on the side facing the camera (${mode})`, () => {
+            const side = analyzeView('sideLeft', fixtures.withVisibility(fixtures.sideForwardHead(), [8, 12, 24, 26, 28], 0.2), mirrored);
+            assert.equal(side.measurements.landmarkSide, 'LEFT');
+            assert.equal(side.measurements.craniovertebralAngle, '69.4');
+        });
+    });
+
+    it('swaps every left/right pair together based on the torso', () => {
+        const swapped = fixtures.swapSides(fixtures.frontGenuValgum());
+        assert.deepEqual(AnalysisEngine.orientLandmarks(swapped, 'front'), fixtures.frontGenuValgum());
+        const pose = fixtures.backNeutral();
+        assert.equal(AnalysisEngine.orientLandmarks(pose, 'back'), pose);
+        assert.equal(AnalysisEngine.orientLandmarks(swapped, 'sideLeft'), swapped);
+    });
+});
+
+describe('AnalysisEngine world landmarks', () => {
+    const engine = AnalysisEngine.createInstance();
+    // The nose sits in front of the ears: toward the camera from the front, away from it from behind
+    const frontDepth = { [fixtures.LANDMARK.NOSE]: -0.08 };
+    const backDepth = { [fixtures.LANDMARK.NOSE]: 0.08 };
+
+    const analyzeWorld = (view, pose, world) => engine.analyzeLandmarkSet({
+        [view + 'Landmarks']: pose,
+        [view + 'WorldLandmarks']: world
+    })[view].world.measurements;
+
+    it('measures pelvic rotation against the camera in the front view', () => {
+        const pose = fixtures.frontNeutral();
+        const square = analyzeWorld('front', pose, fixtures.worldPose(pose, { depth: frontDepth }));
+        assert.equal(square.pelvicRotation, '0.0');
+        assert.equal(square.trunkRotation, '0.0');
+
+        // The patient's right hip comes toward the camera as they turn to their left
+        const turned = analyzeWorld('front', pose, fixtures.worldPose(pose, { depth: frontDepth, yaw: 10 }));
+        assert.equal(turned.pelvicRotation, '10.0');
+        assert.equal(turned.pelvicRotationDirection, 'LEFT');
+        assert.equal(turned.trunkRotation, '0.0');
+    });
+
+    it('measures trunk rotation relative to the pelvis', () => {
+        const pose = fixtures.frontNeutral();
+        const measurements = analyzeWorld('front', pose, fixtures.worldPose(pose, { depth: frontDepth, trunkYaw: -8 }));
+        assert.equal(measurements.trunkRotation, '8.0');
+        assert.equal(measurements.trunkRotationDirection, 'RIGHT');
+        assert.equal(measurements.pelvicRotation, '0.0');
+    });
+
+    it('reports the patient\'s left in the back view whichever way the sides are labelled', () => {
+        const pose = fixtures.backNeutral();
+        const world = fixtures.worldPose(pose, { depth: backDepth, yaw: 10 });
+        [analyzeWorld('back', pose, world), analyzeWorld('back', fixtures.swapSides(pose), fixtures.swapSides(world))].forEach(measurements => {
+            assert.equal(measurements.pelvicRotation, '10.0');
+            assert.equal(measurements.pelvicRotationDirection, 'LEFT');
+        });
+    });
+
+    it('measures shoulder protraction from the coronal plane through the hips', () => {
+        const pose = fixtures.frontNeutral();
+        const depth = { ...frontDepth, [fixtures.LANDMARK.LEFT_SHOULDER]: -0.03, [fixtures.LANDMARK.RIGHT_SHOULDER]: 0.01 };
+        const measurements = analyzeWorld('front', pose, fixtures.worldPose(pose, { depth }));
+        assert.equal(measurements.leftShoulderProtraction, '3.0');
+        assert.equal(measurements.rightShoulderProtraction, '-1.0');
+    });
+
+    it('measures the side view plumb line offsets without calibration', () => {
+        const pose = fixtures.sideForwardHead();
+        // Right side toward the camera, facing the image right
+        const depth = { 7: 0.1, 8: -0.1, 11: 0.1, 12: -0.1, 23: 0.1, 24: -0.1 };
+        const measurements = analyzeWorld('sideRight', pose, fixtures.worldPose(pose, { depth }));
+        const expected = (pose[8].x - pose[12].x) * 170;
+        assert.equal(measurements.headOverShoulderCm, expected.toFixed(1));
+        assert.equal(measurements.shoulderOverHipCm, '0.0');
+        assert.equal(measurements.trunkRotation, undefined);
+    });
+
+    it('needs no world landmarks for the 2D analysis', () => {
+        const analysis = engine.analyzeLandmarkSet({ frontLandmarks: fixtures.frontNeutral() });
+        assert.equal(analysis.front.world, undefined);
+        assert.equal(AnalysisEngine.analyzeWorldLandmarks([], 'front'), null);
+        assert.deepEqual(engine.summarizeWorldMeasurements(analysis), []);
+    });
+
+    it('summarizes the 3D values per view and flags rotations outside normal', () => {
+        const pose = fixtures.frontNeutral();
+        const analysis = engine.analyzeLandmarkSet({
+            frontLandmarks: pose,
+            frontWorldLandmarks: fixtures.worldPose(pose, { depth: frontDepth, trunkYaw: -8 })
+        });
+        const [line] = engine.summarizeWorldMeasurements(analysis);
+        assert.match(line, /^Front: trunk rotation 8\.0° to the right \(outside normal/);
+        // Turning to the right brings the left shoulder forward
+        assert.match(line, /pelvic rotation 0\.0°, shoulder protraction L 2\.4 cm \/ R -2\.4 cm$/);
+    });
+});
+
+describe('AnalysisEngine scoliosis screening', () => {
+    const engine = AnalysisEngine.createInstance();
+    const bendTilt = fixtures.shift(fixtures.forwardBendNeutral(), { [fixtures.LANDMARK.LEFT_SHOULDER]: [0, -0.03] });
+    const screen = views => engine.analyzeLandmarkSet({
+        frontLandmarks: views.front || fixtures.frontNeutral(),
+        backLandmarks: views.back || fixtures.backNeutral(),
+        forwardBendLandmarks: views.forwardBend
+    });
+
+    it('screens only when the forward bend view was taken', () => {
+        const analysis = screen({});
+        assert.equal(analysis.forwardBend, undefined);
+        assert.equal(analysis.scoliosisScreening, undefined);
+        assert.equal(AnalysisEngine.summarizeScoliosisScreening(analysis), '');
+    });
+
+    it('does not refer a symmetric forward bend without standing signs', () => {
+        const analysis = screen({ forwardBend: fixtures.forwardBendNeutral() });
+        assert.deepEqual(analysis.forwardBend.issues, ['✓ Symmetrical back in forward bend']);
+        assert.equal(analysis.scoliosisScreening.outcome, 'NO REFERRAL');
+        assert.deepEqual(analysis.scoliosisScreening.reasons, []);
+        assert.equal(AnalysisEngine.summarizeScoliosisScreening(analysis),
+            'NO REFERRAL - forward bend shoulder tilt (estimate) 0.0° within normal; 0 of 4 standing signs positive');
+    });
+
+    it('refers when one side of the bent back is higher', () => {
+        const analysis = screen({ forwardBend: bendTilt });
+        assert.equal(analysis.forwardBend.measurements.bendShoulderTilt, '8.5');
+        assert.equal(analysis.forwardBend.measurements.bendShoulderTiltSide, 'LEFT');
+        assert.equal(findDeformity(analysis.forwardBend, 'Forward Bend Trunk Asymmetry').elevated, 'LEFT');
+
+        const { outcome, reasons, forwardBend } = analysis.scoliosisScreening;
+        assert.equal(outcome, 'REFER');
+        assert.deepEqual(reasons, ['Forward Bend Shoulder Tilt (estimate) 8.5°, left side higher (normal <7°)']);
+        assert.equal(forwardBend[0].positive, true);
+
+        // Forward bend deformities are screening findings, not prescribed for
+        assert.ok(!analysis.deformitySummary.frontalPlane.some(d => d.type === 'Forward Bend Trunk Asymmetry'));
+    });
+
+    it('keeps the patient\'s sides when MediaPipe labels them as if facing the camera', () => {
+        const analysis = screen({ forwardBend: fixtures.swapSides(bendTilt) });
+        assert.equal(analysis.forwardBend.measurements.bendShoulderTiltSide, 'LEFT');
+    });
+
+    it('refers on two or more standing signs even with a symmetric forward bend', () => {
+        const one = screen({ front: fixtures.frontShoulderTilt(5), forwardBend: fixtures.forwardBendNeutral() }).scoliosisScreening;
+        assert.equal(one.outcome, 'NO REFERRAL');
+        assert.deepEqual(one.standingSigns[0], {
+            label: 'Shoulder/scapular height asymmetry', positive: true, findings: ['Front: Shoulder Level 5.0°']
+        });
+
+        const two = screen({
+            front: fixtures.frontShoulderTilt(5), back: fixtures.backPsisAsymmetry(), forwardBend: fixtures.forwardBendNeutral()
+        }).scoliosisScreening;
+        assert.equal(two.outcome, 'REFER');
+        assert.deepEqual(two.reasons, ['2 standing signs of scoliosis: Shoulder/scapular height asymmetry, PSIS height asymmetry']);
+    });
+
+    it('does not count low-confidence standing signs', () => {
+        const hidden = fixtures.withVisibility(fixtures.backPsisAsymmetry(), [fixtures.LANDMARK.LEFT_HIP, fixtures.LANDMARK.RIGHT_HIP], 0.2);
+        const screening = screen({ front: fixtures.frontShoulderTilt(5), back: hidden, forwardBend: fixtures.forwardBendNeutral() }).scoliosisScreening;
+        assert.equal(screening.standingSigns[1].positive, false);
+        assert.equal(screening.outcome, 'NO REFERRAL');
+    });
+
+    it('follows the configured forward bend limit', () => {
+        const strict = AnalysisEngine.createInstance({}, { overrides: { limits: { bendShoulderTilt: { max: 10 } } } });
+        const analysis = strict.analyzeLandmarkSet({ forwardBendLandmarks: bendTilt });
+        assert.equal(analysis.scoliosisScreening.outcome, 'NO REFERRAL');
+    });
+});
+
+describe('AnalysisEngine calibration', () => {
+    const A4 = { name: 'A4 sheet, long edge', sizeCm: 29.7 };
+    const shoulderRise = pose => pose[12].y - pose[11].y;
+
+    it('records which body measurements fell back to population defaults', () => {
+        assert.equal(AnalysisEngine.createInstance().userCalibration.method, 'defaults');
+
+        const partial = AnalysisEngine.createInstance({ method: 'body', shoulderWidth: 42, neckLength: '' }).userCalibration;
+        assert.equal(partial.method, 'body');
+        assert.equal(partial.shoulderWidth, 42);
+        assert.deepEqual(partial.defaulted, ['headWidth', 'hipWidth', 'neckLength']);
+
+        // Height calibration without a height falls back to the body measurements
+        assert.equal(AnalysisEngine.createInstance({ method: 'height' }).userCalibration.method, 'defaults');
+    });
+
+    it('scales centimetre values from the patient height through the nose-to-heel span', () => {
+        const pose = fixtures.frontShoulderTilt(5);
+        const result = AnalysisEngine.createInstance({ method: 'height', patientHeight: 150 }).analyzeFrontView(pose);
+        const cmPerUnit = 150 * AnalysisEngine.NOSE_HEIGHT_RATIO / (0.90 - 0.12);
+
+        assert.equal(result.measurements.shoulderLevelCm, (shoulderRise(pose) * cmPerUnit).toFixed(1));
+        assert.deepEqual(result.calibration, { method: 'height', patientHeight: 150 });
+    });
+
+    it('scales each view by its marked reference object and falls back where none is marked', () => {
+        const engine = AnalysisEngine.createInstance({ method: 'reference', referenceObject: A4 });
+        const pose = fixtures.frontShoulderTilt(5);
+        const analysis = engine.analyzeLandmarkSet({
+            frontLandmarks: pose,
+            frontReferenceMark: { from: { x: 0.1, y: 0.2 }, to: { x: 0.1, y: 0.5 } },
+            backLandmarks: fixtures.backNeutral()
+        });
+
+        assert.equal(analysis.front.measurements.shoulderLevelCm, (shoulderRise(pose) * 29.7 / 0.3).toFixed(1));
+        assert.deepEqual(analysis.front.calibration, { method: 'reference', referenceObject: A4 });
+        assert.equal(analysis.back.calibration.method, 'defaults');
+        assert.equal(analysis.back.calibration.requested, 'reference');
+        assert.equal(AnalysisEngine.summarizeCalibration(analysis),
+            'Front: Reference object marked in the image (A4 sheet, long edge, 29.7 cm); ' +
+            'Back: Population default body measurements (head 15 cm, shoulder 40 cm, hip 35 cm, neck 20 cm) - ' +
+            'centimetre values are approximate - reference object not marked in this view');
+    });
+
+    it('uses one scale for every side view offset under height calibration', () => {
+        const pose = fixtures.sideForwardHead();
+        const result = AnalysisEngine.createInstance({ method: 'height', patientHeight: 170 }).analyzeSideView(pose, 'left');
+        const cmPerUnit = 170 * AnalysisEngine.NOSE_HEIGHT_RATIO / (Math.max(pose[29].y, pose[30].y) - pose[0].y);
+
+        assert.equal(result.measurements.forwardNeckCm, (Math.abs(pose[7].x - pose[11].x) * cmPerUnit).toFixed(1));
+        assert.equal(result.calibration.method, 'height');
+    });
+
+    it('describes clinician-entered measurements with the values that were defaulted', () => {
+        const engine = AnalysisEngine.createInstance({ method: 'body', headWidth: 16, shoulderWidth: 41, hipWidth: 34 });
+        const analysis = engine.analyzeLandmarkSet({ frontLandmarks: fixtures.frontNeutral(), backLandmarks: fixtures.backNeutral() });
+
+        assert.equal(AnalysisEngine.summarizeCalibration(analysis),
+            'Clinician-entered body measurements (head 16 cm, shoulder 41 cm, hip 34 cm, neck 20 cm); defaults used for neck');
+        assert.equal(AnalysisEngine.summarizeCalibration({ front: { measurements: {} } }), '');
+    });
+});
+
+describe('AnalysisEngine landmark visibility', () => {
+    const engine = AnalysisEngine.createInstance();
+    const { LANDMARK } = fixtures;
+
+    it('marks every measurement reliable when all landmarks are visible', () => {
+        const result = engine.analyzeFrontView(fixtures.frontNeutral());
+        assert.ok(Object.values(result.reliability).every(r => r.reliable));
+        assert.ok(!result.issues.some(issue => issue.includes('Low confidence')));
+    });
+
+    it('flags measurements and deformities built on poorly visible landmarks', () => {
+        const pose = fixtures.withVisibility(fixtures.frontGenuValgum(), [LANDMARK.LEFT_ANKLE], 0.2);
+        const result = engine.analyzeFrontView(pose);
+
+        assert.deepEqual(result.reliability.leftKneeAlignment, { reliable: false, visibility: 0.2 });
+        assert.equal(result.reliability.rightKneeAlignment.reliable, true);
+        assert.equal(findDeformity(result, 'Left Knee Malalignment').lowConfidence, true);
+        assert.equal(findDeformity(result, 'Right Knee Malalignment').lowConfidence, undefined);
+        assert.ok(result.issues.includes(
+            '⚠ Low confidence (landmarks not clearly visible): Left Knee Alignment - repeat this view or confirm clinically'
+        ));
+        assert.equal(AnalysisEngine.isReliable(result, 'leftKneeAlignment'), false);
+    });
+
+    it('uses the better visible landmark of a side view pair', () => {
+        const pose = fixtures.withVisibility(fixtures.sideForwardHead(), [LANDMARK.RIGHT_EAR], 0.1);
+        const result = engine.analyzeSideView(pose);
+        assert.equal(result.reliability.forwardNeck.reliable, true);
+    });
+
+    it('treats landmarks without a visibility score as visible', () => {
+        const pose = fixtures.frontNeutral().map(({ visibility, ...point }) => point);
+        const result = engine.analyzeFrontView(pose);
+        assert.ok(Object.values(result.reliability).every(r => r.reliable && r.visibility === 1));
+    });
+});
+
+describe('AnalysisEngine.generateExerciseProtocol', () => {
+    it('builds the protocol from the deformities found', () => {
+        const engine = AnalysisEngine.createInstance();
+        const analysis = engine.analyzeLandmarkSet({
+            frontLandmarks: fixtures.frontNeutral(),
+            sideLeftLandmarks: fixtures.sideForwardHead(),
+            sideRightLandmarks: fixtures.sideForwardHead(),
+            backLandmarks: fixtures.backPsisAsymmetry()
+        });
+        const protocol = engine.generateExerciseProtocol(analysis);
+        const ids = protocol.items.map(item => item.id);
+
+        assert.ok(ids.includes('chin-tuck'));
+        assert.ok(ids.includes('side-lying-hip-abduction'));
+        assert.equal(protocol.items.find(item => item.id === 'side-lying-hip-abduction').side, 'RIGHT');
+        assert.ok(protocol.exercises.startsWith('Corrective Exercise Protocol:'));
+        assert.ok(protocol.exercises.includes('• Chin Tucks: 3 x 10, 5 s hold, Daily - for Forward Head Posture'));
+    });
+
+    it('does not prescribe for low-confidence deformities', () => {
+        const analysis = AnalysisEngine.createInstance().analyzeLandmarkSet({
+            frontLandmarks: fixtures.withVisibility(fixtures.frontPelvicObliquity(), [fixtures.LANDMARK.RIGHT_HIP], 0.3)
+        });
+        const protocol = AnalysisEngine.generateExerciseProtocol(analysis);
+
+        assert.ok(!protocol.items.some(item => item.targets.includes('Pelvic Obliquity')));
+        assert.ok(protocol.exercises.includes('• Not prescribed until confirmed clinically (low confidence): Pelvic Obliquity'));
+    });
+
+    it('prescribes maintenance when there are no deformities', () => {
+        const protocol = AnalysisEngine.generateExerciseProtocol({
+            deformitySummary: { frontalPlane: [], sagittalPlane: [], bilateralComparison: [] }
+        });
+        assert.deepEqual(protocol.items, []);
+        assert.ok(protocol.exercises.startsWith('Maintenance Protocol:'));
+    });
+});
+
+describe('AnalysisEngine normal ranges', () => {
+    it('formats upper, two-sided, signed and lower-only ranges', () => {
+        assert.equal(AnalysisEngine.formatNormalRange('shoulderLevel'), '<2°');
+        assert.equal(AnalysisEngine.formatNormalRange('thoracicCurvature'), '20-40°');
+        assert.equal(AnalysisEngine.formatNormalRange('shoulderOverHipCm'), '-3 to 3cm');
+        assert.equal(AnalysisEngine.formatNormalRange('craniovertebralAngle'), '50° or more');
+        assert.equal(AnalysisEngine.formatNormalRange('forwardNeckCm'), '');
+    });
+
+    it('checks values against both limits', () => {
+        assert.equal(AnalysisEngine.isOutsideNormal('craniovertebralAngle', '48.0'), true);
+        assert.equal(AnalysisEngine.isOutsideNormal('craniovertebralAngle', '55.0'), false);
+        assert.equal(AnalysisEngine.isOutsideNormal('hipOverAnkleCm', '-2.5'), true);
+        assert.equal(AnalysisEngine.isOutsideNormal('hipOverAnkleCm', '3.0'), false);
+        assert.equal(AnalysisEngine.isOutsideNormal('forwardNeckCm', '9.0'), false);
+    });
+    it('reads limits from the configured preset and overrides', () => {
+        const elderly = AnalysisEngine.createInstance({}, { preset: 'elderly' });
+        assert.equal(elderly.isOutsideNormal('craniovertebralAngle', '48.0'), false);
+        assert.equal(elderly.formatNormalRange('thoracicCurvature'), '20-50°');
+        assert.equal(elderly.describeThresholds(), 'Older adult (65+) preset');
+        assert.equal(AnalysisEngine.describeThresholds(), 'Adult (18-64) preset');
+
+        const pose = fixtures.frontShoulderTilt(5);
+        const relaxed = AnalysisEngine.createInstance({}, { overrides: { limits: { shoulderLevel: { max: 6 } } } });
+        assert.ok(!relaxed.analyzeFrontView(pose).deformities.some(d => d.type === 'Shoulder Level Asymmetry'));
+        assert.ok(AnalysisEngine.analyzeFrontView(pose).deformities.some(d => d.type === 'Shoulder Level Asymmetry'));
+        assert.equal(relaxed.describeThresholds(), 'Adult (18-64) preset, adjusted: Shoulder Level');
+    });
+
+    it('grades severity with the configured bands', () => {
+        assert.equal(AnalysisEngine.gradeSeverity(5, 2), 'MODERATE');
+        assert.equal(AnalysisEngine.createInstance({}, { overrides: { severityBands: { mild: 3, moderate: 4 } } }).gradeSeverity(5, 2), 'MILD');
+    });
+
+    it('reports side view asymmetries beyond the configured difference', () => {
+        const views = { frontLandmarks: fixtures.frontNeutral(), sideLeftLandmarks: fixtures.sideForwardHead(), sideRightLandmarks: fixtures.sideNeutral() };
+        const tolerant = AnalysisEngine.createInstance({}, { overrides: { bilateral: { forwardNeck: 25 } } });
+        assert.ok(!tolerant.analyzeLandmarkSet(views).deformitySummary.bilateralComparison.some(c => c.type === 'Forward Neck Asymmetry'));
+    });
+});
@@ -0,0 +1,211 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const AnalysisEngine = require('../js/analysis-engine');
+const BodyContour = require('../js/body-contour');
+const ImageAnnotator = require('../js/image-annotator');
+const fixtures = require('./fixtures/landmarks');
+
+const IMAGE = { width: 640, height: 480 };
+
+function traced(pose, options) {
+    const { values, width, height } = fixtures.bodyMask(pose, options);
+    return BodyContour.fromMask(values, width, height);
+}
+
+function tracedBend(pose, options) {
+    const { values, width, height } = fixtures.bendMask(pose, options);
+    return BodyContour.fromMask(values, width, height);
+}
+
+describe('BodyContour.fromMask', () => {
+    it('records the body runs of each row in normalized coordinates', () => {
+        // 4 x 2 mask: a two-pixel run on the first row, two single pixels on the second
+        const contour = BodyContour.fromMask([0, 1, 0.9, 0, 1, 0, 0.2, 0.7], 4, 2);
+        assert.deepEqual(contour, {
+            rowHeight: 0.5,
+            rows: [
+                { y: 0.25, runs: [[0.25, 0.75]] },
+                { y: 0.75, runs: [[0, 0.25], [0.75, 1]] }
+            ]
+        });
+    });
+
+    it('leaves out rows without body pixels', () => {
+        assert.deepEqual(BodyContour.fromMask([0, 0, 0.4, 0.1], 2, 2).rows, []);
+    });
+});
+
+describe('BodyContour.analyze', () => {
+    const analyze = (pose, options) => BodyContour.analyze(
+        BodyContour.toPixelSpace(traced(pose, options), IMAGE), AnalysisEngine.toPixelSpace(pose, IMAGE));
+
+    it('finds equal waist triangles and no shift for a symmetric silhouette', () => {
+        const found = analyze(fixtures.frontNeutral());
+        assert.ok(found.rows > 0);
+        assert.equal(found.waistTriangle.left.toFixed(1), found.waistTriangle.right.toFixed(1));
+        assert.ok(found.waistTriangle.left > 0);
+        assert.equal(found.trunkShift, 0);
+        assert.equal(BodyContour.asymmetry(found.waistTriangle).toFixed(1), '0.0');
+    });
+
+    it('assigns the image-right gap to the patient\'s left from the front and their right from behind', () => {
+        const front = analyze(fixtures.frontNeutral(), { gaps: [0.03, 0.06] });
+        assert.ok(front.waistTriangle.left > front.waistTriangle.right);
+        assert.equal(BodyContour.asymmetry(front.waistTriangle).toFixed(1), '50.0');
+
+        const back = analyze(fixtures.backNeutral(), { gaps: [0.03, 0.06] });
+        assert.ok(back.waistTriangle.right > back.waistTriangle.left);
+    });
+
+    it('measures the trunk shift toward the patient\'s side', () => {
+        assert.ok(analyze(fixtures.frontNeutral(), { shift: 0.02 }).trunkShift > 0);
+        assert.ok(analyze(fixtures.backNeutral(), { shift: 0.02 }).trunkShift < 0);
+    });
+
+    it('returns null without a trunk in the mask', () => {
+        assert.equal(BodyContour.analyze({ rowHeight: 0.01, rows: [] }, fixtures.frontNeutral()), null);
+        assert.equal(BodyContour.analyze(null, fixtures.frontNeutral()), null);
+    });
+});
+
+describe('BodyContour.backProfile', () => {
+    const profile = (pose, options) => BodyContour.backProfile(
+        BodyContour.toPixelSpace(tracedBend(pose, options), IMAGE), AnalysisEngine.toPixelSpace(pose, IMAGE));
+
+    it('finds a level back in a symmetric forward bend', () => {
+        const found = profile(fixtures.forwardBendNeutral());
+        assert.equal(found.angle, 0);
+        assert.equal(found.height, 0);
+        assert.equal(found.higher, '');
+        assert.equal(found.samples, 21);
+    });
+
+    it('reports the higher side of the bent back on the patient\'s sides', () => {
+        // From behind the patient's left is on the image left
+        assert.equal(profile(fixtures.forwardBendNeutral(), { hump: 0.05 }).higher, 'left');
+        assert.equal(profile(fixtures.forwardBendNeutral(), { hump: -0.05 }).higher, 'right');
+
+        // Same answer when MediaPipe labels the sides as if the patient faced the camera
+        const swapped = AnalysisEngine.orientLandmarks(fixtures.swapSides(fixtures.forwardBendNeutral()), 'forwardBend');
+        const found = BodyContour.backProfile(tracedBend(fixtures.forwardBendNeutral(), { hump: 0.05 }), swapped);
+        assert.equal(found.higher, 'left');
+    });
+
+    it('grows with the hump', () => {
+        const small = profile(fixtures.forwardBendNeutral(), { hump: 0.02 });
+        const large = profile(fixtures.forwardBendNeutral(), { hump: 0.05 });
+        assert.ok(small.angle > 0);
+        assert.ok(large.angle > small.angle);
+        assert.ok(large.height > small.height);
+    });
+
+    it('returns null when the back is not in the mask', () => {
+        assert.equal(BodyContour.backProfile({ rowHeight: 0.01, rows: [] }, fixtures.forwardBendNeutral()), null);
+        assert.equal(BodyContour.backProfile(null, fixtures.forwardBendNeutral()), null);
+    });
+});
+
+describe('AnalysisEngine silhouette measurements', () => {
+    const engine = AnalysisEngine.createInstance();
+    const analyzeFront = (pose, options) => engine.analyzeLandmarkSet({
+        frontLandmarks: pose,
+        frontImageSize: IMAGE,
+        frontContour: traced(pose, options)
+    }).front;
+
+    it('adds waist triangle and trunk shift measurements to the front view', () => {
+        const front = analyzeFront(fixtures.frontNeutral());
+        assert.equal(front.measurements.waistTriangleLeftCm2, front.measurements.waistTriangleRightCm2);
+        assert.equal(front.measurements.waistTriangleAsymmetry, '0.0');
+        assert.equal(front.measurements.trunkShiftCm, '0.0');
+        assert.equal(front.deformities.length, 0);
+        assert.deepEqual(front.issues, ['✓ Normal frontal plane alignment']);
+    });
+
+    it('reports waist triangle asymmetry as a deformity', () => {
+        const front = analyzeFront(fixtures.frontNeutral(), { gaps: [0.03, 0.06] });
+        const waist = front.deformities.find(d => d.type === 'Waist Triangle Asymmetry');
+        assert.equal(waist.larger, 'LEFT');
+        assert.equal(waist.percentage, '50.0');
+        assert.match(front.issues.join('\n'), /Waist triangle asymmetry \(silhouette\): .* LEFT larger by 50\.0% \(Normal: <30%\)/);
+    });
+
+    it('reports a lateral trunk shift in centimetres', () => {
+        // 0.02 of a 640 px frame with hips 0.12 apart (35 cm): 5.8 cm
+        const front = analyzeFront(fixtures.frontNeutral(), { shift: 0.02 });
+        assert.equal(front.measurements.trunkShiftCm, '5.8');
+        assert.equal(front.measurements.trunkShiftDirection, 'LEFT');
+        assert.equal(front.deformities.find(d => d.type === 'Lateral Trunk Shift').direction, 'LEFT');
+
+        const back = engine.analyzeLandmarkSet({
+            backLandmarks: fixtures.backNeutral(),
+            backImageSize: IMAGE,
+            backContour: traced(fixtures.backNeutral(), { shift: 0.02 })
+        }).back;
+        assert.equal(back.measurements.trunkShiftDirection, 'RIGHT');
+    });
+
+    it('measures the rib hump in the forward bend view', () => {
+        const bend = engine.analyzeLandmarkSet({
+            forwardBendLandmarks: fixtures.forwardBendNeutral(),
+            forwardBendImageSize: IMAGE,
+            forwardBendContour: tracedBend(fixtures.forwardBendNeutral(), { hump: 0.05 })
+        }).forwardBend;
+        assert.equal(bend.measurements.ribHumpSide, 'LEFT');
+        assert.ok(parseFloat(bend.measurements.ribHumpAngle) > 7);
+        assert.ok(parseFloat(bend.measurements.ribHumpCm) > 0);
+
+        const hump = bend.deformities.find(d => d.type === 'Rib Hump');
+        assert.equal(hump.elevated, 'LEFT');
+        assert.equal(hump.estimate, true);
+        assert.match(bend.issues.join('\n'), /Rib hump \(silhouette estimate\): LEFT side of the back HIGHER by [\d.]+cm \([\d.]+°\) \(Normal: <7°\)/);
+    });
+
+    it('leaves the views unchanged without a contour', () => {
+        const front = engine.analyzeLandmarkSet({ frontLandmarks: fixtures.frontNeutral() }).front;
+        assert.equal(front.measurements.waistTriangleAsymmetry, undefined);
+        assert.equal(front.measurements.trunkShiftCm, undefined);
+    });
+});
+
+describe('ImageAnnotator body outline', () => {
+    const pose = fixtures.frontNeutral();
+    const contour = traced(pose, { gaps: [0.03, 0.06] });
+    const measurements = AnalysisEngine.analyzeFrontView(pose, null, IMAGE, contour).measurements;
+    const outline = overlay => overlay.lines.filter(line => line.color === ImageAnnotator.COLORS.outline);
+
+    it('outlines the silhouette and labels the waist triangles', () => {
+        const overlay = ImageAnnotator.buildOverlay('front', pose, measurements, { contour });
+        assert.equal(outline(overlay).length, BodyContour.outlineSegments(contour).length);
+        assert.ok(outline(overlay).length > 0);
+
+        const waist = overlay.labels.find(label => label.text.startsWith('Waist'));
+        assert.equal(waist.text, `Waist L ${measurements.waistTriangleLeftCm2} / R ${measurements.waistTriangleRightCm2} cm²`);
+        assert.equal(waist.color, ImageAnnotator.COLORS.abnormal);
+    });
+
+    it('mirrors the outline with the photo', () => {
+        const plain = outline(ImageAnnotator.buildOverlay('front', pose, measurements, { contour }));
+        const mirrored = outline(ImageAnnotator.buildOverlay('front', pose, measurements, { contour, mirrored: true }));
+        assert.equal(mirrored[0].from.x.toFixed(4), (1 - plain[0].from.x).toFixed(4));
+    });
+
+    it('draws no outline without a contour', () => {
+        assert.deepEqual(outline(ImageAnnotator.buildOverlay('front', pose, measurements)), []);
+    });
+
+    it('outlines the bent back and labels the rib hump in the forward bend view', () => {
+        const bendPose = fixtures.forwardBendNeutral();
+        const bendContour = tracedBend(bendPose, { hump: 0.05 });
+        const bend = AnalysisEngine.analyzeForwardBendView(bendPose, null, IMAGE, bendContour).measurements;
+        const overlay = ImageAnnotator.buildOverlay('forwardBend', bendPose, bend, { contour: bendContour });
+        assert.ok(outline(overlay).length > 0);
+
+        const hump = overlay.labels.find(label => label.text.startsWith('Rib hump'));
+        assert.equal(hump.text, `Rib hump ${bend.ribHumpAngle}° / ${bend.ribHumpCm} cm LEFT`);
+        assert.equal(hump.color, ImageAnnotator.COLORS.abnormal);
+        const shoulders = overlay.labels.find(label => label.text.startsWith('Shoulders'));
+        assert.equal(shoulders.color, ImageAnnotator.COLORS.normal);
+    });
+});
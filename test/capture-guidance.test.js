@@ -0,0 +1,137 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const CaptureGuidance = require('../js/capture-guidance');
+const fixtures = require('./fixtures/landmarks');
+
+const { LANDMARK } = fixtures;
+const FACE = [0, 2, 5, 9, 10];
+
+function still(pose) {
+    return Array.from({ length: CaptureGuidance.defaults.stillnessFrames }, () => pose);
+}
+
+function evaluate(pose, phaseName, history = still(pose)) {
+    return CaptureGuidance.evaluate(pose, phaseName, history);
+}
+
+function failed(result) {
+    return result.checks.filter(check => !check.passed).map(check => check.id);
+}
+
+describe('CaptureGuidance.evaluate', () => {
+    it('is ready for a still, centred, level patient facing the camera', () => {
+        const result = evaluate(fixtures.frontNeutral(), 'front');
+        assert.equal(result.ready, true);
+        assert.deepEqual(result.prompts, []);
+        assert.deepEqual(result.checks.map(check => check.id), ['framing', 'distance', 'orientation', 'level', 'stillness']);
+    });
+
+    it('asks to step back when the feet are cut off', () => {
+        const pose = fixtures.withVisibility(fixtures.frontNeutral(),
+            [LANDMARK.LEFT_FOOT_INDEX, LANDMARK.RIGHT_FOOT_INDEX], 0.1);
+        const result = evaluate(pose, 'front');
+        assert.equal(result.ready, false);
+        assert.deepEqual(result.checks.map(check => check.id), ['framing']);
+        assert.match(result.prompts[0], /Feet are out of frame/);
+    });
+
+    it('asks to step back when the head is cut off', () => {
+        const pose = fixtures.shift(fixtures.frontNeutral(), { [LANDMARK.NOSE]: [0, -0.1] });
+        assert.match(evaluate(pose, 'front').prompts[0], /Head is out of frame/);
+    });
+
+    it('asks the patient to step closer when the body is small in the frame', () => {
+        const pose = fixtures.frontNeutral().map(point => ({ ...point, y: 0.5 + (point.y - 0.5) * 0.5 }));
+        const result = evaluate(pose, 'front');
+        assert.deepEqual(failed(result), ['distance']);
+        assert.match(result.prompts[0], /Step closer to the camera \(body fills 41% of the frame height\)/);
+    });
+
+    it('waits for enough frames and rejects movement before enabling capture', () => {
+        const pose = fixtures.frontNeutral();
+        assert.deepEqual(evaluate(pose, 'front', [pose]).prompts, ['Hold still...']);
+
+        const moving = fixtures.jitterFrames(pose, CaptureGuidance.defaults.stillnessFrames, 0.02);
+        assert.deepEqual(evaluate(pose, 'front', moving).prompts, ['Hold still - movement detected']);
+
+        const steady = fixtures.jitterFrames(pose, CaptureGuidance.defaults.stillnessFrames, 0.002);
+        assert.equal(evaluate(pose, 'front', steady).ready, true);
+    });
+
+    it('reports a tilted camera from the body axis', () => {
+        // Rotate the whole pose by 8° about the mid-ankle point
+        const angle = 8 * Math.PI / 180;
+        const pose = fixtures.frontNeutral().map(point => {
+            const dx = (point.x - 0.5) * 4 / 3;
+            const dy = point.y - 0.88;
+            return {
+                ...point,
+                x: 0.5 + (dx * Math.cos(angle) - dy * Math.sin(angle)) * 3 / 4,
+                y: 0.88 + dx * Math.sin(angle) + dy * Math.cos(angle)
+            };
+        });
+        const result = evaluate(pose, 'front');
+        assert.deepEqual(failed(result), ['level']);
+        assert.match(result.prompts[0], /Camera looks tilted \(body axis 8° from vertical\)/);
+    });
+
+    it('asks the patient to face the camera in the front phase when turned sideways', () => {
+        const result = evaluate(fixtures.sideNeutral(), 'front');
+        assert.deepEqual(failed(result), ['orientation']);
+        assert.match(result.prompts[0], /Turn to face the camera/);
+    });
+
+    it('distinguishes the back view from the front view by face visibility', () => {
+        const facing = fixtures.backNeutral();
+        assert.match(evaluate(facing, 'back').prompts[0], /Turn your back to the camera - your face is visible/);
+
+        const turned = fixtures.withVisibility(fixtures.backNeutral(), FACE, 0.2);
+        assert.equal(evaluate(turned, 'back').ready, true);
+        assert.match(evaluate(turned, 'front').prompts[0], /Face the camera/);
+    });
+
+    it('is ready when the patient bends forward with their back to the camera', () => {
+        const result = evaluate(fixtures.forwardBendNeutral(), 'forwardBend');
+        assert.equal(result.ready, true);
+        assert.deepEqual(result.prompts, []);
+    });
+
+    it('asks the patient to bend forward in the forward bend phase', () => {
+        const standing = fixtures.withVisibility(fixtures.backNeutral(), FACE, 0.2);
+        const result = evaluate(standing, 'forwardBend');
+        assert.deepEqual(failed(result), ['orientation']);
+        assert.match(result.prompts[0], /Bend forward from the waist/);
+
+        assert.match(evaluate(fixtures.frontNeutral(), 'forwardBend').prompts[0], /Turn your back to the camera/);
+    });
+
+    it('measures the distance of a bent patient from the top of the back', () => {
+        const far = fixtures.forwardBendNeutral().map(point => ({ ...point, y: 0.5 + (point.y - 0.5) * 0.5 }));
+        const result = evaluate(far, 'forwardBend');
+        assert.deepEqual(failed(result), ['distance']);
+        assert.match(result.prompts[0], /Step closer to the camera \(body fills 21% of the frame height\)/);
+    });
+
+    it('requires a 90° turn for the side phases', () => {
+        const result = evaluate(fixtures.frontNeutral(), 'sideLeft');
+        assert.deepEqual(failed(result), ['orientation']);
+        assert.equal(result.prompts[0], 'Turn 90° so your LEFT side faces the camera');
+    });
+
+    it('checks which side faces the camera from landmark visibility', () => {
+        const rightHidden = fixtures.withVisibility(fixtures.sideNeutral(),
+            [LANDMARK.RIGHT_EAR, LANDMARK.RIGHT_SHOULDER, LANDMARK.RIGHT_HIP, LANDMARK.RIGHT_KNEE], 0.3);
+
+        assert.equal(evaluate(rightHidden, 'sideLeft').ready, true);
+        assert.equal(evaluate(rightHidden, 'sideRight').prompts[0],
+            'You are showing your LEFT side - turn around so your RIGHT side faces the camera');
+    });
+
+    it('uses the frame aspect ratio for shoulder width', () => {
+        // A narrow portrait frame makes the same normalized shoulder width look sideways
+        const pose = fixtures.frontNeutral();
+        const result = CaptureGuidance.evaluate(pose, 'front', still(pose), { aspectRatio: 0.5 });
+        assert.deepEqual(failed(result), ['orientation']);
+    });
+});
@@ -0,0 +1,70 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const ClinicalThresholds = require('../js/clinical-thresholds');
+
+describe('ClinicalThresholds.resolve', () => {
+    it('defaults to the adult preset', () => {
+        const resolved = ClinicalThresholds.resolve();
+        assert.equal(resolved.preset, 'adult');
+        assert.equal(resolved.label, 'Adult (18-64)');
+        assert.deepEqual(resolved.limits.thoracicCurvature, { min: 20, max: 40 });
+        assert.deepEqual(resolved.severityBands, { mild: 1.5, moderate: 2.5 });
+        assert.deepEqual(resolved.customised, []);
+        assert.equal(ClinicalThresholds.resolve({ preset: 'unknown' }).preset, 'adult');
+    });
+
+    it('applies preset differences on top of the adult limits', () => {
+        const resolved = ClinicalThresholds.resolve({ preset: 'elderly' });
+        assert.equal(resolved.limits.craniovertebralAngle.min, 45);
+        assert.match(resolved.limits.craniovertebralAngle.source, /Nemmers/);
+        assert.deepEqual(resolved.limits.shoulderLevel, { max: 2 });
+        assert.equal(ClinicalThresholds.resolve({ preset: 'adolescent' }).limits.kneeHyperextension.max, 10);
+    });
+
+    it('replaces a range with the override and drops its citation', () => {
+        const resolved = ClinicalThresholds.resolve({
+            preset: 'elderly',
+            overrides: { limits: { craniovertebralAngle: { min: 48 } }, bilateral: { forwardNeck: 6 } }
+        });
+        assert.deepEqual(resolved.limits.craniovertebralAngle, { min: 48 });
+        assert.equal(resolved.bilateral.forwardNeck, 6);
+        assert.deepEqual(resolved.customised, ['craniovertebralAngle']);
+    });
+
+    it('does not share limit objects between resolved configurations', () => {
+        ClinicalThresholds.resolve().limits.shoulderLevel.max = 99;
+        assert.equal(ClinicalThresholds.resolve().limits.shoulderLevel.max, 2);
+    });
+});
+
+describe('ClinicalThresholds.validate', () => {
+    it('accepts presets and well-formed overrides', () => {
+        assert.deepEqual(ClinicalThresholds.validate({ preset: 'adolescent', overrides: {} }), []);
+        assert.deepEqual(ClinicalThresholds.validate({
+            preset: 'adult',
+            overrides: { limits: { trunkInclination: { min: -4, max: 6 } }, severityBands: { mild: 2, moderate: 3 } }
+        }), []);
+    });
+
+    it('reports unknown presets, measurements and settings', () => {
+        const errors = ClinicalThresholds.validate({
+            preset: 'infant',
+            overrides: { limits: { spineLength: { max: 3 } }, bilateral: { elbow: 2 } }
+        });
+        assert.equal(errors.length, 3);
+        assert.match(errors[0], /unknown preset "infant"/);
+        assert.match(errors[1], /limits\.spineLength: unknown measurement/);
+        assert.match(errors[2], /bilateral\.elbow: unknown setting/);
+    });
+
+    it('reports bad numbers and inverted ranges', () => {
+        assert.deepEqual(ClinicalThresholds.validate({ overrides: { limits: { thoracicCurvature: { min: 45, max: 30 } } } }),
+            ['limits.thoracicCurvature: min is greater than max']);
+        assert.deepEqual(ClinicalThresholds.validate({ overrides: { limits: { shoulderLevel: { max: '2' } } } }),
+            ['limits.shoulderLevel.max must be a number']);
+        assert.deepEqual(ClinicalThresholds.validate({ overrides: { severityBands: { mild: 3 } } }),
+            ['severityBands.mild must be below severityBands.moderate']);
+        assert.deepEqual(ClinicalThresholds.validate(null), ['configuration must be an object']);
+    });
+});
@@ -0,0 +1,78 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const ExerciseLibrary = require('../js/exercise-library');
+
+describe('ExerciseLibrary catalogue', () => {
+    it('gives every exercise the structured prescription fields', () => {
+        const ids = new Set();
+        ExerciseLibrary.exercises.forEach(exercise => {
+            assert.ok(!ids.has(exercise.id), `duplicate id ${exercise.id}`);
+            ids.add(exercise.id);
+            assert.ok(exercise.name && exercise.targets.length > 0, exercise.id);
+            assert.ok(exercise.sets > 0 && exercise.reps && exercise.frequency, exercise.id);
+            assert.ok(Array.isArray(exercise.contraindications), exercise.id);
+            assert.equal(exercise.progression.length, 3, exercise.id);
+            if (exercise.illustration !== undefined) {
+                assert.ok(fs.existsSync(path.join(__dirname, '..', exercise.illustration)), `${exercise.id}: missing ${exercise.illustration}`);
+            }
+        });
+    });
+});
+
+describe('ExerciseLibrary.selectForDeformities', () => {
+    it('narrows knee exercises by direction', () => {
+        const valgus = ExerciseLibrary.selectForDeformities([
+            { type: 'Left Knee Malalignment', severity: 'MILD', direction: 'VALGUS (INWARD/KNOCKED)', side: 'LEFT' }
+        ]).map(item => item.id);
+        const varus = ExerciseLibrary.selectForDeformities([
+            { type: 'Left Knee Malalignment', severity: 'MILD', direction: 'VARUS (OUTWARD/BOW-LEGGED)', side: 'LEFT' }
+        ]).map(item => item.id);
+
+        assert.deepEqual(valgus, ['clamshell', 'lateral-band-walk', 'terminal-knee-extension']);
+        assert.deepEqual(varus, ['adductor-squeeze', 'itb-foam-roll']);
+    });
+
+    it('takes the side to train from the deformity', () => {
+        const [stretch, yRaise] = ExerciseLibrary.selectForDeformities([
+            { type: 'Shoulder Level Asymmetry', severity: 'MODERATE', elevated: 'LEFT', depressed: 'RIGHT' }
+        ]);
+        assert.equal(stretch.id, 'upper-trapezius-stretch');
+        assert.equal(stretch.side, 'LEFT');
+        assert.equal(yRaise.id, 'prone-y-raise');
+        assert.equal(yRaise.side, 'RIGHT');
+    });
+
+    it('merges repeated exercises and marks both sides as bilateral', () => {
+        const items = ExerciseLibrary.selectForDeformities([
+            { type: 'Left Ankle Malalignment', severity: 'MILD', direction: 'PRONATION (INWARD)', side: 'LEFT' },
+            { type: 'Right Ankle Malalignment', severity: 'MILD', direction: 'PRONATION (INWARD)', side: 'RIGHT' }
+        ]);
+        assert.deepEqual(items.map(item => item.id), ['short-foot', 'single-leg-heel-raise']);
+        assert.equal(items[0].side, 'BILATERAL');
+        assert.deepEqual(items[0].targets, ['Left Ankle Malalignment', 'Right Ankle Malalignment']);
+    });
+
+    it('orders exercises by the most severe deformity they address', () => {
+        const items = ExerciseLibrary.selectForDeformities([
+            { type: 'Forward Head Posture', severity: 'MILD', direction: 'ANTERIOR' },
+            { type: 'PSIS Asymmetry', severity: 'SEVERE', elevated: 'LEFT', depressed: 'RIGHT' }
+        ]);
+        assert.equal(items[0].id, 'side-lying-hip-abduction');
+        assert.equal(items[items.length - 1].targets[0], 'Forward Head Posture');
+    });
+
+    it('returns nothing for unknown deformity types', () => {
+        assert.deepEqual(ExerciseLibrary.selectForDeformities([{ type: 'Unknown', severity: 'MILD' }]), []);
+    });
+});
+
+describe('ExerciseLibrary.formatDosage', () => {
+    it('formats reps, holds and single-rep stretches', () => {
+        assert.equal(ExerciseLibrary.formatDosage({ sets: 3, reps: '12' }), '3 x 12');
+        assert.equal(ExerciseLibrary.formatDosage({ sets: 3, reps: '10', hold: '5 s' }), '3 x 10, 5 s hold');
+        assert.equal(ExerciseLibrary.formatDosage({ sets: 3, reps: '1', hold: '30 s' }), '3 x 30 s hold');
+    });
+});
@@ -0,0 +1,333 @@
+// landmarks.js - Synthetic MediaPipe Pose Fixtures for AnalysisEngine Tests
+//
+// Coordinates are normalized image coordinates (x right, y down) like MediaPipe's
+// poseLandmarks. Front/back fixtures are symmetric about x = 0.5; side fixtures face +x.
+
+const LANDMARK = {
+    NOSE: 0,
+    LEFT_EAR: 7, RIGHT_EAR: 8,
+    LEFT_SHOULDER: 11, RIGHT_SHOULDER: 12,
+    LEFT_ELBOW: 13, RIGHT_ELBOW: 14,
+    LEFT_WRIST: 15, RIGHT_WRIST: 16,
+    LEFT_HIP: 23, RIGHT_HIP: 24,
+    LEFT_KNEE: 25, RIGHT_KNEE: 26,
+    LEFT_ANKLE: 27, RIGHT_ANKLE: 28,
+    LEFT_HEEL: 29, RIGHT_HEEL: 30,
+    LEFT_FOOT_INDEX: 31, RIGHT_FOOT_INDEX: 32
+};
+
+// Left/right partner of each paired landmark index
+const SIDE_PAIRS = {};
+[[1, 4], [2, 5], [3, 6], [7, 8], [9, 10], [11, 12], [13, 14], [15, 16], [17, 18], [19, 20],
+    [21, 22], [23, 24], [25, 26], [27, 28], [29, 30], [31, 32]].forEach(([left, right]) => {
+    SIDE_PAIRS[left] = right;
+    SIDE_PAIRS[right] = left;
+});
+
+function createPose(points) {
+    const pose = Array.from({ length: 33 }, () => ({ x: 0.5, y: 0.1, z: 0, visibility: 0.99 }));
+    Object.entries(points).forEach(([index, [x, y]]) => {
+        pose[index] = { x, y, z: 0, visibility: 0.99 };
+    });
+    return pose;
+}
+
+// Returns a copy of the pose with the given landmarks moved by [dx, dy]
+function shift(pose, offsets) {
+    const copy = pose.map(point => ({ ...point }));
+    Object.entries(offsets).forEach(([index, [dx, dy]]) => {
+        copy[index].x += dx;
+        copy[index].y += dy;
+    });
+    return copy;
+}
+
+// Patient facing the camera, unmirrored: anatomical left appears on the image right
+function frontNeutral() {
+    return createPose({
+        [LANDMARK.NOSE]: [0.50, 0.12],
+        [LANDMARK.LEFT_EAR]: [0.53, 0.12], [LANDMARK.RIGHT_EAR]: [0.47, 0.12],
+        [LANDMARK.LEFT_SHOULDER]: [0.60, 0.25], [LANDMARK.RIGHT_SHOULDER]: [0.40, 0.25],
+        [LANDMARK.LEFT_ELBOW]: [0.62, 0.40], [LANDMARK.RIGHT_ELBOW]: [0.38, 0.40],
+        [LANDMARK.LEFT_WRIST]: [0.63, 0.52], [LANDMARK.RIGHT_WRIST]: [0.37, 0.52],
+        [LANDMARK.LEFT_HIP]: [0.56, 0.52], [LANDMARK.RIGHT_HIP]: [0.44, 0.52],
+        [LANDMARK.LEFT_KNEE]: [0.56, 0.70], [LANDMARK.RIGHT_KNEE]: [0.44, 0.70],
+        [LANDMARK.LEFT_ANKLE]: [0.56, 0.88], [LANDMARK.RIGHT_ANKLE]: [0.44, 0.88],
+        [LANDMARK.LEFT_HEEL]: [0.56, 0.90], [LANDMARK.RIGHT_HEEL]: [0.44, 0.90],
+        [LANDMARK.LEFT_FOOT_INDEX]: [0.57, 0.93], [LANDMARK.RIGHT_FOOT_INDEX]: [0.43, 0.93]
+    });
+}
+
+// Patient facing away from the camera: anatomical left appears on the image left
+function backNeutral() {
+    return frontNeutral().map(point => ({ ...point, x: 1 - point.x }));
+}
+
+// Patient bent forward from the waist with their back to the camera (Adams forward bend test):
+// the back is level just below the hips, the head and arms hang down and the face is hidden
+function forwardBendNeutral() {
+    const legs = backNeutral();
+    const pose = createPose({
+        [LANDMARK.NOSE]: [0.50, 0.66],
+        [LANDMARK.LEFT_EAR]: [0.47, 0.64], [LANDMARK.RIGHT_EAR]: [0.53, 0.64],
+        [LANDMARK.LEFT_SHOULDER]: [0.40, 0.56], [LANDMARK.RIGHT_SHOULDER]: [0.60, 0.56],
+        [LANDMARK.LEFT_ELBOW]: [0.41, 0.68], [LANDMARK.RIGHT_ELBOW]: [0.59, 0.68],
+        [LANDMARK.LEFT_WRIST]: [0.46, 0.78], [LANDMARK.RIGHT_WRIST]: [0.54, 0.78],
+        [LANDMARK.LEFT_HIP]: [0.44, 0.52], [LANDMARK.RIGHT_HIP]: [0.56, 0.52]
+    });
+    [LANDMARK.LEFT_KNEE, LANDMARK.RIGHT_KNEE, LANDMARK.LEFT_ANKLE, LANDMARK.RIGHT_ANKLE, LANDMARK.LEFT_HEEL,
+        LANDMARK.RIGHT_HEEL, LANDMARK.LEFT_FOOT_INDEX, LANDMARK.RIGHT_FOOT_INDEX].forEach(index => {
+        pose[index] = { ...legs[index] };
+    });
+    return withVisibility(pose, [0, 2, 5, 9, 10], 0.1);
+}
+
+// Profile facing +x with ear, shoulder, hip, knee and ankle on one plumb line
+function sideNeutral() {
+    return createPose({
+        [LANDMARK.NOSE]: [0.52, 0.12],
+        [LANDMARK.LEFT_EAR]: [0.50, 0.13], [LANDMARK.RIGHT_EAR]: [0.50, 0.13],
+        [LANDMARK.LEFT_SHOULDER]: [0.50, 0.25], [LANDMARK.RIGHT_SHOULDER]: [0.50, 0.25],
+        [LANDMARK.LEFT_ELBOW]: [0.50, 0.40], [LANDMARK.RIGHT_ELBOW]: [0.50, 0.40],
+        [LANDMARK.LEFT_WRIST]: [0.51, 0.52], [LANDMARK.RIGHT_WRIST]: [0.51, 0.52],
+        [LANDMARK.LEFT_HIP]: [0.50, 0.52], [LANDMARK.RIGHT_HIP]: [0.50, 0.52],
+        [LANDMARK.LEFT_KNEE]: [0.50, 0.70], [LANDMARK.RIGHT_KNEE]: [0.50, 0.70],
+        [LANDMARK.LEFT_ANKLE]: [0.50, 0.88], [LANDMARK.RIGHT_ANKLE]: [0.50, 0.88],
+        [LANDMARK.LEFT_HEEL]: [0.48, 0.90], [LANDMARK.RIGHT_HEEL]: [0.48, 0.90],
+        [LANDMARK.LEFT_FOOT_INDEX]: [0.55, 0.91], [LANDMARK.RIGHT_FOOT_INDEX]: [0.55, 0.91]
+    });
+}
+
+// Left shoulder raised so the shoulder line slopes by the given angle
+function frontShoulderTilt(degrees) {
+    const pose = frontNeutral();
+    const width = pose[LANDMARK.LEFT_SHOULDER].x - pose[LANDMARK.RIGHT_SHOULDER].x;
+    const rise = width * Math.tan(degrees * Math.PI / 180);
+    return shift(pose, { [LANDMARK.LEFT_SHOULDER]: [0, -rise] });
+}
+
+function frontGenuValgum() {
+    return shift(frontNeutral(), {
+        [LANDMARK.LEFT_KNEE]: [-0.03, 0],
+        [LANDMARK.RIGHT_KNEE]: [0.03, 0]
+    });
+}
+
+function frontGenuVarum() {
+    return shift(frontNeutral(), {
+        [LANDMARK.LEFT_KNEE]: [0.02, 0],
+        [LANDMARK.RIGHT_KNEE]: [-0.02, 0]
+    });
+}
+
+function frontPelvicObliquity() {
+    return shift(frontNeutral(), { [LANDMARK.RIGHT_HIP]: [0, -0.01] });
+}
+
+function sideForwardHead() {
+    return shift(sideNeutral(), {
+        [LANDMARK.NOSE]: [0.045, 0],
+        [LANDMARK.LEFT_EAR]: [0.045, 0],
+        [LANDMARK.RIGHT_EAR]: [0.045, 0]
+    });
+}
+
+// Head and shoulders carried forward over hips that have slid back: rounded upper trunk, flat lumbar spine
+function sideSlumped() {
+    return shift(sideNeutral(), {
+        [LANDMARK.NOSE]: [0.10, 0],
+        [LANDMARK.LEFT_EAR]: [0.10, 0], [LANDMARK.RIGHT_EAR]: [0.10, 0],
+        [LANDMARK.LEFT_SHOULDER]: [0.03, 0], [LANDMARK.RIGHT_SHOULDER]: [0.03, 0],
+        [LANDMARK.LEFT_HIP]: [-0.01, 0], [LANDMARK.RIGHT_HIP]: [-0.01, 0]
+    });
+}
+
+// Hips pushed forward of the shoulder-knee line
+function sideSwayBack() {
+    return shift(sideNeutral(), {
+        [LANDMARK.LEFT_HIP]: [0.04, 0],
+        [LANDMARK.RIGHT_HIP]: [0.04, 0]
+    });
+}
+
+function sideKneeFlexion() {
+    return shift(sideNeutral(), {
+        [LANDMARK.LEFT_KNEE]: [0.03, 0],
+        [LANDMARK.RIGHT_KNEE]: [0.03, 0]
+    });
+}
+
+function sideKneeHyperextension() {
+    return shift(sideNeutral(), {
+        [LANDMARK.LEFT_KNEE]: [-0.01, 0],
+        [LANDMARK.RIGHT_KNEE]: [-0.01, 0]
+    });
+}
+
+function backPsisAsymmetry() {
+    return shift(backNeutral(), { [LANDMARK.LEFT_HIP]: [0, -0.01] });
+}
+
+// Left ankle collapses medially (toward the midline) relative to the knee-heel line
+function backLeftPronation() {
+    return shift(backNeutral(), { [LANDMARK.LEFT_ANKLE]: [0.002, 0] });
+}
+
+function backLeftSupination() {
+    return shift(backNeutral(), { [LANDMARK.LEFT_ANKLE]: [-0.002, 0] });
+}
+
+// Lowers the MediaPipe visibility score of the given landmarks (e.g. occluded or out of frame)
+function withVisibility(pose, indices, visibility) {
+    return pose.map((point, index) => indices.includes(index) ? { ...point, visibility } : { ...point });
+}
+
+// Deterministic capture frames: every landmark jittered by up to ±amplitude (linear congruential generator)
+function jitterFrames(pose, count, amplitude, seed = 1) {
+    let state = seed;
+    const random = () => {
+        state = (state * 1664525 + 1013904223) % 4294967296;
+        return state / 4294967296;
+    };
+    return Array.from({ length: count }, () => pose.map(point => ({
+        ...point,
+        x: point.x + (random() * 2 - 1) * amplitude,
+        y: point.y + (random() * 2 - 1) * amplitude
+    })));
+}
+
+// The pose with every left/right landmark pair exchanged, as MediaPipe labels a patient seen from
+// behind (it assumes the person faces the camera)
+function swapSides(pose) {
+    const copy = pose.map(point => ({ ...point }));
+    for (let left = 1; left <= 32; left++) {
+        const right = SIDE_PAIRS[left];
+        if (right > left) [copy[left], copy[right]] = [copy[right], copy[left]];
+    }
+    return copy;
+}
+
+// The pose as MediaPipe would report it in a width x height image: the fixture's unit square is
+// scaled to `size` pixels and centred, then each axis is normalized by its own image dimension
+function inImage(pose, width, height, size = Math.min(width, height)) {
+    const offsetX = (width - size) / 2;
+    const offsetY = (height - size) / 2;
+    return pose.map(point => ({
+        ...point,
+        x: (point.x * size + offsetX) / width,
+        y: (point.y * size + offsetY) / height
+    }));
+}
+
+// MediaPipe poseWorldLandmarks for the pose: metres (1.7 m per image unit) centred midway between
+// the hips, with z from `depth` ({ index: metres away from the camera }). The upper body (indices
+// below the hips) is then turned by `trunkYaw` degrees and the whole body by `yaw` degrees about
+// the vertical axis; positive angles move the image-right side away from the camera.
+function worldPose(pose, { depth = {}, yaw = 0, trunkYaw = 0 } = {}) {
+    const hipX = (pose[LANDMARK.LEFT_HIP].x + pose[LANDMARK.RIGHT_HIP].x) / 2;
+    const hipY = (pose[LANDMARK.LEFT_HIP].y + pose[LANDMARK.RIGHT_HIP].y) / 2;
+    const turn = (point, degrees) => {
+        const radians = degrees * Math.PI / 180;
+        return {
+            ...point,
+            x: point.x * Math.cos(radians) - point.z * Math.sin(radians),
+            z: point.x * Math.sin(radians) + point.z * Math.cos(radians)
+        };
+    };
+    return pose.map((point, index) => {
+        let world = { x: (point.x - hipX) * 1.7, y: (point.y - hipY) * 1.7, z: depth[index] || 0, visibility: point.visibility };
+        if (index < LANDMARK.LEFT_HIP) world = turn(world, trunkYaw);
+        return turn(world, yaw);
+    });
+}
+
+// Person confidences (row by row, width x height) for a simple silhouette of a front or back pose:
+// head, trunk between the hips shifted by `shift`, an arm `gaps` ([image left, image right]) away
+// from each side of the trunk down to the wrists, and two legs. All in normalized image units.
+function bodyMask(pose, { width = 200, height = 160, gaps = [0.03, 0.03], shift = 0 } = {}) {
+    const shoulderY = (pose[LANDMARK.LEFT_SHOULDER].y + pose[LANDMARK.RIGHT_SHOULDER].y) / 2;
+    const hipY = (pose[LANDMARK.LEFT_HIP].y + pose[LANDMARK.RIGHT_HIP].y) / 2;
+    const wristY = (pose[LANDMARK.LEFT_WRIST].y + pose[LANDMARK.RIGHT_WRIST].y) / 2;
+    const ankleY = (pose[LANDMARK.LEFT_ANKLE].y + pose[LANDMARK.RIGHT_ANKLE].y) / 2;
+    const hips = [pose[LANDMARK.LEFT_HIP].x, pose[LANDMARK.RIGHT_HIP].x].sort((a, b) => a - b);
+    const trunk = [hips[0] - 0.01 + shift, hips[1] + 0.01 + shift];
+    const nose = pose[LANDMARK.NOSE];
+
+    const runsAt = y => {
+        if (y >= nose.y - 0.06 && y < shoulderY) return [[nose.x - 0.04, nose.x + 0.04]];
+        if (y >= shoulderY && y <= hipY) {
+            const runs = [trunk];
+            if (y <= wristY) runs.unshift([trunk[0] - gaps[0] - 0.04, trunk[0] - gaps[0]]);
+            if (y <= wristY) runs.push([trunk[1] + gaps[1], trunk[1] + gaps[1] + 0.04]);
+            return runs;
+        }
+        if (y > hipY && y <= ankleY) return [[hips[0] - 0.01, 0.49], [0.51, hips[1] + 0.01]];
+        return [];
+    };
+
+    const values = new Float32Array(width * height);
+    for (let row = 0; row < height; row++) {
+        const y = (row + 0.5) / height;
+        runsAt(y).forEach(([x0, x1]) => {
+            for (let column = 0; column < width; column++) {
+                const x = (column + 0.5) / width;
+                if (x >= x0 && x <= x1) values[row * width + column] = 1;
+            }
+        });
+    }
+    return { values, width, height };
+}
+
+// Person confidences for the forward bend pose seen from behind: the bent back as a block from just
+// above the hips down past the shoulders, spanning the shoulders, plus two legs. `hump` raises the
+// image-left edge of the back's top above the image-right edge, in normalized image units.
+function bendMask(pose, { width = 200, height = 160, hump = 0 } = {}) {
+    const shoulderY = (pose[LANDMARK.LEFT_SHOULDER].y + pose[LANDMARK.RIGHT_SHOULDER].y) / 2;
+    const hipY = (pose[LANDMARK.LEFT_HIP].y + pose[LANDMARK.RIGHT_HIP].y) / 2;
+    const ankleY = (pose[LANDMARK.LEFT_ANKLE].y + pose[LANDMARK.RIGHT_ANKLE].y) / 2;
+    const shoulders = [pose[LANDMARK.LEFT_SHOULDER].x, pose[LANDMARK.RIGHT_SHOULDER].x].sort((a, b) => a - b);
+    const hips = [pose[LANDMARK.LEFT_HIP].x, pose[LANDMARK.RIGHT_HIP].x].sort((a, b) => a - b);
+    const back = [shoulders[0] - 0.02, shoulders[1] + 0.02];
+    const backTop = x => hipY - 0.04 + hump * ((x - back[0]) / (back[1] - back[0]) - 0.5);
+
+    const values = new Float32Array(width * height);
+    for (let row = 0; row < height; row++) {
+        const y = (row + 0.5) / height;
+        for (let column = 0; column < width; column++) {
+            const x = (column + 0.5) / width;
+            const inBack = x >= back[0] && x <= back[1] && y >= backTop(x) && y <= shoulderY + 0.04;
+            const inLegs = y > hipY && y <= ankleY && ((x >= hips[0] - 0.01 && x <= 0.49) || (x >= 0.51 && x <= hips[1] + 0.01));
+            if (inBack || inLegs) values[row * width + column] = 1;
+        }
+    }
+    return { values, width, height };
+}
+
+module.exports = {
+    LANDMARK,
+    createPose,
+    shift,
+    withVisibility,
+    jitterFrames,
+    inImage,
+    worldPose,
+    bodyMask,
+    bendMask,
+    swapSides,
+    frontNeutral,
+    backNeutral,
+    sideNeutral,
+    forwardBendNeutral,
+    frontShoulderTilt,
+    frontGenuValgum,
+    frontGenuVarum,
+    frontPelvicObliquity,
+    sideForwardHead,
+    sideSlumped,
+    sideSwayBack,
+    sideKneeFlexion,
+    sideKneeHyperextension,
+    backPsisAsymmetry,
+    backLeftPronation,
+    backLeftSupination
+};
@@ -0,0 +1,125 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const AnalysisEngine = require('../js/analysis-engine');
+const ImageAnnotator = require('../js/image-annotator');
+const fixtures = require('./fixtures/landmarks');
+
+const engine = AnalysisEngine.createInstance();
+
+function findLabel(overlay, prefix) {
+    return overlay.labels.find(label => label.text.startsWith(prefix));
+}
+
+describe('ImageAnnotator.buildOverlay', () => {
+    it('draws a plumb line midway between the heels in frontal views', () => {
+        const pose = fixtures.frontNeutral();
+        const overlay = ImageAnnotator.buildOverlay('front', pose, engine.analyzeFrontView(pose).measurements);
+        const plumb = overlay.lines.find(line => line.color === ImageAnnotator.COLORS.plumb);
+
+        assert.deepEqual(plumb, { from: { x: 0.5, y: 0 }, to: { x: 0.5, y: 1 }, color: ImageAnnotator.COLORS.plumb, dashed: true });
+        assert.equal(overlay.lines.filter(line => line.color === ImageAnnotator.COLORS.skeleton).length,
+            ImageAnnotator.BODY_CONNECTIONS.length);
+    });
+
+    it('labels the shoulder line with its measurement and flags it when abnormal', () => {
+        const pose = fixtures.frontShoulderTilt(5);
+        const overlay = ImageAnnotator.buildOverlay('front', pose, engine.analyzeFrontView(pose).measurements);
+        const label = findLabel(overlay, 'Shoulders');
+
+        assert.equal(label.text, 'Shoulders 5.0° / 3.5 cm');
+        assert.equal(label.color, ImageAnnotator.COLORS.abnormal);
+        assert.equal(findLabel(overlay, 'Pelvis').color, ImageAnnotator.COLORS.normal);
+    });
+
+    it('shows knee valgus angles on both legs', () => {
+        const pose = fixtures.frontGenuValgum();
+        const overlay = ImageAnnotator.buildOverlay('front', pose, engine.analyzeFrontView(pose).measurements);
+
+        assert.equal(findLabel(overlay, 'L knee').text, 'L knee 18.9° VALGUS');
+        assert.equal(findLabel(overlay, 'L knee').color, ImageAnnotator.COLORS.abnormal);
+        assert.ok(findLabel(overlay, 'R knee'));
+    });
+
+    it('flips landmarks horizontally for mirrored camera captures', () => {
+        const pose = fixtures.frontShoulderTilt(5);
+        const measurements = engine.analyzeFrontView(pose).measurements;
+        const plain = ImageAnnotator.buildOverlay('front', pose, measurements);
+        const mirrored = ImageAnnotator.buildOverlay('front', pose, measurements, { mirrored: true });
+
+        assert.equal(mirrored.points[3].at.x.toFixed(3), (1 - plain.points[3].at.x).toFixed(3));
+        assert.equal(mirrored.points[3].at.y, plain.points[3].at.y);
+    });
+
+    it('labels the craniovertebral angle on the side facing the camera', () => {
+        const pose = fixtures.withVisibility(fixtures.sideForwardHead(), [8, 12, 24, 26, 28], 0.2);
+        const measurements = engine.analyzeSideView(pose, 'left').measurements;
+        const overlay = ImageAnnotator.buildOverlay('sideLeft', pose, measurements);
+        const cva = findLabel(overlay, 'CVA');
+
+        assert.equal(ImageAnnotator.nearSide(pose), 'left');
+        assert.equal(cva.text, 'CVA 69.4° (head 7.5 cm over shoulder)');
+        // 69.4° is within the literature range (50° or more) even though the head is forward of the shoulder
+        assert.equal(cva.color, ImageAnnotator.COLORS.normal);
+        assert.equal(findLabel(overlay, 'Trunk').text, 'Trunk 0.0° / hip 0.0 cm over ankle');
+        assert.ok(findLabel(overlay, 'Knee'));
+    });
+
+    it('draws only the skeleton and plumb line when there are no measurements', () => {
+        const overlay = ImageAnnotator.buildOverlay('back', fixtures.backNeutral());
+        assert.deepEqual(overlay.labels, []);
+        assert.equal(overlay.lines.length, ImageAnnotator.BODY_CONNECTIONS.length + 1);
+    });
+});
+
+describe('ImageAnnotator.buildReferenceOverlay', () => {
+    const byColor = (overlay, color) => overlay.lines.filter(line => line.color === color);
+
+    it('draws only the selected overlays', () => {
+        const pose = fixtures.frontNeutral();
+        assert.deepEqual(ImageAnnotator.buildReferenceOverlay('front', pose).lines, []);
+
+        const overlay = ImageAnnotator.buildReferenceOverlay('front', pose, { plumb: true });
+        assert.equal(overlay.lines.length, 1);
+        assert.equal(overlay.lines[0].color, ImageAnnotator.COLORS.plumb);
+    });
+
+    it('anchors the plumb line at the ankle facing the camera in side views', () => {
+        const pose = fixtures.withVisibility(fixtures.sideNeutral(), [8, 12, 24, 26, 28], 0.2);
+        const [plumb] = ImageAnnotator.buildReferenceOverlay('sideLeft', pose, { plumb: true }).lines;
+        assert.equal(plumb.from.x, pose[27].x);
+
+        const [mirrored] = ImageAnnotator.buildReferenceOverlay('sideLeft', pose, { plumb: true, mirrored: true }).lines;
+        assert.equal(mirrored.from.x, 1 - pose[27].x);
+    });
+
+    it('draws horizontal reference lines through the ears, shoulders, hips and knees', () => {
+        const pose = fixtures.frontShoulderTilt(5);
+        const overlay = ImageAnnotator.buildReferenceOverlay('front', pose, { levels: true, labels: true });
+        const levels = byColor(overlay, ImageAnnotator.COLORS.level);
+
+        assert.equal(levels.length, 4);
+        assert.equal(levels[1].from.y, (pose[11].y + pose[12].y) / 2);
+        assert.equal(levels[1].from.y, levels[1].to.y);
+        assert.deepEqual(overlay.labels.map(label => label.text), ['Ears', 'Shoulders', 'Hips', 'Knees']);
+        assert.deepEqual(ImageAnnotator.buildReferenceOverlay('front', pose, { levels: true }).labels, []);
+    });
+
+    it('draws a square grid with a column on the plumb line', () => {
+        const pose = fixtures.frontNeutral();
+        const overlay = ImageAnnotator.buildReferenceOverlay('front', pose, { grid: true, aspectRatio: 4 / 3 });
+        const grid = byColor(overlay, ImageAnnotator.COLORS.grid);
+        const rows = grid.filter(line => line.from.y === line.to.y);
+        const columns = grid.filter(line => line.from.x === line.to.x);
+
+        assert.equal(rows.length, ImageAnnotator.GRID_ROWS - 1);
+        assert.ok(Math.abs((columns[1].from.x - columns[0].from.x) * 4 / 3 - 1 / ImageAnnotator.GRID_ROWS) < 1e-9);
+        assert.ok(columns.some(line => Math.abs(line.from.x - 0.5) < 1e-9));
+    });
+
+    it('draws the grid without landmarks', () => {
+        const overlay = ImageAnnotator.buildReferenceOverlay('front', null, { plumb: true, levels: true, grid: true });
+        assert.ok(overlay.lines.length > 0);
+        assert.ok(overlay.lines.every(line => line.color === ImageAnnotator.COLORS.grid));
+    });
+});
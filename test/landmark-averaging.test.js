@@ -0,0 +1,61 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const LandmarkAveraging = require('../js/landmark-averaging');
+const fixtures = require('./fixtures/landmarks');
+
+const { LANDMARK } = fixtures;
+
+describe('LandmarkAveraging helpers', () => {
+    it('computes median, mean and sample standard deviation', () => {
+        assert.equal(LandmarkAveraging.median([3, 1, 2]), 2);
+        assert.equal(LandmarkAveraging.median([4, 1, 3, 2]), 2.5);
+        assert.equal(LandmarkAveraging.mean([1, 2, 3]), 2);
+        assert.equal(LandmarkAveraging.standardDeviation([2, 4, 4, 4, 5, 5, 7, 9]).toFixed(3), '2.138');
+        assert.equal(LandmarkAveraging.standardDeviation([5]), 0);
+    });
+});
+
+describe('LandmarkAveraging.averageFrames', () => {
+    it('returns no landmarks without frames', () => {
+        const result = LandmarkAveraging.averageFrames([]);
+        assert.equal(result.landmarks, null);
+        assert.equal(result.frameCount, 0);
+    });
+
+    it('averages identical frames exactly with zero spread', () => {
+        const pose = fixtures.frontNeutral();
+        const result = LandmarkAveraging.averageFrames([pose, pose, pose]);
+        assert.equal(result.frameCount, 3);
+        assert.equal(result.rejectedSamples, 0);
+        assert.equal(result.landmarks[LANDMARK.LEFT_SHOULDER].x, pose[LANDMARK.LEFT_SHOULDER].x);
+        assert.deepEqual(result.stdDev[LANDMARK.LEFT_SHOULDER], { x: 0, y: 0, z: 0 });
+    });
+
+    it('recovers the true position from jittered frames and reports the spread', () => {
+        const pose = fixtures.frontNeutral();
+        const result = LandmarkAveraging.averageFrames(fixtures.jitterFrames(pose, 40, 0.004));
+        const shoulder = result.landmarks[LANDMARK.LEFT_SHOULDER];
+
+        assert.ok(Math.abs(shoulder.x - pose[LANDMARK.LEFT_SHOULDER].x) < 0.0015);
+        assert.ok(Math.abs(shoulder.y - pose[LANDMARK.LEFT_SHOULDER].y) < 0.0015);
+        assert.ok(result.stdDev[LANDMARK.LEFT_SHOULDER].x > 0.001);
+        assert.ok(result.stdDev[LANDMARK.LEFT_SHOULDER].x < 0.004);
+        assert.equal(result.rejectedSamples, 0);
+    });
+
+    it('rejects a landmark that jumps in a single frame', () => {
+        const pose = fixtures.frontNeutral();
+        const frames = fixtures.jitterFrames(pose, 20, 0.002);
+        frames[7] = fixtures.shift(frames[7], { [LANDMARK.LEFT_SHOULDER]: [0, -0.08] });
+
+        const result = LandmarkAveraging.averageFrames(frames);
+        assert.equal(result.rejectedSamples, 1);
+        assert.ok(Math.abs(result.landmarks[LANDMARK.LEFT_SHOULDER].y - pose[LANDMARK.LEFT_SHOULDER].y) < 0.0015);
+        assert.ok(result.stdDev[LANDMARK.LEFT_SHOULDER].y < 0.002);
+
+        // The rejected sample is replaced by the average in the returned frames
+        assert.equal(result.frames[7][LANDMARK.LEFT_SHOULDER].y, result.landmarks[LANDMARK.LEFT_SHOULDER].y);
+        assert.equal(result.frames[7][LANDMARK.RIGHT_SHOULDER].y, frames[7][LANDMARK.RIGHT_SHOULDER].y);
+    });
+});
@@ -0,0 +1,144 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const LLMProvider = require('../lib/llm-provider');
+
+describe('LLMProvider.getConfig', () => {
+    it('defaults to a local model so patient data stays on the network', () => {
+        const config = LLMProvider.getConfig({ OPENAI_API_KEY: 'sk-not-sent' });
+        assert.equal(config.provider, 'local');
+        assert.equal(config.baseUrl, 'http://localhost:11434/v1');
+        assert.equal(config.apiKey, '');
+        assert.equal(LLMProvider.isLocalEndpoint(config), true);
+    });
+
+    it('uses OPENAI_API_KEY for OpenAI', () => {
+        const config = LLMProvider.getConfig({ LLM_PROVIDER: 'openai', OPENAI_API_KEY: 'sk-test' });
+        assert.equal(config.provider, 'openai');
+        assert.equal(config.baseUrl, 'https://api.openai.com/v1');
+        assert.equal(config.model, 'gpt-4o-mini');
+        assert.equal(config.apiKey, 'sk-test');
+        assert.equal(config.maxTokens, 500);
+        assert.equal(config.temperature, 0.3);
+        assert.equal(LLMProvider.isConfigured(config), true);
+    });
+
+    it('requires a key for OpenAI but not for a local server', () => {
+        assert.equal(LLMProvider.isConfigured(LLMProvider.getConfig({ LLM_PROVIDER: 'openai' })), false);
+        assert.equal(LLMProvider.isConfigured(LLMProvider.getConfig({ LLM_PROVIDER: 'local' })), true);
+    });
+
+    it('reads base URL, model and generation settings for a local model', () => {
+        const config = LLMProvider.getConfig({
+            LLM_PROVIDER: 'Local',
+            LLM_BASE_URL: 'http://10.0.0.5:8080/v1/',
+            LLM_MODEL: 'qwen2.5-7b-instruct',
+            LLM_MAX_TOKENS: '800',
+            LLM_TEMPERATURE: '0',
+            OPENAI_API_KEY: 'sk-not-sent'
+        });
+        assert.equal(config.baseUrl, 'http://10.0.0.5:8080/v1');
+        assert.equal(config.model, 'qwen2.5-7b-instruct');
+        assert.equal(config.maxTokens, 800);
+        assert.equal(config.temperature, 0);
+        assert.equal(config.apiKey, '');
+    });
+
+    it('treats none and unknown providers as disabled', () => {
+        assert.equal(LLMProvider.isConfigured(LLMProvider.getConfig({ LLM_PROVIDER: 'none', OPENAI_API_KEY: 'x' })), false);
+        assert.equal(LLMProvider.getConfig({ LLM_PROVIDER: 'acme' }).provider, 'unknown (acme)');
+    });
+});
+
+describe('LLMProvider.describe', () => {
+    it('reports the active provider without the API key', () => {
+        const description = LLMProvider.describe(LLMProvider.getConfig({ LLM_PROVIDER: 'openai', OPENAI_API_KEY: 'sk-secret' }));
+        assert.deepEqual(description, {
+            provider: 'openai',
+            configured: true,
+            model: 'gpt-4o-mini',
+            base_url: 'https://api.openai.com/v1',
+            local_endpoint: false
+        });
+    });
+
+    it('flags private network endpoints as local', () => {
+        const local = url => LLMProvider.describe(LLMProvider.getConfig({ LLM_PROVIDER: 'local', LLM_BASE_URL: url })).local_endpoint;
+        assert.equal(local('http://localhost:11434/v1'), true);
+        assert.equal(local('http://192.168.1.20:8080/v1'), true);
+        assert.equal(local('http://172.20.0.3/v1'), true);
+        assert.equal(local('https://llm.example.com/v1'), false);
+    });
+
+    it('matches whole hostnames and real addresses, not prefixes', () => {
+        const local = url => LLMProvider.describe(LLMProvider.getConfig({ LLM_PROVIDER: 'local', LLM_BASE_URL: url })).local_endpoint;
+        assert.equal(local('http://[::1]:11434/v1'), true);
+        assert.equal(local('http://llm-box.local:8080/v1'), true);
+        assert.equal(local('http://127.0.0.1:11434/v1'), true);
+        [
+            'http://localhost.attacker.com/v1',
+            'http://10.example.net/v1',
+            'http://192.168.evil.io/v1',
+            'http://172.16.example.org/v1',
+            'http://127.evil.com/v1',
+            'http://local.example.com/v1',
+            'http://172.32.0.1/v1',
+            'http://11.0.0.1/v1'
+        ].forEach(url => assert.equal(local(url), false, url));
+    });
+
+    it('warns about off-network hosts that only look local', () => {
+        const config = LLMProvider.getConfig({ LLM_PROVIDER: 'local', LLM_BASE_URL: 'http://localhost.attacker.com/v1' });
+        assert.match(LLMProvider.privacyWarning(config), /localhost\.attacker\.com/);
+    });
+});
+
+describe('LLMProvider.privacyWarning', () => {
+    it('warns when patient data would leave the local network', () => {
+        const openai = LLMProvider.privacyWarning(LLMProvider.getConfig({ LLM_PROVIDER: 'openai', OPENAI_API_KEY: 'sk-test' }));
+        assert.match(openai, /"openai" sends patient data to https:\/\/api\.openai\.com\/v1/);
+
+        const remote = LLMProvider.getConfig({ LLM_PROVIDER: 'local', LLM_BASE_URL: 'https://llm.example.com/v1' });
+        assert.match(LLMProvider.privacyWarning(remote), /llm\.example\.com/);
+    });
+
+    it('stays quiet for local endpoints and when nothing is sent', () => {
+        assert.equal(LLMProvider.privacyWarning(LLMProvider.getConfig({})), null);
+        assert.equal(LLMProvider.privacyWarning(LLMProvider.getConfig({ LLM_PROVIDER: 'local', LLM_BASE_URL: 'http://10.0.0.5:8080/v1' })), null);
+        assert.equal(LLMProvider.privacyWarning(LLMProvider.getConfig({ LLM_PROVIDER: 'openai' })), null);
+        assert.equal(LLMProvider.privacyWarning(LLMProvider.getConfig({ LLM_PROVIDER: 'none' })), null);
+    });
+});
+
+describe('LLMProvider.createChatCompletion', () => {
+    const originalFetch = global.fetch;
+    afterEach(() => { global.fetch = originalFetch; });
+
+    it('posts an OpenAI-compatible request to the configured base URL', async () => {
+        let request;
+        global.fetch = async (url, options) => {
+            request = { url, options };
+            return { ok: true, json: async () => ({ choices: [{ message: { content: 'SUMMARY: ok EXERCISES: ok' } }] }) };
+        };
+
+        const config = LLMProvider.getConfig({ LLM_PROVIDER: 'local', LLM_MODEL: 'llama3.1', LLM_MAX_TOKENS: '300' });
+        const content = await LLMProvider.createChatCompletion([{ role: 'user', content: 'hi' }], config);
+
+        assert.equal(content, 'SUMMARY: ok EXERCISES: ok');
+        assert.equal(request.url, 'http://localhost:11434/v1/chat/completions');
+        assert.equal(request.options.headers.Authorization, undefined);
+        assert.deepEqual(JSON.parse(request.options.body), {
+            model: 'llama3.1',
+            messages: [{ role: 'user', content: 'hi' }],
+            max_tokens: 300,
+            temperature: 0.3
+        });
+    });
+
+    it('throws on HTTP errors and when not configured', async () => {
+        global.fetch = async () => ({ ok: false, status: 503, statusText: 'Service Unavailable' });
+        const local = LLMProvider.getConfig({ LLM_PROVIDER: 'local' });
+        await assert.rejects(LLMProvider.createChatCompletion([], local), /503/);
+        await assert.rejects(LLMProvider.createChatCompletion([], LLMProvider.getConfig({ LLM_PROVIDER: 'openai' })), /not configured/);
+    });
+});
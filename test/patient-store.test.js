@@ -0,0 +1,163 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const PatientStore = require('../lib/patient-store');
+const fixtures = require('./fixtures/landmarks');
+
+const VIEWS = ['front', 'sideLeft', 'sideRight', 'back', 'forwardBend'];
+
+let dataDir;
+
+beforeEach(() => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'posture-store-'));
+    PatientStore.init(dataDir);
+});
+
+afterEach(async () => {
+    await PatientStore.writeQueue.catch(() => {});
+    fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+// What a fresh server would load from DATA_DIR
+function reload() {
+    return JSON.parse(fs.readFileSync(path.join(dataDir, 'patients.json'), 'utf8'));
+}
+
+function analysisWith(shoulderLevel, deformities = []) {
+    return {
+        front: { measurements: { shoulderLevel } },
+        back: { measurements: { psisLevel: '0.0' } },
+        deformitySummary: { frontalPlane: deformities, sagittalPlane: [], bilateralComparison: [] }
+    };
+}
+
+describe('PatientStore patients', () => {
+    it('starts empty and creates the data directory', () => {
+        assert.deepEqual(PatientStore.listPatients(), []);
+        assert.ok(fs.existsSync(dataDir));
+    });
+
+    it('creates a patient with a trimmed name and persists it', async () => {
+        const patient = await PatientStore.createPatient({ name: '  Jane Doe ', dateOfBirth: '1980-02-01' });
+        assert.equal(patient.name, 'Jane Doe');
+        assert.equal(patient.dateOfBirth, '1980-02-01');
+        assert.equal(patient.sex, null);
+        assert.equal(patient.notes, '');
+        assert.deepEqual(PatientStore.getPatient(patient.id), patient);
+        assert.deepEqual(reload().patients, [patient]);
+    });
+
+    it('lists patients with their assessment count and latest assessment', async () => {
+        const patient = await PatientStore.createPatient({ name: 'Jane Doe' });
+        assert.deepEqual(PatientStore.listPatients()[0], { ...patient, assessmentCount: 0, lastAssessmentAt: null });
+
+        const assessment = await PatientStore.createAssessment(patient.id, { analysis: analysisWith('1.0') });
+        const [listed] = PatientStore.listPatients();
+        assert.equal(listed.assessmentCount, 1);
+        assert.equal(listed.lastAssessmentAt, assessment.createdAt);
+    });
+
+    it('returns null for unknown patients and assessments', () => {
+        assert.equal(PatientStore.getPatient('missing'), null);
+        assert.equal(PatientStore.getAssessment('missing'), null);
+    });
+});
+
+describe('PatientStore assessments', () => {
+    it('stores every per-view field and leaves missing views null', async () => {
+        const patient = await PatientStore.createPatient({ name: 'Jane Doe' });
+        const input = {
+            mode: 'upload',
+            calibration: { method: 'height', heightCm: 170 },
+            landmarks: { front: fixtures.frontNeutral(), forwardBend: fixtures.forwardBendNeutral() },
+            worldLandmarks: { front: fixtures.worldPose(fixtures.frontNeutral()) },
+            contour: { back: { rowHeight: 0.5, rows: [{ y: 0.25, runs: [[0.4, 0.6]] }] } },
+            imageSize: { sideLeft: { width: 640, height: 480 } },
+            capture: { sideRight: { frames: 30, windowMs: 2000 } },
+            analysis: analysisWith('2.0'),
+            report: { patientName: 'Jane Doe' }
+        };
+        const assessment = await PatientStore.createAssessment(patient.id, input);
+
+        assert.equal(assessment.patientId, patient.id);
+        assert.equal(assessment.mode, 'upload');
+        assert.deepEqual(assessment.calibration, input.calibration);
+        assert.deepEqual(assessment.report, input.report);
+        ['landmarks', 'worldLandmarks', 'contour', 'imageSize', 'capture'].forEach(field => {
+            assert.deepEqual(Object.keys(assessment[field]), VIEWS);
+            VIEWS.forEach(view => assert.deepEqual(assessment[field][view], input[field][view] || null, `${field}.${view}`));
+        });
+        assert.deepEqual(reload().assessments, [assessment]);
+    });
+
+    it('defaults the mode, calibration and report', async () => {
+        const patient = await PatientStore.createPatient({ name: 'Jane Doe' });
+        const assessment = await PatientStore.createAssessment(patient.id, { analysis: analysisWith('0.0') });
+        assert.equal(assessment.mode, 'camera');
+        assert.equal(assessment.calibration, null);
+        assert.equal(assessment.report, null);
+        assert.equal(assessment.landmarks.front, null);
+    });
+
+    it('lists a patient\'s assessments with their deformity count', async () => {
+        const [jane, john] = [await PatientStore.createPatient({ name: 'Jane' }), await PatientStore.createPatient({ name: 'John' })];
+        const first = await PatientStore.createAssessment(jane.id, { analysis: analysisWith('4.0', [{ type: 'Shoulder Elevation' }]) });
+        await PatientStore.createAssessment(john.id, { analysis: analysisWith('0.0') });
+
+        assert.deepEqual(PatientStore.listAssessments(jane.id), [{
+            id: first.id, patientId: jane.id, createdAt: first.createdAt, mode: 'camera', deformityCount: 1
+        }]);
+        assert.deepEqual(PatientStore.listAssessments('missing'), []);
+    });
+
+    it('lists the measurement history oldest first with every view', async () => {
+        const patient = await PatientStore.createPatient({ name: 'Jane Doe' });
+        const first = await PatientStore.createAssessment(patient.id, { analysis: analysisWith('4.0') });
+        const second = await PatientStore.createAssessment(patient.id, { analysis: analysisWith('1.5') });
+
+        const history = PatientStore.listMeasurementHistory(patient.id);
+        assert.deepEqual(history.map(entry => entry.id), [first.id, second.id]);
+        assert.deepEqual(history[1].measurements, {
+            front: { shoulderLevel: '1.5' }, sideLeft: {}, sideRight: {}, back: { psisLevel: '0.0' }, forwardBend: {}
+        });
+    });
+
+    it('merges report edits into the stored report', async () => {
+        const patient = await PatientStore.createPatient({ name: 'Jane Doe' });
+        const assessment = await PatientStore.createAssessment(patient.id, {
+            analysis: analysisWith('0.0'), report: { patientName: 'Jane Doe', clinicalSummary: 'Draft' }
+        });
+
+        const updated = await PatientStore.updateAssessmentReport(assessment.id, { clinicalSummary: 'Final' });
+        assert.deepEqual(updated.report, { patientName: 'Jane Doe', clinicalSummary: 'Final' });
+        assert.ok(updated.updatedAt);
+        assert.deepEqual(reload().assessments[0].report, updated.report);
+        assert.equal(await PatientStore.updateAssessmentReport('missing', {}), null);
+    });
+});
+
+describe('PatientStore persistence', () => {
+    it('keeps every record when writes overlap', async () => {
+        const names = Array.from({ length: 20 }, (_, i) => `Patient ${i}`);
+        await Promise.all(names.map(name => PatientStore.createPatient({ name })));
+
+        assert.deepEqual(reload().patients.map(p => p.name), names);
+        assert.equal(fs.existsSync(path.join(dataDir, 'patients.json.tmp')), false);
+
+        PatientStore.init(dataDir);
+        assert.equal(PatientStore.listPatients().length, names.length);
+    });
+
+    it('keeps writing after a failed write', async () => {
+        await PatientStore.createPatient({ name: 'Before' });
+        fs.mkdirSync(path.join(dataDir, 'patients.json.tmp'));
+        await assert.rejects(PatientStore.createPatient({ name: 'Blocked' }));
+
+        fs.rmdirSync(path.join(dataDir, 'patients.json.tmp'));
+        await PatientStore.createPatient({ name: 'After' });
+        assert.deepEqual(reload().patients.map(p => p.name), ['Before', 'Blocked', 'After']);
+    });
+});
@@ -0,0 +1,86 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const ProgressComparison = require('../js/progress-comparison');
+
+describe('ProgressComparison.classifyChange', () => {
+    it('judges changes by the distance outside the normal limits', () => {
+        // Shoulder level: normal <2°
+        assert.equal(ProgressComparison.classifyChange('shoulderLevel', 5, 3), 'improved');
+        assert.equal(ProgressComparison.classifyChange('shoulderLevel', 3, 5), 'worsened');
+        assert.equal(ProgressComparison.classifyChange('shoulderLevel', 1.8, 1.2), 'unchanged');
+        assert.equal(ProgressComparison.classifyChange('shoulderLevel', 4, 0.5), 'improved');
+    });
+
+    it('treats changes within the measurement tolerance as unchanged', () => {
+        assert.equal(ProgressComparison.classifyChange('shoulderLevel', 5, 5.8), 'unchanged');
+        assert.equal(ProgressComparison.classifyChange('shoulderLevelCm', 3, 3.4), 'unchanged');
+        assert.equal(ProgressComparison.classifyChange('shoulderLevelCm', 3, 3.6), 'worsened');
+    });
+
+    it('grades a lower-limit metric by how far it falls below the minimum', () => {
+        // Craniovertebral angle: normal 50° or more, no maximum
+        assert.deepEqual(ProgressComparison.getMetricInfo('craniovertebralAngle').max, undefined);
+        assert.equal(ProgressComparison.excessBeyondNormal('craniovertebralAngle', 42), 8);
+        assert.equal(ProgressComparison.excessBeyondNormal('craniovertebralAngle', 65), 0);
+        assert.equal(ProgressComparison.classifyChange('craniovertebralAngle', 42, 48), 'improved');
+        assert.equal(ProgressComparison.classifyChange('craniovertebralAngle', 48, 42), 'worsened');
+        assert.equal(ProgressComparison.classifyChange('craniovertebralAngle', 55, 62), 'unchanged');
+    });
+
+    it('takes the size of a metric without limits as its excess', () => {
+        assert.equal(ProgressComparison.excessBeyondNormal('unknownMetric', -4), 4);
+    });
+});
+
+describe('ProgressComparison.compareMeasurements', () => {
+    it('builds one row per metric with the change and its status', () => {
+        const rows = ProgressComparison.compareMeasurements(
+            { front: { shoulderLevel: '5.0', shoulderLevelCm: '2.0', shoulderLevelType: 'LEFT' } },
+            { front: { shoulderLevel: '3.0', shoulderLevelCm: '3.0', shoulderLevelType: 'LEFT' } }
+        );
+        assert.deepEqual(rows, [
+            { view: 'front', key: 'shoulderLevel', label: 'Shoulder Level', unit: '°', baseline: 5, followUp: 3, delta: -2, status: 'improved' },
+            { view: 'front', key: 'shoulderLevelCm', label: 'Shoulder Level', unit: 'cm', baseline: 2, followUp: 3, delta: 1, status: 'worsened' }
+        ]);
+    });
+
+    it('keeps metrics measured in only one session as n/a', () => {
+        const rows = ProgressComparison.compareMeasurements(
+            { front: { shoulderLevel: '1.0', waistTriangleAsymmetry: '40.0' } },
+            { front: { shoulderLevel: '1.5' }, forwardBend: { bendShoulderTilt: '8.5' } }
+        );
+        const byKey = Object.fromEntries(rows.map(row => [row.key, row]));
+
+        assert.equal(byKey.shoulderLevel.status, 'unchanged');
+        assert.deepEqual(
+            [byKey.waistTriangleAsymmetry.baseline, byKey.waistTriangleAsymmetry.followUp, byKey.waistTriangleAsymmetry.delta, byKey.waistTriangleAsymmetry.status],
+            [40, null, null, 'n/a']
+        );
+        assert.deepEqual(
+            [byKey.bendShoulderTilt.view, byKey.bendShoulderTilt.baseline, byKey.bendShoulderTilt.followUp, byKey.bendShoulderTilt.status],
+            ['forwardBend', null, 8.5, 'n/a']
+        );
+        assert.equal(ProgressComparison.formatValue(byKey.bendShoulderTilt.baseline, '°'), 'n/a');
+        assert.equal(ProgressComparison.formatDelta(byKey.bendShoulderTilt), 'n/a');
+        assert.equal(ProgressComparison.formatDelta(byKey.shoulderLevel), '+0.5°');
+
+        assert.deepEqual(ProgressComparison.summarize(rows), { improved: 0, worsened: 0, unchanged: 1, 'n/a': 2 });
+    });
+});
+
+describe('ProgressComparison.trendRange', () => {
+    it('pads the range on both sides of the values and zero', () => {
+        assert.deepEqual(ProgressComparison.trendRange([2, 8]), { min: -0.8, max: 8.8 });
+    });
+
+    it('keeps all-negative values inside the plot', () => {
+        const range = ProgressComparison.trendRange([-6, -2, -4]);
+        assert.ok(range.min < -6 && range.max > 0);
+        assert.deepEqual([range.min.toFixed(2), range.max.toFixed(2)], ['-6.60', '0.60']);
+    });
+
+    it('still has a range when every value is zero', () => {
+        assert.deepEqual(ProgressComparison.trendRange([0, 0]), { min: -0.1, max: 0.1 });
+    });
+});
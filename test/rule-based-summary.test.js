@@ -0,0 +1,146 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const AnalysisEngine = require('../js/analysis-engine');
+const BodyContour = require('../js/body-contour');
+const RuleBasedSummary = require('../lib/rule-based-summary');
+const fixtures = require('./fixtures/landmarks');
+
+function analyze(views) {
+    return AnalysisEngine.createInstance().analyzeLandmarkSet({
+        frontLandmarks: views.front || fixtures.frontNeutral(),
+        sideLeftLandmarks: views.sideLeft || fixtures.sideNeutral(),
+        sideRightLandmarks: views.sideRight || fixtures.sideNeutral(),
+        backLandmarks: views.back || fixtures.backNeutral()
+    });
+}
+
+describe('RuleBasedSummary.generate', () => {
+    it('returns the same summary/exercises shape as the LLM path', () => {
+        const result = RuleBasedSummary.generate(analyze({}));
+        assert.deepEqual(Object.keys(result), ['summary', 'exercises']);
+        assert.equal(typeof result.summary, 'string');
+        assert.equal(typeof result.exercises, 'string');
+    });
+
+    it('is deterministic for the same analysis', () => {
+        const analysis = analyze({ front: fixtures.frontShoulderTilt(5) });
+        assert.deepEqual(RuleBasedSummary.generate(analysis), RuleBasedSummary.generate(analysis));
+    });
+
+    it('describes frontal findings with side, distance and severity', () => {
+        const { summary } = RuleBasedSummary.generate(analyze({ front: fixtures.frontShoulderTilt(5) }));
+        assert.match(summary, /Shoulder Level Asymmetry \(moderate\): left side elevated by 3\.5cm \(5\.0°\)/);
+        assert.match(summary, /Shoulder Level 5\.0° \(normal <2°\)/);
+    });
+
+    it('reports left/right side view asymmetries', () => {
+        const { summary } = RuleBasedSummary.generate(analyze({ sideLeft: fixtures.sideForwardHead() }));
+        assert.match(summary, /Forward Head Posture \(moderate\) in the left side view/);
+        assert.match(summary, /Forward Neck Asymmetry \(left view 20\.6°, right view 0\.0°, difference 20\.6°, greater in the left view\)/);
+    });
+
+    it('reports the craniovertebral angle and tags curvature estimates', () => {
+        const { summary } = RuleBasedSummary.generate(analyze({ sideLeft: fixtures.sideForwardHead() }));
+        assert.match(summary, /Forward Head Posture \(moderate\) in the left side view: craniovertebral angle 69\.4°/);
+        assert.match(summary, /Thoracic Curvature \(severe\) in the right side view: reduced kyphosis \(flat back\), 0\.0° \[estimate from body landmarks\]/);
+        assert.match(summary, /Head over Shoulder 7\.5cm \(normal -2\.5 to 2\.5cm\)/);
+    });
+
+    it('prescribes exercises from the exercise library for each deformity', () => {
+        const { exercises } = RuleBasedSummary.generate(analyze({
+            front: fixtures.frontGenuValgum(),
+            sideLeft: fixtures.sideForwardHead(),
+            back: fixtures.backLeftPronation()
+        }));
+        const lines = exercises.split('\n');
+        assert.equal(lines[0], 'Corrective Exercise Protocol:');
+        assert.ok(lines.includes('• Clamshells with Band (both sides): 3 x 15, 4x/week - for Left Knee Malalignment, Right Knee Malalignment'));
+        assert.ok(lines.includes('• Chin Tucks: 3 x 10, 5 s hold, Daily - for Forward Head Posture'));
+        assert.ok(lines.some(line => line.startsWith('• Short Foot (Arch Doming) (left side)')));
+        assert.ok(lines.includes('Weeks 1-2: level 1 of each exercise, focusing on form'));
+    });
+
+    it('builds the deformity summary itself when it is missing', () => {
+        const { deformitySummary, ...views } = analyze({ front: fixtures.frontPelvicObliquity() });
+        assert.ok(deformitySummary);
+        const { summary, exercises } = RuleBasedSummary.generate(views);
+        assert.match(summary, /Pelvic Obliquity \(moderate\): right side elevated/);
+        assert.match(exercises, /Side-Lying Hip Abduction \(left side\)/);
+    });
+
+    it('marks low-confidence findings and keeps them out of the abnormal list', () => {
+        const front = fixtures.withVisibility(fixtures.frontPelvicObliquity(), [fixtures.LANDMARK.RIGHT_HIP], 0.3);
+        const { summary } = RuleBasedSummary.generate(analyze({ front }));
+        assert.match(summary, /Pelvic Obliquity \(moderate\): right side elevated .*\[low confidence - landmarks not clearly visible\]/);
+        assert.match(summary, /Low confidence \(landmarks not clearly visible, interpret with caution\): Pelvic Obliquity/);
+        assert.doesNotMatch(summary, /Measurements outside normal range: .*Pelvic Obliquity/);
+    });
+
+    it('notes landmarks that were manually adjusted', () => {
+        const analysis = AnalysisEngine.createInstance().analyzeLandmarkSet({
+            frontLandmarks: fixtures.frontNeutral(),
+            sideLeftLandmarks: fixtures.sideNeutral(),
+            sideLeftAdjusted: [11, 23]
+        });
+        const { summary } = RuleBasedSummary.generate(analysis);
+        assert.match(summary, /Landmarks manually adjusted by the clinician before analysis: left side view: Left Shoulder, Left Hip\./);
+    });
+
+    it('states which normal ranges were applied', () => {
+        const analysis = AnalysisEngine.createInstance({}, { preset: 'elderly' }).analyzeLandmarkSet({
+            frontLandmarks: fixtures.frontNeutral()
+        });
+        assert.match(RuleBasedSummary.generate(analysis).summary, /Normal ranges: Older adult \(65\+\) preset\./);
+    });
+
+    it('states how centimetre values were calibrated', () => {
+        const analysis = AnalysisEngine.createInstance({ method: 'height', patientHeight: 168 }).analyzeLandmarkSet({
+            frontLandmarks: fixtures.frontNeutral(),
+            sideLeftLandmarks: fixtures.sideNeutral()
+        });
+        const { summary } = RuleBasedSummary.generate(analysis);
+        assert.match(summary, /Centimetre values calibrated from: Patient height 168 cm, converted through the nose-to-heel landmark span\./);
+    });
+
+    it('reports the 3D world landmark measurements', () => {
+        const pose = fixtures.frontNeutral();
+        const analysis = AnalysisEngine.analyzeLandmarkSet({
+            frontLandmarks: pose,
+            frontWorldLandmarks: fixtures.worldPose(pose, { depth: { [fixtures.LANDMARK.NOSE]: -0.08 }, yaw: 10 })
+        });
+        const { summary } = RuleBasedSummary.generate(analysis);
+        assert.match(summary, /3D measurements from MediaPipe world landmarks \(no calibration needed, depth estimated from a single camera\): Front: trunk rotation 0\.0°, pelvic rotation 10\.0° to the left \(outside normal <5°\)/);
+    });
+
+    it('describes silhouette findings from the segmentation mask', () => {
+        const pose = fixtures.frontNeutral();
+        const { values, width, height } = fixtures.bodyMask(pose, { gaps: [0.03, 0.06], shift: 0.02 });
+        const analysis = AnalysisEngine.analyzeLandmarkSet({
+            frontLandmarks: pose,
+            frontImageSize: { width: 640, height: 480 },
+            frontContour: BodyContour.fromMask(values, width, height)
+        });
+        const { summary } = RuleBasedSummary.generate(analysis);
+        assert.match(summary, /Waist Triangle Asymmetry \(\w+\): left waist triangle larger by [\d.]+% \[from the body silhouette\]/);
+        assert.match(summary, /Lateral Trunk Shift \(\w+\): trunk 5\.8cm to the left of the midline between the feet/);
+    });
+
+    it('states the scoliosis screening outcome when the forward bend view was taken', () => {
+        const bend = fixtures.shift(fixtures.forwardBendNeutral(), { [fixtures.LANDMARK.LEFT_SHOULDER]: [0, -0.03] });
+        const { summary } = RuleBasedSummary.generate(AnalysisEngine.analyzeLandmarkSet({
+            frontLandmarks: fixtures.frontNeutral(),
+            backLandmarks: fixtures.backNeutral(),
+            forwardBendLandmarks: bend
+        }));
+        assert.match(summary, /Scoliosis screening \(Adams forward bend test - a screening result, not a diagnosis\): REFER for clinical scoliosis assessment - Forward Bend Shoulder Tilt \(estimate\) 8\.5°, left side higher \(normal <7°\)\./);
+
+        assert.doesNotMatch(RuleBasedSummary.generate(analyze({})).summary, /Scoliosis screening/);
+    });
+
+    it('falls back to a maintenance protocol when nothing is found', () => {
+        const { summary, exercises } = RuleBasedSummary.generate({ front: AnalysisEngine.analyzeFrontView(fixtures.frontNeutral()) });
+        assert.match(summary, /No significant postural deviations were detected/);
+        assert.match(exercises, /^Maintenance Protocol:/);
+    });
+});
@@ -0,0 +1,260 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const fixtures = require('./fixtures/landmarks');
+const AnalysisEngine = require('../js/analysis-engine');
+
+// The server loads its stores from DATA_DIR when required
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'posture-server-'));
+process.env.DATA_DIR = dataDir;
+const app = require('../server');
+
+let server;
+let baseUrl;
+
+before(async () => {
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+    await new Promise(resolve => server.close(resolve));
+    fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+async function request(method, route, body) {
+    const options = { method, headers: {} };
+    if (body !== undefined) {
+        options.headers['Content-Type'] = 'application/json';
+        options.body = JSON.stringify(body);
+    }
+    const response = await fetch(`${baseUrl}${route}`, options);
+    return { status: response.status, body: await response.json() };
+}
+
+const analysis = {
+    front: { measurements: { shoulderLevel: '0.0' } },
+    deformitySummary: { frontalPlane: [], sagittalPlane: [], bilateralComparison: [] }
+};
+
+describe('Patient records API', () => {
+    it('creates a patient and rejects a missing name', async () => {
+        const created = await request('POST', '/api/patients', { name: ' Jane Doe ', dateOfBirth: '1980-02-01' });
+        assert.equal(created.status, 201);
+        assert.equal(created.body.patient.name, 'Jane Doe');
+
+        const fetched = await request('GET', `/api/patients/${created.body.patient.id}`);
+        assert.deepEqual(fetched.body.patient, created.body.patient);
+
+        const { body } = await request('GET', '/api/patients');
+        assert.ok(body.patients.some(p => p.id === created.body.patient.id && p.assessmentCount === 0));
+
+        assert.equal((await request('POST', '/api/patients', { name: '  ' })).status, 400);
+        assert.equal((await request('POST', '/api/patients', {})).status, 400);
+    });
+
+    it('lists assessments and measurement history and saves report edits', async () => {
+        const { body: { patient } } = await request('POST', '/api/patients', { name: 'History Test' });
+        const created = await request('POST', `/api/patients/${patient.id}/assessments`, {
+            analysis, report: { patientName: 'History Test', clinicalSummary: 'Draft' }
+        });
+        const assessmentId = created.body.assessment.id;
+
+        const list = await request('GET', `/api/patients/${patient.id}/assessments`);
+        assert.deepEqual(list.body.assessments.map(a => [a.id, a.deformityCount]), [[assessmentId, 0]]);
+
+        const history = await request('GET', `/api/patients/${patient.id}/measurements`);
+        assert.deepEqual(history.body.history[0].measurements.front, { shoulderLevel: '0.0' });
+
+        const updated = await request('PUT', `/api/assessments/${assessmentId}/report`, { clinicalSummary: 'Final' });
+        assert.equal(updated.status, 200);
+        assert.deepEqual(updated.body.assessment.report, { patientName: 'History Test', clinicalSummary: 'Final' });
+    });
+
+    it('returns 404 for unknown patients and assessments', async () => {
+        assert.equal((await request('GET', '/api/patients/missing')).status, 404);
+        assert.equal((await request('GET', '/api/patients/missing/assessments')).status, 404);
+        assert.equal((await request('GET', '/api/patients/missing/measurements')).status, 404);
+        assert.equal((await request('GET', '/api/assessments/missing')).status, 404);
+        assert.equal((await request('PUT', '/api/assessments/missing/report', {})).status, 404);
+    });
+
+    it('never serves the records as static files', async () => {
+        assert.equal((await request('GET', '/data/patients.json')).status, 404);
+    });
+});
+
+describe('POST /api/patients/:patientId/assessments', () => {
+    let patientId;
+
+    before(async () => {
+        const { body } = await request('POST', '/api/patients', { name: 'Route Test' });
+        patientId = body.patient.id;
+    });
+
+    it('stores the source image sizes and body contours so the measurements can be rebuilt', async () => {
+        const imageSize = { front: { width: 640, height: 480 }, back: { width: 1280, height: 960 } };
+        const contour = { front: { rowHeight: 0.5, rows: [{ y: 0.25, runs: [[0.4, 0.6]] }, { y: 0.75, runs: [[0.3, 0.45], [0.55, 0.7]] }] } };
+        const created = await request('POST', `/api/patients/${patientId}/assessments`, {
+            mode: 'upload',
+            landmarks: { front: fixtures.frontNeutral() },
+            contour,
+            imageSize,
+            analysis
+        });
+        assert.equal(created.status, 201);
+
+        const { body } = await request('GET', `/api/assessments/${created.body.assessment.id}`);
+        assert.deepEqual(body.assessment.imageSize.front, { width: 640, height: 480 });
+        assert.deepEqual(body.assessment.imageSize.back, { width: 1280, height: 960 });
+        assert.equal(body.assessment.imageSize.sideLeft, null);
+        assert.deepEqual(body.assessment.contour.front, contour.front);
+        assert.equal(body.assessment.contour.back, null);
+    });
+
+    it('stores the world landmarks so the 3D measurements can be recomputed', async () => {
+        const world = fixtures.worldPose(fixtures.frontNeutral(), { trunkYaw: 10 });
+        const created = await request('POST', `/api/patients/${patientId}/assessments`, {
+            landmarks: { front: fixtures.frontNeutral() },
+            worldLandmarks: { front: world },
+            analysis
+        });
+        assert.equal(created.status, 201);
+
+        const { body } = await request('GET', `/api/assessments/${created.body.assessment.id}`);
+        assert.deepEqual(body.assessment.worldLandmarks.front, world);
+        assert.equal(body.assessment.worldLandmarks.back, null);
+    });
+
+    it('rejects world landmarks without depth', async () => {
+        const flat = fixtures.worldPose(fixtures.frontNeutral()).map(({ x, y, visibility }) => ({ x, y, visibility }));
+        const { status, body } = await request('POST', `/api/patients/${patientId}/assessments`, {
+            worldLandmarks: { front: flat },
+            analysis
+        });
+        assert.equal(status, 400);
+        assert.deepEqual(body.details, ['worldLandmarks.front: landmark 0 is missing numeric x/y/z']);
+    });
+
+    it('accepts a full-size assessment past the 100kb express default', async () => {
+        // MediaPipe reports full-precision coordinates; contours are traced at BodyContour.MAX_ROWS
+        // rows, with hair, fingers and arm gaps splitting each row into several runs
+        const precise = pose => pose.map((point, i) => ({
+            x: point.x + (i + 1) / 3e7, y: point.y + (i + 1) / 7e7, z: -0.1234567890123456 + i / 9e6, visibility: 0.99876543210987
+        }));
+        const traced = {
+            rowHeight: 0.00625,
+            rows: Array.from({ length: 160 }, (_, row) => ({
+                y: +((row + 0.5) / 160).toFixed(4),
+                runs: Array.from({ length: 12 }, (_, run) => [+(0.1013 + run * 0.0667).toFixed(4), +(0.1389 + run * 0.0667).toFixed(4)])
+            }))
+        };
+        const landmarks = {
+            front: precise(fixtures.frontNeutral()),
+            sideLeft: precise(fixtures.sideNeutral()),
+            sideRight: precise(fixtures.sideNeutral()),
+            back: precise(fixtures.backNeutral()),
+            forwardBend: precise(fixtures.forwardBendNeutral())
+        };
+        const worldLandmarks = {};
+        ['front', 'sideLeft', 'sideRight', 'back'].forEach(view => { worldLandmarks[view] = precise(fixtures.worldPose(landmarks[view])); });
+        const payload = {
+            landmarks,
+            worldLandmarks,
+            contour: { front: traced, back: traced, forwardBend: traced },
+            analysis: AnalysisEngine.createInstance().analyzeLandmarkSet({
+                frontLandmarks: landmarks.front,
+                sideLeftLandmarks: landmarks.sideLeft,
+                sideRightLandmarks: landmarks.sideRight,
+                backLandmarks: landmarks.back,
+                forwardBendLandmarks: landmarks.forwardBend
+            })
+        };
+        assert.ok(JSON.stringify(payload).length > 100 * 1024);
+
+        const created = await request('POST', `/api/patients/${patientId}/assessments`, payload);
+        assert.equal(created.status, 201);
+        assert.equal(created.body.assessment.contour.forwardBend.rows.length, 160);
+    });
+
+    it('answers an oversized body with a 413', async () => {
+        const { status, body } = await request('POST', `/api/patients/${patientId}/assessments`, {
+            analysis, notes: 'x'.repeat(6 * 1024 * 1024)
+        });
+        assert.equal(status, 413);
+        assert.equal(body.error, 'Request body is larger than the 5mb limit');
+    });
+
+    it('requires the analysis deformity summary', async () => {
+        const { status } = await request('POST', `/api/patients/${patientId}/assessments`, { analysis: {} });
+        assert.equal(status, 400);
+    });
+
+    it('returns 404 for an unknown patient', async () => {
+        const { status } = await request('POST', '/api/patients/missing/assessments', { analysis });
+        assert.equal(status, 404);
+    });
+});
+
+describe('POST /api/analyze', () => {
+    const landmarks = {
+        front: fixtures.frontNeutral(),
+        sideLeft: fixtures.sideNeutral(),
+        sideRight: fixtures.sideNeutral(),
+        back: fixtures.backNeutral()
+    };
+
+    it('analyses all four views', async () => {
+        const { status, body } = await request('POST', '/api/analyze', { landmarks });
+        assert.equal(status, 200);
+        assert.ok(body.deformitySummary);
+        assert.equal(body.front.measurements.shoulderLevel, '0.0');
+    });
+
+    it('rejects world landmarks without depth instead of reporting NaN', async () => {
+        const world = fixtures.worldPose(fixtures.frontNeutral());
+        world[11] = { x: world[11].x, y: world[11].y };
+        const { status, body } = await request('POST', '/api/analyze', { landmarks, worldLandmarks: { front: world } });
+        assert.equal(status, 400);
+        assert.deepEqual(body.details, ['worldLandmarks.front: landmark 11 is missing numeric x/y/z']);
+    });
+});
+
+describe('PUT /api/thresholds', () => {
+    async function put(rawBody) {
+        const response = await fetch(`${baseUrl}/api/thresholds`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: rawBody
+        });
+        return { status: response.status, body: await response.json() };
+    }
+
+    it('rejects a body that is not a JSON object with a 400', async () => {
+        const empty = await put('null');
+        assert.equal(empty.status, 400);
+        assert.equal(empty.body.error, 'Request body must be a JSON object');
+
+        const list = await put('[]');
+        assert.equal(list.status, 400);
+        assert.deepEqual(list.body.details, ['request body must be a JSON object']);
+
+        assert.equal((await put('{"preset":')).status, 400);
+    });
+
+    it('reports validation errors and saves a valid configuration', async () => {
+        const invalid = await put(JSON.stringify({ preset: 'infant' }));
+        assert.equal(invalid.status, 400);
+        assert.match(invalid.body.details[0], /unknown preset "infant"/);
+
+        const saved = await put(JSON.stringify({ preset: 'elderly' }));
+        assert.equal(saved.status, 200);
+        assert.equal(saved.body.config.preset, 'elderly');
+        assert.equal((await request('GET', '/api/thresholds')).body.config.preset, 'elderly');
+        await put(JSON.stringify({ preset: 'adult' }));
+    });
+});
@@ -0,0 +1,51 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const ThresholdStore = require('../lib/threshold-store');
+
+let dataDir;
+
+beforeEach(() => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'posture-thresholds-'));
+    ThresholdStore.init(dataDir);
+});
+
+afterEach(async () => {
+    await ThresholdStore.writeQueue.catch(() => {});
+    fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+describe('ThresholdStore', () => {
+    it('starts on the adult preset without a file', () => {
+        assert.deepEqual(ThresholdStore.get(), { preset: 'adult', overrides: {}, updatedAt: null });
+    });
+
+    it('saves a configuration and loads it again', async () => {
+        const overrides = { limits: { shoulderLevel: { max: 3 } } };
+        const saved = await ThresholdStore.save({ preset: 'elderly', overrides });
+        assert.equal(saved.preset, 'elderly');
+        assert.deepEqual(saved.overrides, overrides);
+        assert.ok(saved.updatedAt);
+        assert.deepEqual(ThresholdStore.get(), saved);
+
+        ThresholdStore.init(dataDir);
+        assert.deepEqual(ThresholdStore.get(), saved);
+        assert.equal(fs.existsSync(path.join(dataDir, 'thresholds.json.tmp')), false);
+    });
+
+    it('keeps the previous configuration when a write fails and saves the next one', async () => {
+        const before = await ThresholdStore.save({ preset: 'adolescent' });
+
+        fs.mkdirSync(path.join(dataDir, 'thresholds.json.tmp'));
+        await assert.rejects(ThresholdStore.save({ preset: 'elderly' }));
+        assert.deepEqual(ThresholdStore.get(), before);
+
+        fs.rmdirSync(path.join(dataDir, 'thresholds.json.tmp'));
+        const after = await ThresholdStore.save({ preset: 'elderly' });
+        assert.deepEqual(ThresholdStore.get(), after);
+        assert.equal(JSON.parse(fs.readFileSync(path.join(dataDir, 'thresholds.json'), 'utf8')).preset, 'elderly');
+    });
+});